@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * AI Response Cache Schema
+ * Result of an AI operation, stored under a hash of the operation, its
+ * normalised inputs and the prompt version (see services/responseCache).
+ * Entries expire at expiresAt; final entries never do.
+ */
+const aiResponseCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Cache key is required'],
+    unique: true
+  },
+  operation: {
+    type: String,
+    required: [true, 'Operation is required']
+  },
+  promptTemplate: {
+    type: String,
+    default: null
+  },
+  promptVersion: {
+    type: Number,
+    default: null
+  },
+  // Session the result belongs to, for session analyses
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateSession',
+    default: null
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Analysis of a completed session: its inputs can no longer change
+  final: {
+    type: Boolean,
+    default: false
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+aiResponseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+aiResponseCacheSchema.index({ operation: 1, createdAt: -1 });
+aiResponseCacheSchema.index({ sessionId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('AIResponseCache', aiResponseCacheSchema);
\ No newline at end of file
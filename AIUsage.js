@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * AI Usage Schema
+ * One entry per model call: who it was for, which operation made it, the
+ * tokens it used, how long it took and what it cost (see services/usageMeter)
+ */
+const aiUsageSchema = new mongoose.Schema({
+  // Null for calls not made on behalf of a user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateSession',
+    default: null
+  },
+  operation: {
+    type: String,
+    required: [true, 'Operation is required']
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  tokens: {
+    prompt: { type: Number, default: 0 },
+    completion: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  // True when the provider reported no usage and the tokens were counted from the text
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  // USD; null when the model has no known price
+  cost: {
+    type: Number,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ operation: 1, createdAt: -1 });
+aiUsageSchema.index({ createdAt: -1 });
+
+/**
+ * Static method to get the tokens a user has used since a date
+ */
+aiUsageSchema.statics.getTokensUsed = async function(userId, since) {
+  const [result] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), createdAt: { $gte: since } } },
+    { $group: { _id: null, tokens: { $sum: '$tokens.total' } } }
+  ]);
+
+  return result ? result.tokens : 0;
+};
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
\ No newline at end of file
@@ -15,6 +15,17 @@ const debateMessageSchema = new mongoose.Schema({
     enum: ['user', 'ai'],
     required: [true, 'Sender type is required']
   },
+  // Which participant sent a user message (sessions can have two users)
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  senderSide: {
+    type: String,
+    enum: ['pro', 'con', null],
+    default: null
+  },
   content: {
     type: String,
     required: [true, 'Message content is required'],
@@ -62,7 +73,43 @@ const debateMessageSchema = new mongoose.Schema({
     evidenceQuality: { type: Number, min: 0, max: 100, default: null },
     emotionalAppeal: { type: Number, min: 0, max: 100, default: null },
     clarity: { type: Number, min: 0, max: 100, default: null },
-    relevance: { type: Number, min: 0, max: 100, default: null }
+    relevance: { type: Number, min: 0, max: 100, default: null },
+    fallacies: [{
+      type: {
+        type: String,
+        enum: [
+          'strawman',
+          'ad-hominem',
+          'slippery-slope',
+          'false-dilemma',
+          'hasty-generalization',
+          'appeal-to-authority',
+          'appeal-to-emotion',
+          'red-herring',
+          'circular-reasoning',
+          'bandwagon',
+          'tu-quoque'
+        ]
+      },
+      excerpt: { type: String, trim: true, maxlength: 300 },
+      explanation: { type: String, trim: true, maxlength: 500 },
+      confidence: { type: Number, min: 0, max: 1, default: 0.5 }
+    }],
+    // Claim / warrant / impact breakdown; null where the part is missing
+    structure: {
+      claim: { type: String, trim: true, maxlength: 500, default: null },
+      warrant: { type: String, trim: true, maxlength: 500, default: null },
+      impact: { type: String, trim: true, maxlength: 500, default: null }
+    },
+    coaching: { type: String, trim: true, maxlength: 500, default: null },
+    // Cited quotes the source does not support (see services/citationVerifier)
+    citationFlags: [{
+      attachmentId: { type: mongoose.Schema.Types.ObjectId },
+      status: { type: String, enum: ['fabricated', 'out-of-context'] },
+      quote: { type: String, trim: true, maxlength: 1000 },
+      note: { type: String, trim: true, maxlength: 500 }
+    }],
+    analyzedAt: { type: Date, default: null }
   },
   metadata: {
     wordCount: { type: Number, default: 0 },
@@ -76,7 +123,46 @@ const debateMessageSchema = new mongoose.Schema({
     isFlagged: { type: Boolean, default: false },
     isReported: { type: Boolean, default: false },
     containsEvidence: { type: Boolean, default: false },
-    containsRebuttal: { type: Boolean, default: false }
+    containsRebuttal: { type: Boolean, default: false },
+    isPartial: { type: Boolean, default: false }, // AI stream stopped before completion
+    isRemoved: { type: Boolean, default: false } // Removed by a moderator; kept for the record
+  },
+  // Content moderation result and review state (see services/contentModeration)
+  moderation: {
+    action: {
+      type: String,
+      enum: ['allow', 'warn', 'mask', 'escalate'],
+      default: 'allow'
+    },
+    categories: [{
+      _id: false,
+      category: { type: String },
+      score: { type: Number, min: 0, max: 1 },
+      classifier: { type: String },
+      action: { type: String }
+    }],
+    // Text as written, when masking changed it
+    originalContent: {
+      type: String,
+      default: null,
+      select: false
+    },
+    checkedAt: { type: Date, default: null },
+    // pending: in the moderator review queue (escalated or reported)
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'removed'],
+      default: 'none'
+    },
+    reports: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, trim: true, maxlength: 500, default: '' },
+      reportedAt: { type: Date, default: Date.now }
+    }],
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNote: { type: String, trim: true, maxlength: 500, default: null }
   },
   attachments: [{
     type: {
@@ -84,9 +170,12 @@ const debateMessageSchema = new mongoose.Schema({
       enum: ['image', 'document', 'link', 'citation'],
       required: true
     },
+    // Citations of topic arguments have no URL
     url: {
       type: String,
-      required: true,
+      required: function() {
+        return this.type !== 'citation';
+      },
       trim: true
     },
     title: {
@@ -102,6 +191,44 @@ const debateMessageSchema = new mongoose.Schema({
     size: {
       type: Number, // in bytes
       default: 0
+    },
+    // User citations: the quoted words and where they were published
+    quote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Quote cannot exceed 1000 characters']
+    },
+    publication: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Publication cannot exceed 200 characters']
+    },
+    publishedAt: {
+      type: Date
+    },
+    verification: {
+      status: {
+        type: String,
+        enum: ['pending', 'verified', 'paraphrased', 'out-of-context', 'fabricated', 'unverifiable']
+      },
+      // Share of the quote found in the source (0-1)
+      matchScore: { type: Number, min: 0, max: 1 },
+      credibility: {
+        score: { type: Number, min: 0, max: 100 },
+        tier: { type: String, enum: ['high', 'medium', 'low'] },
+        domain: { type: String }
+      },
+      // Copy the quote was checked against
+      checkedAgainst: { type: String, enum: ['document', 'cache', null] },
+      note: { type: String, trim: true, maxlength: 500 },
+      checkedAt: { type: Date }
+    },
+    // Passage an AI reply cites inline as [marker] (see services/evidenceIndex)
+    citation: {
+      marker: { type: Number },
+      sourceType: { type: String, enum: ['evidence', 'argument', 'document'] },
+      sourceId: { type: String },
+      source: { type: String, trim: true }
     }
   }],
   reactions: [{
@@ -141,9 +268,14 @@ debateMessageSchema.virtual('readingTimeMinutes').get(function() {
   return Math.ceil(this.metadata.readingTime / 60);
 });
 
+// Score fields of the per-message analysis (0-100)
+const ANALYSIS_SCORE_FIELDS = ['argumentStrength', 'logicalConsistency', 'evidenceQuality', 'emotionalAppeal', 'clarity', 'relevance'];
+
 // Virtual for average analysis score
 debateMessageSchema.virtual('averageAnalysisScore').get(function() {
-  const scores = Object.values(this.analysis).filter(score => score !== null);
+  const scores = ANALYSIS_SCORE_FIELDS
+    .map(field => this.analysis[field])
+    .filter(score => score !== null && score !== undefined);
   if (scores.length === 0) return null;
   return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
 });
@@ -170,6 +302,7 @@ debateMessageSchema.index({ turnNumber: 1 });
 debateMessageSchema.index({ messageType: 1 });
 debateMessageSchema.index({ 'flags.isFlagged': 1 });
 debateMessageSchema.index({ 'flags.isReported': 1 });
+debateMessageSchema.index({ 'moderation.status': 1, updatedAt: 1 });
 debateMessageSchema.index({ parentMessage: 1 });
 debateMessageSchema.index({ replyTo: 1 });
 
@@ -261,17 +394,44 @@ debateMessageSchema.methods.getUserReaction = function(userId) {
  */
 debateMessageSchema.methods.flagMessage = function() {
   this.flags.isFlagged = true;
+  this.moderation.status = 'pending';
   return this.save();
 };
 
 /**
  * Report message
+ * A report puts the message back in the review queue, even if it was approved before.
  */
-debateMessageSchema.methods.reportMessage = function() {
+debateMessageSchema.methods.reportMessage = function(userId = null, reason = '') {
   this.flags.isReported = true;
+  if (userId) {
+    this.moderation.reports.push({ userId, reason });
+  }
+  if (this.moderation.status !== 'removed') {
+    this.moderation.status = 'pending';
+  }
   return this.save();
 };
 
+/**
+ * Whether a user has reported this message
+ */
+debateMessageSchema.methods.hasUserReport = function(userId) {
+  return this.moderation.reports.some(report => report.userId && report.userId.toString() === userId.toString());
+};
+
+/**
+ * Message as shown in transcripts: a removed message keeps its place but not its text
+ */
+debateMessageSchema.methods.toTranscript = function() {
+  const message = this.toJSON();
+  if (this.flags.isRemoved) {
+    message.content = '[Removed by a moderator]';
+    message.attachments = [];
+  }
+  return message;
+};
+
 /**
  * Pre-save middleware to calculate metadata
  */
@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 /**
  * Debate Session Schema
- * Tracks individual debate sessions between users and AI
+ * Tracks individual debate sessions between a user and the AI, or between two users
  */
 const debateSessionSchema = new mongoose.Schema({
   userId: {
@@ -15,11 +15,39 @@ const debateSessionSchema = new mongoose.Schema({
     ref: 'DebateTopic',
     required: [true, 'Topic ID is required']
   },
+  // Topic revision the session is debated on (see services/topicRevisions)
+  topicRevision: {
+    type: Number,
+    default: null
+  },
   chosenSide: {
     type: String,
     enum: ['pro', 'con'],
     required: [true, 'Chosen side is required']
   },
+  // Language the debate is held in; the AI replies, analyses and feedback use it
+  language: {
+    type: String,
+    enum: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'hi'],
+    default: 'en'
+  },
+  mode: {
+    type: String,
+    enum: ['ai', 'human'],
+    default: 'ai'
+  },
+  // Second participant in human-vs-human debates; argues the side opposite chosenSide
+  opponentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // What the AI does in the session: argue against the user, or moderate/judge two users
+  aiRole: {
+    type: String,
+    enum: ['opponent', 'moderator', 'judge', 'none'],
+    default: 'opponent'
+  },
   startTime: {
     type: Date,
     default: Date.now
@@ -51,21 +79,66 @@ const debateSessionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // 'user' / 'ai' against the AI; the winning side ('pro' / 'con') between two users
   winner: {
     type: String,
-    enum: ['user', 'ai', 'draw', null],
+    enum: ['user', 'ai', 'pro', 'con', 'draw', null],
     default: null
   },
+  // Adjudicator's ballot for the finished debate (see services/adjudicator)
+  ballot: {
+    winner: { type: String, enum: ['pro', 'con', 'draw', null], default: null },
+    decision: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Reason for decision cannot exceed 2000 characters']
+    },
+    flow: [{
+      argument: { type: String, trim: true, maxlength: 300 },
+      side: { type: String, enum: ['pro', 'con'] },
+      turnNumber: { type: Number, default: null },
+      status: { type: String, enum: ['extended', 'dropped', 'refuted', 'conceded'] },
+      note: { type: String, trim: true, maxlength: 500 }
+    }],
+    speakerPoints: {
+      pro: { type: Number, min: 0, max: 30, default: null },
+      con: { type: Number, min: 0, max: 30, default: null }
+    },
+    scores: {
+      pro: { type: Number, min: 0, max: 100, default: null },
+      con: { type: Number, min: 0, max: 100, default: null }
+    },
+    model: { type: String, default: null },
+    // True when the adjudicator's reply stayed invalid and nothing was decided
+    degraded: { type: Boolean, default: false },
+    // True when no arguments were made, so there was nothing to decide
+    noContest: { type: Boolean, default: false },
+    adjudicatedAt: { type: Date, default: null }
+  },
   aiDifficulty: {
     type: String,
     enum: ['easy', 'medium', 'hard', 'expert'],
     default: 'medium'
   },
+  // Key of a Persona; personaVersion pins the definition the session started with
   aiPersonality: {
     type: String,
-    enum: ['analytical', 'passionate', 'skeptical', 'diplomatic', 'challenging'],
+    lowercase: true,
+    trim: true,
     default: 'analytical'
   },
+  personaVersion: {
+    type: Number,
+    default: null
+  },
+  // Prompt template versions pinned when the session started (see services/promptTemplates)
+  promptVersions: [{
+    _id: false,
+    template: { type: String, required: true },
+    version: { type: Number, required: true },
+    experimentId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptExperiment', default: null },
+    variant: { type: String, default: null }
+  }],
   sessionSettings: {
     maxTurns: {
       type: Number,
@@ -86,8 +159,45 @@ const debateSessionSchema = new mongoose.Schema({
     allowRebuttals: {
       type: Boolean,
       default: true
+    },
+    format: {
+      type: String,
+      enum: ['open', 'oxford', 'lincoln-douglas', 'public-forum'],
+      default: 'open'
+    },
+    adaptiveDifficulty: {
+      type: Boolean,
+      default: true
     }
   },
+  // Live AI difficulty, adjusted from turn to turn (see services/adaptiveDifficulty)
+  difficultyState: {
+    current: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'expert', null],
+      default: null
+    },
+    adjustments: [{
+      turnNumber: { type: Number, required: true },
+      from: { type: String, enum: ['easy', 'medium', 'hard', 'expert'], required: true },
+      to: { type: String, enum: ['easy', 'medium', 'hard', 'expert'], required: true },
+      reason: { type: String, enum: ['cruising', 'struggling'], required: true },
+      // Average analysis score (0-100) of the user's recent messages
+      performance: { type: Number, min: 0, max: 100 },
+      userRating: { type: Number },
+      adjustedAt: { type: Date, default: Date.now }
+    }]
+  },
+  // Progress through a structured format (see services/turnEngine)
+  formatState: {
+    phaseIndex: { type: Number, default: 0 },
+    phaseStartedAt: { type: Date, default: null },
+    phaseDeadline: { type: Date, default: null },
+    phaseMessageCount: { type: Number, default: 0 },
+    completed: { type: Boolean, default: false },
+    // Side that spoke last, used to hand the floor over in open human-vs-human debates
+    lastSide: { type: String, enum: ['pro', 'con', null], default: null }
+  },
   performance: {
     argumentStrength: { type: Number, min: 0, max: 100, default: null },
     rebuttalQuality: { type: Number, min: 0, max: 100, default: null },
@@ -118,6 +228,17 @@ const debateSessionSchema = new mongoose.Schema({
       maxlength: [1000, 'Overall feedback cannot exceed 1000 characters']
     }
   },
+  userFeedback: {
+    rating: { type: Number, min: 1, max: 5, default: null },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+    },
+    aiQuality: { type: Number, min: 1, max: 5, default: null },
+    topicQuality: { type: Number, min: 1, max: 5, default: null },
+    submittedAt: { type: Date, default: null }
+  },
   metadata: {
     userAgent: String,
     ipAddress: String,
@@ -135,6 +256,13 @@ const debateSessionSchema = new mongoose.Schema({
     hasTechnicalIssues: { type: Boolean, default: false },
     isReported: { type: Boolean, default: false }
   },
+  // User reports; flags.isReported stays set until a moderator acts on them
+  reports: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true, maxlength: 500, default: '' },
+    reportedAt: { type: Date, default: Date.now }
+  }],
   lastActivity: {
     type: Date,
     default: Date.now
@@ -189,14 +317,17 @@ debateSessionSchema.virtual('isDraw').get(function() {
 
 // Indexes for better query performance
 debateSessionSchema.index({ userId: 1 });
-debateSessionSchema.index({ topicId: 1 });
+debateSessionSchema.index({ opponentId: 1 });
+debateSessionSchema.index({ topicId: 1, topicRevision: 1 });
 debateSessionSchema.index({ status: 1 });
 debateSessionSchema.index({ startTime: -1 });
 debateSessionSchema.index({ endTime: -1 });
 debateSessionSchema.index({ chosenSide: 1 });
 debateSessionSchema.index({ winner: 1 });
 debateSessionSchema.index({ 'flags.isRated': 1 });
+debateSessionSchema.index({ 'flags.isReported': 1, updatedAt: 1 });
 debateSessionSchema.index({ lastActivity: -1 });
+debateSessionSchema.index({ 'promptVersions.experimentId': 1 }, { sparse: true });
 
 /**
  * Calculate session duration and update statistics
@@ -212,6 +343,59 @@ debateSessionSchema.methods.calculateDuration = function() {
   return this.duration;
 };
 
+/**
+ * Check whether a user takes part in the debate
+ */
+debateSessionSchema.methods.isParticipant = function(userId) {
+  return this.getSideFor(userId) !== null;
+};
+
+/**
+ * Get the side a participant argues
+ * @returns {string|null} 'pro', 'con' or null for non-participants
+ */
+debateSessionSchema.methods.getSideFor = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+
+  if (this.userId && (this.userId._id || this.userId).toString() === id) {
+    return this.chosenSide;
+  }
+  if (this.opponentId && (this.opponentId._id || this.opponentId).toString() === id) {
+    return this.chosenSide === 'pro' ? 'con' : 'pro';
+  }
+  return null;
+};
+
+/**
+ * Get the difficulty the AI is currently playing at
+ */
+debateSessionSchema.methods.getEffectiveDifficulty = function() {
+  return (this.difficultyState && this.difficultyState.current) || this.aiDifficulty;
+};
+
+/**
+ * Check whether a participant won the debate
+ */
+debateSessionSchema.methods.isWonBy = function(userId) {
+  const side = this.getSideFor(userId);
+  if (!side || !this.winner) return false;
+
+  // Against the AI the winner is 'user' / 'ai'; between two users it is the winning side
+  return this.winner === side || (this.winner === 'user' && side === this.chosenSide);
+};
+
+/**
+ * Get a participant's score (0-100)
+ */
+debateSessionSchema.methods.getScoreFor = function(userId) {
+  const side = this.getSideFor(userId);
+  const ballotScore = side && this.ballot && this.ballot.scores ? this.ballot.scores[side] : null;
+
+  if (ballotScore !== null && ballotScore !== undefined) return ballotScore;
+  return side === this.chosenSide ? this.finalScore : null;
+};
+
 /**
  * End the debate session
  */
@@ -246,6 +430,11 @@ debateSessionSchema.methods.resumeSession = function() {
     this.status = 'active';
     const pauseDuration = (new Date() - this.pauseTime) / (1000 * 60); // Convert to minutes
     this.totalPauseDuration += pauseDuration;
+
+    // The clock stops while paused, so the current phase keeps its remaining time
+    if (this.formatState && this.formatState.phaseDeadline) {
+      this.formatState.phaseDeadline = new Date(this.formatState.phaseDeadline.getTime() + (new Date() - this.pauseTime));
+    }
     this.pauseTime = null;
     this.lastActivity = new Date();
   }
@@ -282,7 +471,7 @@ debateSessionSchema.methods.incrementMessageCount = function(senderType) {
     this.messageCount.ai += 1;
   }
   this.turnCount += 1;
-  this.updateActivity();
+  this.lastActivity = new Date();
   return this.save();
 };
 
@@ -310,6 +499,22 @@ debateSessionSchema.methods.setFeedback = function(feedback) {
   return this.save();
 };
 
+/**
+ * Report the session to the moderators
+ */
+debateSessionSchema.methods.reportSession = function(userId, reason = '') {
+  this.flags.isReported = true;
+  this.reports.push({ userId, reason });
+  return this.save();
+};
+
+/**
+ * Check whether a user has already reported the session
+ */
+debateSessionSchema.methods.hasUserReport = function(userId) {
+  return this.reports.some(report => report.userId && report.userId.toString() === userId.toString());
+};
+
 /**
  * Static method to get user's debate history
  */
@@ -349,6 +554,16 @@ debateSessionSchema.statics.getUserHistory = function(userId, options = {}) {
     .limit(limit);
 };
 
+/**
+ * Static method to find a user's unfinished session, whichever side they argue
+ */
+debateSessionSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({
+    $or: [{ userId }, { opponentId: userId }],
+    status: { $in: ['active', 'paused'] }
+  });
+};
+
 /**
  * Static method to get session statistics
  */
@@ -113,21 +113,78 @@ const debateTopicSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Proposal workflow (see services/topicWorkflow)
   approvalStatus: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
-    default: 'pending'
+    enum: ['draft', 'submitted', 'changes-requested', 'approved', 'rejected'],
+    default: 'draft'
   },
   rejectionReason: {
     type: String,
     trim: true,
     maxlength: [500, 'Rejection reason cannot be more than 500 characters']
   },
+  // Why the author proposes the topic
+  reasoning: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reasoning cannot be more than 500 characters']
+  },
+  // Latest revision number (see services/topicRevisions); 0 until first submitted
+  revision: {
+    type: Number,
+    default: 0
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComments: [{
+    field: {
+      type: String,
+      required: true
+    },
+    comment: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, 'Comment cannot be more than 1000 characters']
+    },
+    reviewerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Revision the comment was made on
+    revision: {
+      type: Number,
+      default: 0
+    },
+    // Later revision that changed the field, if any
+    addressedIn: {
+      type: Number,
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   language: {
     type: String,
     default: 'en',
     enum: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'hi']
   },
+  // Original topic this one was machine-translated from; translations always link to the original
+  translationOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateTopic',
+    default: null
+  },
   estimatedDuration: {
     type: Number, // in minutes
     default: 15,
@@ -145,6 +202,29 @@ const debateTopicSchema = new mongoose.Schema({
     min: 1,
     max: 10,
     default: 5
+  },
+  // Side balance of adjudicated debates, controlling for ratings (see services/topicBalance)
+  balance: {
+    sessions: { type: Number, default: 0 },
+    // Chance the pro side wins between equally rated debaters, with its 95% interval
+    proWinProbability: { type: Number, default: null },
+    lower: { type: Number, default: null },
+    upper: { type: Number, default: null },
+    verdict: {
+      type: String,
+      enum: ['insufficient-data', 'balanced', 'pro-leaning', 'con-leaning'],
+      default: 'insufficient-data'
+    },
+    // Lopsided motions wait for a reviewer
+    flagged: { type: Boolean, default: false },
+    flaggedAt: { type: Date, default: null },
+    suggestedDifficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard', 'expert', null],
+      default: null
+    },
+    suggestedComplexity: { type: Number, min: 1, max: 10, default: null },
+    analyzedAt: { type: Date, default: null }
   }
 }, {
   timestamps: true,
@@ -176,9 +256,12 @@ debateTopicSchema.index({ category: 1 });
 debateTopicSchema.index({ difficultyLevel: 1 });
 debateTopicSchema.index({ isActive: 1 });
 debateTopicSchema.index({ isFeatured: 1 });
-debateTopicSchema.index({ approvalStatus: 1 });
+debateTopicSchema.index({ approvalStatus: 1, submittedAt: 1 });
+debateTopicSchema.index({ createdBy: 1, approvalStatus: 1 });
 debateTopicSchema.index({ 'statistics.popularity': -1 });
 debateTopicSchema.index({ language: 1 });
+debateTopicSchema.index({ translationOf: 1, language: 1 });
+debateTopicSchema.index({ 'balance.flagged': 1, 'balance.flaggedAt': -1 });
 
 /**
  * Update topic statistics after debate
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Evidence Document Schema
+ * Source material uploaded by admins for the AI to quote from. A document
+ * applies to one topic, to every topic in a category, or (with neither set) to all topics.
+ */
+const evidenceDocumentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a document title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  source: {
+    type: String,
+    required: [true, 'Please provide the document source'],
+    trim: true,
+    maxlength: [200, 'Source cannot be more than 200 characters']
+  },
+  url: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  content: {
+    type: String,
+    required: [true, 'Document content is required'],
+    maxlength: [200000, 'Document cannot be more than 200000 characters']
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateTopic',
+    default: null
+  },
+  category: {
+    type: String,
+    default: null
+  },
+  side: {
+    type: String,
+    enum: ['pro', 'con', 'neutral'],
+    default: 'neutral'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+evidenceDocumentSchema.index({ topicId: 1, isActive: 1 });
+evidenceDocumentSchema.index({ category: 1, isActive: 1 });
+
+/**
+ * Static method to find the active documents that apply to a topic
+ */
+evidenceDocumentSchema.statics.findForTopic = function(topic) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { topicId: topic._id },
+      { topicId: null, category: topic.category },
+      { topicId: null, category: null }
+    ]
+  });
+};
+
+module.exports = mongoose.model('EvidenceDocument', evidenceDocumentSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Moderation Action Schema
+ * Audit trail: one entry per action a moderator takes on a message,
+ * a session or a user account
+ */
+const moderationActionSchema = new mongoose.Schema({
+  moderatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Moderator is required']
+  },
+  action: {
+    type: String,
+    enum: ['dismiss', 'hide', 'warn', 'suspend', 'ban', 'lift', 'set-role'],
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    enum: ['message', 'session', 'user'],
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Target is required']
+  },
+  // Account the action affects (the sender of a message, a session participant or the user itself)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateSession',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Action specifics, e.g. { until } for suspensions or { from, to } for role changes
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+moderationActionSchema.index({ createdAt: -1 });
+moderationActionSchema.index({ moderatorId: 1, createdAt: -1 });
+moderationActionSchema.index({ userId: 1, createdAt: -1 });
+moderationActionSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
\ No newline at end of file
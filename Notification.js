@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema
+ * In-app notifications, also pushed to the user's open sockets (see services/notifications)
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // e.g. topic-submitted, topic-approved
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot be more than 1000 characters'],
+    default: ''
+  },
+  // What the notification is about, e.g. { topicId, status }
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
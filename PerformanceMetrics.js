@@ -33,11 +33,12 @@ const performanceMetricsSchema = new mongoose.Schema({
     max: 100,
     required: [true, 'Rebuttal quality score is required']
   },
+  // Null when neither the analysis nor the per-message analyses scored it
   clarity: {
     type: Number,
     min: 0,
     max: 100,
-    required: [true, 'Clarity score is required']
+    default: null
   },
   evidenceUse: {
     type: Number,
@@ -55,7 +56,7 @@ const performanceMetricsSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     max: 100,
-    required: [true, 'Emotional appeal score is required']
+    default: null
   },
   overallScore: {
     type: Number,
@@ -266,9 +267,23 @@ const performanceMetricsSchema = new mongoose.Schema({
       max: 1,
       default: 0
     },
+    // Version of the prompt template the analysis used
     version: {
       type: String,
       default: '1.0'
+    },
+    promptTemplate: {
+      type: String,
+      default: null
+    },
+    experimentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromptExperiment',
+      default: null
+    },
+    variant: {
+      type: String,
+      default: null
     }
   },
   // User feedback on analysis
@@ -325,7 +340,7 @@ performanceMetricsSchema.virtual('balancedScore').get(function() {
     this.evidenceUse,
     this.logicalConsistency,
     this.emotionalAppeal
-  ];
+  ].filter(score => score !== null && score !== undefined);
   return Math.round(metrics.reduce((sum, score) => sum + score, 0) / metrics.length);
 });
 
@@ -337,6 +352,7 @@ performanceMetricsSchema.index({ overallScore: -1 });
 performanceMetricsSchema.index({ createdAt: -1 });
 performanceMetricsSchema.index({ 'sessionMetrics.sideChosen': 1 });
 performanceMetricsSchema.index({ 'sessionMetrics.topicDifficulty': 1 });
+performanceMetricsSchema.index({ 'aiAnalysis.experimentId': 1 }, { sparse: true });
 
 // Compound indexes for common queries
 performanceMetricsSchema.index({ userId: 1, createdAt: -1 });
@@ -356,11 +372,14 @@ performanceMetricsSchema.methods.calculateOverallScore = function() {
     emotionalAppeal: 0.10
   };
 
-  const weightedSum = Object.keys(weights).reduce((sum, metric) => {
+  // Metrics that were not scored are left out and the rest reweighted
+  const scored = Object.keys(weights).filter(metric => this[metric] !== null && this[metric] !== undefined);
+  const totalWeight = scored.reduce((sum, metric) => sum + weights[metric], 0);
+  const weightedSum = scored.reduce((sum, metric) => {
     return sum + (this[metric] * weights[metric]);
   }, 0);
 
-  this.overallScore = Math.round(weightedSum);
+  this.overallScore = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
   return this.overallScore;
 };
 
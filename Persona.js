@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+// Fields that make up one version of a persona
+const PERSONA_FIELDS = ['name', 'description', 'voice', 'rhetoricalHabits', 'preferredArgumentTypes', 'crossExamination', 'isActive'];
+
+const crossExaminationSchema = new mongoose.Schema({
+  // 1 = gentle clarifying questions, 5 = relentless pressure for concessions
+  aggression: {
+    type: Number,
+    min: [1, 'Aggression must be between 1 and 5'],
+    max: [5, 'Aggression must be between 1 and 5'],
+    default: 3
+  },
+  style: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Cross-examination style cannot be more than 300 characters'],
+    default: ''
+  }
+}, { _id: false });
+
+/**
+ * Persona Schema
+ * An AI opponent personality, editable by admins. Every edit creates a new
+ * version; the previous definition is kept in versions so past sessions stay reproducible.
+ */
+const personaSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Please provide a persona key'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Key may only contain lowercase letters, numbers and hyphens'],
+    maxlength: [40, 'Key cannot be more than 40 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a persona name'],
+    trim: true,
+    maxlength: [60, 'Name cannot be more than 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  // Voice and tone the opponent speaks in
+  voice: {
+    type: String,
+    required: [true, 'Please describe the persona voice'],
+    trim: true,
+    maxlength: [500, 'Voice cannot be more than 500 characters']
+  },
+  rhetoricalHabits: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Rhetorical habit cannot be more than 200 characters']
+  }],
+  preferredArgumentTypes: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Argument type cannot be more than 50 characters']
+  }],
+  crossExamination: {
+    type: crossExaminationSchema,
+    default: () => ({})
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Earlier versions, oldest first
+  versions: [{
+    version: { type: Number, required: true },
+    definition: { type: mongoose.Schema.Types.Mixed, required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    changeNote: { type: String, trim: true, maxlength: 200, default: '' },
+    replacedAt: { type: Date, default: Date.now }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Change note cannot be more than 200 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+personaSchema.index({ isActive: 1 });
+
+/**
+ * Get the definition of the current version
+ */
+personaSchema.methods.getDefinition = function() {
+  const definition = { key: this.key, version: this.version };
+  PERSONA_FIELDS.forEach(field => {
+    const value = this.get(field);
+    definition[field] = value && value.toObject ? value.toObject() : value;
+  });
+  return definition;
+};
+
+/**
+ * Get the definition of a given version
+ * @returns {Object|null} Definition, or null if the version does not exist
+ */
+personaSchema.methods.getVersion = function(version) {
+  if (!version || version === this.version) {
+    return this.getDefinition();
+  }
+
+  const previous = this.versions.find(entry => entry.version === version);
+  return previous ? { key: this.key, version, ...previous.definition } : null;
+};
+
+/**
+ * Apply an edit as a new version, keeping the current one in the history
+ */
+personaSchema.methods.revise = function(changes, userId = null, changeNote = '') {
+  const { key, version, ...current } = this.getDefinition();
+
+  this.versions.push({
+    version,
+    definition: current,
+    updatedBy: this.updatedBy,
+    changeNote: this.changeNote
+  });
+
+  PERSONA_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) {
+      this.set(field, changes[field]);
+    }
+  });
+
+  this.version = version + 1;
+  this.updatedBy = userId;
+  this.changeNote = changeNote;
+
+  return this;
+};
+
+/**
+ * Static method to find an active persona by key
+ */
+personaSchema.statics.findActiveByKey = function(key) {
+  return this.findOne({ key, isActive: true });
+};
+
+personaSchema.statics.PERSONA_FIELDS = PERSONA_FIELDS;
+
+module.exports = mongoose.model('Persona', personaSchema);
\ No newline at end of file
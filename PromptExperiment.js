@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prompt Experiment Schema
+ * A/B test between versions of one prompt template. While an experiment is
+ * running, each new session's owner is assigned a variant by a hash of their
+ * user ID, so the same user always gets the same variant.
+ */
+const promptExperimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide an experiment name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters'],
+    default: ''
+  },
+  template: {
+    type: String,
+    required: [true, 'Please provide the template under test'],
+    lowercase: true,
+    trim: true
+  },
+  variants: {
+    type: [{
+      name: {
+        type: String,
+        required: [true, 'Please provide a variant name'],
+        trim: true,
+        maxlength: [40, 'Variant name cannot be more than 40 characters']
+      },
+      version: {
+        type: Number,
+        required: [true, 'Please provide the template version of the variant']
+      },
+      // Relative share of users
+      weight: {
+        type: Number,
+        min: [1, 'Weight must be at least 1'],
+        max: [100, 'Weight cannot be more than 100'],
+        default: 1
+      }
+    }],
+    validate: {
+      validator: variants => variants.length >= 2 && new Set(variants.map(variant => variant.name)).size === variants.length,
+      message: 'An experiment needs at least two variants with distinct names'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'paused', 'completed'],
+    default: 'draft'
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+promptExperimentSchema.index({ template: 1, status: 1 });
+
+/**
+ * Static method to find the running experiment of each template
+ */
+promptExperimentSchema.statics.findRunning = function(templates) {
+  return this.find({ status: 'running', template: { $in: templates } });
+};
+
+module.exports = mongoose.model('PromptExperiment', promptExperimentSchema);
\ No newline at end of file
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prompt Template Schema
+ * A named AI prompt with {{variable}} placeholders. Every edit adds a version;
+ * activeVersion is the one served outside experiments, so a new version can be
+ * tried in an experiment before it replaces the active one.
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a template name'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Name may only contain lowercase letters, numbers and hyphens']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters'],
+    default: ''
+  },
+  // Variables the code fills in; a version may only use these
+  variables: [{
+    type: String,
+    trim: true
+  }],
+  activeVersion: {
+    type: Number,
+    default: 1
+  },
+  // Every version, oldest first
+  versions: [{
+    version: { type: Number, required: true },
+    body: {
+      type: String,
+      required: [true, 'Please provide the template body'],
+      maxlength: [20000, 'Template body cannot be more than 20000 characters']
+    },
+    changeNote: { type: String, trim: true, maxlength: 200, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+/**
+ * Number of the newest version
+ */
+promptTemplateSchema.virtual('latestVersion').get(function() {
+  return this.versions.length > 0 ? this.versions[this.versions.length - 1].version : 0;
+});
+
+/**
+ * Get a version of the template
+ * @returns {Object|null} { name, version, body }, or null if the version does not exist
+ */
+promptTemplateSchema.methods.getVersion = function(version = null) {
+  const wanted = version || this.activeVersion;
+  const entry = this.versions.find(item => item.version === wanted);
+  return entry ? { name: this.name, version: entry.version, body: entry.body } : null;
+};
+
+/**
+ * Add a version, optionally making it the active one
+ * @returns {number} New version number
+ */
+promptTemplateSchema.methods.addVersion = function(body, userId = null, changeNote = '', activate = true) {
+  const version = this.latestVersion + 1;
+
+  this.versions.push({ version, body, changeNote, createdBy: userId });
+  if (activate) {
+    this.activeVersion = version;
+  }
+
+  return version;
+};
+
+promptTemplateSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Rating History Schema
+ * One entry per rating change: a user's overall or category rating after a debate
+ */
+const ratingHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateSession',
+    required: [true, 'Session ID is required']
+  },
+  // Topic category for category ratings, null for the overall rating
+  category: {
+    type: String,
+    default: null
+  },
+  opponent: {
+    type: {
+      type: String,
+      enum: ['user', 'ai'],
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    aiDifficulty: { type: String, default: null },
+    aiPersonality: { type: String, default: null },
+    rating: { type: Number, required: true },
+    rd: { type: Number, required: true }
+  },
+  score: {
+    type: Number,
+    enum: [0, 0.5, 1],
+    required: [true, 'Score is required']
+  },
+  before: {
+    rating: { type: Number, required: true },
+    rd: { type: Number, required: true },
+    volatility: { type: Number, required: true }
+  },
+  after: {
+    rating: { type: Number, required: true },
+    rd: { type: Number, required: true },
+    volatility: { type: Number, required: true }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for rating change
+ratingHistorySchema.virtual('change').get(function() {
+  return Math.round((this.after.rating - this.before.rating) * 100) / 100;
+});
+
+// Indexes for better query performance
+ratingHistorySchema.index({ userId: 1, createdAt: -1 });
+ratingHistorySchema.index({ userId: 1, category: 1, createdAt: -1 });
+ratingHistorySchema.index({ sessionId: 1 });
+
+/**
+ * Static method to get a user's rating history
+ */
+ratingHistorySchema.statics.getUserHistory = function(userId, options = {}) {
+  const { category = null, limit = 50 } = options;
+
+  return this.find({ userId, category })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
\ No newline at end of file
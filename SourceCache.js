@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Source Cache Schema
+ * Text copy of a web page cited as evidence, kept so quotes can be checked
+ * without fetching the page again. Entries expire after SOURCE_CACHE_DAYS.
+ */
+const sourceCacheSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    unique: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'failed'],
+    required: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * (parseInt(process.env.SOURCE_CACHE_DAYS) || 7)
+  }
+});
+
+module.exports = mongoose.model('SourceCache', sourceCacheSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Topic Revision Schema
+ * Snapshot of a topic's content each time its author submits it, with the
+ * changes since the previous revision (see services/topicRevisions).
+ * Revisions are never changed once saved.
+ */
+const topicRevisionSchema = new mongoose.Schema({
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DebateTopic',
+    required: [true, 'Topic ID is required']
+  },
+  number: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Revision content is required']
+  },
+  // Fields that differ from the previous revision; list fields also say what was added and removed
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    added: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    removed: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+  }],
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Revision note cannot be more than 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+topicRevisionSchema.index({ topicId: 1, number: -1 }, { unique: true });
+
+/**
+ * Pre-save middleware to keep revisions immutable
+ */
+topicRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Topic revisions cannot be changed'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('TopicRevision', topicRevisionSchema);
\ No newline at end of file
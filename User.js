@@ -3,6 +3,17 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
+/**
+ * Glicko-2 rating with its uncertainty (see services/rating)
+ */
+const ratingSchema = new mongoose.Schema({
+  rating: { type: Number, default: 1500 },
+  rd: { type: Number, default: 350 }, // rating deviation
+  volatility: { type: Number, default: 0.06 },
+  gamesPlayed: { type: Number, default: 0 },
+  lastPlayedAt: { type: Date, default: null }
+}, { _id: false });
+
 /**
  * User Schema
  * Handles user authentication, profile information, and debate statistics
@@ -60,6 +71,24 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // Moderator sanctions (see services/sanctions)
+  sanctions: {
+    warnings: { type: Number, default: 0 },
+    suspendedUntil: { type: Date, default: null },
+    isBanned: { type: Boolean, default: false },
+    reason: { type: String, trim: true, maxlength: 500, default: null }
+  },
+  // Sets the AI usage quota (see services/usageMeter)
+  plan: {
+    type: String,
+    enum: ['free', 'pro', 'team'],
+    default: 'free'
+  },
   preferences: {
     notifications: {
       email: { type: Boolean, default: true },
@@ -82,6 +111,11 @@ const userSchema = new mongoose.Schema({
     totalTimeSpent: { type: Number, default: 0 }, // in minutes
     currentStreak: { type: Number, default: 0 },
     longestStreak: { type: Number, default: 0 }
+  },
+  ratings: {
+    overall: { type: ratingSchema, default: () => ({}) },
+    // Keyed by topic category
+    byCategory: { type: Map, of: ratingSchema, default: () => ({}) }
   }
 }, {
   timestamps: true,
@@ -105,7 +139,9 @@ userSchema.virtual('winRatePercentage').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ skillLevel: 1 });
+userSchema.index({ role: 1 });
 userSchema.index({ 'statistics.totalDebates': -1 });
+userSchema.index({ 'ratings.overall.rating': -1 });
 
 /**
  * Encrypt password before saving
@@ -224,21 +260,67 @@ userSchema.methods.updateDebateStats = function(score, isWin, duration) {
 };
 
 /**
- * Update skill level based on performance
+ * Get the ban or suspension in force, if any
+ * @returns {Object|null} { type: 'ban' | 'suspension', reason, until }
+ */
+userSchema.methods.getActiveSanction = function() {
+  if (this.sanctions.isBanned) {
+    return { type: 'ban', reason: this.sanctions.reason, until: null };
+  }
+  if (this.sanctions.suspendedUntil && this.sanctions.suspendedUntil > new Date()) {
+    return { type: 'suspension', reason: this.sanctions.reason, until: this.sanctions.suspendedUntil };
+  }
+  return null;
+};
+
+/**
+ * Get the user's rating, overall or for a topic category
+ */
+userSchema.methods.getRating = function(category = null) {
+  const rating = (category && this.ratings.byCategory.get(category)) || this.ratings.overall;
+  return {
+    rating: rating.rating,
+    rd: rating.rd,
+    volatility: rating.volatility,
+    gamesPlayed: rating.gamesPlayed
+  };
+};
+
+/**
+ * Store a new rating after a debate
+ */
+userSchema.methods.setRating = function(newRating, category = null) {
+  const current = category ? this.ratings.byCategory.get(category) : this.ratings.overall;
+  const value = {
+    rating: newRating.rating,
+    rd: newRating.rd,
+    volatility: newRating.volatility,
+    gamesPlayed: (current ? current.gamesPlayed : 0) + 1,
+    lastPlayedAt: new Date()
+  };
+
+  if (category) {
+    this.ratings.byCategory.set(category, value);
+  } else {
+    this.ratings.overall = value;
+  }
+};
+
+/**
+ * Update skill level from the overall rating
+ * Stays put while the rating is provisional (fewer than 5 rated debates)
  */
 userSchema.methods.updateSkillLevel = function() {
-  const avgScore = this.statistics.averageScore;
-  const totalDebates = this.statistics.totalDebates;
-  const winRate = this.winRate;
+  const { rating, gamesPlayed } = this.ratings.overall;
 
   let newSkillLevel = this.skillLevel;
 
-  if (totalDebates >= 10) {
-    if (avgScore >= 85 && winRate >= 70) {
+  if (gamesPlayed >= 5) {
+    if (rating >= 1900) {
       newSkillLevel = 'expert';
-    } else if (avgScore >= 75 && winRate >= 60) {
+    } else if (rating >= 1650) {
       newSkillLevel = 'advanced';
-    } else if (avgScore >= 65 && winRate >= 50) {
+    } else if (rating >= 1400) {
       newSkillLevel = 'intermediate';
     } else {
       newSkillLevel = 'beginner';
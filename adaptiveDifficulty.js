@@ -0,0 +1,153 @@
+const DebateSession = require('../models/DebateSession');
+const DebateMessage = require('../models/DebateMessage');
+const DebateTopic = require('../models/DebateTopic');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const rating = require('./rating');
+
+/**
+ * Adaptive Difficulty
+ * Moves the AI opponent up or down one difficulty level between turns, from the
+ * analysis scores of the user's recent messages and the user's rating.
+ * Every change is recorded in DebateSession.difficultyState.adjustments.
+ */
+
+const LEVELS = ['easy', 'medium', 'hard', 'expert'];
+
+// Analyzed user messages averaged for each assessment
+const WINDOW = 3;
+// Analyzed user messages needed since the previous adjustment, so the level does not swing every turn
+const MIN_MESSAGES = 2;
+// Average analysis score (0-100) above which the user is cruising, and below which they are struggling
+const RAISE_THRESHOLD = 75;
+const LOWER_THRESHOLD = 45;
+// Ratings with a larger deviation are provisional and do not limit the level
+const PROVISIONAL_RD = 150;
+
+/**
+ * Whether a session adapts its difficulty
+ * @param {Object} session - DebateSession document
+ * @returns {boolean}
+ */
+const isEnabled = (session) => {
+  return session.mode !== 'human'
+    && session.status === 'active'
+    && session.sessionSettings.adaptiveDifficulty !== false;
+};
+
+/**
+ * Difficulty whose AI rating is closest to a user's rating
+ * @param {number} userRating - Rating value
+ * @returns {string} Difficulty level
+ */
+const getRatingLevel = (userRating) => {
+  return LEVELS.reduce((closest, level) => {
+    const distance = Math.abs(rating.AI_DIFFICULTY_RATINGS[level] - userRating);
+    return distance < Math.abs(rating.AI_DIFFICULTY_RATINGS[closest] - userRating) ? level : closest;
+  });
+};
+
+/**
+ * Decide whether to change the difficulty
+ * An established rating keeps the AI within one level of the difficulty it suggests.
+ * @param {Object} params - current difficulty, recent analysis scores (0-100) and the user's { rating, rd }
+ * @returns {Object|null} { to, reason, performance } or null to keep the current level
+ */
+const assess = ({ current, scores, userRating }) => {
+  if (scores.length === 0) return null;
+
+  const performance = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  const index = LEVELS.indexOf(current);
+  const spread = userRating.rd > PROVISIONAL_RD ? LEVELS.length : 1;
+  const ratingIndex = LEVELS.indexOf(getRatingLevel(userRating.rating));
+
+  if (performance >= RAISE_THRESHOLD && index < LEVELS.length - 1 && index + 1 <= ratingIndex + spread) {
+    return { to: LEVELS[index + 1], reason: 'cruising', performance };
+  }
+
+  if (performance <= LOWER_THRESHOLD && index > 0 && index - 1 >= ratingIndex - spread) {
+    return { to: LEVELS[index - 1], reason: 'struggling', performance };
+  }
+
+  return null;
+};
+
+/**
+ * Re-assess a session after one of its user messages was analyzed
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} The recorded adjustment, or null if the level did not change
+ */
+const adjustDifficulty = async (sessionId) => {
+  const session = await DebateSession.findById(sessionId);
+  if (!session || !isEnabled(session)) {
+    return null;
+  }
+
+  const { adjustments } = session.difficultyState;
+  const lastAdjustment = adjustments.length > 0 ? adjustments[adjustments.length - 1] : null;
+
+  const messages = await DebateMessage.find({
+    sessionId,
+    senderType: 'user',
+    'analysis.analyzedAt': { $ne: null }
+  })
+    .sort({ turnNumber: -1 })
+    .limit(WINDOW);
+
+  // Only judge the user on messages written against the current level
+  const recent = lastAdjustment
+    ? messages.filter(message => message.turnNumber > lastAdjustment.turnNumber)
+    : messages;
+  if (recent.length < MIN_MESSAGES) {
+    return null;
+  }
+
+  const [user, topic] = await Promise.all([
+    User.findById(session.userId),
+    DebateTopic.findById(session.topicId).select('category')
+  ]);
+  const userRating = user ? user.getRating(topic ? topic.category : null) : rating.createRating();
+
+  const current = session.getEffectiveDifficulty();
+  const decision = assess({
+    current,
+    scores: recent.map(message => message.averageAnalysisScore).filter(score => score !== null),
+    userRating
+  });
+  if (!decision) {
+    return null;
+  }
+
+  const adjustment = {
+    turnNumber: recent[0].turnNumber,
+    from: current,
+    to: decision.to,
+    reason: decision.reason,
+    performance: decision.performance,
+    userRating: Math.round(userRating.rating),
+    adjustedAt: new Date()
+  };
+
+  // Conditional update: a concurrent assessment of the same level loses
+  const result = await DebateSession.updateOne(
+    { _id: session._id, 'difficultyState.current': session.difficultyState.current },
+    {
+      $set: { 'difficultyState.current': decision.to },
+      $push: { 'difficultyState.adjustments': adjustment }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  logger.info(`Session ${session._id} difficulty ${current} -> ${decision.to} (${decision.reason})`);
+  return adjustment;
+};
+
+module.exports = {
+  LEVELS,
+  isEnabled,
+  getRatingLevel,
+  assess,
+  adjustDifficulty
+};
\ No newline at end of file
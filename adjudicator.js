@@ -0,0 +1,199 @@
+const User = require('../models/User');
+const DebateTopic = require('../models/DebateTopic');
+const DebateMessage = require('../models/DebateMessage');
+const RatingHistory = require('../models/RatingHistory');
+const logger = require('../config/logger');
+const aiService = require('./aiService');
+const rating = require('./rating');
+const turnEngine = require('./turnEngine');
+const topicBalance = require('./topicBalance');
+
+/**
+ * Adjudicator
+ * Judges a finished debate and applies the result in one place: the ballot,
+ * the session winner and final score, ratings, and the user and topic statistics.
+ */
+
+// Sessions being judged right now, so a retry cannot apply a result twice
+const inProgress = new Set();
+
+/**
+ * Whether a session should be judged
+ * Debates against the AI always are; debates between two users only with an AI judge.
+ * A retry also judges sessions whose ballot came back degraded.
+ * @param {Object} session - DebateSession document
+ * @param {Object} options - { retry }
+ * @returns {boolean}
+ */
+const shouldAdjudicate = (session, { retry = false } = {}) => {
+  if (session.status !== 'completed') return false;
+  if (session.ballot?.adjudicatedAt && !(retry && session.ballot.degraded)) return false;
+  return session.mode !== 'human' || session.aiRole === 'judge';
+};
+
+/**
+ * Map the winning side to DebateSession.winner
+ * @param {Object} session - DebateSession document
+ * @param {string} winningSide - 'pro', 'con' or 'draw'
+ * @returns {string} Session winner
+ */
+const toSessionWinner = (session, winningSide) => {
+  if (winningSide === 'draw') return 'draw';
+  if (session.mode === 'human') return winningSide;
+  return winningSide === session.chosenSide ? 'user' : 'ai';
+};
+
+/**
+ * Update overall and category ratings of the participants and record the history
+ * @param {Object} session - Adjudicated DebateSession document
+ * @param {Array} participants - [{ user, side }] with User documents
+ * @param {string|null} category - Topic category
+ * @param {Object} ballot - Ballot
+ */
+const applyRatings = async (session, participants, category, ballot) => {
+  const scopes = category ? [null, category] : [null];
+  const history = [];
+
+  for (const scope of scopes) {
+    // Read every rating before changing any, so both sides see the pre-debate values
+    const before = participants.map(({ user }) => user.getRating(scope));
+
+    participants.forEach(({ user, side }, index) => {
+      const opponent = participants.length > 1
+        ? { type: 'user', userId: participants[1 - index].user._id, ...before[1 - index] }
+        : {
+          // Rate against the level the AI ended on, which may have adapted during the debate
+          type: 'ai',
+          aiDifficulty: session.getEffectiveDifficulty(),
+          aiPersonality: session.aiPersonality,
+          ...rating.getAIRating(session.getEffectiveDifficulty(), session.aiPersonality)
+        };
+
+      const score = rating.getOutcomeScore(ballot.winner, side);
+      const after = rating.updateRating(before[index], [{ opponent, score }]);
+      user.setRating(after, scope);
+
+      history.push({
+        userId: user._id,
+        sessionId: session._id,
+        category: scope,
+        opponent,
+        score,
+        before: before[index],
+        after
+      });
+    });
+  }
+
+  await RatingHistory.insertMany(history);
+};
+
+/**
+ * Update participant and topic statistics from a ballot
+ * @param {Object} session - Adjudicated DebateSession document
+ * @param {Object} topic - DebateTopic document
+ * @param {Object} ballot - Ballot
+ */
+const applyStatistics = async (session, topic, ballot) => {
+  const sides = [{ userId: session.userId, side: session.chosenSide }];
+  if (session.opponentId) {
+    sides.push({ userId: session.opponentId, side: turnEngine.getOppositeSide(session.chosenSide) });
+  }
+
+  const participants = [];
+  for (const { userId, side } of sides) {
+    const user = await User.findById(userId._id || userId);
+    if (user) {
+      participants.push({ user, side });
+    }
+  }
+
+  // Ratings are only meaningful when every participant is still around
+  if (participants.length === sides.length) {
+    await applyRatings(session, participants, topic ? topic.category : null, ballot);
+  }
+
+  for (const { user, side } of participants) {
+    await user.updateDebateStats(ballot.scores[side], ballot.winner === side, session.duration);
+    await user.updateSkillLevel();
+  }
+
+  if (topic) {
+    await topic.updateDebateStats(session.finalScore, session.duration, ballot.winner === 'draw' ? null : ballot.winner);
+    // The result stands even if the analysis fails; the next debate on the topic retries it
+    await topicBalance.refreshTopic(topic)
+      .catch(error => logger.error(`Error analysing the side balance of topic ${topic._id}:`, error));
+  }
+};
+
+/**
+ * Judge a session and apply the result
+ * @param {Object} session - Completed DebateSession document
+ * @returns {Promise<Object>} Ballot
+ */
+const judge = async (session) => {
+  const [topic, messages] = await Promise.all([
+    DebateTopic.findById(session.topicId._id || session.topicId),
+    // Messages a moderator removed are not part of the debate
+    DebateMessage.find({ sessionId: session._id, 'flags.isRemoved': { $ne: true } }).sort({ turnNumber: 1 })
+  ]);
+
+  const ballot = await aiService.adjudicateDebate({ session, topic, messages });
+
+  session.ballot = { ...ballot, adjudicatedAt: new Date() };
+  session.calculateDuration();
+
+  // An unreadable ballot decides nothing, so winner, ratings and stats stay untouched
+  if (ballot.degraded) {
+    await session.save();
+    logger.warn(`Session ${session._id} could not be adjudicated: the ballot stayed invalid`);
+    return session.ballot;
+  }
+  // Neither does a debate nobody argued
+  if (ballot.noContest) {
+    await session.save();
+    logger.info(`Session ${session._id} ended without arguments: no contest`);
+    return session.ballot;
+  }
+
+  session.winner = toSessionWinner(session, ballot.winner);
+  session.finalScore = ballot.scores[session.chosenSide];
+  await session.save();
+
+  await applyStatistics(session, topic, ballot);
+
+  logger.info(`Session ${session._id} adjudicated: ${ballot.winner}`);
+  return session.ballot;
+};
+
+/**
+ * Whether a session is being judged right now
+ * @param {Object} session - DebateSession document
+ * @returns {boolean}
+ */
+const isAdjudicating = (session) => inProgress.has(session._id.toString());
+
+/**
+ * Adjudicate a completed session and record the result
+ * @param {Object} session - Completed DebateSession document
+ * @param {Object} options - { retry } to judge again a session with a degraded ballot
+ * @returns {Promise<Object|null>} Ballot, or null if the session is not judged
+ */
+const adjudicateSession = async (session, options = {}) => {
+  if (!shouldAdjudicate(session, options) || isAdjudicating(session)) {
+    return null;
+  }
+
+  inProgress.add(session._id.toString());
+  try {
+    return await judge(session);
+  } finally {
+    inProgress.delete(session._id.toString());
+  }
+};
+
+module.exports = {
+  shouldAdjudicate,
+  isAdjudicating,
+  adjudicateSession
+};
\ No newline at end of file
@@ -0,0 +1,609 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticate, authorize } = require('../debatesphere/backend/middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Sanction:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [warn, suspend, ban, lift]
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: End of a suspension
+ *         warnings:
+ *           type: integer
+ *           description: Warnings the user has received
+ *     ModerationAction:
+ *       type: object
+ *       description: Audit trail entry
+ *       properties:
+ *         _id:
+ *           type: string
+ *         moderatorId:
+ *           $ref: '#/components/schemas/User'
+ *         action:
+ *           type: string
+ *           enum: [dismiss, hide, warn, suspend, ban, lift, set-role]
+ *         targetType:
+ *           type: string
+ *           enum: [message, session, user]
+ *         targetId:
+ *           type: string
+ *         userId:
+ *           $ref: '#/components/schemas/User'
+ *         sessionId:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         details:
+ *           type: object
+ *           nullable: true
+ *           example: { until: '2026-01-01T00:00:00.000Z' }
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ModerationReport:
+ *       type: object
+ *       description: A reported message or session with the context to judge it
+ *       properties:
+ *         message:
+ *           $ref: '#/components/schemas/DebateMessage'
+ *         session:
+ *           $ref: '#/components/schemas/DebateSession'
+ *         sender:
+ *           $ref: '#/components/schemas/User'
+ *         reports:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: object
+ *               reason:
+ *                 type: string
+ *               reportedAt:
+ *                 type: string
+ *                 format: date-time
+ *         context:
+ *           type: array
+ *           description: Messages around a reported message, or the latest messages of a reported session
+ *           items:
+ *             $ref: '#/components/schemas/DebateMessage'
+ *     ModerationActionRequest:
+ *       type: object
+ *       properties:
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *         durationHours:
+ *           type: number
+ *           default: 72
+ *           description: Length of a suspension (at most a year)
+ */
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: List reported messages or sessions with context
+ *     description: Open reports, oldest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [message, session]
+ *           default: message
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reports:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ModerationReport'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/reports', authenticate, authorize(['admin', 'moderator']), adminController.getReports);
+
+/**
+ * @swagger
+ * /api/admin/messages/{messageId}/actions:
+ *   post:
+ *     summary: Act on a message
+ *     description: Dismiss its reports, hide it, or sanction its sender. Sanctioning the sender also hides the message.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ModerationActionRequest'
+ *               - type: object
+ *                 required:
+ *                   - action
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [dismiss, hide, warn, suspend, ban]
+ *     responses:
+ *       200:
+ *         description: Action taken and recorded in the audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       $ref: '#/components/schemas/DebateMessage'
+ *                     sanction:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Sanction'
+ *       400:
+ *         description: Invalid action, or a sanction for an AI message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only; only admins sanction staff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/messages/:messageId/actions', authenticate, authorize(['admin', 'moderator']), adminController.actOnMessage);
+
+/**
+ * @swagger
+ * /api/admin/sessions/{sessionId}/actions:
+ *   post:
+ *     summary: Act on a reported session
+ *     description: Dismiss its reports or sanction one of its participants; either closes the reports
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debate session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ModerationActionRequest'
+ *               - type: object
+ *                 required:
+ *                   - action
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [dismiss, warn, suspend, ban]
+ *                   userId:
+ *                     type: string
+ *                     description: Participant to sanction (required unless dismissing)
+ *     responses:
+ *       200:
+ *         description: Action taken and recorded in the audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     session:
+ *                       $ref: '#/components/schemas/DebateSession'
+ *                     sanction:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Sanction'
+ *       400:
+ *         description: Invalid action or userId not a participant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only; only admins sanction staff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session or user not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/sessions/:sessionId/actions', authenticate, authorize(['admin', 'moderator']), adminController.actOnSession);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   get:
+ *     summary: Get a user's account status and moderation history
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     activeSanction:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [ban, suspension]
+ *                         reason:
+ *                           type: string
+ *                         until:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ModerationAction'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/users/:userId', authenticate, authorize(['admin', 'moderator']), adminController.getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sanctions:
+ *   post:
+ *     summary: Warn, suspend, ban or lift the sanction of a user
+ *     description: Suspended and banned users cannot log in, and their open socket connections are closed
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ModerationActionRequest'
+ *               - type: object
+ *                 required:
+ *                   - action
+ *                 properties:
+ *                   action:
+ *                     type: string
+ *                     enum: [warn, suspend, ban, lift]
+ *     responses:
+ *       200:
+ *         description: Sanction applied and recorded in the audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Sanction'
+ *       400:
+ *         description: Invalid action, reason or duration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only; only admins sanction staff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/users/:userId/sanctions', authenticate, authorize(['admin', 'moderator']), adminController.sanctionUserAccount);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed and recorded in the audit trail
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *       400:
+ *         description: Invalid role, or your own account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/users/:userId/role', authenticate, authorize(['admin']), adminController.updateRole);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Get the audit trail of moderator actions
+ *     description: Newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moderatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Affected user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [dismiss, hide, warn, suspend, ban, lift, set-role]
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [message, session, user]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Audit trail retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ModerationAction'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/audit', authenticate, authorize(['admin', 'moderator']), adminController.getAuditLog);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,465 @@
+const User = require('../models/User');
+const DebateSession = require('../models/DebateSession');
+const DebateMessage = require('../models/DebateMessage');
+const AppError = require('../middleware/errorHandler').AppError;
+const logger = require('../debatesphere/backend/config/logger');
+const contentModeration = require('../services/contentModeration');
+const sanctions = require('../services/sanctions');
+const { broadcastMessageRemoved, enforceSanction } = require('../websocket/socketHandler');
+
+/**
+ * Admin Controller
+ * Moderator console: reported content, actions on it, user sanctions and the audit trail
+ */
+
+// Messages shown either side of a reported message
+const CONTEXT_MESSAGES = 3;
+
+const USER_FIELDS = 'name email role sanctions isActive createdAt';
+
+const parsePaging = (query, defaultLimit = 20) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100)
+});
+
+// Validate a reason / duration pair from a request body; returns an error message or null
+const checkActionInput = ({ reason, durationHours }) => {
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    return 'Reason must be a string of at most 500 characters';
+  }
+  if (durationHours !== undefined && (!Number.isFinite(durationHours) || durationHours <= 0)) {
+    return 'durationHours must be a positive number';
+  }
+  return null;
+};
+
+/**
+ * Sanction a user for a reported message or session, then tell their open sockets
+ * @returns {Promise<Object>} { error } or { sanction }
+ */
+const sanctionUser = async (moderator, userId, { action, reason, durationHours }, target) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    return { error: new AppError('User not found', 404) };
+  }
+
+  const authorityError = sanctions.checkAuthority(moderator, user);
+  if (authorityError) {
+    return { error: new AppError(authorityError, 403) };
+  }
+
+  const sanction = await sanctions.applySanction(user, {
+    action,
+    reason: reason ? reason.trim() : null,
+    durationHours,
+    moderatorId: moderator.id
+  }, target);
+  enforceSanction(user._id, sanction);
+
+  return { sanction };
+};
+
+/**
+ * List reported messages or sessions with the context needed to judge them
+ * @route GET /api/admin/reports
+ * @access Private (Admin, Moderator)
+ */
+const getReports = async (req, res, next) => {
+  try {
+    const { type = 'message' } = req.query;
+    const { page, limit } = parsePaging(req.query);
+    const skip = (page - 1) * limit;
+
+    if (!['message', 'session'].includes(type)) {
+      return next(new AppError('Type must be message or session', 400));
+    }
+
+    if (type === 'session') {
+      const query = { 'flags.isReported': true };
+      const [sessions, total] = await Promise.all([
+        DebateSession.find(query)
+          .populate('topicId', 'title category')
+          .populate('userId', USER_FIELDS)
+          .populate('opponentId', USER_FIELDS)
+          .populate('reports.userId', 'name')
+          .sort({ updatedAt: 1 })
+          .skip(skip)
+          .limit(limit),
+        DebateSession.countDocuments(query)
+      ]);
+
+      // Latest messages of each session, oldest first
+      const reports = await Promise.all(sessions.map(async (session) => {
+        const messages = await DebateMessage.find({ sessionId: session._id })
+          .select('+moderation.originalContent')
+          .sort({ turnNumber: -1 })
+          .limit(CONTEXT_MESSAGES * 4);
+
+        return {
+          session,
+          reports: session.reports,
+          context: messages.reverse()
+        };
+      }));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          reports,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total,
+            limit
+          }
+        }
+      });
+    }
+
+    const query = { 'flags.isReported': true };
+    const [messages, total] = await Promise.all([
+      DebateMessage.find(query)
+        .select('+moderation.originalContent')
+        .populate('senderId', USER_FIELDS)
+        .populate('moderation.reports.userId', 'name')
+        .populate({
+          path: 'sessionId',
+          select: 'topicId userId opponentId status mode flags.isShared',
+          populate: { path: 'topicId', select: 'title category' }
+        })
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      DebateMessage.countDocuments(query)
+    ]);
+
+    // The messages around each reported message, in order
+    const reports = await Promise.all(messages.map(async (message) => {
+      const sessionId = message.sessionId ? message.sessionId._id : null;
+      const context = sessionId
+        ? await DebateMessage.find({
+          sessionId,
+          turnNumber: {
+            $gte: message.turnNumber - CONTEXT_MESSAGES,
+            $lte: message.turnNumber + CONTEXT_MESSAGES
+          }
+        }).sort({ turnNumber: 1 })
+        : [];
+
+      return {
+        message,
+        session: message.sessionId,
+        sender: message.senderId,
+        reports: message.moderation.reports,
+        context
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting reports:', error);
+    next(error);
+  }
+};
+
+/**
+ * Act on a message: dismiss the reports, hide it, or sanction its sender
+ * Sanctioning the sender also hides the message.
+ * @route POST /api/admin/messages/:messageId/actions
+ * @access Private (Admin, Moderator)
+ */
+const actOnMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { action, reason, durationHours } = req.body;
+
+    if (!['dismiss', 'hide', 'warn', 'suspend', 'ban'].includes(action)) {
+      return next(new AppError('Action must be one of dismiss, hide, warn, suspend, ban', 400));
+    }
+    const inputError = checkActionInput(req.body);
+    if (inputError) {
+      return next(new AppError(inputError, 400));
+    }
+
+    const message = await DebateMessage.findById(messageId);
+    if (!message) {
+      return next(new AppError('Message not found', 404));
+    }
+
+    let sanction = null;
+    if (['warn', 'suspend', 'ban'].includes(action)) {
+      if (!message.senderId) {
+        return next(new AppError('Only messages sent by users can lead to a sanction', 400));
+      }
+
+      const result = await sanctionUser(req.user, message.senderId, req.body, {
+        targetType: 'message',
+        targetId: message._id,
+        sessionId: message.sessionId
+      });
+      if (result.error) {
+        return next(result.error);
+      }
+      sanction = result.sanction;
+    }
+
+    const remove = action !== 'dismiss';
+    await contentModeration.reviewMessage(message, {
+      decision: remove ? 'remove' : 'approve',
+      moderatorId: req.user.id,
+      note: reason ? reason.trim() : null
+    });
+    if (remove) {
+      broadcastMessageRemoved(message.sessionId, message);
+    }
+
+    // A sanction has its own audit entry; the hide or dismissal gets another
+    await sanctions.recordAction({
+      moderatorId: req.user.id,
+      action: remove ? 'hide' : 'dismiss',
+      targetType: 'message',
+      targetId: message._id,
+      userId: message.senderId,
+      sessionId: message.sessionId,
+      reason: reason ? reason.trim() : null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message,
+        sanction
+      }
+    });
+  } catch (error) {
+    logger.error('Error acting on message:', error);
+    next(error);
+  }
+};
+
+/**
+ * Act on a reported session: dismiss the reports or sanction a participant
+ * @route POST /api/admin/sessions/:sessionId/actions
+ * @access Private (Admin, Moderator)
+ */
+const actOnSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { action, userId, reason, durationHours } = req.body;
+
+    if (!['dismiss', 'warn', 'suspend', 'ban'].includes(action)) {
+      return next(new AppError('Action must be one of dismiss, warn, suspend, ban', 400));
+    }
+    const inputError = checkActionInput({ reason, durationHours });
+    if (inputError) {
+      return next(new AppError(inputError, 400));
+    }
+
+    const session = await DebateSession.findById(sessionId);
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    let sanction = null;
+    if (action === 'dismiss') {
+      await sanctions.recordAction({
+        moderatorId: req.user.id,
+        action,
+        targetType: 'session',
+        targetId: session._id,
+        sessionId: session._id,
+        reason: reason ? reason.trim() : null
+      });
+    } else {
+      if (!userId || !session.isParticipant(userId)) {
+        return next(new AppError('userId must be a participant of the session', 400));
+      }
+
+      const result = await sanctionUser(req.user, userId, req.body, {
+        targetType: 'session',
+        targetId: session._id,
+        sessionId: session._id
+      });
+      if (result.error) {
+        return next(result.error);
+      }
+      sanction = result.sanction;
+    }
+
+    session.flags.isReported = false;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        session,
+        sanction
+      }
+    });
+  } catch (error) {
+    logger.error('Error acting on session:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a user's account status and moderation history
+ * @route GET /api/admin/users/:userId
+ * @access Private (Admin, Moderator)
+ */
+const getUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select(USER_FIELDS);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const history = await sanctions.getAuditLog({ userId, limit: 50 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        activeSanction: user.getActiveSanction(),
+        history: history.actions
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting user for moderation:', error);
+    next(error);
+  }
+};
+
+/**
+ * Warn, suspend, ban or lift the sanction of a user directly
+ * @route POST /api/admin/users/:userId/sanctions
+ * @access Private (Admin, Moderator)
+ */
+const sanctionUserAccount = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { action } = req.body;
+
+    if (!sanctions.SANCTIONS.includes(action)) {
+      return next(new AppError(`Action must be one of ${sanctions.SANCTIONS.join(', ')}`, 400));
+    }
+    const inputError = checkActionInput(req.body);
+    if (inputError) {
+      return next(new AppError(inputError, 400));
+    }
+
+    const result = await sanctionUser(req.user, userId, req.body);
+    if (result.error) {
+      return next(result.error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.sanction
+    });
+  } catch (error) {
+    logger.error('Error sanctioning user:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PATCH /api/admin/users/:userId/role
+ * @access Private (Admin)
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!['user', 'moderator', 'admin'].includes(role)) {
+      return next(new AppError('Role must be one of user, moderator, admin', 400));
+    }
+    if (userId === req.user.id) {
+      return next(new AppError('You cannot change your own role', 400));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await sanctions.recordAction({
+      moderatorId: req.user.id,
+      action: 'set-role',
+      targetType: 'user',
+      targetId: user._id,
+      userId: user._id,
+      details: { from: previousRole, to: role }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating user role:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the audit trail of moderator actions
+ * @route GET /api/admin/audit
+ * @access Private (Admin, Moderator)
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    const { moderatorId, userId, action, targetType, targetId } = req.query;
+    const { page, limit } = parsePaging(req.query, 50);
+
+    const auditLog = await sanctions.getAuditLog({
+      moderatorId,
+      userId,
+      action,
+      targetType,
+      targetId,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: auditLog
+    });
+  } catch (error) {
+    logger.error('Error getting audit log:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getReports,
+  actOnMessage,
+  actOnSession,
+  getUser,
+  sanctionUserAccount,
+  updateRole,
+  getAuditLog
+};
\ No newline at end of file
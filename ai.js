@@ -1,9 +1,16 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
-const { authenticate, validate } = require('../debatesphere/backend/middleware');
+const { authenticate, validate, authorize } = require('../debatesphere/backend/middleware');
 const { aiValidation } = require('../middleware/validation');
 
+// Evidence uploads are small text files, kept in memory and stored in the database
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }
+});
+
 /**
  * @swagger
  * components:
@@ -31,33 +38,41 @@ const { aiValidation } = require('../middleware/validation');
  *           items:
  *             type: string
  *           description: Suggested follow-up points
+ *         model:
+ *           type: string
+ *         usage:
+ *           type: object
+ *           description: Tokens of the reply (prompt, completion, total)
+ *         responseTime:
+ *           type: integer
+ *           description: Model latency in milliseconds
  *     AIAnalysis:
  *       type: object
  *       properties:
  *         argumentStrength:
  *           type: number
  *           minimum: 0
- *           maximum: 10
+ *           maximum: 100
  *           description: Strength of arguments presented
  *         logicalConsistency:
  *           type: number
  *           minimum: 0
- *           maximum: 10
+ *           maximum: 100
  *           description: Logical consistency of arguments
  *         evidenceUse:
  *           type: number
  *           minimum: 0
- *           maximum: 10
+ *           maximum: 100
  *           description: Quality of evidence usage
  *         rebuttalQuality:
  *           type: number
  *           minimum: 0
- *           maximum: 10
+ *           maximum: 100
  *           description: Quality of rebuttals
  *         overallScore:
  *           type: number
  *           minimum: 0
- *           maximum: 10
+ *           maximum: 100
  *           description: Overall performance score
  *         feedback:
  *           type: object
@@ -76,6 +91,186 @@ const { aiValidation } = require('../middleware/validation');
  *                 type: string
  *             detailedAnalysis:
  *               type: string
+ *         degraded:
+ *           type: boolean
+ *           description: True when the model's reply stayed invalid and fallback values were returned
+ *         cached:
+ *           type: boolean
+ *           description: True when the analysis came from the response cache
+ *     Persona:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Identifier used as a session's aiPersonality
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         voice:
+ *           type: string
+ *           description: Voice and tone of the opponent
+ *         rhetoricalHabits:
+ *           type: array
+ *           items:
+ *             type: string
+ *         preferredArgumentTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         crossExamination:
+ *           type: object
+ *           properties:
+ *             aggression:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 5
+ *             style:
+ *               type: string
+ *         isActive:
+ *           type: boolean
+ *         version:
+ *           type: integer
+ *         changeNote:
+ *           type: string
+ *     EvidenceDocument:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         source:
+ *           type: string
+ *         url:
+ *           type: string
+ *         content:
+ *           type: string
+ *         topicId:
+ *           type: string
+ *           description: Topic the document applies to
+ *         category:
+ *           type: string
+ *           description: Category the document applies to when no topic is set; neither means every topic
+ *         side:
+ *           type: string
+ *           enum: [pro, con, neutral]
+ *         isActive:
+ *           type: boolean
+ *     EvidencePassage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sourceType:
+ *           type: string
+ *           enum: [evidence, argument, document]
+ *         sourceId:
+ *           type: string
+ *         title:
+ *           type: string
+ *         source:
+ *           type: string
+ *         url:
+ *           type: string
+ *         side:
+ *           type: string
+ *         text:
+ *           type: string
+ *         score:
+ *           type: number
+ *           description: BM25 relevance score
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         version:
+ *           type: integer
+ *         body:
+ *           type: string
+ *           description: Prompt text with {{variable}} placeholders
+ *         description:
+ *           type: string
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Variables a version may use
+ *         activeVersion:
+ *           type: integer
+ *           description: Version served to sessions outside experiments
+ *         latestVersion:
+ *           type: integer
+ *     PromptExperiment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         template:
+ *           type: string
+ *           enum: [debate-response, message-analysis, adjudication, performance-analysis, feedback]
+ *         variants:
+ *           type: array
+ *           minItems: 2
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               version:
+ *                 type: integer
+ *               weight:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Relative share of users
+ *         status:
+ *           type: string
+ *           enum: [draft, running, paused, completed]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *     AIUsageRow:
+ *       type: object
+ *       properties:
+ *         calls:
+ *           type: integer
+ *         failedCalls:
+ *           type: integer
+ *         promptTokens:
+ *           type: integer
+ *         completionTokens:
+ *           type: integer
+ *         totalTokens:
+ *           type: integer
+ *         cost:
+ *           type: number
+ *           description: Estimated cost in USD
+ *         averageLatencyMs:
+ *           type: integer
+ *     AIQuotaWindow:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *           description: Token limit, null for unlimited
+ *         used:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *         resetsAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -145,7 +340,13 @@ const { aiValidation } = require('../middleware/validation');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         description: AI reply was withheld by content moderation
  *         content:
  *           application/json:
  *             schema:
@@ -208,7 +409,7 @@ router.post('/respond', authenticate, validate(aiValidation.getResponse), aiCont
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -304,7 +505,7 @@ router.post('/analyze', authenticate, validate(aiValidation.analyzePerformance),
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -369,6 +570,12 @@ router.post('/generate-feedback', authenticate, validate(aiValidation.generateFe
  *                         type: string
  *                       reasoning:
  *                         type: string
+ *                 degraded:
+ *                   type: boolean
+ *                   description: True when no valid suggestions were generated
+ *                 cached:
+ *                   type: boolean
+ *                   description: True when the suggestions came from the response cache
  *       400:
  *         description: Validation error
  *         content:
@@ -382,7 +589,7 @@ router.post('/generate-feedback', authenticate, validate(aiValidation.generateFe
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -469,7 +676,7 @@ router.post('/suggest-topics', authenticate, validate(aiValidation.suggestTopics
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -569,7 +776,7 @@ router.post('/improve-argument', authenticate, validate(aiValidation.improveArgu
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or AI usage quota exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -656,7 +863,987 @@ router.post('/validate-evidence', authenticate, validate(aiValidation.validateEv
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: AI usage quota exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.get('/learning-path', authenticate, aiController.getLearningPath);
 
+/**
+ * @swagger
+ * /api/ai/personas:
+ *   get:
+ *     summary: List AI opponent personas
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include deactivated personas (admins only)
+ *     responses:
+ *       200:
+ *         description: Personas retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Persona'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create an AI opponent persona
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Persona'
+ *               - type: object
+ *                 properties:
+ *                   changeNote:
+ *                     type: string
+ *                     maxLength: 200
+ *                     description: What changed in this version
+ *     responses:
+ *       201:
+ *         description: Persona created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: Invalid persona or key already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personas', authenticate, aiController.listPersonas);
+router.post('/personas', authenticate, authorize(['admin']), aiController.createPersona);
+
+/**
+ * @swagger
+ * /api/ai/personas/{key}:
+ *   get:
+ *     summary: Get an AI opponent persona
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona key
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Earlier version to return instead of the current one
+ *     responses:
+ *       200:
+ *         description: Persona retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Persona'
+ *       404:
+ *         description: Persona or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update an AI opponent persona
+ *     description: Saves the edit as a new version. Sessions keep the version they started with.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona key
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Persona'
+ *               - type: object
+ *                 properties:
+ *                   changeNote:
+ *                     type: string
+ *                     maxLength: 200
+ *                     description: What changed in this version
+ *     responses:
+ *       200:
+ *         description: Persona updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Persona'
+ *       400:
+ *         description: No persona fields to update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personas/:key', authenticate, aiController.getPersona);
+router.put('/personas/:key', authenticate, authorize(['admin']), aiController.updatePersona);
+
+/**
+ * @swagger
+ * /api/ai/personas/{key}/versions:
+ *   get:
+ *     summary: Get the version history of an AI opponent persona
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Persona key
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                       definition:
+ *                         $ref: '#/components/schemas/Persona'
+ *                       updatedBy:
+ *                         type: object
+ *                       changeNote:
+ *                         type: string
+ *                       replacedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Persona not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/personas/:key/versions', authenticate, authorize(['admin']), aiController.getPersonaVersions);
+
+/**
+ * @swagger
+ * /api/ai/evidence:
+ *   get:
+ *     summary: List evidence documents
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Evidence documents retrieved successfully (without their content)
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Upload an evidence document for the AI to cite
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - source
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Plain text or markdown file, up to 1 MB
+ *               title:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: Document text (or upload a file instead)
+ *               topicId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               side:
+ *                 type: string
+ *                 enum: [pro, con, neutral]
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvidenceDocument'
+ *     responses:
+ *       201:
+ *         description: Evidence document created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EvidenceDocument'
+ *       400:
+ *         description: Invalid document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/evidence', authenticate, authorize(['admin']), aiController.listEvidenceDocuments);
+router.post('/evidence', authenticate, authorize(['admin']), evidenceUpload.single('file'), aiController.createEvidenceDocument);
+
+/**
+ * @swagger
+ * /api/ai/evidence/search:
+ *   get:
+ *     summary: Search a topic's evidence index
+ *     description: Returns the passages the AI would be offered when arguing a side
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: side
+ *         schema:
+ *           type: string
+ *           enum: [pro, con]
+ *           default: pro
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 20
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Matching passages, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EvidencePassage'
+ *       400:
+ *         description: Missing query or invalid side
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/evidence/search', authenticate, aiController.searchEvidence);
+
+/**
+ * @swagger
+ * /api/ai/evidence/{documentId}:
+ *   put:
+ *     summary: Update an evidence document
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EvidenceDocument'
+ *     responses:
+ *       200:
+ *         description: Evidence document updated successfully
+ *       404:
+ *         description: Evidence document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an evidence document
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Evidence document deleted successfully
+ *       404:
+ *         description: Evidence document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/evidence/:documentId', authenticate, authorize(['admin']), aiController.updateEvidenceDocument);
+router.delete('/evidence/:documentId', authenticate, authorize(['admin']), aiController.deleteEvidenceDocument);
+
+/**
+ * @swagger
+ * /api/ai/prompts:
+ *   get:
+ *     summary: List prompt templates
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/prompts', authenticate, authorize(['admin']), aiController.listPromptTemplates);
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}:
+ *   get:
+ *     summary: Get a prompt template
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version to return instead of the active one
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *       404:
+ *         description: Template or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Set the active version of a prompt template
+ *     description: New sessions outside experiments use the active version. Running sessions keep the version they started with.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - activeVersion
+ *             properties:
+ *               activeVersion:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Active version updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *       400:
+ *         description: Version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/prompts/:name', authenticate, authorize(['admin']), aiController.getPromptTemplate);
+router.put('/prompts/:name', authenticate, authorize(['admin']), aiController.updatePromptTemplate);
+
+/**
+ * @swagger
+ * /api/ai/prompts/{name}/versions:
+ *   get:
+ *     summary: Get the version history of a prompt template
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                       body:
+ *                         type: string
+ *                       changeNote:
+ *                         type: string
+ *                       createdBy:
+ *                         type: object
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       active:
+ *                         type: boolean
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Add a version to a prompt template
+ *     description: The version only uses the template's variables. Leave it inactive to try it in an experiment first.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 20000
+ *               changeNote:
+ *                 type: string
+ *                 maxLength: 200
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Make the new version the active one
+ *     responses:
+ *       201:
+ *         description: Version created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptTemplate'
+ *       400:
+ *         description: Missing body or unknown template variables
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/prompts/:name/versions', authenticate, authorize(['admin']), aiController.getPromptTemplateVersions);
+router.post('/prompts/:name/versions', authenticate, authorize(['admin']), aiController.createPromptTemplateVersion);
+
+/**
+ * @swagger
+ * /api/ai/experiments:
+ *   get:
+ *     summary: List prompt experiments
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, running, paused, completed]
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Experiments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptExperiment'
+ *       403:
+ *         description: Forbidden - admins only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a prompt experiment
+ *     description: Created as a draft. The first variant is the control that the others are compared against.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptExperiment'
+ *     responses:
+ *       201:
+ *         description: Experiment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptExperiment'
+ *       400:
+ *         description: Invalid variants or template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/experiments', authenticate, authorize(['admin']), aiController.listPromptExperiments);
+router.post('/experiments', authenticate, authorize(['admin']), aiController.createPromptExperiment);
+
+/**
+ * @swagger
+ * /api/ai/experiments/{experimentId}:
+ *   put:
+ *     summary: Start, pause or complete a prompt experiment
+ *     description: A template can only have one running experiment. Sessions keep the variant they started with.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [running, paused, completed]
+ *     responses:
+ *       200:
+ *         description: Experiment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/PromptExperiment'
+ *       400:
+ *         description: Status change not allowed, or another experiment is running on the template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Experiment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/experiments/:experimentId', authenticate, authorize(['admin']), aiController.updatePromptExperiment);
+
+/**
+ * @swagger
+ * /api/ai/experiments/{experimentId}/results:
+ *   get:
+ *     summary: Compare the outcomes of a prompt experiment's variants
+ *     description: Per variant, user ratings from session feedback and the distribution of final and analysis scores, with differences in means from the first variant.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: experimentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     experiment:
+ *                       type: object
+ *                     variants:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           version:
+ *                             type: integer
+ *                           sessions:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           userRating:
+ *                             type: object
+ *                             description: count, mean, median, stdDev, min, max and a 1-5 distribution
+ *                           aiQuality:
+ *                             type: object
+ *                           finalScore:
+ *                             type: object
+ *                             description: Summary statistics and a distribution in buckets of 10
+ *                           analysisScore:
+ *                             type: object
+ *                           comparedToControl:
+ *                             type: object
+ *                             nullable: true
+ *       404:
+ *         description: Experiment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/experiments/:experimentId/results', authenticate, authorize(['admin']), aiController.getPromptExperimentResults);
+
+/**
+ * @swagger
+ * /api/ai/usage:
+ *   get:
+ *     summary: Get AI usage and quota
+ *     description: Tokens, latency and estimated cost of AI calls, by operation, model and day. Users see their own usage; admins may pass userId, or all=true for every user.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period (default start of the current month, UTC)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (default now)
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: User to report on (admins only)
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *         description: Report on every user, with the top users by cost (admins only)
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quota:
+ *                       type: object
+ *                       description: Omitted when all=true
+ *                       properties:
+ *                         plan:
+ *                           type: string
+ *                           enum: [free, pro, team]
+ *                         daily:
+ *                           $ref: '#/components/schemas/AIQuotaWindow'
+ *                         monthly:
+ *                           $ref: '#/components/schemas/AIQuotaWindow'
+ *                         exceeded:
+ *                           type: boolean
+ *                     usage:
+ *                       type: object
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                           format: date-time
+ *                         to:
+ *                           type: string
+ *                           format: date-time
+ *                         totals:
+ *                           $ref: '#/components/schemas/AIUsageRow'
+ *                         byOperation:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AIUsageRow'
+ *                         byModel:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AIUsageRow'
+ *                         byDay:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AIUsageRow'
+ *                         byUser:
+ *                           type: array
+ *                           description: Top 20 users by cost, only when all=true
+ *                           items:
+ *                             $ref: '#/components/schemas/AIUsageRow'
+ *       400:
+ *         description: Invalid date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only admins can view other users' usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/usage', authenticate, aiController.getUsage);
+
 module.exports = router; 
\ No newline at end of file
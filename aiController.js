@@ -1,16 +1,44 @@
+const mongoose = require('mongoose');
 const DebateSession = require('../models/DebateSession');
 const DebateMessage = require('../models/DebateMessage');
 const DebateTopic = require('../models/DebateTopic');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
+const Persona = require('../models/Persona');
+const EvidenceDocument = require('../models/EvidenceDocument');
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptExperiment = require('../models/PromptExperiment');
+const User = require('../models/User');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../debatesphere/backend/config/logger');
 const aiService = require('../services/aiService');
+const evidenceIndex = require('../services/evidenceIndex');
+const promptTemplates = require('../services/promptTemplates');
+const usageMeter = require('../services/usageMeter');
+const contentModeration = require('../services/contentModeration');
+const topicRevisions = require('../services/topicRevisions');
 
 /**
  * AI Controller
  * Handles AI interactions, analysis, and feedback generation
  */
 
+// 429 error for a user whose AI token quota is used up, or null
+const checkQuota = async (userId) => {
+  const quota = await usageMeter.getQuotaStatus(userId);
+  if (!quota.exceeded) {
+    return null;
+  }
+
+  const period = quota.monthly.remaining === 0 ? 'monthly' : 'daily';
+  return new AppError(`AI usage quota exceeded: the ${period} limit of the ${quota.plan} plan resets at ${quota[period].resetsAt.toISOString()}`, 429);
+};
+
+// Language the user reads AI output in, for requests outside a session
+const getUserLanguage = async (userId) => {
+  const user = await User.findById(userId).select('preferences.language');
+  return (user && user.preferences.language) || 'en';
+};
+
 /**
  * Get AI response for debate
  * @route POST /api/ai/respond
@@ -23,7 +51,7 @@ const getResponse = async (req, res, next) => {
 
     // Check if session exists and user can access it
     const session = await DebateSession.findById(sessionId)
-      .populate('topicId', 'title description category difficulty arguments evidence');
+      .populate('topicId', 'title description category difficultyLevel proArguments conArguments evidence updatedAt');
 
     if (!session) {
       return next(new AppError('Session not found', 404));
@@ -38,23 +66,37 @@ const getResponse = async (req, res, next) => {
     // Get recent messages for context if not provided
     let messageContext = context;
     if (!messageContext) {
-      const recentMessages = await DebateMessage.find({ sessionId })
+      const recentMessages = await DebateMessage.find({ sessionId, 'flags.isRemoved': { $ne: true } })
         .sort({ timestamp: -1 })
         .limit(10);
       messageContext = recentMessages.reverse();
     }
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Generate AI response
     const aiResponse = await aiService.generateResponse({
       sessionId,
+      userId,
       userMessage,
       context: messageContext,
-      topic: session.topicId,
+      topic: await topicRevisions.getSessionTopic(session),
       chosenSide: session.chosenSide,
       difficulty,
       session
     });
 
+    const check = await contentModeration.moderate(aiResponse.content, { source: 'ai' });
+    if (check.blocked) {
+      logger.warn(`AI reply withheld by content moderation in session ${sessionId}`);
+      return next(new AppError('AI reply was withheld by content moderation', 502));
+    }
+    const originalContent = aiResponse.content;
+    aiResponse.content = check.content;
+
     // Save AI message to database
     const message = new DebateMessage({
       sessionId,
@@ -66,6 +108,17 @@ const getResponse = async (req, res, next) => {
         reasoning: aiResponse.reasoning,
         suggestions: aiResponse.suggestions
       },
+      aiResponse: {
+        model: aiResponse.model,
+        tokens: aiResponse.usage,
+        responseTime: aiResponse.responseTime,
+        confidence: aiResponse.confidence
+      },
+      attachments: aiResponse.citations.map(evidenceIndex.toAttachment),
+      moderation: contentModeration.toModerationRecord(check, originalContent),
+      flags: {
+        isFlagged: check.flagged
+      },
       timestamp: new Date()
     });
 
@@ -83,6 +136,22 @@ const getResponse = async (req, res, next) => {
   }
 };
 
+// The analysis lists feedback as plain strings; PerformanceMetrics stores categorised items
+const toFeedbackItems = (items) => items.map(description => ({
+  category: 'general',
+  description: String(description).slice(0, 300)
+}));
+
+// Average of a per-message analysis score (0-100) over a user's messages, or null if none were analyzed
+const averageMessageScore = (messages, userId, field) => {
+  const scores = messages
+    .filter(message => message.senderType === 'user' && (!message.senderId || message.senderId.toString() === userId))
+    .map(message => message.analysis && message.analysis[field])
+    .filter(score => typeof score === 'number');
+
+  return scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null;
+};
+
 /**
  * Analyze debate performance
  * @route POST /api/ai/analyze
@@ -107,17 +176,33 @@ const analyzePerformance = async (req, res, next) => {
       return next(new AppError('Session must be completed for analysis', 400));
     }
 
-    // Get all messages from the session
-    const messages = await DebateMessage.find({ sessionId })
+    // Get all messages from the session, leaving out those a moderator removed
+    const messages = await DebateMessage.find({ sessionId, 'flags.isRemoved': { $ne: true } })
       .sort({ timestamp: 1 });
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Perform AI analysis
-    const analysis = await aiService.analyzePerformance(sessionId, messages, {
+    const { model, prompt, ...analysis } = await aiService.analyzePerformance(sessionId, messages, {
       topic: session.topicId,
       chosenSide: session.chosenSide,
-      includeDetailed
+      includeDetailed,
+      session,
+      userId
     });
 
+    // A fallback analysis has no scores, so there is nothing to save
+    if (analysis.degraded) {
+      logger.warn(`Performance analysis for session ${sessionId} is degraded and was not saved`);
+      return res.status(200).json({
+        success: true,
+        data: analysis
+      });
+    }
+
     // Save or update performance metrics
     let metrics = await PerformanceMetrics.findOne({ sessionId, userId });
     if (!metrics) {
@@ -133,8 +218,23 @@ const analyzePerformance = async (req, res, next) => {
     metrics.evidenceUse = analysis.evidenceUse;
     metrics.rebuttalQuality = analysis.rebuttalQuality;
     metrics.overallScore = analysis.overallScore;
-    metrics.feedback = analysis.feedback;
+    metrics.clarity = analysis.clarity ?? averageMessageScore(messages, userId, 'clarity');
+    metrics.emotionalAppeal = analysis.emotionalAppeal ?? averageMessageScore(messages, userId, 'emotionalAppeal');
+    metrics.feedback = {
+      strengths: toFeedbackItems(analysis.feedback.strengths),
+      weaknesses: toFeedbackItems(analysis.feedback.weaknesses),
+      suggestions: toFeedbackItems(analysis.feedback.suggestions),
+      overallFeedback: (analysis.feedback.detailedAnalysis || 'No detailed analysis.').slice(0, 1000)
+    };
+    metrics.sessionMetrics.sideChosen = session.chosenSide;
     metrics.analysis = analysis;
+    if (prompt) {
+      metrics.aiAnalysis.model = model;
+      metrics.aiAnalysis.version = String(prompt.version);
+      metrics.aiAnalysis.promptTemplate = prompt.template;
+      metrics.aiAnalysis.experimentId = prompt.experimentId;
+      metrics.aiAnalysis.variant = prompt.variant;
+    }
 
     await metrics.save();
 
@@ -192,9 +292,15 @@ const generateFeedback = async (req, res, next) => {
     .limit(5)
     .populate('topicId', 'title category');
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Generate personalized feedback
     const feedback = await aiService.generateFeedback({
       session,
+      userId,
       metrics,
       userHistory,
       focusAreas,
@@ -232,20 +338,29 @@ const suggestTopics = async (req, res, next) => {
     .limit(10)
     .populate('topicId', 'title category difficulty');
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Generate topic suggestions
-    const suggestions = await aiService.suggestTopics({
+    const { suggestions, degraded, cached } = await aiService.suggestTopics({
       interests,
       skillLevel,
       category,
       count,
-      userHistory
+      userHistory,
+      userId,
+      language: await getUserLanguage(userId)
     });
 
     logger.info(`Topic suggestions generated for user: ${userId}`);
 
     res.status(200).json({
       success: true,
-      data: suggestions
+      data: suggestions,
+      degraded,
+      cached
     });
   } catch (error) {
     logger.error('Error suggesting topics:', error);
@@ -261,17 +376,25 @@ const suggestTopics = async (req, res, next) => {
 const improveArgument = async (req, res, next) => {
   try {
     const { argument, topic, side, focusAreas } = req.body;
+    const userId = req.user.id;
 
     if (!argument || !topic) {
       return next(new AppError('Argument and topic are required', 400));
     }
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Generate argument improvement suggestions
     const improvements = await aiService.improveArgument({
       argument,
       topic,
       side,
-      focusAreas
+      focusAreas,
+      userId,
+      language: await getUserLanguage(userId)
     });
 
     logger.info('Argument improvement suggestions generated');
@@ -294,16 +417,24 @@ const improveArgument = async (req, res, next) => {
 const validateEvidence = async (req, res, next) => {
   try {
     const { argument, topic, existingEvidence } = req.body;
+    const userId = req.user.id;
 
     if (!argument || !topic) {
       return next(new AppError('Argument and topic are required', 400));
     }
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Validate existing evidence and suggest new evidence
     const validation = await aiService.validateEvidence({
       argument,
       topic,
-      existingEvidence
+      existingEvidence,
+      userId,
+      language: await getUserLanguage(userId)
     });
 
     logger.info('Evidence validation completed');
@@ -364,13 +495,20 @@ const getLearningPath = async (req, res, next) => {
       { $sort: { count: -1 } }
     ]);
 
+    const quotaError = await checkQuota(userId);
+    if (quotaError) {
+      return next(quotaError);
+    }
+
     // Generate learning path
     const learningPath = await aiService.generateLearningPath({
       skillLevel,
       interests,
       goals,
       stats,
-      topicPreferences
+      topicPreferences,
+      userId,
+      language: await getUserLanguage(userId)
     });
 
     logger.info(`Learning path generated for user: ${userId}`);
@@ -385,6 +523,726 @@ const getLearningPath = async (req, res, next) => {
   }
 };
 
+// Persona fields an admin may set
+const pickPersonaFields = (body) => {
+  const fields = {};
+  Persona.PERSONA_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * List AI personas
+ * @route GET /api/ai/personas
+ * @access Private
+ */
+const listPersonas = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+
+    const personas = await Persona.find(includeInactive ? {} : { isActive: true })
+      .select('-versions')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: personas
+    });
+  } catch (error) {
+    logger.error('Error listing personas:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get an AI persona, optionally at an earlier version
+ * @route GET /api/ai/personas/:key
+ * @access Private
+ */
+const getPersona = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const version = req.query.version ? parseInt(req.query.version) : null;
+
+    const persona = await Persona.findOne({ key });
+    if (!persona || (!persona.isActive && req.user.role !== 'admin')) {
+      return next(new AppError('Persona not found', 404));
+    }
+
+    const definition = persona.getVersion(version);
+    if (!definition) {
+      return next(new AppError('Persona version not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    logger.error('Error getting persona:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create an AI persona
+ * @route POST /api/ai/personas
+ * @access Private (Admin)
+ */
+const createPersona = async (req, res, next) => {
+  try {
+    const { key, changeNote = '' } = req.body;
+
+    if (!key) {
+      return next(new AppError('Please provide a persona key', 400));
+    }
+
+    const persona = await Persona.create({
+      key,
+      ...pickPersonaFields(req.body),
+      changeNote,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    logger.info(`Persona ${persona.key} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    logger.error('Error creating persona:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an AI persona, creating a new version
+ * @route PUT /api/ai/personas/:key
+ * @access Private (Admin)
+ */
+const updatePersona = async (req, res, next) => {
+  try {
+    const { key } = req.params;
+    const { changeNote = '' } = req.body;
+
+    const persona = await Persona.findOne({ key });
+    if (!persona) {
+      return next(new AppError('Persona not found', 404));
+    }
+
+    const changes = pickPersonaFields(req.body);
+    if (Object.keys(changes).length === 0) {
+      return next(new AppError('No persona fields to update', 400));
+    }
+
+    persona.revise(changes, req.user.id, changeNote);
+    await persona.save();
+
+    logger.info(`Persona ${persona.key} updated to v${persona.version} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    logger.error('Error updating persona:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the version history of an AI persona
+ * @route GET /api/ai/personas/:key/versions
+ * @access Private (Admin)
+ */
+const getPersonaVersions = async (req, res, next) => {
+  try {
+    const persona = await Persona.findOne({ key: req.params.key })
+      .populate('versions.updatedBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!persona) {
+      return next(new AppError('Persona not found', 404));
+    }
+
+    const versions = [
+      {
+        version: persona.version,
+        definition: persona.getDefinition(),
+        updatedBy: persona.updatedBy,
+        changeNote: persona.changeNote,
+        current: true
+      },
+      ...persona.versions.slice().reverse().map(entry => ({
+        version: entry.version,
+        definition: entry.definition,
+        updatedBy: entry.updatedBy,
+        changeNote: entry.changeNote,
+        replacedAt: entry.replacedAt,
+        current: false
+      }))
+    ];
+
+    res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    logger.error('Error getting persona versions:', error);
+    next(error);
+  }
+};
+
+// Text file types accepted as evidence uploads
+const EVIDENCE_MIME_TYPES = ['text/plain', 'text/markdown'];
+
+/**
+ * List evidence documents
+ * @route GET /api/ai/evidence
+ * @access Private (Admin)
+ */
+const listEvidenceDocuments = async (req, res, next) => {
+  try {
+    const { topicId, category, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (topicId) filter.topicId = topicId;
+    if (category) filter.category = category;
+
+    const documents = await EvidenceDocument.find(filter)
+      .select('-content')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await EvidenceDocument.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        documents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing evidence documents:', error);
+    next(error);
+  }
+};
+
+/**
+ * Upload an evidence document, as a text file or as content in the body
+ * @route POST /api/ai/evidence
+ * @access Private (Admin)
+ */
+const createEvidenceDocument = async (req, res, next) => {
+  try {
+    const { title, source, url, topicId, category, side } = req.body;
+    let { content } = req.body;
+
+    if (req.file) {
+      if (!EVIDENCE_MIME_TYPES.includes(req.file.mimetype)) {
+        return next(new AppError('Evidence files must be plain text or markdown', 400));
+      }
+      content = req.file.buffer.toString('utf8');
+    }
+
+    if (topicId && !(await DebateTopic.exists({ _id: topicId }))) {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const document = await EvidenceDocument.create({
+      title,
+      source,
+      url,
+      content,
+      topicId: topicId || null,
+      category: topicId ? null : category || null,
+      side,
+      uploadedBy: req.user.id
+    });
+
+    evidenceIndex.invalidate(topicId);
+
+    logger.info(`Evidence document ${document._id} uploaded by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    logger.error('Error creating evidence document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an evidence document
+ * @route PUT /api/ai/evidence/:documentId
+ * @access Private (Admin)
+ */
+const updateEvidenceDocument = async (req, res, next) => {
+  try {
+    const document = await EvidenceDocument.findById(req.params.documentId);
+    if (!document) {
+      return next(new AppError('Evidence document not found', 404));
+    }
+
+    ['title', 'source', 'url', 'content', 'side', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        document[field] = req.body[field];
+      }
+    });
+    await document.save();
+
+    evidenceIndex.invalidate(document.topicId);
+
+    res.status(200).json({
+      success: true,
+      data: document
+    });
+  } catch (error) {
+    logger.error('Error updating evidence document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete an evidence document
+ * @route DELETE /api/ai/evidence/:documentId
+ * @access Private (Admin)
+ */
+const deleteEvidenceDocument = async (req, res, next) => {
+  try {
+    const document = await EvidenceDocument.findByIdAndDelete(req.params.documentId);
+    if (!document) {
+      return next(new AppError('Evidence document not found', 404));
+    }
+
+    evidenceIndex.invalidate(document.topicId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Evidence document deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting evidence document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Search the evidence index of a topic
+ * @route GET /api/ai/evidence/search
+ * @access Private
+ */
+const searchEvidence = async (req, res, next) => {
+  try {
+    const { topicId, q, side = 'pro', limit = 5 } = req.query;
+
+    if (!q) {
+      return next(new AppError('Please provide a search query', 400));
+    }
+    if (!['pro', 'con'].includes(side)) {
+      return next(new AppError('Side must be either "pro" or "con"', 400));
+    }
+
+    const topic = await DebateTopic.findById(topicId);
+    if (!topic) {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const passages = await evidenceIndex.retrieve(topic, q, side, Math.min(parseInt(limit), 20));
+
+    res.status(200).json({
+      success: true,
+      data: passages
+    });
+  } catch (error) {
+    logger.error('Error searching evidence:', error);
+    next(error);
+  }
+};
+
+/**
+ * List prompt templates
+ * @route GET /api/ai/prompts
+ * @access Private (Admin)
+ */
+const listPromptTemplates = async (req, res, next) => {
+  try {
+    const templates = await PromptTemplate.find()
+      .select('name description variables activeVersion versions.version updatedAt')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: templates.map(template => ({
+        name: template.name,
+        description: template.description,
+        variables: template.variables,
+        activeVersion: template.activeVersion,
+        latestVersion: template.latestVersion,
+        updatedAt: template.updatedAt
+      }))
+    });
+  } catch (error) {
+    logger.error('Error listing prompt templates:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a prompt template, optionally at a given version
+ * @route GET /api/ai/prompts/:name
+ * @access Private (Admin)
+ */
+const getPromptTemplate = async (req, res, next) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : null;
+
+    const template = await PromptTemplate.findOne({ name: req.params.name });
+    if (!template) {
+      return next(new AppError('Prompt template not found', 404));
+    }
+
+    const resolved = template.getVersion(version);
+    if (!resolved) {
+      return next(new AppError('Prompt template version not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...resolved,
+        description: template.description,
+        variables: template.variables,
+        activeVersion: template.activeVersion,
+        latestVersion: template.latestVersion
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting prompt template:', error);
+    next(error);
+  }
+};
+
+/**
+ * Set the active version of a prompt template
+ * @route PUT /api/ai/prompts/:name
+ * @access Private (Admin)
+ */
+const updatePromptTemplate = async (req, res, next) => {
+  try {
+    const activeVersion = parseInt(req.body.activeVersion);
+
+    const template = await PromptTemplate.findOne({ name: req.params.name });
+    if (!template) {
+      return next(new AppError('Prompt template not found', 404));
+    }
+    if (!template.getVersion(activeVersion)) {
+      return next(new AppError('Prompt template version not found', 400));
+    }
+
+    template.activeVersion = activeVersion;
+    await template.save();
+
+    logger.info(`Prompt template ${template.name} set to v${activeVersion} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: template.getVersion()
+    });
+  } catch (error) {
+    logger.error('Error updating prompt template:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the version history of a prompt template
+ * @route GET /api/ai/prompts/:name/versions
+ * @access Private (Admin)
+ */
+const getPromptTemplateVersions = async (req, res, next) => {
+  try {
+    const template = await PromptTemplate.findOne({ name: req.params.name })
+      .populate('versions.createdBy', 'name');
+
+    if (!template) {
+      return next(new AppError('Prompt template not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template.versions.slice().reverse().map(entry => ({
+        version: entry.version,
+        body: entry.body,
+        changeNote: entry.changeNote,
+        createdBy: entry.createdBy,
+        createdAt: entry.createdAt,
+        active: entry.version === template.activeVersion
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting prompt template versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Add a version to a prompt template
+ * @route POST /api/ai/prompts/:name/versions
+ * @access Private (Admin)
+ */
+const createPromptTemplateVersion = async (req, res, next) => {
+  try {
+    const { body, changeNote = '', activate = false } = req.body;
+
+    const template = await PromptTemplate.findOne({ name: req.params.name });
+    if (!template) {
+      return next(new AppError('Prompt template not found', 404));
+    }
+    if (!body || typeof body !== 'string') {
+      return next(new AppError('Please provide the template body', 400));
+    }
+
+    const unknown = promptTemplates.findUnknownVariables(template.name, body);
+    if (unknown.length > 0) {
+      return next(new AppError(`Unknown template variables: ${unknown.join(', ')}. Allowed: ${template.variables.join(', ')}`, 400));
+    }
+
+    const version = template.addVersion(body, req.user.id, changeNote, activate === true);
+    await template.save();
+
+    logger.info(`Prompt template ${template.name} v${version} created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...template.getVersion(version),
+        activeVersion: template.activeVersion
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating prompt template version:', error);
+    next(error);
+  }
+};
+
+/**
+ * List prompt experiments
+ * @route GET /api/ai/experiments
+ * @access Private (Admin)
+ */
+const listPromptExperiments = async (req, res, next) => {
+  try {
+    const { status, template } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (template) query.template = template;
+
+    const experiments = await PromptExperiment.find(query)
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: experiments
+    });
+  } catch (error) {
+    logger.error('Error listing prompt experiments:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a prompt experiment
+ * @route POST /api/ai/experiments
+ * @access Private (Admin)
+ */
+const createPromptExperiment = async (req, res, next) => {
+  try {
+    const { name, description, template: templateName, variants = [] } = req.body;
+
+    if (!promptTemplates.SESSION_TEMPLATES.includes(templateName)) {
+      return next(new AppError(`Experiments can only target session templates: ${promptTemplates.SESSION_TEMPLATES.join(', ')}`, 400));
+    }
+
+    const template = await PromptTemplate.findOne({ name: templateName });
+    if (!template) {
+      return next(new AppError('Prompt template not found', 404));
+    }
+
+    const missing = variants.filter(variant => !template.getVersion(parseInt(variant.version)));
+    if (missing.length > 0) {
+      return next(new AppError(`Template versions not found: ${missing.map(variant => variant.version).join(', ')}`, 400));
+    }
+
+    const experiment = await PromptExperiment.create({
+      name,
+      description,
+      template: templateName,
+      variants,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Prompt experiment ${experiment._id} created for ${templateName} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error creating prompt experiment:', error);
+    next(error);
+  }
+};
+
+// Status changes an experiment allows
+const EXPERIMENT_TRANSITIONS = {
+  draft: ['running'],
+  running: ['paused', 'completed'],
+  paused: ['running', 'completed'],
+  completed: []
+};
+
+/**
+ * Start, pause or complete a prompt experiment
+ * @route PUT /api/ai/experiments/:experimentId
+ * @access Private (Admin)
+ */
+const updatePromptExperiment = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+
+    const experiment = await PromptExperiment.findById(req.params.experimentId);
+    if (!experiment) {
+      return next(new AppError('Experiment not found', 404));
+    }
+    if (!(EXPERIMENT_TRANSITIONS[experiment.status] || []).includes(status)) {
+      return next(new AppError(`Cannot change an experiment from ${experiment.status} to ${status}`, 400));
+    }
+
+    // Only one experiment per template may assign variants at a time
+    if (status === 'running') {
+      const running = await PromptExperiment.findOne({
+        _id: { $ne: experiment._id },
+        template: experiment.template,
+        status: 'running'
+      });
+      if (running) {
+        return next(new AppError(`Experiment "${running.name}" is already running on ${experiment.template}`, 400));
+      }
+    }
+
+    experiment.status = status;
+    if (status === 'running' && !experiment.startedAt) {
+      experiment.startedAt = new Date();
+    }
+    if (status === 'completed') {
+      experiment.endedAt = new Date();
+    }
+    await experiment.save();
+
+    logger.info(`Prompt experiment ${experiment._id} set to ${status} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    logger.error('Error updating prompt experiment:', error);
+    next(error);
+  }
+};
+
+/**
+ * Compare the outcomes of a prompt experiment's variants
+ * @route GET /api/ai/experiments/:experimentId/results
+ * @access Private (Admin)
+ */
+const getPromptExperimentResults = async (req, res, next) => {
+  try {
+    const experiment = await PromptExperiment.findById(req.params.experimentId);
+    if (!experiment) {
+      return next(new AppError('Experiment not found', 404));
+    }
+
+    const results = await promptTemplates.getExperimentResults(experiment);
+
+    res.status(200).json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    logger.error('Error getting prompt experiment results:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get AI usage: tokens, latency and estimated cost by operation, model and day
+ * Users see their own usage and quota; admins may pass userId, or all=true for every user.
+ * @route GET /api/ai/usage
+ * @access Private
+ */
+const getUsage = async (req, res, next) => {
+  try {
+    const { from, to, all } = req.query;
+    const isAdmin = req.user.role === 'admin';
+    const everyone = all === 'true';
+    const userId = req.query.userId || req.user.id;
+
+    if ((everyone || userId !== req.user.id) && !isAdmin) {
+      return next(new AppError('Only admins can view the usage of other users', 403));
+    }
+    if (!everyone && !mongoose.isValidObjectId(userId)) {
+      return next(new AppError('Invalid user ID', 400));
+    }
+
+    // Defaults to the current month (UTC)
+    const now = new Date();
+    const range = {
+      from: from ? new Date(from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      to: to ? new Date(to) : now
+    };
+    if (Number.isNaN(range.from.getTime()) || Number.isNaN(range.to.getTime()) || range.from > range.to) {
+      return next(new AppError('from and to must be valid dates, with from before to', 400));
+    }
+
+    if (everyone) {
+      const usage = await usageMeter.getUsageReport(range);
+      return res.status(200).json({
+        success: true,
+        data: { usage }
+      });
+    }
+
+    const quota = await usageMeter.getQuotaStatus(userId);
+    const usage = await usageMeter.getUsageReport({ ...range, userId });
+
+    res.status(200).json({
+      success: true,
+      data: { quota, usage }
+    });
+  } catch (error) {
+    logger.error('Error getting AI usage:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getResponse,
   analyzePerformance,
@@ -392,5 +1250,25 @@ module.exports = {
   suggestTopics,
   improveArgument,
   validateEvidence,
-  getLearningPath
+  getLearningPath,
+  listPersonas,
+  getPersona,
+  createPersona,
+  updatePersona,
+  getPersonaVersions,
+  listEvidenceDocuments,
+  createEvidenceDocument,
+  updateEvidenceDocument,
+  deleteEvidenceDocument,
+  searchEvidence,
+  listPromptTemplates,
+  getPromptTemplate,
+  updatePromptTemplate,
+  getPromptTemplateVersions,
+  createPromptTemplateVersion,
+  listPromptExperiments,
+  createPromptExperiment,
+  updatePromptExperiment,
+  getPromptExperimentResults,
+  getUsage
 }; 
\ No newline at end of file
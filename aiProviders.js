@@ -0,0 +1,568 @@
+const logger = require('../config/logger');
+
+/**
+ * AI Providers
+ * Adapters that put OpenAI, Anthropic and a local scripted model behind one interface.
+ *
+ * Every provider exposes:
+ *   complete({ operation, messages, maxTokens, temperature, presencePenalty, frequencyPenalty })
+ *     -> Promise<{ content, model, provider, usage: { prompt, completion, total } }>
+ *   stream({ ...same options })
+ *     -> AsyncIterable of { delta } chunks, ending with { done: true, model, provider, usage }
+ *
+ * `messages` always uses the OpenAI chat shape ({ role: 'system'|'user'|'assistant', content }),
+ * adapters translate it to whatever their vendor expects.
+ */
+
+const OPERATIONS = [
+  'generateResponse',
+  'generateReasoning',
+  'generateSuggestions',
+  'analyzePerformance',
+  'analyzeMessage',
+  'adjudicateDebate',
+  'generateFeedback',
+  'suggestTopics',
+  'improveArgument',
+  'validateEvidence',
+  'generateLearningPath',
+  'translateTopic'
+];
+
+/**
+ * OpenAI adapter
+ * The client is created on first use so the app can boot without an API key.
+ */
+const createOpenAIProvider = () => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    complete: async ({ messages, maxTokens, temperature, presencePenalty, frequencyPenalty }) => {
+      const model = process.env.OPENAI_MODEL || 'gpt-4';
+
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(presencePenalty !== undefined && { presence_penalty: presencePenalty }),
+        ...(frequencyPenalty !== undefined && { frequency_penalty: frequencyPenalty })
+      });
+
+      const usage = completion.usage || {};
+
+      return {
+        content: completion.choices[0].message.content,
+        model: completion.model || model,
+        provider: 'openai',
+        usage: {
+          prompt: usage.prompt_tokens || 0,
+          completion: usage.completion_tokens || 0,
+          total: usage.total_tokens || 0
+        }
+      };
+    },
+
+    stream: async function* ({ messages, maxTokens, temperature, presencePenalty, frequencyPenalty }) {
+      const model = process.env.OPENAI_MODEL || 'gpt-4';
+
+      const stream = await getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(presencePenalty !== undefined && { presence_penalty: presencePenalty }),
+        ...(frequencyPenalty !== undefined && { frequency_penalty: frequencyPenalty })
+      });
+
+      let usage = {};
+      let resolvedModel = model;
+
+      for await (const chunk of stream) {
+        if (chunk.model) resolvedModel = chunk.model;
+        if (chunk.usage) usage = chunk.usage;
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          yield { delta };
+        }
+      }
+
+      yield {
+        done: true,
+        model: resolvedModel,
+        provider: 'openai',
+        usage: {
+          prompt: usage.prompt_tokens || 0,
+          completion: usage.completion_tokens || 0,
+          total: usage.total_tokens || 0
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Anthropic adapter
+ * System messages are lifted into the `system` parameter and consecutive
+ * messages from the same role are merged, as the Messages API requires
+ * strictly alternating user/assistant turns.
+ */
+const createAnthropicProvider = () => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const Anthropic = require('@anthropic-ai/sdk');
+      client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY
+      });
+    }
+    return client;
+  };
+
+  const toAnthropicMessages = (messages) => {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const conversation = [];
+    messages
+      .filter(msg => msg.role !== 'system')
+      .forEach(msg => {
+        const last = conversation[conversation.length - 1];
+        if (last && last.role === msg.role) {
+          last.content += `\n\n${msg.content}`;
+        } else {
+          conversation.push({ role: msg.role, content: msg.content });
+        }
+      });
+
+    // The Messages API requires the conversation to open with a user turn
+    if (conversation.length === 0 || conversation[0].role !== 'user') {
+      conversation.unshift({ role: 'user', content: '(The debate begins.)' });
+    }
+
+    return { system, conversation };
+  };
+
+  return {
+    name: 'anthropic',
+
+    complete: async ({ messages, maxTokens, temperature }) => {
+      const model = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+      const { system, conversation } = toAnthropicMessages(messages);
+
+      const response = await getClient().messages.create({
+        model,
+        system: system || undefined,
+        messages: conversation,
+        max_tokens: maxTokens,
+        temperature
+      });
+
+      const content = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      const usage = response.usage || {};
+
+      return {
+        content,
+        model: response.model || model,
+        provider: 'anthropic',
+        usage: {
+          prompt: usage.input_tokens || 0,
+          completion: usage.output_tokens || 0,
+          total: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+        }
+      };
+    },
+
+    stream: async function* ({ messages, maxTokens, temperature }) {
+      const model = process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+      const { system, conversation } = toAnthropicMessages(messages);
+
+      const stream = await getClient().messages.create({
+        model,
+        system: system || undefined,
+        messages: conversation,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true
+      });
+
+      let resolvedModel = model;
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          resolvedModel = event.message.model || model;
+          inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { delta: event.delta.text };
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage?.output_tokens || outputTokens;
+        }
+      }
+
+      yield {
+        done: true,
+        model: resolvedModel,
+        provider: 'anthropic',
+        usage: {
+          prompt: inputTokens,
+          completion: outputTokens,
+          total: inputTokens + outputTokens
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Scripted adapter
+ * Deterministic, offline responses for CI, demos and vendor outages.
+ * The same input always produces the same output.
+ */
+const createScriptedProvider = () => {
+  // Small stable string hash so replies vary with input but never between runs
+  const hash = (text) => {
+    let value = 0;
+    for (let i = 0; i < text.length; i += 1) {
+      value = ((value << 5) - value + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(value);
+  };
+
+  const lastUserContent = (messages) => {
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+  };
+
+  const excerpt = (text, words = 8) => {
+    const parts = text.trim().split(/\s+/).filter(Boolean);
+    const head = parts.slice(0, words).join(' ');
+    return parts.length > words ? `${head}...` : head;
+  };
+
+  const rebuttalTemplates = [
+    (quote) => `You argue that "${quote}", but that assumes the benefits outweigh the costs without showing it. What evidence supports that trade-off?`,
+    (quote) => `I understand the claim that "${quote}". However, research on comparable policies points the other way, because the incentives it creates tend to backfire in practice.`,
+    (quote) => `Consider the counter-example: even if "${quote}" holds in some cases, it does not hold in general. Therefore the conclusion does not follow.`,
+    (quote) => `The point that "${quote}" deserves a response. Since the strongest data on this question is mixed, the burden of proof remains on your side.`
+  ];
+
+  const scripts = {
+    generateResponse: (messages) => {
+      const userContent = lastUserContent(messages);
+      const template = rebuttalTemplates[hash(userContent) % rebuttalTemplates.length];
+      const reply = template(excerpt(userContent) || 'your position');
+
+      // Cite the top source when the prompt offers any
+      const system = messages.find(msg => msg.role === 'system');
+      const source = system && system.content.match(/^\[1\] (.+?) \(/m);
+      return source ? `${reply} As "${source[1]}" shows [1].` : reply;
+    },
+
+    generateReasoning: () => 'The response challenges the central assumption of the previous argument and asks for supporting evidence.',
+
+    generateSuggestions: () => [
+      'Clarify the main assumption behind your argument.',
+      'Support your claim with a concrete example or statistic.',
+      'Address the strongest counter-argument directly.'
+    ].join('\n'),
+
+    analyzePerformance: () => JSON.stringify({
+      argumentStrength: 60,
+      logicalConsistency: 60,
+      evidenceUse: 50,
+      rebuttalQuality: 50,
+      overallScore: 60,
+      feedback: {
+        strengths: ['Clear statement of position'],
+        weaknesses: ['Limited supporting evidence'],
+        suggestions: ['Back each claim with a specific source'],
+        detailedAnalysis: 'Scripted analysis: arguments were coherent but relied on assertion rather than evidence.'
+      }
+    }),
+
+    // Keyword heuristics standing in for a model's judgement
+    analyzeMessage: (messages) => {
+      const content = lastUserContent(messages);
+      const sentences = content.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+      const findSentence = (pattern) => sentences.find(sentence => pattern.test(sentence)) || null;
+
+      const cues = [
+        { type: 'slippery-slope', pattern: /\b(will (inevitably )?lead to|next thing|before you know it)\b/i },
+        { type: 'ad-hominem', pattern: /\b(you are|you're) (an? )?(idiot|stupid|ignorant|clueless)\b/i },
+        { type: 'false-dilemma', pattern: /\beither\b[^.]*\bor\b/i },
+        { type: 'bandwagon', pattern: /\b(everyone|everybody) (knows|agrees)\b/i },
+        { type: 'appeal-to-emotion', pattern: /\b(think of the children|heartbreaking|terrifying)\b/i }
+      ];
+
+      const fallacies = cues
+        .map(({ type, pattern }) => ({ type, match: content.match(pattern) }))
+        .filter(({ match }) => match)
+        .map(({ type, match }) => ({
+          type,
+          excerpt: match[0],
+          explanation: `Scripted check: "${match[0]}" is a typical ${type.replace(/-/g, ' ')} cue.`,
+          confidence: 0.6
+        }));
+
+      const warrant = findSentence(/\b(because|since|as shown by)\b/i);
+      const impact = findSentence(/\b(therefore|so|which means|as a result)\b/i);
+      const containsEvidence = /\b(study|research|data|statistics|percent|%)/i.test(content);
+      const base = 50 + (hash(content) % 21) - 10;
+
+      return JSON.stringify({
+        argumentStrength: base + (warrant ? 10 : 0) + (impact ? 10 : 0) - fallacies.length * 10,
+        logicalConsistency: base - fallacies.length * 15,
+        evidenceQuality: containsEvidence ? base + 20 : base - 20,
+        emotionalAppeal: fallacies.some(fallacy => fallacy.type === 'appeal-to-emotion') ? 80 : 40,
+        clarity: sentences.length > 0 && sentences.length <= 5 ? base + 10 : base,
+        relevance: base,
+        fallacies,
+        structure: {
+          claim: sentences[0] || null,
+          warrant,
+          impact
+        },
+        containsEvidence,
+        containsRebuttal: /\b(however|but|although|you claim|you argue)\b/i.test(content),
+        coaching: !warrant
+          ? 'Explain why your claim is true: add a "because" with a reason or evidence.'
+          : 'Spell out the impact: say what happens, and to whom, if your argument is right.'
+      });
+    },
+
+    // Judges on volume: the side that said more wins unless it is within 10%
+    adjudicateDebate: (messages) => {
+      const speeches = lastUserContent(messages)
+        .split('\n\n')
+        .map(line => line.match(/^\[Turn (\d+)\] (PRO|CON) \([a-z]+\): ([\s\S]*)$/))
+        .filter(Boolean)
+        .map(([, turnNumber, side, text]) => ({ turnNumber: parseInt(turnNumber), side: side.toLowerCase(), text }));
+
+      const words = { pro: 0, con: 0 };
+      speeches.forEach(speech => { words[speech.side] += speech.text.split(/\s+/).filter(Boolean).length; });
+
+      const total = words.pro + words.con || 1;
+      const margin = (words.pro - words.con) / total;
+      const winner = Math.abs(margin) < 0.1 ? 'draw' : (margin > 0 ? 'pro' : 'con');
+
+      return JSON.stringify({
+        winner,
+        decision: winner === 'draw'
+          ? 'Scripted ballot: both sides developed their case to a similar extent.'
+          : `Scripted ballot: the ${winner} side developed more of its case and answered more of the opposing speeches.`,
+        flow: speeches.map(speech => ({
+          argument: excerpt(speech.text, 6),
+          side: speech.side,
+          turnNumber: speech.turnNumber,
+          status: speeches.some(other => other.side !== speech.side && other.turnNumber > speech.turnNumber) ? 'refuted' : 'dropped',
+          note: 'Scripted flow entry.'
+        })),
+        speakerPoints: {
+          pro: Math.round((26 + margin * 2) * 10) / 10,
+          con: Math.round((26 - margin * 2) * 10) / 10
+        },
+        scores: {
+          pro: Math.round(60 + margin * 20),
+          con: Math.round(60 - margin * 20)
+        }
+      });
+    },
+
+    generateFeedback: () => JSON.stringify({
+      summary: 'Solid structure with room to strengthen evidence.',
+      strengths: ['Clear opening position'],
+      areasForImprovement: ['Evidence use', 'Direct rebuttals'],
+      specificSuggestions: [
+        {
+          area: 'evidence',
+          suggestion: 'Cite at least one source per main claim.',
+          example: 'According to a 2020 OECD report, ...'
+        }
+      ],
+      practiceRecommendations: ['Practise two-minute rebuttals against a timer']
+    }),
+
+    suggestTopics: () => JSON.stringify([
+      {
+        title: 'Should public transport be free at the point of use?',
+        description: 'Weigh the social benefits of fare-free transit against its fiscal cost.',
+        category: 'economics',
+        difficulty: 'medium',
+        reasoning: 'Balances policy reasoning with accessible evidence.'
+      },
+      {
+        title: 'Should social media platforms verify the age of all users?',
+        description: 'Consider child safety against privacy and access concerns.',
+        category: 'technology',
+        difficulty: 'easy',
+        reasoning: 'Familiar context with clear arguments on both sides.'
+      }
+    ]),
+
+    improveArgument: (messages) => JSON.stringify({
+      improvedArgument: `${lastUserContent(messages).trim()} This matters because it directly affects the people the policy is meant to help.`,
+      suggestions: [
+        {
+          type: 'evidence',
+          description: 'Add a concrete statistic or study to support the claim.',
+          example: 'A 2019 study found that ...'
+        }
+      ],
+      reasoning: 'Added an explicit impact statement to connect the claim to its consequences.'
+    }),
+
+    validateEvidence: () => JSON.stringify({
+      validation: [],
+      suggestions: [
+        {
+          source: 'Peer-reviewed journal article',
+          description: 'Look for a recent meta-analysis on the topic.',
+          relevance: 7,
+          credibility: 8
+        }
+      ]
+    }),
+
+    generateLearningPath: () => JSON.stringify({
+      currentLevel: 'beginner',
+      targetLevel: 'intermediate',
+      milestones: [
+        {
+          title: 'Structure every argument',
+          description: 'Use claim, warrant and impact in each speech.',
+          difficulty: 'easy',
+          estimatedTime: '1 week',
+          topics: ['education']
+        }
+      ],
+      recommendedTopics: ['technology', 'education'],
+      practiceExercises: ['Write three claim-warrant-impact chains on one motion']
+    }),
+
+    // Hands the topic back with its title marked, so translations can be tried without a model
+    translateTopic: (messages) => {
+      const topic = JSON.parse(lastUserContent(messages));
+      const [, language] = messages[0].content.match(/into ([^.]+)\./) || [];
+      return JSON.stringify({ ...topic, title: `${topic.title} (${language || 'translated'})` });
+    }
+  };
+
+  const run = ({ operation, messages }) => {
+    const script = scripts[operation] || scripts.generateResponse;
+    const content = script(messages);
+    const promptTokens = Math.ceil(messages.reduce((sum, msg) => sum + msg.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      model: 'scripted',
+      provider: 'scripted',
+      usage: {
+        prompt: promptTokens,
+        completion: completionTokens,
+        total: promptTokens + completionTokens
+      }
+    };
+  };
+
+  return {
+    name: 'scripted',
+
+    complete: async (options) => run(options),
+
+    // Replays the scripted reply word by word so streaming clients can be exercised offline
+    stream: async function* (options) {
+      const { content, ...result } = run(options);
+      const words = content.match(/\S+\s*/g) || [];
+
+      for (const word of words) {
+        yield { delta: word };
+      }
+
+      yield { done: true, ...result };
+    }
+  };
+};
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  scripted: createScriptedProvider
+};
+
+const providers = new Map();
+
+/**
+ * Register a custom provider (e.g. a self-hosted model)
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - Returns an object implementing complete()
+ */
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providers.delete(name);
+};
+
+/**
+ * Resolve the configured provider name for an operation.
+ * AI_PROVIDER_<OPERATION> (e.g. AI_PROVIDER_GENERATE_RESPONSE) overrides AI_PROVIDER.
+ * @param {string} operation - aiService operation name
+ * @returns {string} Provider name
+ */
+const getProviderName = (operation) => {
+  const envKey = `AI_PROVIDER_${operation.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  return (process.env[envKey] || process.env.AI_PROVIDER || 'openai').toLowerCase();
+};
+
+const instantiate = (name) => {
+  if (!providers.has(name)) {
+    providers.set(name, providerFactories[name]());
+  }
+  return providers.get(name);
+};
+
+/**
+ * Get the provider instance configured for an operation
+ * @param {string} operation - aiService operation name
+ * @returns {Object} Provider
+ */
+const getProvider = (operation) => {
+  const name = getProviderName(operation);
+
+  if (!providerFactories[name]) {
+    logger.warn(`Unknown AI provider "${name}" for ${operation}, falling back to scripted`);
+    return instantiate('scripted');
+  }
+
+  return instantiate(name);
+};
+
+module.exports = {
+  OPERATIONS,
+  getProvider,
+  getProviderName,
+  registerProvider
+};
\ No newline at end of file
@@ -0,0 +1,319 @@
+const Ajv = require('ajv');
+
+/**
+ * AI Output Schemas
+ * JSON Schemas for the structured output of each AI operation. Model replies
+ * are parsed and validated against the ranges the data models store; aiService
+ * asks the model to repair replies that fail.
+ */
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, allowUnionTypes: true });
+
+const score = (max) => ({ type: 'number', minimum: 0, maximum: max });
+const text = { type: 'string' };
+const textList = { type: 'array', items: text };
+
+// Scores of the performance analysis, stored 0-100 in PerformanceMetrics
+const PERFORMANCE_SCORE_FIELDS = ['argumentStrength', 'logicalConsistency', 'evidenceUse', 'rebuttalQuality', 'overallScore', 'clarity', 'emotionalAppeal'];
+
+const MESSAGE_SCORE_FIELDS = ['argumentStrength', 'logicalConsistency', 'evidenceQuality', 'emotionalAppeal', 'clarity', 'relevance'];
+
+const SCHEMAS = {
+  analyzePerformance: {
+    type: 'object',
+    required: ['argumentStrength', 'logicalConsistency', 'evidenceUse', 'rebuttalQuality', 'overallScore', 'feedback'],
+    properties: {
+      ...Object.fromEntries(PERFORMANCE_SCORE_FIELDS.map(field => [field, score(100)])),
+      feedback: {
+        type: 'object',
+        required: ['strengths', 'weaknesses', 'suggestions'],
+        properties: {
+          strengths: textList,
+          weaknesses: textList,
+          suggestions: textList,
+          detailedAnalysis: text
+        }
+      }
+    }
+  },
+
+  analyzeMessage: {
+    type: 'object',
+    required: [...MESSAGE_SCORE_FIELDS, 'fallacies', 'structure'],
+    properties: {
+      ...Object.fromEntries(MESSAGE_SCORE_FIELDS.map(field => [field, score(100)])),
+      fallacies: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: text,
+            excerpt: text,
+            explanation: text,
+            confidence: score(1)
+          }
+        }
+      },
+      structure: {
+        type: 'object',
+        properties: {
+          claim: { type: ['string', 'null'] },
+          warrant: { type: ['string', 'null'] },
+          impact: { type: ['string', 'null'] }
+        }
+      },
+      containsEvidence: { type: 'boolean' },
+      containsRebuttal: { type: 'boolean' },
+      coaching: { type: ['string', 'null'] }
+    }
+  },
+
+  adjudicateDebate: {
+    type: 'object',
+    required: ['winner', 'decision', 'scores'],
+    properties: {
+      winner: { enum: ['pro', 'con', 'draw'] },
+      decision: { type: 'string', minLength: 1 },
+      flow: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['argument', 'side'],
+          properties: {
+            argument: text,
+            side: { enum: ['pro', 'con'] },
+            turnNumber: { type: ['integer', 'null'] },
+            status: { enum: ['extended', 'dropped', 'refuted', 'conceded'] },
+            note: text
+          }
+        }
+      },
+      speakerPoints: {
+        type: 'object',
+        required: ['pro', 'con'],
+        properties: { pro: score(30), con: score(30) }
+      },
+      scores: {
+        type: 'object',
+        required: ['pro', 'con'],
+        properties: { pro: score(100), con: score(100) }
+      }
+    }
+  },
+
+  generateFeedback: {
+    type: 'object',
+    required: ['summary', 'strengths', 'areasForImprovement'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      strengths: textList,
+      areasForImprovement: textList,
+      specificSuggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['suggestion'],
+          properties: { area: text, suggestion: text, example: text }
+        }
+      },
+      practiceRecommendations: textList
+    }
+  },
+
+  suggestTopics: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['title', 'description'],
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        description: text,
+        category: text,
+        difficulty: { enum: ['easy', 'medium', 'hard'] },
+        reasoning: text
+      }
+    }
+  },
+
+  improveArgument: {
+    type: 'object',
+    required: ['improvedArgument'],
+    properties: {
+      improvedArgument: { type: 'string', minLength: 1 },
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['description'],
+          properties: { type: text, description: text, example: text }
+        }
+      },
+      reasoning: text
+    }
+  },
+
+  validateEvidence: {
+    type: 'object',
+    required: ['validation', 'suggestions'],
+    properties: {
+      validation: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['isValid'],
+          properties: {
+            evidence: { type: 'object' },
+            isValid: { type: 'boolean' },
+            issues: textList,
+            suggestions: textList
+          }
+        }
+      },
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['source', 'description'],
+          properties: {
+            source: text,
+            description: text,
+            relevance: score(10),
+            credibility: score(10)
+          }
+        }
+      }
+    }
+  },
+
+  generateLearningPath: {
+    type: 'object',
+    required: ['currentLevel', 'targetLevel', 'milestones'],
+    properties: {
+      currentLevel: { enum: ['beginner', 'intermediate', 'advanced', 'expert'] },
+      targetLevel: text,
+      milestones: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: text,
+            description: text,
+            difficulty: { enum: ['easy', 'medium', 'hard'] },
+            estimatedTime: text,
+            topics: textList
+          }
+        }
+      },
+      recommendedTopics: textList,
+      practiceExercises: textList
+    }
+  },
+
+  translateTopic: {
+    type: 'object',
+    required: ['title', 'description'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1 },
+      tags: textList,
+      proArguments: textList,
+      conArguments: textList,
+      evidence: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['title', 'description', 'source'],
+          properties: {
+            title: text,
+            description: text,
+            source: text,
+            url: { type: ['string', 'null'] },
+            side: { enum: ['pro', 'con', 'neutral'] }
+          }
+        }
+      }
+    }
+  }
+};
+
+const validators = Object.fromEntries(Object.entries(SCHEMAS).map(([operation, schema]) => [operation, ajv.compile(schema)]));
+
+/**
+ * Extract the JSON value from a model reply
+ * Accepts bare JSON, JSON in a code fence, or JSON surrounded by prose.
+ * @param {string} content - Model reply
+ * @param {string} type - 'object' or 'array'
+ * @returns {*} Parsed value
+ */
+const extractJson = (content, type = 'object') => {
+  const unfenced = (content || '').replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch (error) {
+    const [open, close] = type === 'array' ? ['[', ']'] : ['{', '}'];
+    const start = unfenced.indexOf(open);
+    const end = unfenced.lastIndexOf(close);
+
+    if (start === -1 || end <= start) {
+      throw new Error(`No JSON ${type} found in response`);
+    }
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+};
+
+/**
+ * Parse and validate a model reply
+ * @param {string} operation - AI operation
+ * @param {string} content - Model reply
+ * @returns {Object} { valid, data, errors }
+ */
+const parse = (operation, content) => {
+  const schema = SCHEMAS[operation];
+  if (!schema) {
+    throw new Error(`No output schema for operation: ${operation}`);
+  }
+
+  let data;
+  try {
+    data = extractJson(content, schema.type);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Reply is not valid JSON: ${error.message}`] };
+  }
+
+  const validate = validators[operation];
+  if (validate(data)) {
+    return { valid: true, data, errors: [] };
+  }
+
+  return {
+    valid: false,
+    data,
+    errors: validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  };
+};
+
+/**
+ * Build the follow-up message asking the model to fix an invalid reply
+ * @param {string} operation - AI operation
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair instructions
+ */
+const buildRepairPrompt = (operation, errors) => {
+  return `Your reply did not match the required format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Reply again with only the corrected JSON, with no text before or after it. It must match this JSON Schema:
+${JSON.stringify(SCHEMAS[operation])}`;
+};
+
+module.exports = {
+  SCHEMAS,
+  PERFORMANCE_SCORE_FIELDS,
+  extractJson,
+  parse,
+  buildRepairPrompt
+};
\ No newline at end of file
@@ -1,15 +1,131 @@
-const OpenAI = require('openai');
 const logger = require('../config/logger');
+const { getProvider } = require('./aiProviders');
+const turnEngine = require('./turnEngine');
+const personas = require('./personas');
+const evidenceIndex = require('./evidenceIndex');
+const promptTemplates = require('./promptTemplates');
+const aiSchemas = require('./aiSchemas');
+const usageMeter = require('./usageMeter');
+const responseCache = require('./responseCache');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
+/**
+ * AI Service
+ * Handles all AI-related operations. Model calls go through the provider
+ * configured for each operation (see aiProviders).
+ */
+
+// Who a call is for, as recorded in its usage entry: the caller's user, else the session owner
+const meterFor = (params = {}) => ({
+  userId: params.userId || params.session?.userId || null,
+  sessionId: params.sessionId || params.session?._id || null
 });
 
+// Language a call answers in: the caller's choice, else the session's
+const languageFor = (params = {}) => params.language || params.session?.language || 'en';
+
+// Tokens of a call as the provider reported them, or counted from the text when it reported none
+const measureUsage = (messages, content, usage) => {
+  if (usage && usage.total) {
+    return { tokens: usage, estimated: false };
+  }
+
+  const prompt = messages.reduce((sum, msg) => sum + usageMeter.estimateTokens(msg.content), 0);
+  const completion = usageMeter.estimateTokens(content);
+  return { tokens: { prompt, completion, total: prompt + completion }, estimated: true };
+};
+
 /**
- * AI Service
- * Handles all AI-related operations including OpenAI integration
+ * Run a completion with the provider configured for an operation, and record its usage
+ * @param {string} operation - Operation name used for provider selection
+ * @param {Object} options - Completion options (messages, maxTokens, temperature, ...)
+ * @param {Object} meter - { userId, sessionId } the call is recorded against
+ * @returns {Promise<Object>} Provider result ({ content, model, provider, usage, latencyMs })
  */
+const complete = async (operation, options, meter = {}) => {
+  const provider = getProvider(operation);
+  const startedAt = Date.now();
+
+  try {
+    const completion = await provider.complete({ operation, ...options });
+    const latencyMs = Date.now() - startedAt;
+    const { tokens, estimated } = measureUsage(options.messages, completion.content, completion.usage);
+
+    usageMeter.record({ ...meter, operation, provider: completion.provider, model: completion.model, tokens, estimated, latencyMs });
+
+    return { ...completion, usage: tokens, latencyMs };
+  } catch (error) {
+    usageMeter.record({ ...meter, operation, provider: provider.name, latencyMs: Date.now() - startedAt, success: false });
+    throw error;
+  }
+};
+
+/**
+ * Build the chat messages for a debate reply
+ * @param {Object} params - Response generation parameters
+ * @returns {Promise<Object>} Messages plus the AI's side
+ */
+const buildResponseMessages = async (params) => {
+  const { userMessage, context, topic, chosenSide, difficulty, session, persona, passages } = params;
+
+  // Build conversation context
+  const conversationHistory = context.map(msg => ({
+    role: msg.senderType === 'user' ? 'user' : 'assistant',
+    content: msg.content
+  }));
+
+  const aiSide = getAISide(chosenSide);
+
+  // Build system prompt
+  const systemPrompt = await buildSystemPrompt(topic, aiSide, difficulty, session, persona, passages);
+
+  // Prepare chat messages
+  const messages = [
+    { role: 'system', content: systemPrompt.text },
+    ...conversationHistory,
+    { role: 'user', content: userMessage }
+  ];
+
+  return { messages, aiSide };
+};
+
+// AI's side is the opposite of the user's chosen side; older clients send for/against
+const getAISide = (chosenSide) => (['pro', 'for'].includes(chosenSide) ? 'con' : 'pro');
+
+/**
+ * Load what a reply is built from, unless the caller passed it:
+ * the session's persona and the evidence passages relevant to the user's message
+ * @param {Object} params - Response generation parameters
+ * @returns {Promise<Object>} Parameters with persona and passages set
+ */
+const prepareResponse = async (params) => {
+  const prepared = { ...params };
+
+  if (!prepared.persona && prepared.session) {
+    const { aiPersonality, personaVersion } = prepared.session;
+    prepared.persona = await personas.getPersona(aiPersonality, personaVersion);
+  }
+
+  if (!prepared.passages) {
+    try {
+      prepared.passages = await evidenceIndex.retrieve(prepared.topic, prepared.userMessage, getAISide(prepared.chosenSide));
+    } catch (error) {
+      // Answer without sources rather than not at all
+      logger.error('Error retrieving evidence passages:', error);
+      prepared.passages = [];
+    }
+  }
+
+  return prepared;
+};
+
+const RESPONSE_TEMPERATURES = {
+  easy: 0.7,
+  medium: 0.5,
+  hard: 0.3,
+  expert: 0.2
+};
+
+const getResponseTemperature = (difficulty) => RESPONSE_TEMPERATURES[difficulty] || RESPONSE_TEMPERATURES.medium;
 
 /**
  * Generate AI response for debate
@@ -18,38 +134,21 @@ const openai = new OpenAI({
  */
 const generateResponse = async (params) => {
   try {
-    const { sessionId, userMessage, context, topic, chosenSide, difficulty, session } = params;
-
-    // Build conversation context
-    const conversationHistory = context.map(msg => ({
-      role: msg.senderType === 'user' ? 'user' : 'assistant',
-      content: msg.content
-    }));
-
-    // Determine AI's side (opposite of user's chosen side)
-    const aiSide = chosenSide === 'for' ? 'against' : 'for';
-
-    // Build system prompt
-    const systemPrompt = buildSystemPrompt(topic, aiSide, difficulty, session);
-
-    // Prepare messages for OpenAI
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory,
-      { role: 'user', content: userMessage }
-    ];
-
-    // Generate response using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    const { userMessage, topic, difficulty } = params;
+    const prepared = await prepareResponse(params);
+    const { messages, aiSide } = await buildResponseMessages(prepared);
+    const meter = meterFor(params);
+
+    // Generate response using the configured AI provider
+    const completion = await complete('generateResponse', {
       messages,
-      max_tokens: 500,
-      temperature: difficulty === 'easy' ? 0.7 : difficulty === 'hard' ? 0.3 : 0.5,
-      presence_penalty: 0.1,
-      frequency_penalty: 0.1
-    });
+      maxTokens: 500,
+      temperature: getResponseTemperature(difficulty),
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
+    }, meter);
 
-    const aiContent = completion.choices[0].message.content;
+    const aiContent = completion.content;
 
     // Analyze the response type
     const responseType = analyzeResponseType(aiContent, userMessage);
@@ -58,15 +157,20 @@ const generateResponse = async (params) => {
     const confidence = calculateConfidence(aiContent, topic, aiSide);
 
     // Generate reasoning and suggestions
-    const reasoning = await generateReasoning(aiContent, userMessage, topic);
-    const suggestions = await generateSuggestions(aiContent, topic, aiSide);
+    const language = languageFor(params);
+    const reasoning = await generateReasoning(aiContent, userMessage, topic, meter, language);
+    const suggestions = await generateSuggestions(aiContent, topic, aiSide, meter, language);
 
     return {
       content: aiContent,
       type: responseType,
       confidence,
       reasoning,
-      suggestions
+      suggestions,
+      citations: evidenceIndex.extractCitations(aiContent, prepared.passages),
+      model: completion.model,
+      usage: completion.usage,
+      responseTime: completion.latencyMs
     };
   } catch (error) {
     logger.error('Error generating AI response:', error);
@@ -74,16 +178,115 @@ const generateResponse = async (params) => {
   }
 };
 
+/**
+ * Stream an AI response for debate token by token
+ * Yields { delta } chunks while the model writes, then a final
+ * { done, content, type, confidence, citations, model, usage } summary.
+ * Stop iterating early to abort; the caller keeps whatever text it has received.
+ * @param {Object} params - Response generation parameters (same as generateResponse)
+ * @returns {AsyncGenerator<Object>} Stream of chunks
+ */
+const streamResponse = async function* (params) {
+  const { userMessage, topic, difficulty } = params;
+  const prepared = await prepareResponse(params);
+  const { messages, aiSide } = await buildResponseMessages(prepared);
+  const provider = getProvider('generateResponse');
+  const startedAt = Date.now();
+
+  let content = '';
+  let summary = null;
+
+  try {
+    for await (const chunk of provider.stream({
+      operation: 'generateResponse',
+      messages,
+      maxTokens: 500,
+      temperature: getResponseTemperature(difficulty),
+      presencePenalty: 0.1,
+      frequencyPenalty: 0.1
+    })) {
+      if (chunk.done) {
+        summary = chunk;
+        yield {
+          done: true,
+          content,
+          type: analyzeResponseType(content, userMessage),
+          confidence: calculateConfidence(content, topic, aiSide),
+          citations: evidenceIndex.extractCitations(content, prepared.passages),
+          model: chunk.model,
+          provider: chunk.provider,
+          usage: chunk.usage
+        };
+        return;
+      }
+
+      content += chunk.delta;
+      yield { delta: chunk.delta };
+    }
+  } catch (error) {
+    logger.error('Error streaming AI response:', error);
+    throw new Error('Failed to generate AI response');
+  } finally {
+    // Stopped and failed streams are recorded too: the text generated so far is still billed
+    const { tokens, estimated } = measureUsage(messages, content, summary && summary.usage);
+    usageMeter.record({
+      ...meterFor(params),
+      operation: 'generateResponse',
+      provider: summary ? summary.provider : provider.name,
+      model: summary ? summary.model : null,
+      tokens,
+      estimated,
+      latencyMs: Date.now() - startedAt,
+      success: Boolean(summary)
+    });
+  }
+};
+
+/**
+ * Run a completion whose reply must match the operation's JSON Schema (see aiSchemas)
+ * Invalid replies go back to the model with the validation errors, up to
+ * AI_OUTPUT_REPAIR_ATTEMPTS more times.
+ * @param {string} operation - Operation name
+ * @param {Object} options - Completion options (messages, maxTokens, temperature, ...)
+ * @param {Object} meter - { userId, sessionId } the calls are recorded against
+ * @returns {Promise<Object>} { data, model, degraded, errors }; data is null and degraded true when every attempt failed
+ */
+const completeStructured = async (operation, options, meter = {}) => {
+  const repairAttempts = parseInt(process.env.AI_OUTPUT_REPAIR_ATTEMPTS || '2');
+  const messages = [...options.messages];
+  let completion = null;
+  let result = null;
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt += 1) {
+    completion = await complete(operation, { ...options, messages }, meter);
+    result = aiSchemas.parse(operation, completion.content);
+
+    if (result.valid) {
+      return { data: result.data, model: completion.model, degraded: false, errors: [] };
+    }
+
+    logger.warn(`Invalid ${operation} output (attempt ${attempt + 1}): ${result.errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: aiSchemas.buildRepairPrompt(operation, result.errors) }
+    );
+  }
+
+  logger.error(`${operation} output still invalid after ${repairAttempts + 1} attempts, using fallback`);
+  return { data: null, model: completion.model, degraded: true, errors: result.errors };
+};
+
 /**
  * Analyze debate performance
  * @param {string} sessionId - Session ID
  * @param {Array} messages - Debate messages
- * @param {Object} options - Analysis options
- * @returns {Promise<Object>} Performance analysis
+ * @param {Object} options - Analysis options (topic, chosenSide, includeDetailed, session, userId)
+ * @returns {Promise<Object>} Performance analysis (scores 0-100), with the model and prompt template version used.
+ * Cached; the analysis of a completed session is kept for good.
  */
 const analyzePerformance = async (sessionId, messages, options = {}) => {
   try {
-    const { topic, chosenSide, includeDetailed = true } = options;
+    const { topic, chosenSide, includeDetailed = true, session } = options;
 
     // Filter user messages
     const userMessages = messages.filter(msg => msg.senderType === 'user');
@@ -100,7 +303,8 @@ const analyzePerformance = async (sessionId, messages, options = {}) => {
           weaknesses: ['No arguments provided'],
           suggestions: ['Start by providing your main argument'],
           detailedAnalysis: 'No debate content to analyze.'
-        }
+        },
+        degraded: false
       };
     }
 
@@ -108,28 +312,115 @@ const analyzePerformance = async (sessionId, messages, options = {}) => {
     const debateContent = userMessages.map(msg => msg.content).join('\n\n');
 
     // Build analysis prompt
-    const analysisPrompt = buildAnalysisPrompt(debateContent, topic, chosenSide, includeDetailed);
+    const analysisPrompt = await buildAnalysisPrompt(debateContent, topic, chosenSide, includeDetailed, session);
+
+    const { text, ...prompt } = analysisPrompt;
+
+    const { value, cached } = await responseCache.getOrProduce({
+      operation: 'analyzePerformance',
+      key: responseCache.buildKey('analyzePerformance', { debateContent, topic: topic?.title, chosenSide, includeDetailed, language: languageFor(options) }, prompt),
+      prompt,
+      sessionId,
+      final: session?.status === 'completed'
+    }, async () => {
+      // Generate analysis using the configured AI provider
+      const result = await completeStructured('analyzePerformance', {
+        messages: [
+          { role: 'system', content: text },
+          { role: 'user', content: debateContent }
+        ],
+        maxTokens: 1000,
+        temperature: 0.3
+      }, meterFor({ ...options, sessionId }));
+
+      return { ...(result.data || FALLBACKS.analyzePerformance), degraded: result.degraded, model: result.model, prompt };
+    });
 
-    // Generate analysis using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    return { ...value, cached };
+  } catch (error) {
+    logger.error('Error analyzing performance:', error);
+    throw new Error('Failed to analyze performance');
+  }
+};
+
+/**
+ * Analyze a single debate message: fallacies, claim/warrant/impact structure and scores
+ * There is no fallback; a message whose analysis stays invalid is left unanalyzed.
+ * @param {Object} params - { content, topic, side, previousMessage, session, userId }
+ * @returns {Promise<Object>} Message analysis
+ */
+const analyzeMessage = async (params) => {
+  try {
+    const { content, topic, side, previousMessage, session } = params;
+
+    // Build message analysis prompt
+    const analysisPrompt = await buildMessageAnalysisPrompt(topic, side, previousMessage, session);
+
+    // Analyze the message using the configured AI provider
+    const result = await completeStructured('analyzeMessage', {
       messages: [
-        { role: 'system', content: analysisPrompt },
-        { role: 'user', content: debateContent }
+        { role: 'system', content: analysisPrompt.text },
+        { role: 'user', content }
       ],
-      max_tokens: 1000,
-      temperature: 0.3
-    });
+      maxTokens: 600,
+      temperature: 0.2
+    }, meterFor(params));
 
-    const analysisText = completion.choices[0].message.content;
+    if (result.degraded) {
+      throw new Error(`Invalid message analysis: ${result.errors.join('; ')}`);
+    }
+
+    return { ...toMessageAnalysis(result.data), model: result.model };
+  } catch (error) {
+    logger.error('Error analyzing message:', error);
+    throw new Error('Failed to analyze message');
+  }
+};
+
+/**
+ * Adjudicate a finished debate from the full transcript, both sides included
+ * @param {Object} params - { session, topic, messages }
+ * @returns {Promise<Object>} Ballot: winner, decision, flow, speakerPoints, scores, model, noContest, degraded
+ */
+const adjudicateDebate = async (params) => {
+  try {
+    const { session, topic, messages } = params;
 
-    // Parse the analysis response
-    const analysis = parseAnalysisResponse(analysisText);
+    const transcript = buildTranscript(session, messages);
 
-    return analysis;
+    // Nobody argued, so nobody won or lost
+    if (!transcript) {
+      return {
+        winner: null,
+        decision: 'No arguments were made, so there is nothing to adjudicate.',
+        flow: [],
+        speakerPoints: { pro: null, con: null },
+        scores: { pro: null, con: null },
+        model: null,
+        noContest: true,
+        degraded: false
+      };
+    }
+
+    // Build adjudication prompt
+    const adjudicationPrompt = await buildAdjudicationPrompt(topic, session);
+
+    // Judge the debate using the configured AI provider
+    const result = await completeStructured('adjudicateDebate', {
+      messages: [
+        { role: 'system', content: adjudicationPrompt.text },
+        { role: 'user', content: transcript }
+      ],
+      maxTokens: 1500,
+      temperature: 0.2
+    }, meterFor(params));
+
+    const ballot = result.data ? toBallot(result.data) : FALLBACKS.adjudicateDebate;
+
+    return { ...ballot, model: result.model, degraded: result.degraded };
   } catch (error) {
-    logger.error('Error analyzing performance:', error);
-    throw new Error('Failed to analyze performance');
+    logger.error('Error adjudicating debate:', error);
+    throw new Error('Failed to adjudicate debate');
   }
 };
 
@@ -143,25 +434,19 @@ const generateFeedback = async (params) => {
     const { session, metrics, userHistory, focusAreas, skillLevel } = params;
 
     // Build feedback prompt
-    const feedbackPrompt = buildFeedbackPrompt(session, metrics, userHistory, focusAreas, skillLevel);
+    const feedbackPrompt = await buildFeedbackPrompt(session, metrics, userHistory, focusAreas, skillLevel);
 
-    // Generate feedback using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    // Generate feedback using the configured AI provider
+    const result = await completeStructured('generateFeedback', {
       messages: [
-        { role: 'system', content: feedbackPrompt },
+        { role: 'system', content: feedbackPrompt.text },
         { role: 'user', content: 'Generate personalized feedback for this debate session.' }
       ],
-      max_tokens: 800,
+      maxTokens: 800,
       temperature: 0.4
-    });
+    }, meterFor(params));
 
-    const feedbackText = completion.choices[0].message.content;
-
-    // Parse the feedback response
-    const feedback = parseFeedbackResponse(feedbackText);
-
-    return feedback;
+    return { ...(result.data || FALLBACKS.generateFeedback), degraded: result.degraded };
   } catch (error) {
     logger.error('Error generating feedback:', error);
     throw new Error('Failed to generate feedback');
@@ -171,32 +456,37 @@ const generateFeedback = async (params) => {
 /**
  * Suggest debate topics
  * @param {Object} params - Topic suggestion parameters
- * @returns {Promise<Array>} Topic suggestions
+ * @returns {Promise<Object>} { suggestions, degraded }
  */
 const suggestTopics = async (params) => {
   try {
     const { interests, skillLevel, category, count, userHistory } = params;
+    const language = languageFor(params);
 
     // Build suggestion prompt
-    const suggestionPrompt = buildTopicSuggestionPrompt(interests, skillLevel, category, count, userHistory);
-
-    // Generate suggestions using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        { role: 'system', content: suggestionPrompt },
-        { role: 'user', content: 'Suggest debate topics based on the provided criteria.' }
-      ],
-      max_tokens: 600,
-      temperature: 0.7
+    const suggestionPrompt = await buildTopicSuggestionPrompt(interests, skillLevel, category, count, userHistory, language);
+
+    const previousTopics = userHistory.map(h => h.topicId.title);
+
+    const { value, cached } = await responseCache.getOrProduce({
+      operation: 'suggestTopics',
+      key: responseCache.buildKey('suggestTopics', { interests, skillLevel, category, count, previousTopics, language }, suggestionPrompt),
+      prompt: suggestionPrompt
+    }, async () => {
+      // Generate suggestions using the configured AI provider
+      const result = await completeStructured('suggestTopics', {
+        messages: [
+          { role: 'system', content: suggestionPrompt.text },
+          { role: 'user', content: 'Suggest debate topics based on the provided criteria.' }
+        ],
+        maxTokens: 600,
+        temperature: 0.7
+      }, meterFor(params));
+
+      return { suggestions: result.data || [], degraded: result.degraded };
     });
 
-    const suggestionsText = completion.choices[0].message.content;
-
-    // Parse the suggestions response
-    const suggestions = parseTopicSuggestions(suggestionsText);
-
-    return suggestions;
+    return { ...value, cached };
   } catch (error) {
     logger.error('Error suggesting topics:', error);
     throw new Error('Failed to suggest topics');
@@ -211,27 +501,33 @@ const suggestTopics = async (params) => {
 const improveArgument = async (params) => {
   try {
     const { argument, topic, side, focusAreas } = params;
+    const language = languageFor(params);
 
     // Build improvement prompt
-    const improvementPrompt = buildArgumentImprovementPrompt(argument, topic, side, focusAreas);
-
-    // Generate improvements using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        { role: 'system', content: improvementPrompt },
-        { role: 'user', content: argument }
-      ],
-      max_tokens: 600,
-      temperature: 0.4
+    const improvementPrompt = await buildArgumentImprovementPrompt(argument, topic, side, focusAreas, language);
+
+    const { value, cached } = await responseCache.getOrProduce({
+      operation: 'improveArgument',
+      key: responseCache.buildKey('improveArgument', { argument, topic, side, focusAreas, language }, improvementPrompt),
+      prompt: improvementPrompt
+    }, async () => {
+      // Generate improvements using the configured AI provider
+      const result = await completeStructured('improveArgument', {
+        messages: [
+          { role: 'system', content: improvementPrompt.text },
+          { role: 'user', content: argument }
+        ],
+        maxTokens: 600,
+        temperature: 0.4
+      }, meterFor(params));
+
+      // The fallback hands back the argument unchanged
+      const improvements = result.data || { ...FALLBACKS.improveArgument, improvedArgument: argument };
+
+      return { ...improvements, degraded: result.degraded };
     });
 
-    const improvementText = completion.choices[0].message.content;
-
-    // Parse the improvement response
-    const improvements = parseArgumentImprovement(improvementText);
-
-    return improvements;
+    return { ...value, cached };
   } catch (error) {
     logger.error('Error improving argument:', error);
     throw new Error('Failed to improve argument');
@@ -246,27 +542,30 @@ const improveArgument = async (params) => {
 const validateEvidence = async (params) => {
   try {
     const { argument, topic, existingEvidence } = params;
+    const language = languageFor(params);
 
     // Build validation prompt
-    const validationPrompt = buildEvidenceValidationPrompt(argument, topic, existingEvidence);
-
-    // Generate validation using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        { role: 'system', content: validationPrompt },
-        { role: 'user', content: 'Validate and suggest evidence for this argument.' }
-      ],
-      max_tokens: 800,
-      temperature: 0.3
+    const validationPrompt = await buildEvidenceValidationPrompt(argument, topic, existingEvidence, language);
+
+    const { value, cached } = await responseCache.getOrProduce({
+      operation: 'validateEvidence',
+      key: responseCache.buildKey('validateEvidence', { argument, topic, existingEvidence, language }, validationPrompt),
+      prompt: validationPrompt
+    }, async () => {
+      // Generate validation using the configured AI provider
+      const result = await completeStructured('validateEvidence', {
+        messages: [
+          { role: 'system', content: validationPrompt.text },
+          { role: 'user', content: 'Validate and suggest evidence for this argument.' }
+        ],
+        maxTokens: 800,
+        temperature: 0.3
+      }, meterFor(params));
+
+      return { ...(result.data || FALLBACKS.validateEvidence), degraded: result.degraded };
     });
 
-    const validationText = completion.choices[0].message.content;
-
-    // Parse the validation response
-    const validation = parseEvidenceValidation(validationText);
-
-    return validation;
+    return { ...value, cached };
   } catch (error) {
     logger.error('Error validating evidence:', error);
     throw new Error('Failed to validate evidence');
@@ -281,348 +580,363 @@ const validateEvidence = async (params) => {
 const generateLearningPath = async (params) => {
   try {
     const { skillLevel, interests, goals, stats, topicPreferences } = params;
+    const language = languageFor(params);
 
     // Build learning path prompt
-    const learningPathPrompt = buildLearningPathPrompt(skillLevel, interests, goals, stats, topicPreferences);
-
-    // Generate learning path using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
-      messages: [
-        { role: 'system', content: learningPathPrompt },
-        { role: 'user', content: 'Generate a personalized learning path for debate improvement.' }
-      ],
-      max_tokens: 1000,
-      temperature: 0.4
+    const learningPathPrompt = await buildLearningPathPrompt(skillLevel, interests, goals, stats, topicPreferences, language);
+
+    const { value, cached } = await responseCache.getOrProduce({
+      operation: 'generateLearningPath',
+      key: responseCache.buildKey('generateLearningPath', { skillLevel, interests, goals, stats, topicPreferences, language }, learningPathPrompt),
+      prompt: learningPathPrompt
+    }, async () => {
+      // Generate learning path using the configured AI provider
+      const result = await completeStructured('generateLearningPath', {
+        messages: [
+          { role: 'system', content: learningPathPrompt.text },
+          { role: 'user', content: 'Generate a personalized learning path for debate improvement.' }
+        ],
+        maxTokens: 1000,
+        temperature: 0.4
+      }, meterFor(params));
+
+      return { ...(result.data || FALLBACKS.generateLearningPath), degraded: result.degraded };
     });
 
-    const learningPathText = completion.choices[0].message.content;
-
-    // Parse the learning path response
-    const learningPath = parseLearningPath(learningPathText);
-
-    return learningPath;
+    return { ...value, cached };
   } catch (error) {
     logger.error('Error generating learning path:', error);
     throw new Error('Failed to generate learning path');
   }
 };
 
-// Helper functions for building prompts and parsing responses
+/**
+ * Machine-translate a topic's content
+ * Category, difficulty and evidence sources are not translated; the caller copies them.
+ * @param {Object} params - { topic, language, userId }
+ * @returns {Promise<Object>} { content, model, degraded }; content is null when the translation stayed invalid
+ */
+const translateTopic = async (params) => {
+  try {
+    const { topic, language } = params;
+
+    const translationPrompt = await buildTopicTranslationPrompt(topic, language);
+    const original = {
+      title: topic.title,
+      description: topic.description,
+      tags: topic.tags || [],
+      proArguments: topic.proArguments || [],
+      conArguments: topic.conArguments || [],
+      evidence: (topic.evidence || []).map(({ title, description, source, url, side }) => ({ title, description, source, url, side }))
+    };
 
-const buildSystemPrompt = (topic, aiSide, difficulty, session) => {
-  const difficultyLevels = {
-    easy: 'Beginner-friendly responses with clear explanations',
-    medium: 'Balanced responses with moderate complexity',
-    hard: 'Advanced responses with sophisticated arguments'
-  };
+    // Translate using the configured AI provider
+    const result = await completeStructured('translateTopic', {
+      messages: [
+        { role: 'system', content: translationPrompt.text },
+        { role: 'user', content: JSON.stringify(original, null, 2) }
+      ],
+      maxTokens: 2000,
+      temperature: 0.2
+    }, meterFor(params));
 
-  return `You are an AI debate opponent in a formal debate setting. You are arguing for the ${aiSide} side of the topic: "${topic.title}".
-
-Topic Description: ${topic.description}
-Your Side: ${aiSide}
-Difficulty Level: ${difficultyLevels[difficulty]}
-
-Guidelines:
-- Stay in character as a debate opponent
-- Use logical arguments and evidence when available
-- Respond appropriately to the user's arguments
-- Maintain a respectful and professional tone
-- Keep responses concise but substantive
-- Ask clarifying questions when needed
-- Provide counter-arguments and rebuttals
-- Use the provided evidence and arguments from the topic when relevant
-
-Available evidence for your side: ${JSON.stringify(topic.evidence || [])}
-Available arguments for your side: ${JSON.stringify(topic.arguments?.[aiSide] || [])}
-
-Respond naturally to the user's message while following these guidelines.`;
-};
-
-const buildAnalysisPrompt = (debateContent, topic, chosenSide, includeDetailed) => {
-  return `Analyze the following debate performance and provide a comprehensive evaluation.
-
-Topic: ${topic.title}
-User's Side: ${chosenSide}
-Debate Content: ${debateContent}
-
-Please provide an analysis in the following JSON format:
-{
-  "argumentStrength": <score 0-10>,
-  "logicalConsistency": <score 0-10>,
-  "evidenceUse": <score 0-10>,
-  "rebuttalQuality": <score 0-10>,
-  "overallScore": <score 0-10>,
-  "feedback": {
-    "strengths": ["strength1", "strength2"],
-    "weaknesses": ["weakness1", "weakness2"],
-    "suggestions": ["suggestion1", "suggestion2"],
-    "detailedAnalysis": "comprehensive analysis text"
+    return { content: result.data, model: result.model, degraded: result.degraded };
+  } catch (error) {
+    logger.error('Error translating topic:', error);
+    throw new Error('Failed to translate topic');
   }
-}
+};
 
-Scoring criteria:
-- Argument Strength: Quality and persuasiveness of arguments
-- Logical Consistency: Coherence and logical flow
-- Evidence Use: Appropriate use of facts and examples
-- Rebuttal Quality: Effectiveness of counter-arguments
-- Overall Score: Weighted average considering all factors
+// Helper functions for building prompts and parsing responses
+// Prompt text lives in versioned templates (see promptTemplates); these fill in the variables
 
-${includeDetailed ? 'Provide detailed analysis with specific examples from the debate content.' : 'Provide concise analysis focusing on key points.'}`;
+const PHASE_GUIDANCE = {
+  constructive: 'Present your case: state your main contentions, each with a warrant and an impact.',
+  'cross-examination': 'Ask or answer short, pointed questions. Do not deliver a speech.',
+  rebuttal: 'Answer the opposing arguments directly and rebuild your own case.',
+  closing: 'Summarise the key clashes and explain why your side wins them. Do not introduce new arguments.'
 };
 
-const buildFeedbackPrompt = (session, metrics, userHistory, focusAreas, skillLevel) => {
-  return `Generate personalized feedback for a debate session.
-
-Session Details:
-- Topic: ${session.topicId.title}
-- User's Side: ${session.chosenSide}
-- Final Score: ${metrics.overallScore}
-- Skill Level: ${skillLevel}
-
-Performance Metrics:
-- Argument Strength: ${metrics.argumentStrength}/10
-- Logical Consistency: ${metrics.logicalConsistency}/10
-- Evidence Use: ${metrics.evidenceUse}/10
-- Rebuttal Quality: ${metrics.rebuttalQuality}/10
-
-User History: ${userHistory.length} previous debates
-Focus Areas: ${focusAreas?.join(', ') || 'General improvement'}
-
-Provide feedback in the following JSON format:
-{
-  "summary": "overall performance summary",
-  "strengths": ["strength1", "strength2"],
-  "areasForImprovement": ["area1", "area2"],
-  "specificSuggestions": [
-    {
-      "area": "argumentation",
-      "suggestion": "specific suggestion",
-      "example": "example or explanation"
-    }
-  ],
-  "practiceRecommendations": ["recommendation1", "recommendation2"]
-}
-
-Focus on actionable advice tailored to the user's skill level and specific areas for improvement.`;
-};
-
-const buildTopicSuggestionPrompt = (interests, skillLevel, category, count, userHistory) => {
-  return `Suggest debate topics based on the following criteria:
-
-User Interests: ${interests?.join(', ') || 'General topics'}
-Skill Level: ${skillLevel}
-Preferred Category: ${category || 'Any'}
-Number of Suggestions: ${count}
-Previous Topics: ${userHistory.map(h => h.topicId.title).join(', ')}
-
-Provide suggestions in the following JSON format:
-[
-  {
-    "title": "Debate topic title",
-    "description": "Brief description of the topic",
-    "category": "topic category",
-    "difficulty": "easy/medium/hard",
-    "reasoning": "Why this topic is suitable"
+const isCrossExamination = (session) => {
+  if (!session || !turnEngine.isStructured(session)) return false;
+
+  const phase = turnEngine.getCurrentPhase(session);
+  return Boolean(phase && phase.type === 'cross-examination');
+};
+
+const buildPhaseInstructions = (session, aiSide) => {
+  if (!session || !turnEngine.isStructured(session)) return '';
+
+  const phase = turnEngine.getCurrentPhase(session);
+  if (!phase) return '';
+
+  const role = phase.questioner
+    ? (phase.questioner === aiSide ? 'You are asking the questions.' : 'You are answering the questions.')
+    : '';
+
+  return `
+Debate Format: ${turnEngine.getFormat(session.sessionSettings.format).name}
+Current Phase: ${phase.name} (${phase.type}, ${Math.round(phase.timeLimit / 60)} minutes)
+Phase Instructions: ${PHASE_GUIDANCE[phase.type]} ${role}
+`;
+};
+
+const buildSourcesSection = (passages) => {
+  if (!passages || passages.length === 0) {
+    return 'No sources were found for this message. Do not invent statistics, studies or quotations.\n';
   }
-]
 
-Consider the user's interests, skill level, and previous debate history to provide relevant and engaging topic suggestions.`;
+  const sources = passages.map((passage, index) => {
+    return `[${index + 1}] ${passage.title} (${passage.source}): ${passage.text}`;
+  });
+
+  return `Sources:
+${sources.join('\n')}
+
+When a claim relies on a source, cite it inline with its number, for example [1]. Only cite the sources listed above, and do not invent statistics, studies or quotations.
+`;
+};
+
+const buildSystemPrompt = (topic, aiSide, difficulty, session, persona, passages) => {
+  // The difficulty can change between turns (services/adaptiveDifficulty), so each level spells out how hard to push
+  const difficultyLevels = {
+    easy: 'Beginner-friendly responses with clear explanations. Make one main point per reply, avoid jargon, and leave the user room to respond to it',
+    medium: 'Balanced responses with moderate complexity. Answer the user\'s main point and add one new argument',
+    hard: 'Advanced responses with sophisticated arguments. Rebut each of the user\'s points, press on unsupported claims and weigh impacts',
+    expert: 'Championship-level responses. Attack the weakest link in every argument, name any logical fallacies, turn the user\'s evidence against them and give no ground without a concession in return'
+  };
+
+  return promptTemplates.renderPrompt('debate-response', {
+    aiSide,
+    topicTitle: topic.title,
+    topicDescription: topic.description,
+    difficulty: difficultyLevels[difficulty] || difficultyLevels.medium,
+    personaInstructions: personas.buildPersonaInstructions(persona, isCrossExamination(session)),
+    phaseInstructions: buildPhaseInstructions(session, aiSide),
+    sources: buildSourcesSection(passages)
+  }, session);
 };
 
-const buildArgumentImprovementPrompt = (argument, topic, side, focusAreas) => {
-  return `Improve the following argument for a debate.
+const buildAnalysisPrompt = (debateContent, topic, chosenSide, includeDetailed, session) => {
+  return promptTemplates.renderPrompt('performance-analysis', {
+    topicTitle: topic.title,
+    side: chosenSide,
+    debateContent,
+    detailInstruction: includeDetailed
+      ? 'Provide detailed analysis with specific examples from the debate content.'
+      : 'Provide concise analysis focusing on key points.'
+  }, session);
+};
 
-Original Argument: ${argument}
-Topic: ${topic}
-Side: ${side}
-Focus Areas: ${focusAreas?.join(', ') || 'General improvement'}
+const buildMessageAnalysisPrompt = (topic, side, previousMessage, session) => {
+  return promptTemplates.renderPrompt('message-analysis', {
+    topicTitle: topic ? topic.title : 'Unknown topic',
+    side,
+    exchangeContext: previousMessage ? `Message being answered: ${previousMessage}` : 'This message opens the exchange.',
+    fallacyTypes: MESSAGE_FALLACIES.join(', ')
+  }, session);
+};
 
-Provide improvements in the following JSON format:
-{
-  "improvedArgument": "enhanced version of the argument",
-  "suggestions": [
-    {
-      "type": "clarity/evidence/logic/structure/persuasiveness",
-      "description": "specific suggestion",
-      "example": "example or explanation"
-    }
-  ],
-  "reasoning": "explanation of improvements made"
-}
+// One line per speech, labelled with turn, side and message type
+const buildTranscript = (session, messages) => {
+  const aiSide = turnEngine.getOppositeSide(session.chosenSide);
+
+  return messages
+    // In two-user debates the AI only moderates, so its messages are not arguments
+    .filter(msg => msg.senderType === 'user' || session.mode !== 'human')
+    .map(msg => {
+      const side = msg.senderType === 'ai' ? aiSide : (msg.senderSide || session.chosenSide);
+      return `[Turn ${msg.turnNumber}] ${side.toUpperCase()} (${msg.messageType}): ${msg.content}`;
+    })
+    .join('\n\n');
+};
 
-Focus on making the argument more persuasive, logical, and well-supported while maintaining the original intent.`;
+const buildAdjudicationPrompt = (topic, session) => {
+  return promptTemplates.renderPrompt('adjudication', {
+    topicTitle: topic ? topic.title : 'Unknown topic',
+    format: turnEngine.getFormat(session.sessionSettings?.format).name
+  }, session);
 };
 
-const buildEvidenceValidationPrompt = (argument, topic, existingEvidence) => {
-  return `Validate and suggest evidence for the following argument.
+const toTenPointScale = (value) => (value === null || value === undefined ? 'n/a' : Math.round(value) / 10);
 
-Argument: ${argument}
-Topic: ${topic}
-Existing Evidence: ${JSON.stringify(existingEvidence || [])}
+const buildFeedbackPrompt = (session, metrics, userHistory, focusAreas, skillLevel) => {
+  return promptTemplates.renderPrompt('feedback', {
+    topicTitle: session.topicId.title,
+    side: session.chosenSide,
+    finalScore: metrics.overallScore,
+    skillLevel,
+    // Metrics are stored 0-100; the template shows them out of 10
+    argumentStrength: toTenPointScale(metrics.argumentStrength),
+    logicalConsistency: toTenPointScale(metrics.logicalConsistency),
+    evidenceUse: toTenPointScale(metrics.evidenceUse),
+    rebuttalQuality: toTenPointScale(metrics.rebuttalQuality),
+    previousDebates: userHistory.length,
+    focusAreas: focusAreas?.join(', ') || 'General improvement'
+  }, session);
+};
 
-Provide validation in the following JSON format:
-{
-  "validation": [
-    {
-      "evidence": { "source": "...", "description": "..." },
-      "isValid": true/false,
-      "issues": ["issue1", "issue2"],
-      "suggestions": ["suggestion1", "suggestion2"]
-    }
-  ],
-  "suggestions": [
-    {
-      "source": "evidence source",
-      "description": "evidence description",
-      "relevance": <score 0-10>,
-      "credibility": <score 0-10>
-    }
-  ]
-}
-
-Evaluate the quality, relevance, and credibility of existing evidence and suggest additional evidence that would strengthen the argument.`;
-};
-
-const buildLearningPathPrompt = (skillLevel, interests, goals, stats, topicPreferences) => {
-  return `Generate a personalized learning path for debate improvement.
-
-Current Status:
-- Skill Level: ${skillLevel}
-- Interests: ${interests?.join(', ') || 'General'}
-- Goals: ${goals || 'Improve debate skills'}
-- Total Debates: ${stats.totalDebates}
-- Average Score: ${stats.averageScore}
-- Topic Preferences: ${topicPreferences.map(p => p._id).join(', ')}
-
-Provide learning path in the following JSON format:
-{
-  "currentLevel": "beginner/intermediate/advanced/expert",
-  "targetLevel": "next level to achieve",
-  "milestones": [
-    {
-      "title": "milestone title",
-      "description": "milestone description",
-      "difficulty": "easy/medium/hard",
-      "estimatedTime": "time estimate",
-      "topics": ["topic1", "topic2"]
-    }
-  ],
-  "recommendedTopics": ["topic1", "topic2"],
-  "practiceExercises": ["exercise1", "exercise2"]
-}
+const buildTopicSuggestionPrompt = (interests, skillLevel, category, count, userHistory, language) => {
+  return promptTemplates.renderPrompt('topic-suggestion', {
+    interests: interests?.join(', ') || 'General topics',
+    skillLevel,
+    category: category || 'Any',
+    count,
+    previousTopics: userHistory.map(h => h.topicId.title).join(', ')
+  }, null, language);
+};
 
-Create a structured learning path that builds upon the user's current skills and addresses their specific areas for improvement.`;
+const buildArgumentImprovementPrompt = (argument, topic, side, focusAreas, language) => {
+  return promptTemplates.renderPrompt('argument-improvement', {
+    argument,
+    topic,
+    side,
+    focusAreas: focusAreas?.join(', ') || 'General improvement'
+  }, null, language);
 };
 
-// Response parsing functions
-const parseAnalysisResponse = (text) => {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No JSON found in response');
-  } catch (error) {
-    logger.error('Error parsing analysis response:', error);
-    return {
-      argumentStrength: 5,
-      logicalConsistency: 5,
-      evidenceUse: 5,
-      rebuttalQuality: 5,
-      overallScore: 5,
-      feedback: {
-        strengths: ['Analysis completed'],
-        weaknesses: ['Unable to parse detailed analysis'],
-        suggestions: ['Continue practicing debate skills'],
-        detailedAnalysis: text
-      }
-    };
-  }
+const buildEvidenceValidationPrompt = (argument, topic, existingEvidence, language) => {
+  return promptTemplates.renderPrompt('evidence-validation', {
+    argument,
+    topic,
+    existingEvidence: JSON.stringify(existingEvidence || [])
+  }, null, language);
 };
 
-const parseFeedbackResponse = (text) => {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No JSON found in response');
-  } catch (error) {
-    logger.error('Error parsing feedback response:', error);
-    return {
-      summary: 'Feedback generated successfully',
-      strengths: ['Good effort in the debate'],
-      areasForImprovement: ['Continue practicing'],
-      specificSuggestions: [],
-      practiceRecommendations: ['Practice regularly']
-    };
-  }
+const buildLearningPathPrompt = (skillLevel, interests, goals, stats, topicPreferences, language) => {
+  return promptTemplates.renderPrompt('learning-path', {
+    skillLevel,
+    interests: interests?.join(', ') || 'General',
+    goals: goals || 'Improve debate skills',
+    totalDebates: stats.totalDebates,
+    averageScore: stats.averageScore,
+    topicPreferences: topicPreferences.map(p => p._id).join(', ')
+  }, null, language);
 };
 
-const parseTopicSuggestions = (text) => {
-  try {
-    const jsonMatch = text.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No JSON array found in response');
-  } catch (error) {
-    logger.error('Error parsing topic suggestions:', error);
-    return [];
-  }
+const buildTopicTranslationPrompt = (topic, language) => {
+  // The target language is the point of the prompt, so it is a variable rather than the appended instruction
+  return promptTemplates.renderPrompt('topic-translation', {
+    sourceLanguage: promptTemplates.LANGUAGE_NAMES[topic.language] || 'English',
+    targetLanguage: promptTemplates.LANGUAGE_NAMES[language]
+  });
 };
 
-const parseArgumentImprovement = (text) => {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No JSON found in response');
-  } catch (error) {
-    logger.error('Error parsing argument improvement:', error);
-    return {
-      improvedArgument: text,
+// Response shaping and fallbacks
+// Replies are validated against aiSchemas before they get here
+
+// Results used when a reply stays invalid; they carry degraded: true and no made-up scores
+const FALLBACKS = {
+  analyzePerformance: {
+    argumentStrength: null,
+    logicalConsistency: null,
+    evidenceUse: null,
+    rebuttalQuality: null,
+    overallScore: null,
+    feedback: {
+      strengths: [],
+      weaknesses: [],
       suggestions: [],
-      reasoning: 'Improvement suggestions generated'
-    };
+      detailedAnalysis: 'The analysis could not be generated. Please try again later.'
+    }
+  },
+  adjudicateDebate: {
+    winner: null,
+    decision: 'The ballot could not be read, so the round was not judged.',
+    flow: [],
+    speakerPoints: { pro: null, con: null },
+    scores: { pro: null, con: null }
+  },
+  generateFeedback: {
+    summary: 'Feedback could not be generated for this session. Please try again later.',
+    strengths: [],
+    areasForImprovement: [],
+    specificSuggestions: [],
+    practiceRecommendations: []
+  },
+  improveArgument: {
+    suggestions: [],
+    reasoning: 'Improvements could not be generated, so the argument is unchanged.'
+  },
+  validateEvidence: {
+    validation: [],
+    suggestions: []
+  },
+  generateLearningPath: {
+    currentLevel: null,
+    targetLevel: null,
+    milestones: [],
+    recommendedTopics: [],
+    practiceExercises: []
   }
 };
 
-const parseEvidenceValidation = (text) => {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    throw new Error('No JSON found in response');
-  } catch (error) {
-    logger.error('Error parsing evidence validation:', error);
-    return {
-      validation: [],
-      suggestions: []
-    };
-  }
+const MESSAGE_FALLACIES = [
+  'strawman',
+  'ad-hominem',
+  'slippery-slope',
+  'false-dilemma',
+  'hasty-generalization',
+  'appeal-to-authority',
+  'appeal-to-emotion',
+  'red-herring',
+  'circular-reasoning',
+  'bandwagon',
+  'tu-quoque'
+];
+
+const MESSAGE_SCORE_FIELDS = ['argumentStrength', 'logicalConsistency', 'evidenceQuality', 'emotionalAppeal', 'clarity', 'relevance'];
+
+const toMessageAnalysis = (analysis) => {
+  const structurePart = (value) => (value ? String(value).slice(0, 500) : null);
+
+  const scores = {};
+  MESSAGE_SCORE_FIELDS.forEach(field => {
+    scores[field] = Math.round(analysis[field]);
+  });
+
+  return {
+    ...scores,
+    // Types outside the allowed list are dropped rather than retried
+    fallacies: analysis.fallacies
+      .filter(fallacy => MESSAGE_FALLACIES.includes(fallacy.type))
+      .map(fallacy => ({
+        type: fallacy.type,
+        excerpt: String(fallacy.excerpt || '').slice(0, 300),
+        explanation: String(fallacy.explanation || '').slice(0, 500),
+        confidence: fallacy.confidence ?? 0.5
+      })),
+    structure: {
+      claim: structurePart(analysis.structure.claim),
+      warrant: structurePart(analysis.structure.warrant),
+      impact: structurePart(analysis.structure.impact)
+    },
+    containsEvidence: Boolean(analysis.containsEvidence),
+    containsRebuttal: Boolean(analysis.containsRebuttal),
+    coaching: analysis.coaching ? String(analysis.coaching).slice(0, 500) : null
+  };
 };
 
-const parseLearningPath = (text) => {
-  try {
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+const toBallot = (ballot) => {
+  return {
+    winner: ballot.winner,
+    decision: ballot.decision.slice(0, 2000),
+    flow: (ballot.flow || []).map(point => ({
+      argument: point.argument.slice(0, 300),
+      side: point.side,
+      turnNumber: point.turnNumber ?? null,
+      status: point.status || 'extended',
+      note: String(point.note || '').slice(0, 500)
+    })),
+    speakerPoints: {
+      pro: ballot.speakerPoints?.pro ?? null,
+      con: ballot.speakerPoints?.con ?? null
+    },
+    scores: {
+      pro: Math.round(ballot.scores.pro),
+      con: Math.round(ballot.scores.con)
     }
-    throw new Error('No JSON found in response');
-  } catch (error) {
-    logger.error('Error parsing learning path:', error);
-    return {
-      currentLevel: 'beginner',
-      targetLevel: 'intermediate',
-      milestones: [],
-      recommendedTopics: [],
-      practiceExercises: []
-    };
-  }
+  };
 };
 
 // Utility functions
@@ -658,37 +972,35 @@ const calculateConfidence = (content, topic, aiSide) => {
   return Math.min(confidence, 0.95);
 };
 
-const generateReasoning = async (content, userMessage, topic) => {
+const generateReasoning = async (content, userMessage, topic, meter, language) => {
   try {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    const completion = await complete('generateReasoning', {
       messages: [
-        { role: 'system', content: 'Provide a brief explanation of the reasoning behind this debate response.' },
+        { role: 'system', content: `Provide a brief explanation of the reasoning behind this debate response.${promptTemplates.buildLanguageInstruction(language)}` },
         { role: 'user', content: `Response: ${content}\nUser's message: ${userMessage}\nTopic: ${topic.title}` }
       ],
-      max_tokens: 100,
+      maxTokens: 100,
       temperature: 0.3
-    });
+    }, meter);
     
-    return completion.choices[0].message.content;
+    return completion.content;
   } catch (error) {
     return 'Response generated based on debate context and topic information.';
   }
 };
 
-const generateSuggestions = async (content, topic, aiSide) => {
+const generateSuggestions = async (content, topic, aiSide, meter, language) => {
   try {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4',
+    const completion = await complete('generateSuggestions', {
       messages: [
-        { role: 'system', content: 'Suggest 2-3 follow-up points or questions for the debate.' },
+        { role: 'system', content: `Suggest 2-3 follow-up points or questions for the debate.${promptTemplates.buildLanguageInstruction(language)}` },
         { role: 'user', content: `Current response: ${content}\nTopic: ${topic.title}\nAI side: ${aiSide}` }
       ],
-      max_tokens: 150,
+      maxTokens: 150,
       temperature: 0.6
-    });
+    }, meter);
     
-    const suggestions = completion.choices[0].message.content.split('\n').filter(s => s.trim());
+    const suggestions = completion.content.split('\n').filter(s => s.trim());
     return suggestions.slice(0, 3);
   } catch (error) {
     return ['Continue the debate with your next argument.', 'Consider addressing the counter-points raised.'];
@@ -697,10 +1009,14 @@ const generateSuggestions = async (content, topic, aiSide) => {
 
 module.exports = {
   generateResponse,
+  streamResponse,
   analyzePerformance,
+  analyzeMessage,
+  adjudicateDebate,
   generateFeedback,
   suggestTopics,
   improveArgument,
   validateEvidence,
-  generateLearningPath
+  generateLearningPath,
+  translateTopic
 }; 
\ No newline at end of file
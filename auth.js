@@ -128,6 +128,8 @@ router.post('/register',
  *                       type: string
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is suspended or banned
  */
 router.post('/login',
   rateLimit(authRateLimit),
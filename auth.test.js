@@ -180,6 +180,53 @@ describe('Authentication Endpoints', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Please verify your email');
     });
+
+    it('should refuse login for a banned user', async () => {
+      await User.create({
+        name: 'Banned User',
+        email: 'banned@example.com',
+        password: 'password123',
+        sanctions: { isBanned: true, reason: 'Harassment' }
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'banned@example.com', password: 'password123' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Account is banned: Harassment');
+      expect(response.body.sanction.type).toBe('ban');
+    });
+
+    it('should refuse login until a suspension ends', async () => {
+      const user = await User.create({
+        name: 'Suspended User',
+        email: 'suspended@example.com',
+        password: 'password123',
+        sanctions: { suspendedUntil: new Date(Date.now() + 60 * 60 * 1000) }
+      });
+
+      const loginData = {
+        email: 'suspended@example.com',
+        password: 'password123'
+      };
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(loginData)
+        .expect(403);
+
+      expect(response.body.sanction.type).toBe('suspension');
+
+      user.sanctions.suspendedUntil = new Date(Date.now() - 1000);
+      await user.save();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send(loginData)
+        .expect(200);
+    });
   });
 
   describe('POST /api/auth/forgot-password', () => {
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
 const { sendEmail } = require('../utils/emailService');
 const logger = require('../debatesphere/backend/config/logger');
+const { describeSanction } = require('../services/sanctions');
 
 /**
  * Register a new user
@@ -38,8 +39,8 @@ const register = async (req, res, next) => {
       const verificationURL = `${process.env.BASE_URL}/api/auth/verify-email/${verificationToken}`;
       await sendEmail({
         email: user.email,
-        subject: 'Verify Your Email - DebateSphere',
         template: 'emailVerification',
+        language: user.preferences.language,
         data: {
           name: user.name,
           verificationURL
@@ -105,6 +106,16 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Check if user is banned or suspended
+    const sanction = user.getActiveSanction();
+    if (sanction) {
+      return res.status(403).json({
+        success: false,
+        error: describeSanction(sanction),
+        sanction
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
@@ -156,6 +167,16 @@ const logout = async (req, res, next) => {
 const refreshToken = async (req, res, next) => {
   try {
     const user = req.user;
+
+    // A ban or suspension ends the session at the next refresh
+    const sanction = user.getActiveSanction();
+    if (sanction) {
+      return res.status(403).json({
+        success: false,
+        error: describeSanction(sanction),
+        sanction
+      });
+    }
     
     // Generate new tokens
     const newToken = user.getSignedJwtToken();
@@ -218,8 +239,8 @@ const forgotPassword = async (req, res, next) => {
       const resetURL = `${process.env.BASE_URL}/reset-password/${resetToken}`;
       await sendEmail({
         email: user.email,
-        subject: 'Password Reset - DebateSphere',
         template: 'passwordReset',
+        language: user.preferences.language,
         data: {
           name: user.name,
           resetURL
@@ -363,8 +384,8 @@ const resendVerification = async (req, res, next) => {
       const verificationURL = `${process.env.BASE_URL}/api/auth/verify-email/${verificationToken}`;
       await sendEmail({
         email: user.email,
-        subject: 'Verify Your Email - DebateSphere',
         template: 'emailVerification',
+        language: user.preferences.language,
         data: {
           name: user.name,
           verificationURL
@@ -404,6 +425,15 @@ const googleCallback = async (req, res, next) => {
       });
     }
 
+    const sanction = user.getActiveSanction();
+    if (sanction) {
+      return res.status(403).json({
+        success: false,
+        error: describeSanction(sanction),
+        sanction
+      });
+    }
+
     // Generate tokens
     const token = user.getSignedJwtToken();
     const refreshToken = user.getRefreshToken();
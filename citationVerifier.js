@@ -0,0 +1,493 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const EvidenceDocument = require('../models/EvidenceDocument');
+const SourceCache = require('../models/SourceCache');
+const logger = require('../config/logger');
+
+/**
+ * Citation Verifier
+ * Checks the citations users attach to their messages: the quote against an
+ * uploaded or cached copy of the source, and the source's credibility against
+ * configurable domain lists. Fabricated and out-of-context quotes are flagged
+ * in the message's analysis.
+ */
+
+const MAX_CITATIONS = 5;
+// Share of the quote's words a passage must contain to count as a paraphrase
+const PARAPHRASE_THRESHOLD = 0.8;
+// Words around a match read for context
+const CONTEXT_WORDS = 6;
+
+// Fetching pages is opt-in; without it only uploaded documents and cached copies are used
+const FETCH_TIMEOUT = 5000;
+const MAX_SOURCE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+const DEFAULT_TRUSTED_DOMAINS = [
+  'who.int', 'un.org', 'worldbank.org', 'imf.org', 'oecd.org', 'nih.gov', 'cdc.gov',
+  'nature.com', 'science.org', 'thelancet.com', 'nejm.org', 'pnas.org',
+  'reuters.com', 'apnews.com', 'bbc.co.uk', 'bbc.com', 'economist.com', 'ft.com'
+];
+const DEFAULT_UNRELIABLE_DOMAINS = [
+  'infowars.com', 'naturalnews.com', 'beforeitsnews.com', 'theonion.com'
+];
+
+const CREDIBILITY_SCORES = {
+  trusted: 90,
+  institutional: 80,
+  unknown: 50,
+  unreliable: 15
+};
+
+// Wording before a quote that reports a view rather than stating it
+const FRAMING_CUES = /\b(not|never|false|untrue|myth|misconception|debunk\w*|critics|opponents|skeptics|contrary to|claims? that|claimed that|alleged\w*)\b/;
+// Wording right after a quote that qualifies it
+const QUALIFIER_CUES = /^(but|however|except|unless|only if|although|though|yet)\b/;
+
+const parseDomainList = (value, defaults) => {
+  if (!value) return defaults;
+  return value.split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+};
+
+const matchesDomain = (hostname, domains) => domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+
+/**
+ * Score the credibility of a source by its domain
+ * SOURCE_DOMAINS_TRUSTED and SOURCE_DOMAINS_UNRELIABLE (comma-separated) replace the built-in lists.
+ * @param {string} url - Source URL
+ * @returns {Object} { score, tier, domain }
+ */
+const scoreCredibility = (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return { score: 0, tier: 'low', domain: null };
+  }
+
+  const trusted = parseDomainList(process.env.SOURCE_DOMAINS_TRUSTED, DEFAULT_TRUSTED_DOMAINS);
+  const unreliable = parseDomainList(process.env.SOURCE_DOMAINS_UNRELIABLE, DEFAULT_UNRELIABLE_DOMAINS);
+
+  let score = CREDIBILITY_SCORES.unknown;
+  if (matchesDomain(hostname, unreliable)) {
+    score = CREDIBILITY_SCORES.unreliable;
+  } else if (matchesDomain(hostname, trusted)) {
+    score = CREDIBILITY_SCORES.trusted;
+  } else if (/\.(gov|edu|mil|int)(\.[a-z]{2})?$|\.ac\.[a-z]{2}$/.test(hostname)) {
+    score = CREDIBILITY_SCORES.institutional;
+  }
+
+  return {
+    score,
+    tier: score >= 75 ? 'high' : score >= 40 ? 'medium' : 'low',
+    domain: hostname
+  };
+};
+
+/**
+ * Check and shape the citations a user attached to a message
+ * @param {Array} citations - [{ url, title, quote, publication, publishedAt }]
+ * @returns {Object} { attachments } or { error }
+ */
+const normalizeCitations = (citations) => {
+  if (citations === undefined || citations === null) return { attachments: [] };
+  if (!Array.isArray(citations)) return { error: 'Citations must be an array' };
+  if (citations.length > MAX_CITATIONS) return { error: `A message can cite at most ${MAX_CITATIONS} sources` };
+
+  const attachments = [];
+  for (const citation of citations) {
+    const { url, title, quote, publication, publishedAt } = citation || {};
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { error: 'Each citation needs a valid URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'Citation URLs must use http or https' };
+    }
+
+    const date = publishedAt ? new Date(publishedAt) : null;
+    if (date && isNaN(date.getTime())) {
+      return { error: 'Invalid citation publication date' };
+    }
+
+    attachments.push({
+      type: 'citation',
+      url: parsed.toString(),
+      title: title ? String(title).slice(0, 200) : undefined,
+      quote: quote ? String(quote).slice(0, 1000) : undefined,
+      publication: publication ? String(publication).slice(0, 200) : undefined,
+      publishedAt: date || undefined,
+      verification: { status: 'pending' }
+    });
+  }
+
+  return { attachments };
+};
+
+// Lower-case words of any script; marks stay so Devanagari, Arabic and other vowel signs keep their words whole
+const normalizeText = (text) => {
+  return (text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Find a quote in a source text
+ * Looks for the exact words first, then for the passage holding most of them.
+ * @param {string} quote - Quoted text
+ * @param {string} source - Source text
+ * @returns {Object} { score, start, end } with word positions in the source, score 0-1
+ */
+const matchQuote = (quote, source) => {
+  const quoteWords = normalizeText(quote).split(' ').filter(Boolean);
+  const sourceWords = normalizeText(source).split(' ').filter(Boolean);
+  const length = quoteWords.length;
+
+  if (length === 0 || sourceWords.length === 0) return { score: 0, start: -1, end: -1 };
+
+  // Exact match
+  for (let start = 0; start + length <= sourceWords.length; start += 1) {
+    if (quoteWords.every((word, offset) => sourceWords[start + offset] === word)) {
+      return { score: 1, start, end: start + length };
+    }
+  }
+
+  // Closest window of the same length, counting the quote's words it holds
+  const wanted = new Map();
+  quoteWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  const counts = new Map();
+  let found = 0;
+  const add = (word) => {
+    const count = counts.get(word) || 0;
+    counts.set(word, count + 1);
+    if (count < (wanted.get(word) || 0)) found += 1;
+  };
+  const remove = (word) => {
+    const count = counts.get(word);
+    counts.set(word, count - 1);
+    if (count <= (wanted.get(word) || 0)) found -= 1;
+  };
+
+  let best = { score: 0, start: -1, end: -1 };
+  sourceWords.forEach((word, index) => {
+    add(word);
+    if (index >= length) remove(sourceWords[index - length]);
+
+    const start = Math.max(0, index - length + 1);
+    if (found / length > best.score) {
+      best = { score: found / length, start, end: index + 1 };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Whether the words around a matched quote change its meaning
+ * @param {string} source - Source text
+ * @param {Object} match - Match from matchQuote
+ * @returns {string|null} Reason, or null if the quote stands on its own
+ */
+const checkContext = (source, match) => {
+  const sourceWords = normalizeText(source).split(' ');
+  const before = sourceWords.slice(Math.max(0, match.start - CONTEXT_WORDS), match.start).join(' ');
+  const after = sourceWords.slice(match.end, match.end + CONTEXT_WORDS).join(' ');
+
+  if (FRAMING_CUES.test(before)) {
+    return 'The source reports or disputes this statement rather than making it';
+  }
+  if (QUALIFIER_CUES.test(after)) {
+    return 'The source qualifies this statement in the words that follow it';
+  }
+  return null;
+};
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127)
+      || a >= 224;
+  }
+
+  const lower = address.toLowerCase();
+  return lower === '::1' || lower === '::' || lower.startsWith('fc') || lower.startsWith('fd')
+    || lower.startsWith('fe80') || lower.startsWith('::ffff:');
+};
+
+// Resolve hosts for the socket itself, refusing the private network; checking in a
+// separate lookup would let the host answer differently when the connection is made
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error('Source host is not publicly reachable'));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const htmlToText = (html) => {
+  return html
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Request a page from a public host, reading at most MAX_SOURCE_BYTES of it
+ * @param {URL} url - Page URL
+ * @returns {Promise<Object>} { location } for a redirect, otherwise { contentType, body }
+ */
+const requestSource = (url) => new Promise((resolve, reject) => {
+  // IP literals are connected to without a lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    reject(new Error('Source host is not publicly reachable'));
+    return;
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT),
+    headers: { 'User-Agent': 'DebateSphere citation checker' }
+  }, (response) => {
+    const fail = (message) => {
+      response.destroy();
+      reject(new Error(message));
+    };
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      resolve({ location: headers.location });
+      return;
+    }
+    if (statusCode < 200 || statusCode >= 300) {
+      fail(`Source responded with ${statusCode}`);
+      return;
+    }
+
+    const contentType = headers['content-type'] || '';
+    if (!/text\/(html|plain)/.test(contentType)) {
+      fail(`Unsupported content type ${contentType}`);
+      return;
+    }
+    if (Number(headers['content-length']) > MAX_SOURCE_BYTES) {
+      fail('Source is too large');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_SOURCE_BYTES) {
+        fail('Source is too large');
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ contentType, body: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+});
+
+/**
+ * Download a source page as text
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { title, content }
+ */
+const fetchSource = async (url) => {
+  let current = url;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+    const parsed = new URL(current);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Unsupported protocol');
+    }
+
+    const { location, contentType, body } = await requestSource(parsed);
+    if (location) {
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    const title = (body.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+    return {
+      title: title ? htmlToText(title).slice(0, 200) : null,
+      content: contentType.includes('html') ? htmlToText(body) : body
+    };
+  }
+
+  throw new Error('Too many redirects');
+};
+
+/**
+ * Get a copy of a cited source: an uploaded document, a cached page, or a fresh download
+ * @param {string} url - Source URL
+ * @returns {Promise<Object|null>} { content, checkedAgainst } or null if no copy is available
+ */
+const loadSource = async (url) => {
+  const document = await EvidenceDocument.findOne({ url, isActive: true });
+  if (document) {
+    return { content: document.content, checkedAgainst: 'document' };
+  }
+
+  const cached = await SourceCache.findOne({ url });
+  if (cached) {
+    return cached.status === 'ok' ? { content: cached.content, checkedAgainst: 'cache' } : null;
+  }
+
+  if (process.env.SOURCE_FETCH_ENABLED !== 'true') {
+    return null;
+  }
+
+  try {
+    const { title, content } = await fetchSource(url);
+    await SourceCache.findOneAndUpdate(
+      { url },
+      { title, content, status: 'ok', error: null, fetchedAt: new Date() },
+      { upsert: true }
+    );
+    return { content, checkedAgainst: 'cache' };
+  } catch (error) {
+    logger.warn(`Could not fetch cited source ${url}: ${error.message}`);
+    // Remember the failure so every message citing the page does not retry it
+    await SourceCache.findOneAndUpdate(
+      { url },
+      { content: '', status: 'failed', error: error.message, fetchedAt: new Date() },
+      { upsert: true }
+    );
+    return null;
+  }
+};
+
+/**
+ * Verify one citation
+ * @param {Object} citation - Citation attachment
+ * @returns {Promise<Object>} Verification result
+ */
+const verifyCitation = async (citation) => {
+  const credibility = scoreCredibility(citation.url);
+  const result = { credibility, checkedAgainst: null, matchScore: null, checkedAt: new Date() };
+
+  if (!citation.quote) {
+    return { ...result, status: 'unverifiable', note: 'No quote to check' };
+  }
+  if (!normalizeText(citation.quote)) {
+    return { ...result, status: 'unverifiable', note: 'The quote has no words to check' };
+  }
+
+  const source = await loadSource(citation.url);
+  if (!source) {
+    return { ...result, status: 'unverifiable', note: 'No copy of the source is available' };
+  }
+
+  const match = matchQuote(citation.quote, source.content);
+  const checked = { ...result, checkedAgainst: source.checkedAgainst, matchScore: Math.round(match.score * 100) / 100 };
+
+  if (match.score < PARAPHRASE_THRESHOLD) {
+    return { ...checked, status: 'fabricated', note: 'The quote does not appear in the source' };
+  }
+
+  const contextProblem = checkContext(source.content, match);
+  if (contextProblem) {
+    return { ...checked, status: 'out-of-context', note: contextProblem };
+  }
+
+  return match.score === 1
+    ? { ...checked, status: 'verified', note: 'Quote found word for word' }
+    : { ...checked, status: 'paraphrased', note: 'The source says this in slightly different words' };
+};
+
+/**
+ * Verify every citation of a user message and flag problems in its analysis
+ * @param {Object} message - DebateMessage document
+ * @returns {Promise<Object>} Updated message
+ */
+const verifyMessageCitations = async (message) => {
+  const citations = message.attachments.filter(attachment => attachment.type === 'citation');
+  if (citations.length === 0) {
+    return message;
+  }
+
+  const flags = [];
+  for (const citation of citations) {
+    citation.verification = await verifyCitation(citation);
+
+    if (['fabricated', 'out-of-context'].includes(citation.verification.status)) {
+      flags.push({
+        attachmentId: citation._id,
+        status: citation.verification.status,
+        quote: citation.quote,
+        note: citation.verification.note
+      });
+    }
+  }
+
+  message.analysis.citationFlags = flags;
+  message.flags.containsEvidence = message.flags.containsEvidence
+    || citations.some(citation => ['verified', 'paraphrased'].includes(citation.verification.status));
+
+  return message.save();
+};
+
+/**
+ * Shape verified citations for the citations-verified event
+ * @param {Object} message - Verified DebateMessage document
+ * @returns {Object} Event payload
+ */
+const toVerificationPayload = (message) => ({
+  messageId: message._id,
+  sessionId: message.sessionId,
+  citations: message.attachments
+    .filter(attachment => attachment.type === 'citation')
+    .map(({ _id, url, title, quote, publication, publishedAt, verification }) => ({
+      attachmentId: _id,
+      url,
+      title,
+      quote,
+      publication,
+      publishedAt,
+      verification
+    })),
+  citationFlags: message.analysis.citationFlags
+});
+
+module.exports = {
+  scoreCredibility,
+  normalizeCitations,
+  matchQuote,
+  checkContext,
+  isPrivateAddress,
+  verifyCitation,
+  verifyMessageCitations,
+  toVerificationPayload
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+const citationVerifier = require('../services/citationVerifier');
+
+describe('Citation Verifier Service', () => {
+  describe('isPrivateAddress', () => {
+    it('should refuse loopback, private, link-local and shared addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0']
+        .forEach(address => expect(citationVerifier.isPrivateAddress(address)).toBe(true));
+    });
+
+    it('should refuse multicast and reserved IPv4 addresses', () => {
+      expect(citationVerifier.isPrivateAddress('224.0.0.1')).toBe(true);
+      expect(citationVerifier.isPrivateAddress('255.255.255.255')).toBe(true);
+    });
+
+    it('should refuse private IPv6 addresses and mapped IPv4 ones', () => {
+      ['::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', 'FE80::1']
+        .forEach(address => expect(citationVerifier.isPrivateAddress(address)).toBe(true));
+    });
+
+    it('should allow public addresses', () => {
+      ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2001:4860:4860::8888']
+        .forEach(address => expect(citationVerifier.isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('matchQuote', () => {
+    const source = 'Researchers found that the policy, in most cases, reduced emissions by a third over ten years.';
+
+    it('should find a quote word for word, ignoring case and punctuation', () => {
+      const match = citationVerifier.matchQuote('The Policy in most cases reduced emissions', source);
+
+      expect(match.score).toBe(1);
+      expect(match.start).toBe(3);
+      expect(match.end).toBe(10);
+    });
+
+    it('should score a paraphrase by the share of its words the closest passage holds', () => {
+      const match = citationVerifier.matchQuote('the policy in most cases cut emissions', source);
+
+      expect(match.score).toBeCloseTo(6 / 7, 5);
+    });
+
+    it('should score a quote the source does not contain near zero', () => {
+      expect(citationVerifier.matchQuote('taxes always raise unemployment', source).score).toBe(0);
+    });
+
+    it('should match quotes in scripts other than Latin', () => {
+      expect(citationVerifier.matchQuote('«Климат меняется быстрее»', 'Учёные говорят: климат меняется быстрее, чем ожидалось.').score).toBe(1);
+      expect(citationVerifier.matchQuote('जलवायु परिवर्तन', 'यह जलवायु परिवर्तन है।').score).toBe(1);
+    });
+
+    it('should treat curly and straight apostrophes alike', () => {
+      expect(citationVerifier.matchQuote('it doesn’t work', 'Critics say it doesn\'t work at all').score).toBe(1);
+    });
+
+    it('should return no match for a quote without words', () => {
+      expect(citationVerifier.matchQuote('— …', source)).toEqual({ score: 0, start: -1, end: -1 });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,474 @@
+const DebateMessage = require('../models/DebateMessage');
+const logger = require('../config/logger');
+
+/**
+ * Moderation
+ * Checks user messages and AI replies before they are saved or shown.
+ * Classifiers score text per category; each category found maps to an action:
+ *   block    - the text is not posted
+ *   escalate - posted, flagged and put in the moderator review queue
+ *   mask     - posted with the offending words masked
+ *   warn     - posted; the sender is warned
+ *
+ * Every classifier exposes:
+ *   classify(text) -> Promise<Array<{ category, score, spans: [[start, end]] }>>
+ * where score is 0-1 and spans (optional) locate the offending text for masking.
+ */
+
+const CATEGORIES = ['profanity', 'harassment', 'hate', 'violence', 'self-harm', 'sexual', 'personal-info', 'spam'];
+
+// Least to most severe
+const ACTION_SEVERITY = ['allow', 'warn', 'mask', 'escalate', 'block'];
+
+// Override with MODERATION_ACTIONS, e.g. "profanity:warn,spam:block"
+const DEFAULT_ACTIONS = {
+  profanity: 'mask',
+  harassment: 'warn',
+  hate: 'block',
+  violence: 'escalate',
+  'self-harm': 'escalate',
+  sexual: 'block',
+  'personal-info': 'mask',
+  spam: 'warn'
+};
+
+const rule = (pattern, minMatches = 1) => ({ pattern, minMatches });
+
+// Patterns of the local classifier. Kept narrow so debates about hard subjects are not caught.
+const RULES = {
+  profanity: [
+    rule(/\b(?:fuck\w*|shit\w*|bullshit|bitch\w*|asshole\w*|bastards?|dickheads?|motherfucker\w*)\b/gi)
+  ],
+  harassment: [
+    rule(/\byou(?:'re| are)\s+(?:such\s+)?(?:an?\s+)?(?:idiot|moron|imbecile|stupid|pathetic|worthless|loser|clown)\b/gi),
+    rule(/\bshut\s+(?:the\s+\w+\s+)?up\b/gi),
+    rule(/\bnobody\s+cares\s+(?:what|about)\s+you\b/gi)
+  ],
+  hate: [
+    rule(/\b(?:all|those|these)\s+\w+\s+(?:should|must|deserve\s+to)\s+(?:die|be\s+exterminated|be\s+wiped\s+out)\b/gi),
+    rule(/\bsub-?humans?\b/gi)
+  ],
+  violence: [
+    rule(/\bi(?:'ll|\s+will|'m\s+going\s+to|\s+am\s+going\s+to)\s+(?:kill|hurt|beat|shoot|stab)\s+you\b/gi)
+  ],
+  'self-harm': [
+    rule(/\b(?:go\s+)?(?:kill|hurt)\s+yourself\b/gi),
+    rule(/\bi\s+(?:want|am\s+going|'m\s+going)\s+to\s+(?:kill\s+myself|end\s+my\s+life)\b/gi)
+  ],
+  sexual: [
+    rule(/\bsend\s+(?:me\s+)?nudes\b/gi),
+    rule(/\b(?:blowjobs?|handjobs?|cumshots?)\b/gi)
+  ],
+  'personal-info': [
+    rule(/\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g),
+    rule(/(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g)
+  ],
+  spam: [
+    rule(/https?:\/\/\S+/gi, 4),
+    rule(/(\S)\1{9,}/g),
+    rule(/\b(\w+)(?:\s+\1\b){4,}/gi)
+  ]
+};
+
+/**
+ * Local rule-based classifier, for offline use
+ */
+const createRulesClassifier = () => ({
+  name: 'rules',
+
+  classify: async (text) => {
+    const results = [];
+
+    Object.entries(RULES).forEach(([category, rules]) => {
+      const spans = [];
+      rules.forEach(({ pattern, minMatches }) => {
+        const matches = [...text.matchAll(pattern)];
+        if (matches.length >= minMatches) {
+          matches.forEach(match => spans.push([match.index, match.index + match[0].length]));
+        }
+      });
+
+      if (spans.length > 0) {
+        results.push({ category, score: 1, spans });
+      }
+    });
+
+    return results;
+  }
+});
+
+// OpenAI moderation categories, mapped to ours
+const OPENAI_CATEGORIES = {
+  harassment: 'harassment',
+  'harassment/threatening': 'violence',
+  hate: 'hate',
+  'hate/threatening': 'hate',
+  'self-harm': 'self-harm',
+  'self-harm/intent': 'self-harm',
+  'self-harm/instructions': 'self-harm',
+  sexual: 'sexual',
+  'sexual/minors': 'sexual',
+  violence: 'violence',
+  'violence/graphic': 'violence'
+};
+
+/**
+ * OpenAI moderation endpoint
+ * The client is created on first use so the app can boot without an API key.
+ */
+const createOpenAIClassifier = () => {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      const OpenAI = require('openai');
+      client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY
+      });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    classify: async (text) => {
+      const response = await getClient().moderations.create({
+        model: process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest',
+        input: text
+      });
+      const scores = response.results[0].category_scores || {};
+
+      const byCategory = {};
+      Object.entries(scores).forEach(([name, score]) => {
+        const category = OPENAI_CATEGORIES[name];
+        if (category && score > (byCategory[category] || 0)) {
+          byCategory[category] = score;
+        }
+      });
+
+      return Object.entries(byCategory).map(([category, score]) => ({ category, score, spans: [] }));
+    }
+  };
+};
+
+const classifierFactories = {
+  rules: createRulesClassifier,
+  openai: createOpenAIClassifier
+};
+
+const classifiers = new Map();
+
+/**
+ * Register a custom classifier
+ * @param {string} name - Name used in MODERATION_CLASSIFIERS
+ * @param {Function} factory - Returns an object implementing classify()
+ */
+const registerClassifier = (name, factory) => {
+  classifierFactories[name] = factory;
+  classifiers.delete(name);
+};
+
+// Classifiers named in MODERATION_CLASSIFIERS (comma-separated), all run on every text
+const getClassifiers = () => {
+  return (process.env.MODERATION_CLASSIFIERS || 'rules')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => {
+      if (!classifierFactories[name]) {
+        logger.warn(`Unknown moderation classifier "${name}" ignored`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => {
+      if (!classifiers.has(name)) {
+        classifiers.set(name, classifierFactories[name]());
+      }
+      return classifiers.get(name);
+    });
+};
+
+const isEnabled = () => process.env.MODERATION_ENABLED !== 'false';
+
+const getThreshold = () => parseFloat(process.env.MODERATION_THRESHOLD || '0.5');
+
+const getActions = () => {
+  const actions = { ...DEFAULT_ACTIONS };
+  (process.env.MODERATION_ACTIONS || '').split(',').forEach(entry => {
+    const [category, action] = entry.split(':').map(part => part && part.trim());
+    if (category && ACTION_SEVERITY.includes(action)) {
+      actions[category] = action;
+    }
+  });
+  return actions;
+};
+
+/**
+ * Action for a category found in a text
+ * Nobody can be warned about an AI reply, so those warnings go to a moderator instead.
+ */
+const getAction = (category, source) => {
+  const action = getActions()[category] || 'escalate';
+  return source === 'ai' && action === 'warn' ? 'escalate' : action;
+};
+
+const mostSevere = (actions) => {
+  return actions.reduce((worst, action) => (
+    ACTION_SEVERITY.indexOf(action) > ACTION_SEVERITY.indexOf(worst) ? action : worst
+  ), 'allow');
+};
+
+// Replace the spans with asterisks, keeping spaces so the text stays readable
+const maskSpans = (text, spans) => {
+  const characters = text.split('');
+  spans.forEach(([start, end]) => {
+    for (let index = start; index < end; index += 1) {
+      if (!/\s/.test(characters[index])) characters[index] = '*';
+    }
+  });
+  return characters.join('');
+};
+
+/**
+ * Check a text and decide what happens to it
+ * A classifier that fails is logged and skipped, so an outage does not stop debates.
+ * @param {string} text - Message content
+ * @param {Object} options - { source: 'user' | 'ai' }
+ * @returns {Promise<Object>} { action, actions, categories, content, blocked, flagged, warned }
+ */
+const moderate = async (text, { source = 'user' } = {}) => {
+  const allowed = { action: 'allow', actions: [], categories: [], content: text, blocked: false, flagged: false, warned: false };
+  if (!isEnabled() || !text || !text.trim()) {
+    return allowed;
+  }
+
+  const results = await Promise.all(getClassifiers().map(async (classifier) => {
+    try {
+      const found = await classifier.classify(text);
+      return found.map(result => ({ ...result, classifier: classifier.name }));
+    } catch (error) {
+      logger.error(`Moderation classifier ${classifier.name} failed:`, error);
+      return [];
+    }
+  }));
+
+  // Strongest score per category, with the spans every classifier found
+  const byCategory = new Map();
+  results.flat().forEach(result => {
+    const current = byCategory.get(result.category);
+    const spans = [...(current ? current.spans : []), ...(result.spans || [])];
+    if (!current || result.score > current.score) {
+      byCategory.set(result.category, { category: result.category, score: result.score, classifier: result.classifier, spans });
+    } else {
+      current.spans = spans;
+    }
+  });
+
+  const threshold = getThreshold();
+  const categories = [...byCategory.values()]
+    .filter(result => result.score >= threshold)
+    .map(result => {
+      const action = getAction(result.category, source);
+      // Masking needs to know where the words are; without spans a moderator has to look
+      return { ...result, action: action === 'mask' && result.spans.length === 0 ? 'escalate' : action };
+    });
+
+  if (categories.length === 0) {
+    return allowed;
+  }
+
+  const actions = [...new Set(categories.map(result => result.action))];
+  const maskedSpans = categories.filter(result => result.action === 'mask').flatMap(result => result.spans);
+
+  return {
+    action: mostSevere(actions),
+    actions,
+    categories: categories.map(({ spans, ...result }) => result),
+    content: maskedSpans.length > 0 ? maskSpans(text, maskedSpans) : text,
+    blocked: actions.includes('block'),
+    flagged: actions.includes('escalate'),
+    warned: actions.includes('warn')
+  };
+};
+
+/**
+ * Combine the checks of several parts of one text (e.g. the sentences of a streamed reply)
+ * @param {Array<Object>} checks - moderate() results
+ * @returns {Object} Combined result, without content
+ */
+const combine = (checks) => {
+  const actions = [...new Set(checks.flatMap(check => check.actions))];
+  const categories = new Map();
+  checks.flatMap(check => check.categories).forEach(result => {
+    const current = categories.get(result.category);
+    if (!current || result.score > current.score) {
+      categories.set(result.category, result);
+    }
+  });
+
+  return {
+    action: mostSevere(actions),
+    actions,
+    categories: [...categories.values()],
+    blocked: actions.includes('block'),
+    flagged: actions.includes('escalate'),
+    warned: actions.includes('warn')
+  };
+};
+
+// End of the last complete sentence in a text, or -1
+const lastSentenceEnd = (text) => {
+  const boundaries = [...text.matchAll(/[.!?]+["')\]]*\s+|\n+/g)];
+  if (boundaries.length === 0) return -1;
+
+  const last = boundaries[boundaries.length - 1];
+  return last.index + last[0].length;
+};
+
+/**
+ * Moderate a streamed AI reply a sentence at a time, so no text is shown before it is checked
+ * push() and flush() return the checked (possibly masked) text that may be shown; once a
+ * sentence is blocked they return nothing more.
+ * @param {Object} options - moderate() options
+ * @returns {Object} { push(delta), flush(), blocked, result() }
+ */
+const createStreamModerator = (options = { source: 'ai' }) => {
+  const checks = [];
+  let pending = '';
+  let blocked = false;
+
+  const release = async (text) => {
+    const check = await moderate(text, options);
+    checks.push(check);
+    if (check.blocked) {
+      blocked = true;
+      return '';
+    }
+    return check.content;
+  };
+
+  return {
+    get blocked() {
+      return blocked;
+    },
+
+    push: async (delta) => {
+      if (blocked) return '';
+
+      pending += delta;
+      const end = lastSentenceEnd(pending);
+      if (end === -1) return '';
+
+      const sentences = pending.slice(0, end);
+      pending = pending.slice(end);
+      return release(sentences);
+    },
+
+    flush: async () => {
+      if (blocked || !pending) return '';
+
+      const rest = pending;
+      pending = '';
+      return release(rest);
+    },
+
+    result: () => combine(checks)
+  };
+};
+
+/**
+ * Moderation record stored on a DebateMessage
+ * @param {Object} check - moderate() or combine() result
+ * @param {string} original - Text as written, stored when masking changed it
+ * @returns {Object} DebateMessage.moderation fields
+ */
+const toModerationRecord = (check, original = null) => ({
+  action: check.blocked ? 'escalate' : check.action,
+  categories: check.categories,
+  originalContent: original && check.content && original !== check.content ? original : null,
+  checkedAt: new Date(),
+  status: check.flagged || check.blocked ? 'pending' : 'none'
+});
+
+/**
+ * Shape a check for the sender: what was found and what was done
+ * @param {Object} check - moderate() result
+ * @returns {Object} Event / response payload
+ */
+const toModerationPayload = (check) => ({
+  action: check.action,
+  categories: check.categories.map(({ category, action }) => ({ category, action })),
+  masked: check.actions.includes('mask'),
+  flagged: check.flagged,
+  message: check.blocked
+    ? 'Your message was not posted because it breaks the community guidelines.'
+    : check.warned
+      ? 'Please keep the debate respectful: your message was posted, but it breaks the community guidelines.'
+      : null
+});
+
+/**
+ * Messages waiting for a moderator, oldest first
+ * @param {Object} options - { status, page, limit }
+ * @returns {Promise<Object>} { messages, pagination }
+ */
+const getReviewQueue = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+  const query = { 'moderation.status': status };
+  const skip = (page - 1) * limit;
+
+  const [messages, total] = await Promise.all([
+    DebateMessage.find(query)
+      .select('+moderation.originalContent')
+      .populate('senderId', 'name email')
+      .populate('moderation.reports.userId', 'name email')
+      .sort({ updatedAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    DebateMessage.countDocuments(query)
+  ]);
+
+  return {
+    messages,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Record a moderator's decision on a queued message
+ * Removed messages stay in the session so turn numbers and replies still line up.
+ * @param {Object} message - DebateMessage document
+ * @param {Object} review - { decision: 'approve' | 'remove', moderatorId, note }
+ * @returns {Promise<Object>} Saved message
+ */
+const reviewMessage = async (message, { decision, moderatorId, note = null }) => {
+  message.moderation.status = decision === 'remove' ? 'removed' : 'approved';
+  message.moderation.reviewedBy = moderatorId;
+  message.moderation.reviewedAt = new Date();
+  message.moderation.reviewNote = note;
+  message.flags.isFlagged = false;
+  message.flags.isReported = false;
+  message.flags.isRemoved = decision === 'remove';
+
+  await message.save();
+  logger.info(`Message ${message._id} ${message.moderation.status} by moderator ${moderatorId}`);
+
+  return message;
+};
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_ACTIONS,
+  registerClassifier,
+  moderate,
+  createStreamModerator,
+  toModerationRecord,
+  toModerationPayload,
+  getReviewQueue,
+  reviewMessage
+};
\ No newline at end of file
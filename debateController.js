@@ -2,15 +2,49 @@ const DebateSession = require('../models/DebateSession');
 const DebateMessage = require('../models/DebateMessage');
 const DebateTopic = require('../models/DebateTopic');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
+const Persona = require('../models/Persona');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../debatesphere/backend/config/logger');
-const { sendAIMessage } = require('../websocket/socketHandler');
+const {
+  sendAIMessage,
+  abortAIStream,
+  takeAITurn,
+  broadcastPhase,
+  stopPhaseTimer,
+  analyzeMessage,
+  verifyCitations,
+  broadcastReaction,
+  getViewerCount,
+  closeSpectators,
+  adjudicate
+} = require('../websocket/socketHandler');
+const turnEngine = require('../services/turnEngine');
+const personas = require('../services/personas');
+const promptTemplates = require('../services/promptTemplates');
+const citationVerifier = require('../services/citationVerifier');
+const usageMeter = require('../services/usageMeter');
+const contentModeration = require('../services/contentModeration');
+const topicRevisions = require('../services/topicRevisions');
+const { shouldAdjudicate, isAdjudicating } = require('../services/adjudicator');
 
 /**
  * Debate Controller
  * Handles debate session management, messages, and analysis
  */
 
+// Opening message of open-format debates, by session language
+const WELCOME_MESSAGES = {
+  en: 'Welcome to the debate! I\'m ready to engage with you on this topic. Please share your opening argument.',
+  es: '¡Bienvenido al debate! Estoy listo para debatir contigo este tema. Comparte tu argumento inicial.',
+  fr: 'Bienvenue dans le débat ! Je suis prêt à débattre de ce sujet avec vous. Présentez votre argument d\'ouverture.',
+  de: 'Willkommen zur Debatte! Ich bin bereit, mit Ihnen über dieses Thema zu diskutieren. Bitte tragen Sie Ihr Eröffnungsargument vor.',
+  zh: '欢迎参加辩论！我已准备好和你讨论这个话题。请陈述你的开篇论点。',
+  ja: 'ディベートへようこそ！このテーマについて議論する準備はできています。最初の主張をどうぞ。',
+  ko: '토론에 오신 것을 환영합니다! 이 주제로 토론할 준비가 되었습니다. 첫 번째 주장을 말씀해 주세요.',
+  ar: 'مرحبًا بك في المناظرة! أنا مستعد لمناقشة هذا الموضوع معك. يرجى تقديم حجتك الافتتاحية.',
+  hi: 'बहस में आपका स्वागत है! मैं इस विषय पर आपसे बहस करने के लिए तैयार हूँ। कृपया अपना शुरुआती तर्क रखें।'
+};
+
 /**
  * Start a new debate session
  * @route POST /api/debates/start
@@ -18,42 +52,78 @@ const { sendAIMessage } = require('../websocket/socketHandler');
  */
 const startSession = async (req, res, next) => {
   try {
-    const { topicId, chosenSide, timeLimit = 1800 } = req.body;
+    const {
+      topicId,
+      chosenSide,
+      timeLimit = 1800,
+      format = 'open',
+      aiDifficulty,
+      aiPersonality,
+      language,
+      sessionSettings = {}
+    } = req.body;
     const userId = req.user.id;
 
+    if (language && !DebateSession.schema.path('language').enumValues.includes(language)) {
+      return next(new AppError('Invalid debate language', 400));
+    }
+
     // Check if topic exists and is approved
     const topic = await DebateTopic.findById(topicId);
     if (!topic) {
       return next(new AppError('Topic not found', 404));
     }
-    if (!topic.approved) {
+    if (topic.approvalStatus !== 'approved' || !topic.isActive) {
       return next(new AppError('Topic is not approved', 400));
     }
 
     // Check if user has an active session
-    const activeSession = await DebateSession.findOne({
-      userId,
-      status: { $in: ['active', 'paused'] }
-    });
+    const activeSession = await DebateSession.findActiveForUser(userId);
 
     if (activeSession) {
       return next(new AppError('You already have an active debate session', 400));
     }
 
+    // Pin the topic revision and persona version so later edits do not change this debate
+    const topicRevision = await topicRevisions.ensureBaseline(topic);
+    const persona = await Persona.findActiveByKey(aiPersonality || personas.DEFAULT_PERSONA);
+    if (aiPersonality && !persona) {
+      return next(new AppError('AI personality not found', 400));
+    }
+
     // Create new session
     const session = new DebateSession({
       userId,
       topicId,
+      topicRevision,
       chosenSide,
+      // Topics are debated in their own language unless the user asks for another
+      language: language || topic.language,
       timeLimit,
       startTime: new Date(),
-      status: 'active'
+      status: 'active',
+      aiDifficulty,
+      aiPersonality,
+      personaVersion: persona ? persona.version : null,
+      promptVersions: await promptTemplates.assignVersions(userId),
+      sessionSettings: {
+        format,
+        adaptiveDifficulty: sessionSettings.adaptiveDifficulty !== false
+      }
     });
 
+    turnEngine.initialize(session);
     await session.save();
 
-    // Send initial AI message
-    const aiMessage = await sendAIMessage(session._id, 'Welcome to the debate! I\'m ready to engage with you on this topic. Please share your opening argument.', 'argument');
+    if (turnEngine.isStructured(session)) {
+      // Start the phase clock; the AI opens if the first phase is its side's
+      broadcastPhase(session);
+      takeAITurn(session._id, { trigger: 'timer' })
+        .catch(error => logger.error('Error starting AI turn:', error));
+    } else {
+      // Send initial AI message
+      await sendAIMessage(session._id, WELCOME_MESSAGES[session.language] || WELCOME_MESSAGES.en, 'argument');
+    }
 
     logger.info(`New debate session started: ${session.id} by user: ${userId}`);
 
@@ -78,20 +148,24 @@ const getSession = async (req, res, next) => {
     const userId = req.user.id;
 
     const session = await DebateSession.findById(sessionId)
-      .populate('topicId', 'title description category difficulty arguments evidence');
+      .populate('topicId', 'title description category difficultyLevel tags proArguments conArguments evidence');
 
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
 
-    // Check if user can access this session
-    if (session.userId.toString() !== userId && !['admin', 'moderator'].includes(req.user.role)) {
+    // Check if user can access this session (public sessions are open to spectators)
+    if (!session.isParticipant(userId) && !session.flags.isShared && !['admin', 'moderator'].includes(req.user.role)) {
       return next(new AppError('Not authorized to access this session', 403));
     }
 
+    // Show the topic as it was debated, not as it has since been edited
     res.status(200).json({
       success: true,
-      data: session
+      data: {
+        ...session.toJSON(),
+        topicId: await topicRevisions.getSessionTopic(session)
+      }
     });
   } catch (error) {
     logger.error('Error getting session:', error);
@@ -115,7 +189,7 @@ const getMessages = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId && !['admin', 'moderator'].includes(req.user.role)) {
+    if (!session.isParticipant(userId) && !session.flags.isShared && !['admin', 'moderator'].includes(req.user.role)) {
       return next(new AppError('Not authorized to access this session', 403));
     }
 
@@ -133,6 +207,9 @@ const getMessages = async (req, res, next) => {
 
     const total = await DebateMessage.countDocuments({ sessionId });
 
+    // Moderators still see what removed messages said
+    const isModerator = ['admin', 'moderator'].includes(req.user.role);
+
     const pagination = {
       currentPage: parseInt(page),
       totalPages: Math.ceil(total / parseInt(limit)),
@@ -143,7 +220,7 @@ const getMessages = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: {
-        messages: messages.reverse(), // Return in chronological order
+        messages: messages.reverse().map(message => (isModerator ? message : message.toTranscript())), // Return in chronological order
         pagination
       }
     });
@@ -161,15 +238,20 @@ const getMessages = async (req, res, next) => {
 const sendMessage = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
-    const { content, type = 'argument' } = req.body;
+    const { content, messageType, citations } = req.body;
     const userId = req.user.id;
 
+    const { attachments, error: citationError } = citationVerifier.normalizeCitations(citations);
+    if (citationError) {
+      return next(new AppError(citationError, 400));
+    }
+
     // Check if session exists and is active
     const session = await DebateSession.findById(sessionId);
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId)) {
       return next(new AppError('Not authorized to send messages in this session', 403));
     }
     if (session.status !== 'active') {
@@ -187,31 +269,64 @@ const sendMessage = async (req, res, next) => {
       }
     }
 
+    // Enforce the debate format: right speaker, right kind of message
+    if (turnEngine.syncPhase(session)) {
+      await session.save();
+      broadcastPhase(session);
+    }
+
+    const side = session.getSideFor(userId);
+    const turn = turnEngine.validateMessage(session, side, messageType);
+    if (!turn.allowed) {
+      return next(new AppError(turn.reason, 400));
+    }
+
+    const check = await contentModeration.moderate(content, { source: 'user' });
+    if (check.blocked) {
+      return next(new AppError(contentModeration.toModerationPayload(check).message, 422));
+    }
+
+    const lastMessage = await DebateMessage.findOne({ sessionId })
+      .sort({ turnNumber: -1 })
+      .limit(1);
+
     // Create user message
     const message = new DebateMessage({
       sessionId,
       senderType: 'user',
-      content,
-      type,
+      senderId: userId,
+      senderSide: side,
+      content: check.content,
+      turnNumber: lastMessage ? lastMessage.turnNumber + 1 : 1,
+      messageType: turn.messageType,
+      attachments,
+      moderation: contentModeration.toModerationRecord(check, content),
       timestamp: new Date()
     });
+    message.flags.isFlagged = check.flagged;
 
     await message.save();
 
-    // Trigger AI response
-    setTimeout(async () => {
-      try {
-        await sendAIMessage(sessionId, content, type);
-      } catch (error) {
-        logger.error('Error sending AI response:', error);
-      }
-    }, 1000);
+    const phaseChanged = turnEngine.recordTurn(session, side);
+    await session.incrementMessageCount('user');
+    if (phaseChanged || session.mode === 'human') {
+      broadcastPhase(session);
+    }
+
+    // Coach the sender and check their sources, then let the AI opponent reply if it holds the floor
+    analyzeMessage(message, session)
+      .catch(error => logger.error('Error analyzing message:', error))
+      .then(() => verifyCitations(message))
+      .catch(error => logger.error('Error verifying citations:', error));
+    takeAITurn(sessionId, { userMessage: check.content })
+      .catch(error => logger.error('Error sending AI response:', error));
 
     logger.info(`Message sent in session ${sessionId} by user ${userId}`);
 
     res.status(201).json({
       success: true,
-      data: message
+      data: message,
+      moderation: check.action !== 'allow' ? contentModeration.toModerationPayload(check) : null
     });
   } catch (error) {
     logger.error('Error sending message:', error);
@@ -233,16 +348,17 @@ const pauseSession = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId)) {
       return next(new AppError('Not authorized to pause this session', 403));
     }
     if (session.status !== 'active') {
       return next(new AppError('Session cannot be paused', 400));
     }
 
-    session.status = 'paused';
-    session.pauseTime = new Date();
-    await session.save();
+    abortAIStream(sessionId, 'paused');
+    stopPhaseTimer(sessionId);
+
+    await session.pauseSession();
 
     logger.info(`Session paused: ${sessionId} by user: ${userId}`);
 
@@ -270,16 +386,15 @@ const resumeSession = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId)) {
       return next(new AppError('Not authorized to resume this session', 403));
     }
     if (session.status !== 'paused') {
       return next(new AppError('Session cannot be resumed', 400));
     }
 
-    session.status = 'active';
-    session.resumeTime = new Date();
-    await session.save();
+    await session.resumeSession();
+    broadcastPhase(session);
 
     logger.info(`Session resumed: ${sessionId} by user: ${userId}`);
 
@@ -308,28 +423,26 @@ const endSession = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId)) {
       return next(new AppError('Not authorized to end this session', 403));
     }
     if (session.status === 'completed' || session.status === 'abandoned') {
       return next(new AppError('Session cannot be ended', 400));
     }
 
+    abortAIStream(sessionId, 'ended');
+    stopPhaseTimer(sessionId);
+
     session.status = reason === 'abandoned' ? 'abandoned' : 'completed';
     session.endTime = new Date();
     session.endReason = reason;
 
-    // Calculate final score if completed
-    if (session.status === 'completed') {
-      const messages = await DebateMessage.find({ sessionId, senderType: 'user' });
-      const aiService = require('../services/aiService');
-      const analysis = await aiService.analyzePerformance(sessionId, messages);
-      session.finalScore = analysis.overallScore;
-      session.performanceMetrics = analysis;
-    }
-
     await session.save();
 
+    // Judge the debate in the background; the ballot reaches the room as 'ballot-ready'
+    adjudicate(session)
+      .catch(error => logger.error(`Error adjudicating session ${sessionId}:`, error));
+
     logger.info(`Session ended: ${sessionId} by user: ${userId}, reason: ${reason}`);
 
     res.status(200).json({
@@ -342,6 +455,45 @@ const endSession = async (req, res, next) => {
   }
 };
 
+/**
+ * Judge again a completed session that has no ballot or a degraded one
+ * @route POST /api/debates/:sessionId/adjudicate
+ * @access Private
+ */
+const retryAdjudication = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.id;
+
+    const session = await DebateSession.findById(sessionId);
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+    if (!session.isParticipant(userId) && !['admin', 'moderator'].includes(req.user.role)) {
+      return next(new AppError('Not authorized to adjudicate this session', 403));
+    }
+    if (!shouldAdjudicate(session, { retry: true })) {
+      return next(new AppError('Session has no pending adjudication', 400));
+    }
+    if (isAdjudicating(session)) {
+      return next(new AppError('Session is already being adjudicated', 409));
+    }
+
+    adjudicate(session, { retry: true })
+      .catch(error => logger.error(`Error adjudicating session ${sessionId}:`, error));
+
+    logger.info(`Adjudication retried: ${sessionId} by user: ${userId}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Adjudication started'
+    });
+  } catch (error) {
+    logger.error('Error retrying adjudication:', error);
+    next(error);
+  }
+};
+
 /**
  * Get debate analysis and performance metrics
  * @route GET /api/debates/:sessionId/analysis
@@ -358,21 +510,26 @@ const getAnalysis = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId && !['admin', 'moderator'].includes(req.user.role)) {
+    if (!session.isParticipant(userId) && !['admin', 'moderator'].includes(req.user.role)) {
       return next(new AppError('Not authorized to access this session', 403));
     }
 
     // Get performance metrics
     const metrics = await PerformanceMetrics.findOne({ sessionId, userId });
 
-    // Get messages for analysis
-    const messages = await DebateMessage.find({ sessionId }).sort({ timestamp: 1 });
+    // Get messages for analysis, leaving out those a moderator removed
+    const messages = await DebateMessage.find({ sessionId, 'flags.isRemoved': { $ne: true } }).sort({ timestamp: 1 });
 
-    // Generate analysis if not already done
+    // Generate analysis if not already done and the user has AI quota left
     let analysis = session.performanceMetrics;
-    if (!analysis && session.status === 'completed') {
+    if (!analysis && session.status === 'completed' && !(await usageMeter.getQuotaStatus(userId)).exceeded) {
       const aiService = require('../services/aiService');
-      analysis = await aiService.analyzePerformance(sessionId, messages);
+      analysis = await aiService.analyzePerformance(sessionId, messages, {
+        topic: session.topicId,
+        chosenSide: session.chosenSide,
+        session,
+        userId
+      });
     }
 
     res.status(200).json({
@@ -404,7 +561,7 @@ const submitFeedback = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId)) {
       return next(new AppError('Not authorized to submit feedback for this session', 403));
     }
 
@@ -441,7 +598,7 @@ const getActiveSessions = async (req, res, next) => {
     const userId = req.user.id;
 
     const sessions = await DebateSession.find({
-      userId,
+      $or: [{ userId }, { opponentId: userId }],
       status: { $in: ['active', 'paused'] }
     }).populate('topicId', 'title category difficulty');
 
@@ -471,7 +628,7 @@ const addReaction = async (req, res, next) => {
     if (!session) {
       return next(new AppError('Session not found', 404));
     }
-    if (session.userId.toString() !== userId) {
+    if (!session.isParticipant(userId) && !session.flags.isShared) {
       return next(new AppError('Not authorized to react to messages in this session', 403));
     }
 
@@ -490,13 +647,8 @@ const addReaction = async (req, res, next) => {
     }
 
     // Add reaction
-    message.reactions.push({
-      userId,
-      reaction,
-      timestamp: new Date()
-    });
-
-    await message.save();
+    await message.addReaction(userId, reaction);
+    broadcastReaction(sessionId, message);
 
     logger.info(`Reaction added to message: ${messageId} by user: ${userId}`);
 
@@ -510,6 +662,199 @@ const addReaction = async (req, res, next) => {
   }
 };
 
+/**
+ * Report a debate message to the moderators
+ * @route POST /api/debates/:sessionId/messages/:messageId/report
+ * @access Private
+ */
+const reportMessage = async (req, res, next) => {
+  try {
+    const { sessionId, messageId } = req.params;
+    const { reason = '' } = req.body;
+    const userId = req.user.id;
+
+    if (typeof reason !== 'string' || reason.length > 500) {
+      return next(new AppError('Reason must be a string of at most 500 characters', 400));
+    }
+
+    const session = await DebateSession.findById(sessionId);
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+    if (!session.isParticipant(userId) && !session.flags.isShared) {
+      return next(new AppError('Not authorized to report messages in this session', 403));
+    }
+
+    const message = await DebateMessage.findById(messageId);
+    if (!message) {
+      return next(new AppError('Message not found', 404));
+    }
+    if (message.sessionId.toString() !== sessionId) {
+      return next(new AppError('Message does not belong to this session', 400));
+    }
+    if (message.hasUserReport(userId)) {
+      return next(new AppError('You have already reported this message', 400));
+    }
+
+    await message.reportMessage(userId, reason.trim());
+
+    logger.info(`Message ${messageId} reported by user: ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message._id,
+        status: message.moderation.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error reporting message:', error);
+    next(error);
+  }
+};
+
+/**
+ * Report a debate session to the moderators
+ * @route POST /api/debates/:sessionId/report
+ * @access Private
+ */
+const reportSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason = '' } = req.body;
+    const userId = req.user.id;
+
+    if (typeof reason !== 'string' || reason.length > 500) {
+      return next(new AppError('Reason must be a string of at most 500 characters', 400));
+    }
+
+    const session = await DebateSession.findById(sessionId);
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+    if (!session.isParticipant(userId) && !session.flags.isShared) {
+      return next(new AppError('Not authorized to report this session', 403));
+    }
+    if (session.hasUserReport(userId)) {
+      return next(new AppError('You have already reported this session', 400));
+    }
+
+    await session.reportSession(userId, reason.trim());
+
+    logger.info(`Session ${sessionId} reported by user: ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        isReported: session.flags.isReported
+      }
+    });
+  } catch (error) {
+    logger.error('Error reporting session:', error);
+    next(error);
+  }
+};
+
+/**
+ * Make a debate session public to spectators, or private again
+ * @route PATCH /api/debates/:sessionId/visibility
+ * @access Private
+ */
+const updateVisibility = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { isShared } = req.body;
+    const userId = req.user.id;
+
+    if (typeof isShared !== 'boolean') {
+      return next(new AppError('isShared must be a boolean', 400));
+    }
+
+    const session = await DebateSession.findById(sessionId);
+    if (!session) {
+      return next(new AppError('Session not found', 404));
+    }
+    if (session.userId.toString() !== userId) {
+      return next(new AppError('Only the session owner can change its visibility', 403));
+    }
+
+    session.flags.isShared = isShared;
+    await session.save();
+
+    if (!isShared) {
+      closeSpectators(sessionId);
+    }
+
+    logger.info(`Session ${sessionId} made ${isShared ? 'public' : 'private'} by user: ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessionId: session._id,
+        isShared: session.flags.isShared
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating session visibility:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get public debates that can be watched live
+ * @route GET /api/debates/live
+ * @access Private
+ */
+const getLiveSessions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, category } = req.query;
+
+    const filter = {
+      'flags.isShared': true,
+      status: { $in: ['active', 'paused'] }
+    };
+
+    if (category) {
+      const topics = await DebateTopic.find({ category }).select('_id');
+      filter.topicId = { $in: topics.map(topic => topic._id) };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const sessions = await DebateSession.find(filter)
+      .populate('topicId', 'title category')
+      .populate('userId', 'name')
+      .populate('opponentId', 'name')
+      .sort({ startTime: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DebateSession.countDocuments(filter);
+
+    const pagination = {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          viewerCount: getViewerCount(session._id)
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting live sessions:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   startSession,
   getSession,
@@ -518,8 +863,13 @@ module.exports = {
   pauseSession,
   resumeSession,
   endSession,
+  retryAdjudication,
   getAnalysis,
   submitFeedback,
   getActiveSessions,
-  addReaction
+  addReaction,
+  reportMessage,
+  reportSession,
+  updateVisibility,
+  getLiveSessions
 }; 
\ No newline at end of file
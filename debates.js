@@ -26,6 +26,32 @@ const { debateValidation } = require('../middleware/validation');
  *             $ref: '#/components/schemas/DebateMessage'
  *         pagination:
  *           $ref: '#/components/schemas/Pagination'
+ *     ModerationNotice:
+ *       type: object
+ *       description: What content moderation found in a message and did about it
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [warn, mask, escalate, block]
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 example: profanity
+ *               action:
+ *                 type: string
+ *         masked:
+ *           type: boolean
+ *           description: Offending words were replaced with asterisks
+ *         flagged:
+ *           type: boolean
+ *           description: The message was sent to the moderator review queue
+ *         message:
+ *           type: string
+ *           nullable: true
  */
 
 /**
@@ -59,6 +85,31 @@ const { debateValidation } = require('../middleware/validation');
  *                 maximum: 3600
  *                 default: 1800
  *                 description: Time limit in seconds (5-60 minutes)
+ *               format:
+ *                 type: string
+ *                 enum: [open, oxford, lincoln-douglas, public-forum]
+ *                 default: open
+ *                 description: Debate format. Structured formats enforce phase order, speaking time and message types
+ *               aiDifficulty:
+ *                 type: string
+ *                 enum: [easy, medium, hard, expert]
+ *                 default: medium
+ *                 description: Starting AI difficulty
+ *               aiPersonality:
+ *                 type: string
+ *                 default: analytical
+ *                 description: Key of an active persona (see GET /api/ai/personas)
+ *               language:
+ *                 type: string
+ *                 enum: [en, es, fr, de, zh, ja, ko, ar, hi]
+ *                 description: Language of the debate, the topic's language by default. AI replies, analysis and feedback are written in it
+ *               sessionSettings:
+ *                 type: object
+ *                 properties:
+ *                   adaptiveDifficulty:
+ *                     type: boolean
+ *                     default: true
+ *                     description: Let the AI move up or down a level as the user performs
  *     responses:
  *       201:
  *         description: Debate session started successfully
@@ -92,6 +143,60 @@ const { debateValidation } = require('../middleware/validation');
  */
 router.post('/start', authenticate, validate(debateValidation.startSession), debateController.startSession);
 
+/**
+ * @swagger
+ * /api/debates/live:
+ *   get:
+ *     summary: Get public debates that can be watched live
+ *     tags: [Debates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of sessions per page
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only debates on topics in this category
+ *     responses:
+ *       200:
+ *         description: Live sessions retrieved successfully, each with its current viewer count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DebateSession'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/live', authenticate, debateController.getLiveSessions);
+
 /**
  * @swagger
  * /api/debates/{sessionId}:
@@ -243,6 +348,27 @@ router.get('/:sessionId/messages', authenticate, debateController.getMessages);
  *                 enum: [argument, rebuttal, question, clarification]
  *                 default: argument
  *                 description: Type of message
+ *               citations:
+ *                 type: array
+ *                 maxItems: 5
+ *                 description: Sources quoted in the message; each is checked and the result saved on its attachment
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - url
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     quote:
+ *                       type: string
+ *                       maxLength: 1000
+ *                     publication:
+ *                       type: string
+ *                     publishedAt:
+ *                       type: string
+ *                       format: date
  *     responses:
  *       201:
  *         description: Message sent successfully
@@ -255,6 +381,10 @@ router.get('/:sessionId/messages', authenticate, debateController.getMessages);
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/DebateMessage'
+ *                 moderation:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ModerationNotice'
  *       400:
  *         description: Validation error or session not active
  *         content:
@@ -279,6 +409,12 @@ router.get('/:sessionId/messages', authenticate, debateController.getMessages);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Message blocked by content moderation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/:sessionId/messages', authenticate, validate(debateValidation.sendMessage), debateController.sendMessage);
 
@@ -455,6 +591,67 @@ router.post('/:sessionId/resume', authenticate, debateController.resumeSession);
  */
 router.post('/:sessionId/end', authenticate, validate(debateValidation.endSession), debateController.endSession);
 
+/**
+ * @swagger
+ * /api/debates/{sessionId}/adjudicate:
+ *   post:
+ *     summary: Retry adjudication of a completed session without a ballot or with a degraded one
+ *     description: Judging runs in the background; the ballot is sent to the session room as ballot-ready.
+ *     tags: [Debates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debate session ID
+ *     responses:
+ *       202:
+ *         description: Adjudication started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Session has no pending adjudication
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not a participant, moderator or admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Session is already being adjudicated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:sessionId/adjudicate', authenticate, debateController.retryAdjudication);
+
 /**
  * @swagger
  * /api/debates/{sessionId}/analysis:
@@ -672,7 +869,7 @@ router.get('/active', authenticate, debateController.getActiveSessions);
  *             properties:
  *               reaction:
  *                 type: string
- *                 enum: [like, dislike, helpful, unclear]
+ *                 enum: [like, dislike, insightful, confusing, strong, weak]
  *                 description: Type of reaction
  *     responses:
  *       200:
@@ -707,4 +904,200 @@ router.get('/active', authenticate, debateController.getActiveSessions);
  */
 router.post('/:sessionId/messages/:messageId/react', authenticate, validate(debateValidation.addReaction), debateController.addReaction);
 
+/**
+ * @swagger
+ * /api/debates/{sessionId}/messages/{messageId}/report:
+ *   post:
+ *     summary: Report a debate message to the moderators
+ *     tags: [Debates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debate session ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why the message breaks the guidelines
+ *     responses:
+ *       200:
+ *         description: Message reported and queued for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messageId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved, removed]
+ *       400:
+ *         description: Invalid reason or already reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not authorized to report messages in this session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session or message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:sessionId/messages/:messageId/report', authenticate, debateController.reportMessage);
+
+/**
+ * @swagger
+ * /api/debates/{sessionId}/report:
+ *   post:
+ *     summary: Report a debate session to the moderators
+ *     tags: [Debates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debate session ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: What happened in the session
+ *     responses:
+ *       200:
+ *         description: Session reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionId:
+ *                       type: string
+ *                     isReported:
+ *                       type: boolean
+ *       400:
+ *         description: Invalid reason or already reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - not authorized to report this session
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:sessionId/report', authenticate, debateController.reportSession);
+
+/**
+ * @swagger
+ * /api/debates/{sessionId}/visibility:
+ *   patch:
+ *     summary: Make a debate public to spectators, or private again
+ *     tags: [Debates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Debate session ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isShared
+ *             properties:
+ *               isShared:
+ *                 type: boolean
+ *                 description: Whether spectators may watch the debate live
+ *     responses:
+ *       200:
+ *         description: Visibility updated successfully
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Only the session owner can change visibility
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:sessionId/visibility', authenticate, debateController.updateVisibility);
+
 module.exports = router; 
\ No newline at end of file
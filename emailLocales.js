@@ -0,0 +1,836 @@
+/**
+ * Email Locales
+ * Text of the email templates (see emailService) in each language a user can
+ * choose in preferences.language. Strings a language lacks fall back to English.
+ */
+
+const en = {
+  common: {
+    greeting: (name) => `Hi ${name},`,
+    linkHint: 'If the button doesn\'t work, you can copy and paste this link into your browser:',
+    rights: 'All rights reserved.',
+    sentTo: (email) => `This email was sent to ${email}`
+  },
+  emailVerification: {
+    subject: 'Verify Your Email - DebateSphere',
+    heading: 'Welcome to DebateSphere!',
+    tagline: 'Verify your email address to get started',
+    intro: 'Thank you for signing up for DebateSphere! To complete your registration, please verify your email address by clicking the button below:',
+    button: 'Verify Email Address',
+    expiry: 'This link will expire in 24 hours.',
+    ignore: 'If you didn\'t create an account with DebateSphere, you can safely ignore this email.'
+  },
+  passwordReset: {
+    subject: 'Reset Your Password - DebateSphere',
+    heading: 'Password Reset Request',
+    tagline: 'Reset your DebateSphere password',
+    intro: 'We received a request to reset your password for your DebateSphere account. Click the button below to create a new password:',
+    button: 'Reset Password',
+    expiry: 'This link will expire in 10 minutes for security reasons.',
+    ignore: 'If you didn\'t request a password reset, you can safely ignore this email. Your password will remain unchanged.'
+  },
+  welcomeEmail: {
+    subject: 'Welcome to DebateSphere!',
+    heading: 'Welcome to DebateSphere!',
+    tagline: 'Your account is now active',
+    intro: 'Welcome to DebateSphere! Your email has been verified and your account is now active.',
+    listIntro: 'Here\'s what you can do to get started:',
+    steps: [
+      'Explore debate topics in various categories',
+      'Start your first AI-powered debate',
+      'Track your progress and improve your skills',
+      'Connect with other debaters'
+    ],
+    button: 'Start Your First Debate',
+    support: 'If you have any questions, feel free to reach out to our support team.'
+  },
+  debateReminder: {
+    subject: 'Continue Your Debate - DebateSphere',
+    heading: 'Continue Your Debate',
+    tagline: 'Don\'t let your progress go to waste',
+    intro: 'We noticed you have an active debate session that you haven\'t completed yet.',
+    topic: 'Topic:',
+    side: 'Your Side:',
+    sides: { pro: 'Pro', con: 'Con' },
+    encourage: 'Continue your debate to improve your skills and get detailed feedback!',
+    button: 'Continue Debate',
+    expiry: 'Your session will remain active for 24 hours.'
+  },
+  weeklyReport: {
+    subject: 'Your Weekly Debate Report - DebateSphere',
+    heading: 'Your Weekly Report',
+    tagline: 'Here\'s how you performed this week',
+    intro: 'Here\'s a summary of your debate activity this week:',
+    debatesCompleted: 'Debates Completed',
+    averageScore: 'Average Score',
+    minutes: 'Minutes Debating',
+    level: 'Current Level',
+    encourage: 'Keep up the great work! Continue practicing to improve your debate skills.',
+    button: 'View Full Report'
+  },
+  topicReview: {
+    subject: 'Your Topic Proposal - DebateSphere',
+    topic: 'Topic:',
+    button: 'View Proposal',
+    statuses: {
+      submitted: {
+        heading: 'Topic Submitted',
+        message: 'Your topic proposal was submitted and is waiting for review.'
+      },
+      'changes-requested': {
+        heading: 'Changes Requested',
+        message: 'A reviewer asked for changes to your topic proposal. Update it and submit it again.'
+      },
+      approved: {
+        heading: 'Topic Approved',
+        message: 'Your topic proposal was approved and is now open for debate.'
+      },
+      rejected: {
+        heading: 'Topic Rejected',
+        message: 'Your topic proposal was rejected.'
+      }
+    }
+  }
+};
+
+const es = {
+  common: {
+    greeting: (name) => `Hola, ${name}:`,
+    linkHint: 'Si el botón no funciona, copia y pega este enlace en tu navegador:',
+    rights: 'Todos los derechos reservados.',
+    sentTo: (email) => `Este correo se envió a ${email}`
+  },
+  emailVerification: {
+    subject: 'Verifica tu correo - DebateSphere',
+    heading: '¡Bienvenido a DebateSphere!',
+    tagline: 'Verifica tu dirección de correo para empezar',
+    intro: '¡Gracias por registrarte en DebateSphere! Para completar el registro, verifica tu dirección de correo con el botón de abajo:',
+    button: 'Verificar correo',
+    expiry: 'Este enlace caduca en 24 horas.',
+    ignore: 'Si no creaste una cuenta en DebateSphere, puedes ignorar este correo.'
+  },
+  passwordReset: {
+    subject: 'Restablece tu contraseña - DebateSphere',
+    heading: 'Solicitud de restablecimiento de contraseña',
+    tagline: 'Restablece tu contraseña de DebateSphere',
+    intro: 'Recibimos una solicitud para restablecer la contraseña de tu cuenta de DebateSphere. Pulsa el botón de abajo para crear una nueva:',
+    button: 'Restablecer contraseña',
+    expiry: 'Por seguridad, este enlace caduca en 10 minutos.',
+    ignore: 'Si no solicitaste este cambio, puedes ignorar este correo. Tu contraseña no cambiará.'
+  },
+  welcomeEmail: {
+    subject: '¡Bienvenido a DebateSphere!',
+    heading: '¡Bienvenido a DebateSphere!',
+    tagline: 'Tu cuenta ya está activa',
+    intro: '¡Bienvenido a DebateSphere! Tu correo está verificado y tu cuenta ya está activa.',
+    listIntro: 'Esto es lo que puedes hacer para empezar:',
+    steps: [
+      'Explora temas de debate de distintas categorías',
+      'Empieza tu primer debate con IA',
+      'Sigue tu progreso y mejora tus habilidades',
+      'Conecta con otros debatientes'
+    ],
+    button: 'Empieza tu primer debate',
+    support: 'Si tienes alguna pregunta, escribe a nuestro equipo de soporte.'
+  },
+  debateReminder: {
+    subject: 'Continúa tu debate - DebateSphere',
+    heading: 'Continúa tu debate',
+    tagline: 'No pierdas tu progreso',
+    intro: 'Tienes una sesión de debate activa que aún no has terminado.',
+    topic: 'Tema:',
+    side: 'Tu postura:',
+    sides: { pro: 'A favor', con: 'En contra' },
+    encourage: '¡Continúa el debate para mejorar tus habilidades y recibir comentarios detallados!',
+    button: 'Continuar debate',
+    expiry: 'Tu sesión seguirá activa durante 24 horas.'
+  },
+  weeklyReport: {
+    subject: 'Tu informe semanal de debates - DebateSphere',
+    heading: 'Tu informe semanal',
+    tagline: 'Así te ha ido esta semana',
+    intro: 'Este es el resumen de tu actividad de debate esta semana:',
+    debatesCompleted: 'Debates completados',
+    averageScore: 'Puntuación media',
+    minutes: 'Minutos debatiendo',
+    level: 'Nivel actual',
+    encourage: '¡Sigue así! Continúa practicando para mejorar tus habilidades de debate.',
+    button: 'Ver informe completo'
+  },
+  topicReview: {
+    subject: 'Tu propuesta de tema - DebateSphere',
+    topic: 'Tema:',
+    button: 'Ver propuesta',
+    statuses: {
+      submitted: {
+        heading: 'Tema enviado',
+        message: 'Tu propuesta de tema se ha enviado y está pendiente de revisión.'
+      },
+      'changes-requested': {
+        heading: 'Cambios solicitados',
+        message: 'Un revisor ha pedido cambios en tu propuesta de tema. Actualízala y vuelve a enviarla.'
+      },
+      approved: {
+        heading: 'Tema aprobado',
+        message: 'Tu propuesta de tema se ha aprobado y ya está abierta al debate.'
+      },
+      rejected: {
+        heading: 'Tema rechazado',
+        message: 'Tu propuesta de tema ha sido rechazada.'
+      }
+    }
+  }
+};
+
+const fr = {
+  common: {
+    greeting: (name) => `Bonjour ${name},`,
+    linkHint: 'Si le bouton ne fonctionne pas, copiez ce lien dans votre navigateur :',
+    rights: 'Tous droits réservés.',
+    sentTo: (email) => `Cet e-mail a été envoyé à ${email}`
+  },
+  emailVerification: {
+    subject: 'Vérifiez votre adresse e-mail - DebateSphere',
+    heading: 'Bienvenue sur DebateSphere !',
+    tagline: 'Vérifiez votre adresse e-mail pour commencer',
+    intro: 'Merci de vous être inscrit sur DebateSphere ! Pour finaliser votre inscription, vérifiez votre adresse e-mail en cliquant sur le bouton ci-dessous :',
+    button: 'Vérifier mon adresse e-mail',
+    expiry: 'Ce lien expire dans 24 heures.',
+    ignore: 'Si vous n\'avez pas créé de compte DebateSphere, vous pouvez ignorer cet e-mail.'
+  },
+  passwordReset: {
+    subject: 'Réinitialisez votre mot de passe - DebateSphere',
+    heading: 'Demande de réinitialisation du mot de passe',
+    tagline: 'Réinitialisez votre mot de passe DebateSphere',
+    intro: 'Nous avons reçu une demande de réinitialisation du mot de passe de votre compte DebateSphere. Cliquez sur le bouton ci-dessous pour en créer un nouveau :',
+    button: 'Réinitialiser le mot de passe',
+    expiry: 'Pour des raisons de sécurité, ce lien expire dans 10 minutes.',
+    ignore: 'Si vous n\'avez rien demandé, vous pouvez ignorer cet e-mail. Votre mot de passe ne changera pas.'
+  },
+  welcomeEmail: {
+    subject: 'Bienvenue sur DebateSphere !',
+    heading: 'Bienvenue sur DebateSphere !',
+    tagline: 'Votre compte est maintenant actif',
+    intro: 'Bienvenue sur DebateSphere ! Votre adresse e-mail est vérifiée et votre compte est maintenant actif.',
+    listIntro: 'Voici comment commencer :',
+    steps: [
+      'Explorez des sujets de débat dans de nombreuses catégories',
+      'Lancez votre premier débat contre l\'IA',
+      'Suivez vos progrès et améliorez vos compétences',
+      'Échangez avec d\'autres débatteurs'
+    ],
+    button: 'Lancer mon premier débat',
+    support: 'Pour toute question, n\'hésitez pas à contacter notre équipe d\'assistance.'
+  },
+  debateReminder: {
+    subject: 'Reprenez votre débat - DebateSphere',
+    heading: 'Reprenez votre débat',
+    tagline: 'Ne perdez pas vos progrès',
+    intro: 'Vous avez une session de débat en cours que vous n\'avez pas encore terminée.',
+    topic: 'Sujet :',
+    side: 'Votre camp :',
+    sides: { pro: 'Pour', con: 'Contre' },
+    encourage: 'Reprenez votre débat pour progresser et obtenir un retour détaillé !',
+    button: 'Reprendre le débat',
+    expiry: 'Votre session reste active pendant 24 heures.'
+  },
+  weeklyReport: {
+    subject: 'Votre bilan hebdomadaire - DebateSphere',
+    heading: 'Votre bilan hebdomadaire',
+    tagline: 'Voici vos résultats de la semaine',
+    intro: 'Voici le résumé de votre activité de débat cette semaine :',
+    debatesCompleted: 'Débats terminés',
+    averageScore: 'Score moyen',
+    minutes: 'Minutes de débat',
+    level: 'Niveau actuel',
+    encourage: 'Bravo, continuez ainsi ! Entraînez-vous régulièrement pour progresser.',
+    button: 'Voir le bilan complet'
+  },
+  topicReview: {
+    subject: 'Votre proposition de sujet - DebateSphere',
+    topic: 'Sujet :',
+    button: 'Voir la proposition',
+    statuses: {
+      submitted: {
+        heading: 'Sujet soumis',
+        message: 'Votre proposition de sujet a été soumise et attend d\'être examinée.'
+      },
+      'changes-requested': {
+        heading: 'Modifications demandées',
+        message: 'Un relecteur a demandé des modifications à votre proposition. Mettez-la à jour et soumettez-la de nouveau.'
+      },
+      approved: {
+        heading: 'Sujet approuvé',
+        message: 'Votre proposition de sujet a été approuvée et est maintenant ouverte au débat.'
+      },
+      rejected: {
+        heading: 'Sujet refusé',
+        message: 'Votre proposition de sujet a été refusée.'
+      }
+    }
+  }
+};
+
+const de = {
+  common: {
+    greeting: (name) => `Hallo ${name},`,
+    linkHint: 'Falls die Schaltfläche nicht funktioniert, kopieren Sie diesen Link in Ihren Browser:',
+    rights: 'Alle Rechte vorbehalten.',
+    sentTo: (email) => `Diese E-Mail wurde an ${email} gesendet`
+  },
+  emailVerification: {
+    subject: 'Bestätigen Sie Ihre E-Mail-Adresse - DebateSphere',
+    heading: 'Willkommen bei DebateSphere!',
+    tagline: 'Bestätigen Sie Ihre E-Mail-Adresse, um loszulegen',
+    intro: 'Danke für Ihre Anmeldung bei DebateSphere! Bestätigen Sie Ihre E-Mail-Adresse über die Schaltfläche unten, um die Registrierung abzuschließen:',
+    button: 'E-Mail-Adresse bestätigen',
+    expiry: 'Dieser Link ist 24 Stunden gültig.',
+    ignore: 'Wenn Sie kein Konto bei DebateSphere erstellt haben, können Sie diese E-Mail ignorieren.'
+  },
+  passwordReset: {
+    subject: 'Passwort zurücksetzen - DebateSphere',
+    heading: 'Anfrage zum Zurücksetzen des Passworts',
+    tagline: 'Setzen Sie Ihr DebateSphere-Passwort zurück',
+    intro: 'Wir haben eine Anfrage erhalten, das Passwort Ihres DebateSphere-Kontos zurückzusetzen. Über die Schaltfläche unten legen Sie ein neues Passwort fest:',
+    button: 'Passwort zurücksetzen',
+    expiry: 'Aus Sicherheitsgründen ist dieser Link 10 Minuten gültig.',
+    ignore: 'Wenn Sie das nicht angefordert haben, können Sie diese E-Mail ignorieren. Ihr Passwort bleibt unverändert.'
+  },
+  welcomeEmail: {
+    subject: 'Willkommen bei DebateSphere!',
+    heading: 'Willkommen bei DebateSphere!',
+    tagline: 'Ihr Konto ist jetzt aktiv',
+    intro: 'Willkommen bei DebateSphere! Ihre E-Mail-Adresse ist bestätigt und Ihr Konto ist jetzt aktiv.',
+    listIntro: 'So legen Sie los:',
+    steps: [
+      'Entdecken Sie Debattenthemen aus vielen Kategorien',
+      'Starten Sie Ihre erste Debatte gegen die KI',
+      'Verfolgen Sie Ihre Fortschritte und verbessern Sie Ihre Fähigkeiten',
+      'Vernetzen Sie sich mit anderen Debattierenden'
+    ],
+    button: 'Erste Debatte starten',
+    support: 'Bei Fragen wenden Sie sich gern an unser Support-Team.'
+  },
+  debateReminder: {
+    subject: 'Setzen Sie Ihre Debatte fort - DebateSphere',
+    heading: 'Setzen Sie Ihre Debatte fort',
+    tagline: 'Lassen Sie Ihren Fortschritt nicht verfallen',
+    intro: 'Sie haben eine aktive Debatte, die Sie noch nicht beendet haben.',
+    topic: 'Thema:',
+    side: 'Ihre Seite:',
+    sides: { pro: 'Pro', con: 'Contra' },
+    encourage: 'Setzen Sie Ihre Debatte fort, um sich zu verbessern und ausführliches Feedback zu erhalten!',
+    button: 'Debatte fortsetzen',
+    expiry: 'Ihre Sitzung bleibt 24 Stunden aktiv.'
+  },
+  weeklyReport: {
+    subject: 'Ihr wöchentlicher Debattenbericht - DebateSphere',
+    heading: 'Ihr Wochenbericht',
+    tagline: 'So lief Ihre Woche',
+    intro: 'Hier ist eine Übersicht über Ihre Debatten dieser Woche:',
+    debatesCompleted: 'Abgeschlossene Debatten',
+    averageScore: 'Durchschnittliche Punktzahl',
+    minutes: 'Minuten Debatte',
+    level: 'Aktuelles Niveau',
+    encourage: 'Weiter so! Üben Sie regelmäßig, um Ihre Debattierfähigkeiten zu verbessern.',
+    button: 'Vollständigen Bericht ansehen'
+  },
+  topicReview: {
+    subject: 'Ihr Themenvorschlag - DebateSphere',
+    topic: 'Thema:',
+    button: 'Vorschlag ansehen',
+    statuses: {
+      submitted: {
+        heading: 'Thema eingereicht',
+        message: 'Ihr Themenvorschlag wurde eingereicht und wartet auf Prüfung.'
+      },
+      'changes-requested': {
+        heading: 'Änderungen angefordert',
+        message: 'Ein Prüfer hat Änderungen an Ihrem Themenvorschlag angefordert. Überarbeiten Sie ihn und reichen Sie ihn erneut ein.'
+      },
+      approved: {
+        heading: 'Thema angenommen',
+        message: 'Ihr Themenvorschlag wurde angenommen und steht jetzt für Debatten bereit.'
+      },
+      rejected: {
+        heading: 'Thema abgelehnt',
+        message: 'Ihr Themenvorschlag wurde abgelehnt.'
+      }
+    }
+  }
+};
+
+const zh = {
+  common: {
+    greeting: (name) => `${name}，您好：`,
+    linkHint: '如果按钮无法使用，请将以下链接复制到浏览器中打开：',
+    rights: '保留所有权利。',
+    sentTo: (email) => `此邮件发送至 ${email}`
+  },
+  emailVerification: {
+    subject: '验证您的邮箱 - DebateSphere',
+    heading: '欢迎加入 DebateSphere！',
+    tagline: '验证邮箱地址即可开始使用',
+    intro: '感谢您注册 DebateSphere！请点击下方按钮验证您的邮箱地址，完成注册：',
+    button: '验证邮箱地址',
+    expiry: '此链接将在 24 小时后失效。',
+    ignore: '如果您没有注册 DebateSphere 账户，请忽略此邮件。'
+  },
+  passwordReset: {
+    subject: '重置您的密码 - DebateSphere',
+    heading: '密码重置请求',
+    tagline: '重置您的 DebateSphere 密码',
+    intro: '我们收到了重置您 DebateSphere 账户密码的请求。请点击下方按钮设置新密码：',
+    button: '重置密码',
+    expiry: '出于安全考虑，此链接将在 10 分钟后失效。',
+    ignore: '如果您没有申请重置密码，请忽略此邮件，您的密码不会改变。'
+  },
+  welcomeEmail: {
+    subject: '欢迎加入 DebateSphere！',
+    heading: '欢迎加入 DebateSphere！',
+    tagline: '您的账户已激活',
+    intro: '欢迎加入 DebateSphere！您的邮箱已验证，账户已激活。',
+    listIntro: '您可以从这些开始：',
+    steps: [
+      '浏览各类辩论话题',
+      '开始您的第一场 AI 辩论',
+      '跟踪进度，提升辩论能力',
+      '结识其他辩手'
+    ],
+    button: '开始第一场辩论',
+    support: '如有任何问题，欢迎联系我们的支持团队。'
+  },
+  debateReminder: {
+    subject: '继续您的辩论 - DebateSphere',
+    heading: '继续您的辩论',
+    tagline: '别让进度白白浪费',
+    intro: '您有一场尚未完成的辩论。',
+    topic: '话题：',
+    side: '您的立场：',
+    sides: { pro: '正方', con: '反方' },
+    encourage: '继续辩论，提升能力并获得详细反馈！',
+    button: '继续辩论',
+    expiry: '您的辩论将保持 24 小时有效。'
+  },
+  weeklyReport: {
+    subject: '您的每周辩论报告 - DebateSphere',
+    heading: '您的每周报告',
+    tagline: '看看您本周的表现',
+    intro: '以下是您本周辩论活动的概要：',
+    debatesCompleted: '完成的辩论',
+    averageScore: '平均得分',
+    minutes: '辩论分钟数',
+    level: '当前水平',
+    encourage: '继续保持！多加练习，不断提升辩论能力。',
+    button: '查看完整报告'
+  },
+  topicReview: {
+    subject: '您的话题提案 - DebateSphere',
+    topic: '话题：',
+    button: '查看提案',
+    statuses: {
+      submitted: {
+        heading: '话题已提交',
+        message: '您的话题提案已提交，正在等待审核。'
+      },
+      'changes-requested': {
+        heading: '需要修改',
+        message: '审核人要求修改您的话题提案。请更新后重新提交。'
+      },
+      approved: {
+        heading: '话题已通过',
+        message: '您的话题提案已通过审核，现在可以用于辩论。'
+      },
+      rejected: {
+        heading: '话题未通过',
+        message: '您的话题提案未通过审核。'
+      }
+    }
+  }
+};
+
+const ja = {
+  common: {
+    greeting: (name) => `${name} 様`,
+    linkHint: 'ボタンが機能しない場合は、次のリンクをブラウザに貼り付けてください。',
+    rights: 'All rights reserved.',
+    sentTo: (email) => `このメールは ${email} 宛てに送信されました`
+  },
+  emailVerification: {
+    subject: 'メールアドレスの確認 - DebateSphere',
+    heading: 'DebateSphere へようこそ！',
+    tagline: 'メールアドレスを確認して始めましょう',
+    intro: 'DebateSphere にご登録いただきありがとうございます。下のボタンからメールアドレスを確認し、登録を完了してください。',
+    button: 'メールアドレスを確認',
+    expiry: 'このリンクの有効期限は 24 時間です。',
+    ignore: 'DebateSphere のアカウントを作成していない場合は、このメールを無視してください。'
+  },
+  passwordReset: {
+    subject: 'パスワードの再設定 - DebateSphere',
+    heading: 'パスワード再設定のリクエスト',
+    tagline: 'DebateSphere のパスワードを再設定します',
+    intro: 'DebateSphere アカウントのパスワード再設定のリクエストを受け付けました。下のボタンから新しいパスワードを設定してください。',
+    button: 'パスワードを再設定',
+    expiry: 'セキュリティのため、このリンクの有効期限は 10 分です。',
+    ignore: '心当たりがない場合は、このメールを無視してください。パスワードは変更されません。'
+  },
+  welcomeEmail: {
+    subject: 'DebateSphere へようこそ！',
+    heading: 'DebateSphere へようこそ！',
+    tagline: 'アカウントが有効になりました',
+    intro: 'DebateSphere へようこそ！メールアドレスが確認され、アカウントが有効になりました。',
+    listIntro: 'まずはこちらから始めましょう：',
+    steps: [
+      'さまざまなカテゴリのディベートテーマを探す',
+      '初めての AI ディベートを始める',
+      '進捗を確認してスキルを伸ばす',
+      'ほかのディベーターとつながる'
+    ],
+    button: '最初のディベートを始める',
+    support: 'ご不明な点があれば、サポートチームまでお気軽にお問い合わせください。'
+  },
+  debateReminder: {
+    subject: 'ディベートを再開しましょう - DebateSphere',
+    heading: 'ディベートを再開しましょう',
+    tagline: 'ここまでの進捗を無駄にしないでください',
+    intro: 'まだ終わっていないディベートがあります。',
+    topic: 'テーマ：',
+    side: 'あなたの立場：',
+    sides: { pro: '肯定側', con: '否定側' },
+    encourage: 'ディベートを続けてスキルを磨き、詳しいフィードバックを受け取りましょう！',
+    button: 'ディベートを再開',
+    expiry: 'このセッションは 24 時間有効です。'
+  },
+  weeklyReport: {
+    subject: '週間ディベートレポート - DebateSphere',
+    heading: '週間レポート',
+    tagline: '今週の成績です',
+    intro: '今週のディベート活動のまとめです：',
+    debatesCompleted: '完了したディベート',
+    averageScore: '平均スコア',
+    minutes: 'ディベート時間（分）',
+    level: '現在のレベル',
+    encourage: 'その調子です！練習を続けてディベートのスキルを伸ばしましょう。',
+    button: 'レポート全文を見る'
+  },
+  topicReview: {
+    subject: 'テーマの提案について - DebateSphere',
+    topic: 'テーマ：',
+    button: '提案を見る',
+    statuses: {
+      submitted: {
+        heading: 'テーマを提出しました',
+        message: 'テーマの提案が提出され、レビュー待ちになりました。'
+      },
+      'changes-requested': {
+        heading: '修正の依頼',
+        message: 'レビュアーからテーマの提案に修正の依頼がありました。修正して再提出してください。'
+      },
+      approved: {
+        heading: 'テーマが承認されました',
+        message: 'テーマの提案が承認され、ディベートで使えるようになりました。'
+      },
+      rejected: {
+        heading: 'テーマが却下されました',
+        message: 'テーマの提案は却下されました。'
+      }
+    }
+  }
+};
+
+const ko = {
+  common: {
+    greeting: (name) => `${name}님, 안녕하세요.`,
+    linkHint: '버튼이 작동하지 않으면 아래 링크를 복사해 브라우저에 붙여 넣으세요.',
+    rights: 'All rights reserved.',
+    sentTo: (email) => `이 이메일은 ${email}(으)로 발송되었습니다`
+  },
+  emailVerification: {
+    subject: '이메일 인증 - DebateSphere',
+    heading: 'DebateSphere에 오신 것을 환영합니다!',
+    tagline: '이메일 주소를 인증하고 시작하세요',
+    intro: 'DebateSphere에 가입해 주셔서 감사합니다! 아래 버튼을 눌러 이메일 주소를 인증하면 가입이 완료됩니다.',
+    button: '이메일 주소 인증',
+    expiry: '이 링크는 24시간 후 만료됩니다.',
+    ignore: 'DebateSphere 계정을 만든 적이 없다면 이 이메일을 무시하셔도 됩니다.'
+  },
+  passwordReset: {
+    subject: '비밀번호 재설정 - DebateSphere',
+    heading: '비밀번호 재설정 요청',
+    tagline: 'DebateSphere 비밀번호를 재설정하세요',
+    intro: 'DebateSphere 계정의 비밀번호 재설정 요청을 받았습니다. 아래 버튼을 눌러 새 비밀번호를 만드세요.',
+    button: '비밀번호 재설정',
+    expiry: '보안을 위해 이 링크는 10분 후 만료됩니다.',
+    ignore: '비밀번호 재설정을 요청하지 않았다면 이 이메일을 무시하셔도 됩니다. 비밀번호는 바뀌지 않습니다.'
+  },
+  welcomeEmail: {
+    subject: 'DebateSphere에 오신 것을 환영합니다!',
+    heading: 'DebateSphere에 오신 것을 환영합니다!',
+    tagline: '계정이 활성화되었습니다',
+    intro: 'DebateSphere에 오신 것을 환영합니다! 이메일이 인증되어 계정이 활성화되었습니다.',
+    listIntro: '이렇게 시작해 보세요:',
+    steps: [
+      '다양한 분야의 토론 주제 둘러보기',
+      '첫 AI 토론 시작하기',
+      '진행 상황을 확인하고 실력 키우기',
+      '다른 토론자들과 교류하기'
+    ],
+    button: '첫 토론 시작하기',
+    support: '궁금한 점이 있으면 언제든지 지원팀에 문의하세요.'
+  },
+  debateReminder: {
+    subject: '토론을 이어서 진행하세요 - DebateSphere',
+    heading: '토론을 이어서 진행하세요',
+    tagline: '지금까지의 진행을 놓치지 마세요',
+    intro: '아직 끝내지 않은 토론이 있습니다.',
+    topic: '주제:',
+    side: '나의 입장:',
+    sides: { pro: '찬성', con: '반대' },
+    encourage: '토론을 이어 가며 실력을 키우고 자세한 피드백을 받아 보세요!',
+    button: '토론 계속하기',
+    expiry: '세션은 24시간 동안 유지됩니다.'
+  },
+  weeklyReport: {
+    subject: '주간 토론 리포트 - DebateSphere',
+    heading: '주간 리포트',
+    tagline: '이번 주 성과입니다',
+    intro: '이번 주 토론 활동 요약입니다:',
+    debatesCompleted: '완료한 토론',
+    averageScore: '평균 점수',
+    minutes: '토론 시간(분)',
+    level: '현재 수준',
+    encourage: '잘하고 있어요! 꾸준히 연습해 토론 실력을 키워 보세요.',
+    button: '전체 리포트 보기'
+  },
+  topicReview: {
+    subject: '주제 제안 안내 - DebateSphere',
+    topic: '주제:',
+    button: '제안 보기',
+    statuses: {
+      submitted: {
+        heading: '주제 제출 완료',
+        message: '주제 제안이 제출되어 검토를 기다리고 있습니다.'
+      },
+      'changes-requested': {
+        heading: '수정 요청',
+        message: '검토자가 주제 제안의 수정을 요청했습니다. 수정한 뒤 다시 제출해 주세요.'
+      },
+      approved: {
+        heading: '주제 승인',
+        message: '주제 제안이 승인되어 이제 토론에 사용할 수 있습니다.'
+      },
+      rejected: {
+        heading: '주제 반려',
+        message: '주제 제안이 반려되었습니다.'
+      }
+    }
+  }
+};
+
+const ar = {
+  common: {
+    greeting: (name) => `مرحبًا ${name}،`,
+    linkHint: 'إذا لم يعمل الزر، انسخ هذا الرابط والصقه في متصفحك:',
+    rights: 'جميع الحقوق محفوظة.',
+    sentTo: (email) => `أُرسلت هذه الرسالة إلى ${email}`
+  },
+  emailVerification: {
+    subject: 'تأكيد بريدك الإلكتروني - DebateSphere',
+    heading: 'مرحبًا بك في DebateSphere!',
+    tagline: 'أكّد عنوان بريدك الإلكتروني لتبدأ',
+    intro: 'شكرًا لتسجيلك في DebateSphere! لإكمال التسجيل، أكّد عنوان بريدك الإلكتروني بالضغط على الزر أدناه:',
+    button: 'تأكيد البريد الإلكتروني',
+    expiry: 'تنتهي صلاحية هذا الرابط خلال 24 ساعة.',
+    ignore: 'إذا لم تُنشئ حسابًا في DebateSphere، يمكنك تجاهل هذه الرسالة.'
+  },
+  passwordReset: {
+    subject: 'إعادة تعيين كلمة المرور - DebateSphere',
+    heading: 'طلب إعادة تعيين كلمة المرور',
+    tagline: 'أعد تعيين كلمة مرور DebateSphere',
+    intro: 'تلقينا طلبًا لإعادة تعيين كلمة مرور حسابك في DebateSphere. اضغط على الزر أدناه لإنشاء كلمة مرور جديدة:',
+    button: 'إعادة تعيين كلمة المرور',
+    expiry: 'لأسباب أمنية، تنتهي صلاحية هذا الرابط خلال 10 دقائق.',
+    ignore: 'إذا لم تطلب إعادة التعيين، يمكنك تجاهل هذه الرسالة وستبقى كلمة مرورك كما هي.'
+  },
+  welcomeEmail: {
+    subject: 'مرحبًا بك في DebateSphere!',
+    heading: 'مرحبًا بك في DebateSphere!',
+    tagline: 'حسابك مفعّل الآن',
+    intro: 'مرحبًا بك في DebateSphere! تم تأكيد بريدك الإلكتروني وأصبح حسابك مفعّلًا.',
+    listIntro: 'إليك ما يمكنك فعله للبدء:',
+    steps: [
+      'استكشف مواضيع المناظرة في مختلف الفئات',
+      'ابدأ أول مناظرة لك مع الذكاء الاصطناعي',
+      'تابع تقدمك وطوّر مهاراتك',
+      'تواصل مع مناظرين آخرين'
+    ],
+    button: 'ابدأ مناظرتك الأولى',
+    support: 'إذا كانت لديك أي أسئلة، لا تتردد في التواصل مع فريق الدعم.'
+  },
+  debateReminder: {
+    subject: 'تابع مناظرتك - DebateSphere',
+    heading: 'تابع مناظرتك',
+    tagline: 'لا تدع تقدمك يضيع',
+    intro: 'لديك جلسة مناظرة نشطة لم تُكملها بعد.',
+    topic: 'الموضوع:',
+    side: 'موقفك:',
+    sides: { pro: 'مؤيد', con: 'معارض' },
+    encourage: 'تابع مناظرتك لتطوير مهاراتك والحصول على ملاحظات مفصلة!',
+    button: 'متابعة المناظرة',
+    expiry: 'ستبقى جلستك نشطة لمدة 24 ساعة.'
+  },
+  weeklyReport: {
+    subject: 'تقرير المناظرات الأسبوعي - DebateSphere',
+    heading: 'تقريرك الأسبوعي',
+    tagline: 'إليك أداءك هذا الأسبوع',
+    intro: 'إليك ملخص نشاطك في المناظرات هذا الأسبوع:',
+    debatesCompleted: 'المناظرات المكتملة',
+    averageScore: 'متوسط الدرجات',
+    minutes: 'دقائق المناظرة',
+    level: 'المستوى الحالي',
+    encourage: 'أحسنت! واصل التدريب لتطوير مهاراتك في المناظرة.',
+    button: 'عرض التقرير الكامل'
+  },
+  topicReview: {
+    subject: 'اقتراح الموضوع الخاص بك - DebateSphere',
+    topic: 'الموضوع:',
+    button: 'عرض الاقتراح',
+    statuses: {
+      submitted: {
+        heading: 'تم إرسال الموضوع',
+        message: 'تم إرسال اقتراح الموضوع وهو بانتظار المراجعة.'
+      },
+      'changes-requested': {
+        heading: 'مطلوب تعديلات',
+        message: 'طلب أحد المراجعين تعديلات على اقتراحك. حدّثه ثم أرسله مرة أخرى.'
+      },
+      approved: {
+        heading: 'تمت الموافقة على الموضوع',
+        message: 'تمت الموافقة على اقتراح الموضوع وأصبح متاحًا للمناظرة.'
+      },
+      rejected: {
+        heading: 'تم رفض الموضوع',
+        message: 'تم رفض اقتراح الموضوع.'
+      }
+    }
+  }
+};
+
+const hi = {
+  common: {
+    greeting: (name) => `नमस्ते ${name},`,
+    linkHint: 'अगर बटन काम न करे, तो यह लिंक कॉपी करके अपने ब्राउज़र में खोलें:',
+    rights: 'सर्वाधिकार सुरक्षित।',
+    sentTo: (email) => `यह ईमेल ${email} पर भेजा गया था`
+  },
+  emailVerification: {
+    subject: 'अपना ईमेल सत्यापित करें - DebateSphere',
+    heading: 'DebateSphere में आपका स्वागत है!',
+    tagline: 'शुरू करने के लिए अपना ईमेल पता सत्यापित करें',
+    intro: 'DebateSphere पर साइन अप करने के लिए धन्यवाद! पंजीकरण पूरा करने के लिए नीचे दिए बटन से अपना ईमेल पता सत्यापित करें:',
+    button: 'ईमेल पता सत्यापित करें',
+    expiry: 'यह लिंक 24 घंटे में समाप्त हो जाएगा।',
+    ignore: 'अगर आपने DebateSphere पर खाता नहीं बनाया है, तो इस ईमेल को अनदेखा करें।'
+  },
+  passwordReset: {
+    subject: 'अपना पासवर्ड रीसेट करें - DebateSphere',
+    heading: 'पासवर्ड रीसेट का अनुरोध',
+    tagline: 'अपना DebateSphere पासवर्ड रीसेट करें',
+    intro: 'हमें आपके DebateSphere खाते का पासवर्ड रीसेट करने का अनुरोध मिला है। नया पासवर्ड बनाने के लिए नीचे दिया बटन दबाएँ:',
+    button: 'पासवर्ड रीसेट करें',
+    expiry: 'सुरक्षा कारणों से यह लिंक 10 मिनट में समाप्त हो जाएगा।',
+    ignore: 'अगर आपने पासवर्ड रीसेट का अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें। आपका पासवर्ड नहीं बदलेगा।'
+  },
+  welcomeEmail: {
+    subject: 'DebateSphere में आपका स्वागत है!',
+    heading: 'DebateSphere में आपका स्वागत है!',
+    tagline: 'आपका खाता अब सक्रिय है',
+    intro: 'DebateSphere में आपका स्वागत है! आपका ईमेल सत्यापित हो गया है और आपका खाता अब सक्रिय है।',
+    listIntro: 'शुरुआत ऐसे करें:',
+    steps: [
+      'अलग-अलग श्रेणियों के बहस विषय देखें',
+      'AI के साथ अपनी पहली बहस शुरू करें',
+      'अपनी प्रगति देखें और कौशल निखारें',
+      'दूसरे वाद-विवादकर्ताओं से जुड़ें'
+    ],
+    button: 'अपनी पहली बहस शुरू करें',
+    support: 'कोई सवाल हो तो हमारी सहायता टीम से बेझिझक संपर्क करें।'
+  },
+  debateReminder: {
+    subject: 'अपनी बहस जारी रखें - DebateSphere',
+    heading: 'अपनी बहस जारी रखें',
+    tagline: 'अपनी प्रगति बेकार न जाने दें',
+    intro: 'आपका एक बहस सत्र अभी अधूरा है।',
+    topic: 'विषय:',
+    side: 'आपका पक्ष:',
+    sides: { pro: 'पक्ष', con: 'विपक्ष' },
+    encourage: 'अपना कौशल निखारने और विस्तृत प्रतिक्रिया पाने के लिए बहस जारी रखें!',
+    button: 'बहस जारी रखें',
+    expiry: 'आपका सत्र 24 घंटे तक सक्रिय रहेगा।'
+  },
+  weeklyReport: {
+    subject: 'आपकी साप्ताहिक बहस रिपोर्ट - DebateSphere',
+    heading: 'आपकी साप्ताहिक रिपोर्ट',
+    tagline: 'इस सप्ताह आपका प्रदर्शन',
+    intro: 'इस सप्ताह की आपकी बहस गतिविधि का सारांश:',
+    debatesCompleted: 'पूरी हुई बहसें',
+    averageScore: 'औसत स्कोर',
+    minutes: 'बहस के मिनट',
+    level: 'वर्तमान स्तर',
+    encourage: 'बहुत बढ़िया! अपना बहस कौशल निखारने के लिए अभ्यास जारी रखें।',
+    button: 'पूरी रिपोर्ट देखें'
+  },
+  topicReview: {
+    subject: 'आपका विषय प्रस्ताव - DebateSphere',
+    topic: 'विषय:',
+    button: 'प्रस्ताव देखें',
+    statuses: {
+      submitted: {
+        heading: 'विषय जमा हुआ',
+        message: 'आपका विषय प्रस्ताव जमा हो गया है और समीक्षा की प्रतीक्षा में है।'
+      },
+      'changes-requested': {
+        heading: 'बदलाव का अनुरोध',
+        message: 'एक समीक्षक ने आपके विषय प्रस्ताव में बदलाव माँगे हैं। उसे अपडेट करके दोबारा जमा करें।'
+      },
+      approved: {
+        heading: 'विषय स्वीकृत',
+        message: 'आपका विषय प्रस्ताव स्वीकृत हो गया है और अब बहस के लिए उपलब्ध है।'
+      },
+      rejected: {
+        heading: 'विषय अस्वीकृत',
+        message: 'आपका विषय प्रस्ताव अस्वीकार कर दिया गया।'
+      }
+    }
+  }
+};
+
+const LOCALES = { en, es, fr, de, zh, ja, ko, ar, hi };
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar'];
+
+/**
+ * Text of one email template in a language
+ * @param {string} template - Template name (see emailService emailTemplates)
+ * @param {string} language - Language code; unknown codes get English
+ * @returns {Object} Shared and template strings, plus lang and dir for the html element
+ */
+const getEmailText = (template, language) => {
+  const lang = LOCALES[language] ? language : 'en';
+  const locale = LOCALES[lang];
+
+  return {
+    ...en.common,
+    ...locale.common,
+    ...en[template],
+    ...locale[template],
+    lang,
+    dir: RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr'
+  };
+};
+
+module.exports = {
+  LOCALES,
+  getEmailText
+};
\ No newline at end of file
@@ -1,19 +1,25 @@
 const nodemailer = require('nodemailer');
 const logger = require('../config/logger');
+const { getEmailText } = require('./emailLocales');
+
+// Heading and message of a topic proposal update, in the template's language when the status is known
+const reviewNotice = (data, text) => text.statuses[data.status] || { heading: data.heading, message: data.message };
 
 /**
  * Email templates
+ * Each takes the template data and its text in the recipient's language
+ * (see emailLocales).
  */
 const emailTemplates = {
   emailVerification: {
-    subject: 'Verify Your Email - DebateSphere',
-    html: (data) => `
+    subject: (text) => text.subject,
+    html: (data, text) => `
       <!DOCTYPE html>
-      <html>
+      <html lang="${text.lang}" dir="${text.dir}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Verify Your Email - DebateSphere</title>
+        <title>${text.subject}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -26,21 +32,21 @@ const emailTemplates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Welcome to DebateSphere!</h1>
-            <p>Verify your email address to get started</p>
+            <h1>${text.heading}</h1>
+            <p>${text.tagline}</p>
           </div>
           <div class="content">
-            <h2>Hi ${data.name},</h2>
-            <p>Thank you for signing up for DebateSphere! To complete your registration, please verify your email address by clicking the button below:</p>
-            <a href="${data.verificationURL}" class="button">Verify Email Address</a>
-            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <h2>${text.greeting(data.name)}</h2>
+            <p>${text.intro}</p>
+            <a href="${data.verificationURL}" class="button">${text.button}</a>
+            <p>${text.linkHint}</p>
             <p>${data.verificationURL}</p>
-            <p>This link will expire in 24 hours.</p>
-            <p>If you didn't create an account with DebateSphere, you can safely ignore this email.</p>
+            <p>${text.expiry}</p>
+            <p>${text.ignore}</p>
           </div>
           <div class="footer">
-            <p>&copy; 2025 DebateSphere. All rights reserved.</p>
-            <p>This email was sent to ${data.email}</p>
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
           </div>
         </div>
       </body>
@@ -49,14 +55,14 @@ const emailTemplates = {
   },
   
   passwordReset: {
-    subject: 'Reset Your Password - DebateSphere',
-    html: (data) => `
+    subject: (text) => text.subject,
+    html: (data, text) => `
       <!DOCTYPE html>
-      <html>
+      <html lang="${text.lang}" dir="${text.dir}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Reset Your Password - DebateSphere</title>
+        <title>${text.subject}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -69,21 +75,21 @@ const emailTemplates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Password Reset Request</h1>
-            <p>Reset your DebateSphere password</p>
+            <h1>${text.heading}</h1>
+            <p>${text.tagline}</p>
           </div>
           <div class="content">
-            <h2>Hi ${data.name},</h2>
-            <p>We received a request to reset your password for your DebateSphere account. Click the button below to create a new password:</p>
-            <a href="${data.resetURL}" class="button">Reset Password</a>
-            <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+            <h2>${text.greeting(data.name)}</h2>
+            <p>${text.intro}</p>
+            <a href="${data.resetURL}" class="button">${text.button}</a>
+            <p>${text.linkHint}</p>
             <p>${data.resetURL}</p>
-            <p>This link will expire in 10 minutes for security reasons.</p>
-            <p>If you didn't request a password reset, you can safely ignore this email. Your password will remain unchanged.</p>
+            <p>${text.expiry}</p>
+            <p>${text.ignore}</p>
           </div>
           <div class="footer">
-            <p>&copy; 2025 DebateSphere. All rights reserved.</p>
-            <p>This email was sent to ${data.email}</p>
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
           </div>
         </div>
       </body>
@@ -92,14 +98,14 @@ const emailTemplates = {
   },
   
   welcomeEmail: {
-    subject: 'Welcome to DebateSphere!',
-    html: (data) => `
+    subject: (text) => text.subject,
+    html: (data, text) => `
       <!DOCTYPE html>
-      <html>
+      <html lang="${text.lang}" dir="${text.dir}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Welcome to DebateSphere!</title>
+        <title>${text.subject}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -112,25 +118,22 @@ const emailTemplates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Welcome to DebateSphere!</h1>
-            <p>Your account is now active</p>
+            <h1>${text.heading}</h1>
+            <p>${text.tagline}</p>
           </div>
           <div class="content">
-            <h2>Hi ${data.name},</h2>
-            <p>Welcome to DebateSphere! Your email has been verified and your account is now active.</p>
-            <p>Here's what you can do to get started:</p>
+            <h2>${text.greeting(data.name)}</h2>
+            <p>${text.intro}</p>
+            <p>${text.listIntro}</p>
             <ul>
-              <li>Explore debate topics in various categories</li>
-              <li>Start your first AI-powered debate</li>
-              <li>Track your progress and improve your skills</li>
-              <li>Connect with other debaters</li>
+              ${text.steps.map(step => `<li>${step}</li>`).join('')}
             </ul>
-            <a href="${data.dashboardURL}" class="button">Start Your First Debate</a>
-            <p>If you have any questions, feel free to reach out to our support team.</p>
+            <a href="${data.dashboardURL}" class="button">${text.button}</a>
+            <p>${text.support}</p>
           </div>
           <div class="footer">
-            <p>&copy; 2025 DebateSphere. All rights reserved.</p>
-            <p>This email was sent to ${data.email}</p>
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
           </div>
         </div>
       </body>
@@ -139,14 +142,14 @@ const emailTemplates = {
   },
   
   debateReminder: {
-    subject: 'Continue Your Debate - DebateSphere',
-    html: (data) => `
+    subject: (text) => text.subject,
+    html: (data, text) => `
       <!DOCTYPE html>
-      <html>
+      <html lang="${text.lang}" dir="${text.dir}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Continue Your Debate - DebateSphere</title>
+        <title>${text.subject}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -159,21 +162,21 @@ const emailTemplates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Continue Your Debate</h1>
-            <p>Don't let your progress go to waste</p>
+            <h1>${text.heading}</h1>
+            <p>${text.tagline}</p>
           </div>
           <div class="content">
-            <h2>Hi ${data.name},</h2>
-            <p>We noticed you have an active debate session that you haven't completed yet.</p>
-            <p><strong>Topic:</strong> ${data.topicTitle}</p>
-            <p><strong>Your Side:</strong> ${data.chosenSide}</p>
-            <p>Continue your debate to improve your skills and get detailed feedback!</p>
-            <a href="${data.debateURL}" class="button">Continue Debate</a>
-            <p>Your session will remain active for 24 hours.</p>
+            <h2>${text.greeting(data.name)}</h2>
+            <p>${text.intro}</p>
+            <p><strong>${text.topic}</strong> ${data.topicTitle}</p>
+            <p><strong>${text.side}</strong> ${text.sides[data.chosenSide] || data.chosenSide}</p>
+            <p>${text.encourage}</p>
+            <a href="${data.debateURL}" class="button">${text.button}</a>
+            <p>${text.expiry}</p>
           </div>
           <div class="footer">
-            <p>&copy; 2025 DebateSphere. All rights reserved.</p>
-            <p>This email was sent to ${data.email}</p>
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
           </div>
         </div>
       </body>
@@ -182,14 +185,14 @@ const emailTemplates = {
   },
   
   weeklyReport: {
-    subject: 'Your Weekly Debate Report - DebateSphere',
-    html: (data) => `
+    subject: (text) => text.subject,
+    html: (data, text) => `
       <!DOCTYPE html>
-      <html>
+      <html lang="${text.lang}" dir="${text.dir}">
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Weekly Report - DebateSphere</title>
+        <title>${text.subject}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
@@ -205,36 +208,77 @@ const emailTemplates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>Your Weekly Report</h1>
-            <p>Here's how you performed this week</p>
+            <h1>${text.heading}</h1>
+            <p>${text.tagline}</p>
           </div>
           <div class="content">
-            <h2>Hi ${data.name},</h2>
-            <p>Here's a summary of your debate activity this week:</p>
+            <h2>${text.greeting(data.name)}</h2>
+            <p>${text.intro}</p>
             <div class="stats">
               <div class="stat">
                 <div class="stat-value">${data.debatesCompleted}</div>
-                <div>Debates Completed</div>
+                <div>${text.debatesCompleted}</div>
               </div>
               <div class="stat">
                 <div class="stat-value">${data.averageScore}%</div>
-                <div>Average Score</div>
+                <div>${text.averageScore}</div>
               </div>
               <div class="stat">
                 <div class="stat-value">${data.totalTime}</div>
-                <div>Minutes Debating</div>
+                <div>${text.minutes}</div>
               </div>
               <div class="stat">
                 <div class="stat-value">${data.skillLevel}</div>
-                <div>Current Level</div>
+                <div>${text.level}</div>
               </div>
             </div>
-            <p>Keep up the great work! Continue practicing to improve your debate skills.</p>
-            <a href="${data.dashboardURL}" class="button">View Full Report</a>
+            <p>${text.encourage}</p>
+            <a href="${data.dashboardURL}" class="button">${text.button}</a>
           </div>
           <div class="footer">
-            <p>&copy; 2025 DebateSphere. All rights reserved.</p>
-            <p>This email was sent to ${data.email}</p>
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  },
+
+  topicReview: {
+    subject: (text, data) => `${reviewNotice(data, text).heading} - DebateSphere`,
+    html: (data, text) => `
+      <!DOCTYPE html>
+      <html lang="${text.lang}" dir="${text.dir}">
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${text.subject}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #0ea5e9, #38bdf8); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 0 0 10px 10px; }
+          .note { background: white; border-left: 4px solid #0ea5e9; padding: 10px 15px; margin: 15px 0; }
+          .button { display: inline-block; background: #0ea5e9; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${reviewNotice(data, text).heading}</h1>
+          </div>
+          <div class="content">
+            <h2>${text.greeting(data.name)}</h2>
+            <p><strong>${text.topic}</strong> ${data.topicTitle}</p>
+            <p>${reviewNotice(data, text).message}</p>
+            ${data.note ? `<div class="note">${data.note}</div>` : ''}
+            <a href="${data.topicURL}" class="button">${text.button}</a>
+          </div>
+          <div class="footer">
+            <p>&copy; 2025 DebateSphere. ${text.rights}</p>
+            <p>${text.sentTo(data.email)}</p>
           </div>
         </div>
       </body>
@@ -262,9 +306,10 @@ const createTransporter = () => {
  * Send email
  * @param {Object} options - Email options
  * @param {string} options.email - Recipient email
- * @param {string} options.subject - Email subject
+ * @param {string} options.subject - Email subject (templates set their own)
  * @param {string} options.template - Email template name
  * @param {Object} options.data - Template data
+ * @param {string} options.language - Language of the template text (optional, English by default)
  * @param {string} options.html - Custom HTML content (optional)
  * @param {string} options.text - Plain text content (optional)
  */
@@ -273,11 +318,15 @@ const sendEmail = async (options) => {
     const transporter = createTransporter();
     
     let html, text;
+    let subject = options.subject;
     
-    // Use template if provided
+    // Use template if provided, in the recipient's language
     if (options.template && emailTemplates[options.template]) {
       const template = emailTemplates[options.template];
-      html = template.html(options.data);
+      const templateText = getEmailText(options.template, options.language);
+      const data = { email: options.email, ...options.data };
+      html = template.html(data, templateText);
+      subject = template.subject(templateText, data);
       text = generatePlainText(html);
     } else {
       html = options.html;
@@ -287,7 +336,7 @@ const sendEmail = async (options) => {
     const mailOptions = {
       from: process.env.EMAIL_FROM,
       to: options.email,
-      subject: options.subject,
+      subject: subject,
       html: html,
       text: text
     };
@@ -297,7 +346,7 @@ const sendEmail = async (options) => {
     logger.info('Email sent successfully:', {
       messageId: info.messageId,
       to: options.email,
-      subject: options.subject
+      subject: subject
     });
 
     return info;
@@ -358,7 +407,7 @@ const sendWelcomeEmail = async (user) => {
   
   await sendEmail({
     email: user.email,
-    subject: 'Welcome to DebateSphere!',
+    language: user.preferences && user.preferences.language,
     template: 'welcomeEmail',
     data: {
       name: user.name,
@@ -375,7 +424,7 @@ const sendDebateReminder = async (user, session) => {
   
   await sendEmail({
     email: user.email,
-    subject: 'Continue Your Debate - DebateSphere',
+    language: user.preferences && user.preferences.language,
     template: 'debateReminder',
     data: {
       name: user.name,
@@ -394,7 +443,7 @@ const sendWeeklyReport = async (user, stats) => {
   
   await sendEmail({
     email: user.email,
-    subject: 'Your Weekly Debate Report - DebateSphere',
+    language: user.preferences && user.preferences.language,
     template: 'weeklyReport',
     data: {
       name: user.name,
@@ -407,11 +456,35 @@ const sendWeeklyReport = async (user, stats) => {
   });
 };
 
+/**
+ * Send a topic proposal status update
+ */
+const sendTopicReviewEmail = async (user, topic, { heading, message, note, data: { status } }) => {
+  const topicURL = `${process.env.FRONTEND_URL}/topics/${topic._id}`;
+
+  await sendEmail({
+    email: user.email,
+    language: user.preferences && user.preferences.language,
+    template: 'topicReview',
+    data: {
+      name: user.name,
+      email: user.email,
+      topicTitle: topic.title,
+      status,
+      heading,
+      message,
+      note,
+      topicURL
+    }
+  });
+};
+
 module.exports = {
   sendEmail,
   sendBulkEmails,
   sendWelcomeEmail,
   sendDebateReminder,
   sendWeeklyReport,
+  sendTopicReviewEmail,
   emailTemplates
 }; 
\ No newline at end of file
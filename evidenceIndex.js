@@ -0,0 +1,283 @@
+const EvidenceDocument = require('../models/EvidenceDocument');
+const logger = require('../config/logger');
+
+/**
+ * Evidence Index
+ * Local BM25 search over a topic's evidence, its pro/con arguments and the
+ * admin-uploaded documents that apply to it. Indexes are built per topic on
+ * first use and cached until the topic or a document changes.
+ */
+
+// Words per document passage, and how many words consecutive passages share
+const PASSAGE_WORDS = 120;
+const PASSAGE_OVERLAP = 30;
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// How long a cached index is trusted without a change notification
+const CACHE_TTL = 10 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'more', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'so', 'should', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Cached indexes keyed by topic ID
+const indexes = new Map();
+
+// Word boundaries of any script, including ones written without spaces such as Chinese and Japanese
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+/**
+ * Split text into lowercased words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words
+ */
+const splitWords = (text) => {
+  return Array.from(wordSegmenter.segment((text || '').normalize('NFKC').toLowerCase()))
+    .filter(segment => segment.isWordLike)
+    .map(segment => segment.segment);
+};
+
+/**
+ * Split text into search terms
+ * Lowercases, drops stopwords and strips common suffixes so "taxes" matches "tax".
+ * Single Latin letters and digits are dropped; a single character is a word in other scripts.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+const tokenize = (text) => {
+  return splitWords(text)
+    .filter(word => !/^[a-z0-9]$/.test(word) && !STOPWORDS.has(word))
+    .map(word => word.replace(/(ing|ed|es|s)$/, '') || word);
+};
+
+/**
+ * Split a document into overlapping passages
+ * @param {string} content - Document text
+ * @returns {Array<string>} Passages
+ */
+const chunk = (content) => {
+  const words = content.split(/\s+/).filter(Boolean);
+  const passages = [];
+
+  for (let start = 0; start < words.length; start += PASSAGE_WORDS - PASSAGE_OVERLAP) {
+    passages.push(words.slice(start, start + PASSAGE_WORDS).join(' '));
+    if (start + PASSAGE_WORDS >= words.length) break;
+  }
+
+  return passages;
+};
+
+/**
+ * Collect the searchable passages of a topic
+ * @param {Object} topic - DebateTopic document
+ * @param {Array} documents - EvidenceDocument documents that apply to the topic
+ * @returns {Array<Object>} Passages
+ */
+const collectPassages = (topic, documents) => {
+  const passages = [];
+
+  (topic.evidence || []).forEach(item => {
+    passages.push({
+      id: `evidence:${item._id}`,
+      sourceType: 'evidence',
+      sourceId: item._id.toString(),
+      title: item.title,
+      source: item.source,
+      url: item.url || null,
+      side: item.side || 'neutral',
+      text: `${item.title}. ${item.description}`
+    });
+  });
+
+  [['pro', topic.proArguments], ['con', topic.conArguments]].forEach(([side, args]) => {
+    (args || []).forEach((text, index) => {
+      passages.push({
+        id: `argument:${side}:${index}`,
+        sourceType: 'argument',
+        sourceId: `${topic._id}:${side}:${index}`,
+        title: `${side === 'pro' ? 'Pro' : 'Con'} argument ${index + 1}`,
+        source: topic.title,
+        url: null,
+        side,
+        text
+      });
+    });
+  });
+
+  documents.forEach(document => {
+    chunk(document.content).forEach((text, index) => {
+      passages.push({
+        id: `document:${document._id}:${index}`,
+        sourceType: 'document',
+        sourceId: document._id.toString(),
+        title: document.title,
+        source: document.source,
+        url: document.url || null,
+        side: document.side,
+        text
+      });
+    });
+  });
+
+  return passages;
+};
+
+/**
+ * Build a BM25 index over passages
+ * @param {Array<Object>} passages - Passages
+ * @returns {Object} Index
+ */
+const buildIndex = (passages) => {
+  const documentFrequency = new Map();
+
+  const entries = passages.map(passage => {
+    const terms = tokenize(passage.text);
+    const termFrequency = new Map();
+    terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+    termFrequency.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+    return { passage, termFrequency, length: terms.length };
+  });
+
+  const averageLength = entries.length > 0
+    ? entries.reduce((sum, entry) => sum + entry.length, 0) / entries.length
+    : 0;
+
+  return { entries, documentFrequency, averageLength, builtAt: Date.now() };
+};
+
+/**
+ * Rank indexed passages against a query
+ * @param {Object} index - Index from buildIndex
+ * @param {string} query - Search text
+ * @param {Object} options - sides to include and limit
+ * @returns {Array<Object>} Passages with a score, best first
+ */
+const search = (index, query, options = {}) => {
+  const { sides = null, limit = 3 } = options;
+  const terms = [...new Set(tokenize(query))];
+  const total = index.entries.length;
+
+  if (terms.length === 0 || total === 0) return [];
+
+  return index.entries
+    .filter(({ passage }) => !sides || sides.includes(passage.side))
+    .map(({ passage, termFrequency, length }) => {
+      const score = terms.reduce((sum, term) => {
+        const frequency = termFrequency.get(term);
+        if (!frequency) return sum;
+
+        const df = index.documentFrequency.get(term);
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        return sum + idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / (index.averageLength || 1)));
+      }, 0);
+
+      return { ...passage, score };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((first, second) => second.score - first.score)
+    .slice(0, limit);
+};
+
+/**
+ * Get the cached index of a topic, building it if needed
+ * @param {Object} topic - DebateTopic document with evidence and arguments
+ * @returns {Promise<Object>} Index
+ */
+const getTopicIndex = async (topic) => {
+  const key = topic._id.toString();
+  const cached = indexes.get(key);
+  const topicUpdatedAt = topic.updatedAt ? new Date(topic.updatedAt).getTime() : 0;
+
+  if (cached && cached.topicUpdatedAt === topicUpdatedAt && Date.now() - cached.builtAt < CACHE_TTL) {
+    return cached;
+  }
+
+  const documents = await EvidenceDocument.findForTopic(topic);
+  const index = { ...buildIndex(collectPassages(topic, documents)), topicUpdatedAt };
+  indexes.set(key, index);
+
+  logger.debug(`Evidence index for topic ${key} built with ${index.entries.length} passages`);
+  return index;
+};
+
+/**
+ * Find the passages that best support a side's reply to a message
+ * @param {Object} topic - DebateTopic document
+ * @param {string} query - Message being answered
+ * @param {string} side - Side the reply argues
+ * @param {number} limit - Number of passages
+ * @returns {Promise<Array<Object>>} Passages, best first
+ */
+const retrieve = async (topic, query, side, limit = 3) => {
+  const index = await getTopicIndex(topic);
+  return search(index, `${topic.title} ${query}`, { sides: [side, 'neutral'], limit });
+};
+
+/**
+ * Drop cached indexes after evidence changes
+ * @param {string} topicId - Topic to drop, or every topic if omitted
+ */
+const invalidate = (topicId = null) => {
+  if (topicId) {
+    indexes.delete(topicId.toString());
+  } else {
+    indexes.clear();
+  }
+};
+
+/**
+ * Passages cited in a reply with [n] markers
+ * @param {string} content - Reply text
+ * @param {Array<Object>} passages - Passages offered to the model, numbered from 1
+ * @returns {Array<Object>} Cited passages with their marker
+ */
+const extractCitations = (content, passages) => {
+  const markers = new Set();
+  const pattern = /\[(\d+)\]/g;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    markers.add(parseInt(match[1]));
+  }
+
+  return [...markers]
+    .filter(marker => marker >= 1 && marker <= passages.length)
+    .sort((first, second) => first - second)
+    .map(marker => ({ marker, ...passages[marker - 1] }));
+};
+
+/**
+ * Shape a cited passage as a DebateMessage attachment
+ * @param {Object} citation - Cited passage
+ * @returns {Object} Attachment
+ */
+const toAttachment = (citation) => ({
+  type: 'citation',
+  url: citation.url,
+  title: `[${citation.marker}] ${citation.title}`.slice(0, 200),
+  description: citation.text.slice(0, 500),
+  citation: {
+    marker: citation.marker,
+    sourceType: citation.sourceType,
+    sourceId: citation.sourceId,
+    source: citation.source
+  }
+});
+
+module.exports = {
+  splitWords,
+  tokenize,
+  chunk,
+  collectPassages,
+  buildIndex,
+  search,
+  retrieve,
+  invalidate,
+  extractCitations,
+  toAttachment
+};
\ No newline at end of file
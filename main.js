@@ -529,6 +529,31 @@ function initializeDebatePage() {
     
     populateTopics(debateTopics);
     
+    // Replace the sample topics with the approved catalogue when the API is reachable
+    const difficultyStars = { easy: 1, medium: 3, hard: 4, expert: 5 };
+    
+    function formatCategory(category) {
+        return category.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+    
+    fetch('/api/topics?limit=50')
+        .then(response => (response.ok ? response.json() : null))
+        .then(body => {
+            const topics = body && body.data && body.data.topics;
+            if (!topics || topics.length === 0) return;
+            
+            debateTopics.splice(0, debateTopics.length, ...topics.map(topic => ({
+                id: topic._id,
+                title: topic.title,
+                category: formatCategory(topic.category),
+                description: topic.description,
+                difficulty: difficultyStars[topic.difficultyLevel] || 3,
+                language: topic.language || 'en'
+            })));
+            populateTopics(debateTopics);
+        })
+        .catch(() => {});
+    
     // Topic search functionality
     const topicSearch = document.getElementById('topic-search');
     topicSearch.addEventListener('input', (e) => {
@@ -561,6 +586,13 @@ function initializeDebatePage() {
     // Topic selection
     let selectedTopicId = null;
     
+    // The debate is held in the topic's language, so voice input and the AI voice follow it
+    const speechLocales = {
+        en: 'en-US', es: 'es-ES', fr: 'fr-FR', de: 'de-DE', zh: 'zh-CN',
+        ja: 'ja-JP', ko: 'ko-KR', ar: 'ar-SA', hi: 'hi-IN'
+    };
+    let debateLanguage = 'en';
+    
     topicList.addEventListener('click', (e) => {
         const topicItem = e.target.closest('.debate-topic-item');
         if (topicItem) {
@@ -577,6 +609,7 @@ function initializeDebatePage() {
     document.getElementById('select-topic-btn').addEventListener('click', () => {
         if (selectedTopicId) {
             const selectedTopic = debateTopics.find(topic => topic.id == selectedTopicId);
+            debateLanguage = selectedTopic.language || 'en';
             document.getElementById('topic-selector').style.display = 'none';
             document.getElementById('side-selector').style.display = 'block';
             document.getElementById('current-topic-display').textContent = `Topic: ${selectedTopic.title}`;
@@ -850,6 +883,7 @@ function initializeDebatePage() {
                 recognition.stop();
             } else {
                 finalTranscript = '';
+                recognition.lang = speechLocales[debateLanguage] || 'en-US';
                 recognition.start();
             }
         }
@@ -868,17 +902,19 @@ function initializeDebatePage() {
             
             // Create a new utterance
             utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = speechLocales[debateLanguage] || 'en-US';
             utterance.rate = 1.0;
             utterance.pitch = 1.0;
             utterance.volume = 1.0;
             
-            // Try to find a good voice
+            // Try to find a voice for the debate language, preferring the exact locale
             const voices = synth.getVoices();
-            const preferredVoices = voices.filter(voice => 
-                voice.name.includes('Google') || 
-                voice.name.includes('English') ||
-                voice.lang.includes('en')
-            );
+            const languageVoices = voices.filter(voice => voice.lang.replace('_', '-').split('-')[0] === debateLanguage);
+            const preferredVoices = [
+                ...languageVoices.filter(voice => voice.lang.replace('_', '-') === utterance.lang),
+                ...languageVoices.filter(voice => voice.name.includes('Google')),
+                ...languageVoices
+            ];
             
             if (preferredVoices.length > 0) {
                 // Use the first preferred voice
@@ -0,0 +1,196 @@
+const DebateSession = require('../models/DebateSession');
+const DebateTopic = require('../models/DebateTopic');
+const logger = require('../config/logger');
+const turnEngine = require('./turnEngine');
+const promptTemplates = require('./promptTemplates');
+const topicRevisions = require('./topicRevisions');
+const { DEFAULT_RATING } = require('./rating');
+
+/**
+ * Matchmaking Service
+ * Pairs users waiting for a human-vs-human debate on topic category and
+ * rating. The allowed rating gap widens the longer a user waits.
+ */
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+const AI_ROLES = ['none', 'moderator', 'judge'];
+
+// Rating gap accepted straight away, and how much it widens per interval of waiting
+const BASE_RATING_GAP = 100;
+const RATING_GAP_STEP = 100;
+// Seconds of waiting after which the rating gap widens by one step
+const WIDEN_INTERVAL = parseInt(process.env.MATCHMAKING_WIDEN_SECONDS) || 30;
+
+// Waiting users keyed by user ID, in the order they joined
+const queue = new Map();
+
+const getRatingGap = (first, second) => Math.abs(first.rating - second.rating);
+
+const getAllowedGap = (entry, now) => {
+  return BASE_RATING_GAP + RATING_GAP_STEP * Math.floor((now - entry.queuedAt) / (WIDEN_INTERVAL * 1000));
+};
+
+/**
+ * Check whether two queued users can debate each other
+ * @param {Object} first - Queue entry
+ * @param {Object} second - Queue entry
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isCompatible = (first, second, now = new Date()) => {
+  if (first.userId === second.userId) return false;
+  if (first.format !== second.format) return false;
+  if (first.category && second.category && first.category !== second.category) return false;
+  if (first.side && second.side && first.side === second.side) return false;
+
+  // The longer either user has waited, the wider the rating gap we accept
+  const allowedGap = Math.max(getAllowedGap(first, now), getAllowedGap(second, now));
+  return getRatingGap(first, second) <= allowedGap;
+};
+
+/**
+ * Add a user to the queue, replacing any previous entry
+ * @param {Object} options - userId, name, skillLevel, rating, category, side, format, aiRole
+ * @param {Date} queuedAt - Time the user started waiting
+ * @returns {Object} Queue entry
+ */
+const enqueue = ({ userId, name, skillLevel = 'beginner', rating = DEFAULT_RATING, category = null, side = null, format = 'open', aiRole = 'none' }, queuedAt = new Date()) => {
+  const key = userId.toString();
+  queue.delete(key);
+
+  const entry = {
+    userId: key,
+    name,
+    skillLevel: SKILL_LEVELS.includes(skillLevel) ? skillLevel : 'beginner',
+    rating,
+    category,
+    side,
+    format,
+    aiRole: AI_ROLES.includes(aiRole) ? aiRole : 'none',
+    queuedAt
+  };
+  queue.set(key, entry);
+
+  return entry;
+};
+
+/**
+ * Remove a user from the queue
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user was waiting
+ */
+const dequeue = (userId) => queue.delete(userId.toString());
+
+const getEntry = (userId) => queue.get(userId.toString()) || null;
+
+/**
+ * Get a user's place in the queue (1-based)
+ * @param {string} userId - User ID
+ * @returns {number|null} Position or null if not queued
+ */
+const getPosition = (userId) => {
+  const index = Array.from(queue.keys()).indexOf(userId.toString());
+  return index === -1 ? null : index + 1;
+};
+
+const getQueueSize = () => queue.size;
+
+/**
+ * Pair up every compatible user in the queue, longest waiting first.
+ * Matched users are removed from the queue.
+ * @param {Date} now - Current time
+ * @returns {Array} Pairs of queue entries
+ */
+const findMatches = (now = new Date()) => {
+  const waiting = Array.from(queue.values());
+  const matched = new Set();
+  const pairs = [];
+
+  waiting.forEach((first, index) => {
+    if (matched.has(first.userId)) return;
+
+    const second = waiting.slice(index + 1).find(candidate => (
+      !matched.has(candidate.userId) && isCompatible(first, candidate, now)
+    ));
+
+    if (second) {
+      matched.add(first.userId);
+      matched.add(second.userId);
+      pairs.push([first, second]);
+    }
+  });
+
+  matched.forEach(userId => queue.delete(userId));
+  return pairs;
+};
+
+/**
+ * Decide who argues which side; stated preferences win, then the longer wait gets pro
+ * @param {Object} first - Queue entry (waited longer)
+ * @param {Object} second - Queue entry
+ * @returns {Object} { pro, con } queue entries
+ */
+const assignSides = (first, second) => {
+  if (first.side === 'con' || second.side === 'pro') {
+    return { pro: second, con: first };
+  }
+  return { pro: first, con: second };
+};
+
+/**
+ * Create the debate session for a matched pair
+ * @param {Object} first - Queue entry
+ * @param {Object} second - Queue entry
+ * @returns {Promise<Object|null>} Populated session, or null when no topic fits
+ */
+const createMatchSession = async (first, second) => {
+  const category = first.category || second.category;
+
+  const [topic] = await DebateTopic.aggregate([
+    { $match: { isActive: true, approvalStatus: 'approved', ...(category && { category }) } },
+    { $sample: { size: 1 } }
+  ]);
+
+  if (!topic) {
+    logger.warn(`No approved topic available for matchmaking${category ? ` in ${category}` : ''}`);
+    return null;
+  }
+
+  const { pro, con } = assignSides(first, second);
+  const topicRevision = await topicRevisions.ensureBaseline(DebateTopic.hydrate(topic));
+
+  const session = new DebateSession({
+    userId: pro.userId,
+    opponentId: con.userId,
+    topicId: topic._id,
+    topicRevision,
+    chosenSide: 'pro',
+    language: topic.language,
+    mode: 'human',
+    aiRole: first.aiRole === second.aiRole ? first.aiRole : 'none',
+    startTime: new Date(),
+    status: 'active',
+    promptVersions: await promptTemplates.assignVersions(pro.userId),
+    sessionSettings: { format: first.format }
+  });
+
+  turnEngine.initialize(session);
+  await session.save();
+
+  logger.info(`Matched ${pro.userId} (pro) against ${con.userId} (con) in session ${session._id}`);
+  return session.populate('topicId', 'title description category');
+};
+
+module.exports = {
+  SKILL_LEVELS,
+  AI_ROLES,
+  isCompatible,
+  enqueue,
+  dequeue,
+  getEntry,
+  getPosition,
+  getQueueSize,
+  findMatches,
+  assignSides,
+  createMatchSession
+};
\ No newline at end of file
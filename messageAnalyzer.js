@@ -0,0 +1,89 @@
+const DebateMessage = require('../models/DebateMessage');
+const DebateTopic = require('../models/DebateTopic');
+const aiService = require('./aiService');
+
+/**
+ * Message Analyzer
+ * Tags each user message with detected fallacies, its claim/warrant/impact
+ * structure and the DebateMessage.analysis scores, and stores the result.
+ */
+
+const isEnabled = () => process.env.MESSAGE_ANALYSIS_ENABLED !== 'false';
+
+/**
+ * Analyze a user message and save the result on it
+ * @param {Object} message - DebateMessage document (user message)
+ * @param {Object} session - DebateSession the message belongs to
+ * @returns {Promise<Object>} Updated message
+ */
+const analyzeUserMessage = async (message, session) => {
+  const [topic, previousMessage] = await Promise.all([
+    DebateTopic.findById(session.topicId._id || session.topicId).select('title'),
+    DebateMessage.findOne({
+      sessionId: message.sessionId,
+      turnNumber: { $lt: message.turnNumber },
+      'flags.isRemoved': { $ne: true }
+    }).sort({ turnNumber: -1 })
+  ]);
+
+  const { containsEvidence, containsRebuttal, model, ...analysis } = await aiService.analyzeMessage({
+    content: message.content,
+    topic,
+    side: message.senderSide || session.chosenSide,
+    previousMessage: previousMessage ? previousMessage.content : null,
+    session,
+    userId: message.senderId || session.userId
+  });
+
+  message.set('analysis', { ...analysis, analyzedAt: new Date() });
+
+  // The model reads the message properly; these replace the keyword guesses from the pre-save hook
+  message.flags.containsEvidence = containsEvidence;
+  message.flags.containsRebuttal = containsRebuttal;
+
+  return message.save();
+};
+
+/**
+ * Shape an analyzed message for the message-analyzed event
+ * @param {Object} message - Analyzed DebateMessage document
+ * @returns {Object} Event payload
+ */
+const toAnalysisPayload = (message) => {
+  const { analysis, flags } = message;
+
+  return {
+    messageId: message._id,
+    sessionId: message.sessionId,
+    scores: {
+      argumentStrength: analysis.argumentStrength,
+      logicalConsistency: analysis.logicalConsistency,
+      evidenceQuality: analysis.evidenceQuality,
+      emotionalAppeal: analysis.emotionalAppeal,
+      clarity: analysis.clarity,
+      relevance: analysis.relevance
+    },
+    averageScore: message.averageAnalysisScore,
+    fallacies: analysis.fallacies.map(({ type, excerpt, explanation, confidence }) => ({
+      type,
+      excerpt,
+      explanation,
+      confidence
+    })),
+    structure: {
+      claim: analysis.structure.claim,
+      warrant: analysis.structure.warrant,
+      impact: analysis.structure.impact
+    },
+    containsEvidence: flags.containsEvidence,
+    containsRebuttal: flags.containsRebuttal,
+    coaching: analysis.coaching,
+    analyzedAt: analysis.analyzedAt
+  };
+};
+
+module.exports = {
+  isEnabled,
+  analyzeUserMessage,
+  toAnalysisPayload
+};
\ No newline at end of file
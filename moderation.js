@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderationController');
+const { authenticate, authorize } = require('../debatesphere/backend/middleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ModerationQueue:
+ *       type: object
+ *       properties:
+ *         messages:
+ *           type: array
+ *           description: Queued messages, oldest first; masked messages include moderation.originalContent
+ *           items:
+ *             $ref: '#/components/schemas/DebateMessage'
+ *         pagination:
+ *           $ref: '#/components/schemas/Pagination'
+ */
+
+/**
+ * @swagger
+ * /api/moderation/queue:
+ *   get:
+ *     summary: Get messages waiting for moderator review
+ *     description: Messages escalated by content moderation or reported by users
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, removed]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ModerationQueue'
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/queue', authenticate, authorize(['admin', 'moderator']), moderationController.getQueue);
+
+/**
+ * @swagger
+ * /api/moderation/messages/{messageId}/review:
+ *   post:
+ *     summary: Approve or remove a queued message
+ *     description: Removed messages stay in the session; transcripts show a placeholder instead of their content
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Message ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, remove]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason for the decision, kept with the message
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DebateMessage'
+ *       400:
+ *         description: Invalid decision or note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Message not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/messages/:messageId/review', authenticate, authorize(['admin', 'moderator']), moderationController.reviewMessage);
+
+module.exports = router;
\ No newline at end of file
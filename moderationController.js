@@ -0,0 +1,97 @@
+const DebateMessage = require('../models/DebateMessage');
+const AppError = require('../middleware/errorHandler').AppError;
+const logger = require('../debatesphere/backend/config/logger');
+const contentModeration = require('../services/contentModeration');
+const sanctions = require('../services/sanctions');
+const { broadcastMessageRemoved } = require('../websocket/socketHandler');
+
+/**
+ * Moderation Controller
+ * Handles the review queue of escalated and reported messages
+ */
+
+/**
+ * Get messages waiting for review
+ * @route GET /api/moderation/queue
+ * @access Private (Admin, Moderator)
+ */
+const getQueue = async (req, res, next) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    if (!['pending', 'approved', 'removed'].includes(status)) {
+      return next(new AppError('Status must be one of pending, approved, removed', 400));
+    }
+
+    const queue = await contentModeration.getReviewQueue({
+      status,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    logger.error('Error getting moderation queue:', error);
+    next(error);
+  }
+};
+
+/**
+ * Approve or remove a queued message
+ * @route POST /api/moderation/messages/:messageId/review
+ * @access Private (Admin, Moderator)
+ */
+const reviewMessage = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { decision, note } = req.body;
+
+    if (!['approve', 'remove'].includes(decision)) {
+      return next(new AppError('Decision must be approve or remove', 400));
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return next(new AppError('Note must be a string of at most 500 characters', 400));
+    }
+
+    const message = await DebateMessage.findById(messageId);
+    if (!message) {
+      return next(new AppError('Message not found', 404));
+    }
+
+    await contentModeration.reviewMessage(message, {
+      decision,
+      moderatorId: req.user.id,
+      note: note ? note.trim() : null
+    });
+
+    await sanctions.recordAction({
+      moderatorId: req.user.id,
+      action: decision === 'remove' ? 'hide' : 'dismiss',
+      targetType: 'message',
+      targetId: message._id,
+      userId: message.senderId,
+      sessionId: message.sessionId,
+      reason: note ? note.trim() : null
+    });
+
+    if (decision === 'remove') {
+      broadcastMessageRemoved(message.sessionId, message);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: message
+    });
+  } catch (error) {
+    logger.error('Error reviewing message:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getQueue,
+  reviewMessage
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+const Notification = require('../models/Notification');
+const logger = require('../config/logger');
+
+/**
+ * Notifications
+ * Stores in-app notifications. Pushing them to open sockets is left to the
+ * caller (see websocket/socketHandler sendNotification), as is email.
+ */
+
+/**
+ * Create a notification; never throws, so a failure cannot undo the action it reports
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object|null>} Notification document, or null if it could not be saved
+ */
+const notify = async (userId, { type, title, message = '', data = null }) => {
+  try {
+    return await Notification.create({ userId, type, title, message, data });
+  } catch (error) {
+    logger.error(`Error creating ${type} notification for user ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { unread, page, limit }
+ * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+ */
+const getNotifications = async (userId, { unread = false, page = 1, limit = 20 } = {}) => {
+  const query = { userId };
+  if (unread) query.readAt = null;
+
+  const skip = (page - 1) * limit;
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ userId, readAt: null })
+  ]);
+
+  return {
+    notifications,
+    unreadCount,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Mark notifications as read
+ * @param {string} userId - Owner of the notifications
+ * @param {Array<string>|null} ids - Notifications to mark, or null for all
+ * @returns {Promise<number>} Number marked
+ */
+const markRead = async (userId, ids = null) => {
+  const query = { userId, readAt: null };
+  if (ids) query._id = { $in: ids };
+
+  const result = await Notification.updateMany(query, { readAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  notify,
+  getNotifications,
+  markRead
+};
\ No newline at end of file
@@ -0,0 +1,184 @@
+const Persona = require('../models/Persona');
+const logger = require('../config/logger');
+
+/**
+ * Persona Service
+ * Loads AI opponent personas and turns them into prompt instructions.
+ * The built-in personas below are seeded into the database once; after that
+ * admins edit them (and add new ones) through /api/ai/personas.
+ */
+
+const DEFAULT_PERSONA = 'analytical';
+
+const DEFAULT_PERSONAS = [
+  {
+    key: 'analytical',
+    name: 'The Analyst',
+    description: 'Calm and methodical, takes arguments apart step by step.',
+    voice: 'Measured, precise and neutral. Prefers numbered points and careful definitions.',
+    rhetoricalHabits: [
+      'Defines key terms before arguing about them',
+      'Breaks the opponent\'s case into premises and tests each one',
+      'Quantifies impacts wherever possible'
+    ],
+    preferredArgumentTypes: ['statistical', 'logical', 'economic'],
+    crossExamination: {
+      aggression: 3,
+      style: 'Asks for the evidence behind each claim and for precise definitions.'
+    }
+  },
+  {
+    key: 'passionate',
+    name: 'The Advocate',
+    description: 'Energetic and persuasive, argues from values and human stakes.',
+    voice: 'Warm, vivid and emphatic. Uses strong verbs and concrete images.',
+    rhetoricalHabits: [
+      'Opens with a concrete human example',
+      'Appeals to shared values and fairness',
+      'Ends with a memorable line'
+    ],
+    preferredArgumentTypes: ['ethical', 'anecdotal', 'social'],
+    crossExamination: {
+      aggression: 2,
+      style: 'Asks who is affected and how, pressing on the human consequences.'
+    }
+  },
+  {
+    key: 'skeptical',
+    name: 'The Skeptic',
+    description: 'Doubts everything and demands proof.',
+    voice: 'Dry, probing and unimpressed. Rarely grants a point without qualification.',
+    rhetoricalHabits: [
+      'Questions the source and sample of every statistic',
+      'Points out unstated assumptions',
+      'Offers alternative explanations for the same evidence'
+    ],
+    preferredArgumentTypes: ['methodological', 'logical', 'scientific'],
+    crossExamination: {
+      aggression: 4,
+      style: 'Challenges sources, asks how the opponent knows, and exposes gaps in causation.'
+    }
+  },
+  {
+    key: 'diplomatic',
+    name: 'The Diplomat',
+    description: 'Courteous and constructive, looks for common ground before drawing distinctions.',
+    voice: 'Polite, balanced and conciliatory. Acknowledges good points before answering them.',
+    rhetoricalHabits: [
+      'Restates the opponent\'s point fairly before responding',
+      'Concedes minor points to win the central one',
+      'Frames the clash as a question of priorities'
+    ],
+    preferredArgumentTypes: ['practical', 'comparative', 'ethical'],
+    crossExamination: {
+      aggression: 1,
+      style: 'Asks open clarifying questions and invites the opponent to find shared ground.'
+    }
+  },
+  {
+    key: 'challenging',
+    name: 'The Challenger',
+    description: 'Confrontational and relentless, goes straight for the weakest point.',
+    voice: 'Direct, brisk and combative, while staying respectful.',
+    rhetoricalHabits: [
+      'Leads with the strongest rebuttal',
+      'Turns the opponent\'s own examples against them',
+      'Calls out contradictions immediately'
+    ],
+    preferredArgumentTypes: ['logical', 'historical', 'counterexample'],
+    crossExamination: {
+      aggression: 5,
+      style: 'Asks short yes-or-no questions designed to force concessions.'
+    }
+  }
+];
+
+const AGGRESSION_LEVELS = {
+  1: 'Gentle: ask clarifying questions and never corner the opponent.',
+  2: 'Mild: probe politely and accept reasonable answers.',
+  3: 'Firm: follow up on evasive answers and ask for evidence.',
+  4: 'Pressing: keep questions short, press every weak answer and highlight concessions.',
+  5: 'Relentless: use leading yes-or-no questions to force concessions and do not let evasions pass.'
+};
+
+/**
+ * Insert the built-in personas that are not in the database yet
+ * Existing personas are left alone, so admin edits survive restarts.
+ */
+const seedDefaults = async () => {
+  try {
+    const result = await Persona.bulkWrite(DEFAULT_PERSONAS.map(persona => ({
+      updateOne: {
+        filter: { key: persona.key },
+        update: { $setOnInsert: persona },
+        upsert: true
+      }
+    })));
+
+    if (result.upsertedCount > 0) {
+      logger.info(`Seeded ${result.upsertedCount} AI personas`);
+    }
+  } catch (error) {
+    logger.error('Error seeding AI personas:', error);
+  }
+};
+
+/**
+ * Get a persona definition
+ * Falls back to the current version if the version is unknown, and to the default persona if the key is.
+ * Deactivated personas still load, so sessions that started with them can finish.
+ * @param {string} key - Persona key (DebateSession.aiPersonality)
+ * @param {number} version - Version to use, the current one if omitted
+ * @returns {Promise<Object>} Persona definition
+ */
+const getPersona = async (key, version = null) => {
+  const persona = await Persona.findOne({ key: key || DEFAULT_PERSONA });
+
+  if (persona) {
+    return persona.getVersion(version) || persona.getDefinition();
+  }
+
+  if (key && key !== DEFAULT_PERSONA) {
+    logger.warn(`Persona ${key} not found, using ${DEFAULT_PERSONA}`);
+    return getPersona(DEFAULT_PERSONA);
+  }
+
+  return { ...DEFAULT_PERSONAS[0], version: 0 };
+};
+
+/**
+ * Build the persona section of the debate system prompt
+ * @param {Object} persona - Persona definition
+ * @param {boolean} crossExamining - Whether the current phase is cross-examination
+ * @returns {string} Prompt instructions
+ */
+const buildPersonaInstructions = (persona, crossExamining = false) => {
+  if (!persona) return '';
+
+  const { aggression = 3, style = '' } = persona.crossExamination || {};
+  const lines = [
+    `Persona: ${persona.name}${persona.description ? ` - ${persona.description}` : ''}`,
+    `Voice and Tone: ${persona.voice}`
+  ];
+
+  if (persona.rhetoricalHabits && persona.rhetoricalHabits.length > 0) {
+    lines.push(`Rhetorical Habits:\n${persona.rhetoricalHabits.map(habit => `- ${habit}`).join('\n')}`);
+  }
+  if (persona.preferredArgumentTypes && persona.preferredArgumentTypes.length > 0) {
+    lines.push(`Preferred Argument Types: ${persona.preferredArgumentTypes.join(', ')}`);
+  }
+
+  // Cross-examination guidance matters most while questioning, but also sets how hard follow-ups are
+  const crossExamination = `Cross-Examination (${aggression}/5): ${AGGRESSION_LEVELS[aggression] || AGGRESSION_LEVELS[3]}${style ? ` ${style}` : ''}`;
+  lines.push(crossExamining ? `${crossExamination} This applies now.` : crossExamination);
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  DEFAULT_PERSONA,
+  DEFAULT_PERSONAS,
+  seedDefaults,
+  getPersona,
+  buildPersonaInstructions
+};
\ No newline at end of file
@@ -0,0 +1,689 @@
+const crypto = require('crypto');
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptExperiment = require('../models/PromptExperiment');
+const DebateSession = require('../models/DebateSession');
+const PerformanceMetrics = require('../models/PerformanceMetrics');
+const logger = require('../config/logger');
+
+/**
+ * Prompt Template Service
+ * Named, versioned AI prompts with {{variable}} placeholders. The built-in
+ * templates below are seeded into the database once; after that admins add
+ * versions through /api/ai/prompts and compare them with experiments.
+ */
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'debate-response',
+    description: 'System prompt for the AI opponent\'s debate replies',
+    variables: ['aiSide', 'topicTitle', 'topicDescription', 'difficulty', 'personaInstructions', 'phaseInstructions', 'sources'],
+    body: `You are an AI debate opponent in a formal debate setting. You are arguing for the {{aiSide}} side of the topic: "{{topicTitle}}".
+
+Topic Description: {{topicDescription}}
+Your Side: {{aiSide}}
+Difficulty Level: {{difficulty}}
+{{personaInstructions}}{{phaseInstructions}}
+Guidelines:
+- Stay in character as a debate opponent
+- Use logical arguments and evidence when available
+- Respond appropriately to the user's arguments
+- Maintain a respectful and professional tone
+- Keep responses concise but substantive
+- Ask clarifying questions when needed
+- Provide counter-arguments and rebuttals
+- Use the sources below when relevant
+
+{{sources}}
+Respond naturally to the user's message while following these guidelines.`
+  },
+  {
+    name: 'performance-analysis',
+    description: 'Scores a user\'s whole debate after it ends',
+    variables: ['topicTitle', 'side', 'debateContent', 'detailInstruction'],
+    body: `Analyze the following debate performance and provide a comprehensive evaluation.
+
+Topic: {{topicTitle}}
+User's Side: {{side}}
+Debate Content: {{debateContent}}
+
+Please provide an analysis in the following JSON format:
+{
+  "argumentStrength": <score 0-100>,
+  "logicalConsistency": <score 0-100>,
+  "evidenceUse": <score 0-100>,
+  "rebuttalQuality": <score 0-100>,
+  "overallScore": <score 0-100>,
+  "feedback": {
+    "strengths": ["strength1", "strength2"],
+    "weaknesses": ["weakness1", "weakness2"],
+    "suggestions": ["suggestion1", "suggestion2"],
+    "detailedAnalysis": "comprehensive analysis text"
+  }
+}
+
+Scoring criteria:
+- Argument Strength: Quality and persuasiveness of arguments
+- Logical Consistency: Coherence and logical flow
+- Evidence Use: Appropriate use of facts and examples
+- Rebuttal Quality: Effectiveness of counter-arguments
+- Overall Score: Weighted average considering all factors
+
+{{detailInstruction}}`
+  },
+  {
+    name: 'message-analysis',
+    description: 'Reviews a single live debate message for fallacies and structure',
+    variables: ['topicTitle', 'side', 'exchangeContext', 'fallacyTypes'],
+    body: `You are a debate coach reviewing a single message from a live debate.
+
+Topic: {{topicTitle}}
+Speaker's Side: {{side}}
+{{exchangeContext}}
+
+Identify logical fallacies only when they are clearly present. Allowed fallacy types:
+{{fallacyTypes}}
+
+Break the message into claim (what is asserted), warrant (why it is true) and impact (why it matters). Use null for any part that is missing.
+
+Provide your analysis in the following JSON format:
+{
+  "argumentStrength": <score 0-100>,
+  "logicalConsistency": <score 0-100>,
+  "evidenceQuality": <score 0-100>,
+  "emotionalAppeal": <score 0-100>,
+  "clarity": <score 0-100>,
+  "relevance": <score 0-100>,
+  "fallacies": [
+    { "type": "<fallacy type>", "excerpt": "quoted words", "explanation": "why this is a fallacy", "confidence": <0-1> }
+  ],
+  "structure": { "claim": "text or null", "warrant": "text or null", "impact": "text or null" },
+  "containsEvidence": <true|false>,
+  "containsRebuttal": <true|false>,
+  "coaching": "one short, actionable tip for the speaker's next message"
+}`
+  },
+  {
+    name: 'adjudication',
+    description: 'Judges a finished debate from its transcript',
+    variables: ['topicTitle', 'format'],
+    body: `You are an experienced, impartial debate adjudicator. Judge the following debate only on what was said in the round.
+
+Topic: {{topicTitle}}
+Format: {{format}}
+
+The transcript lists every speech as "[Turn N] SIDE (type): text". PRO argues for the motion, CON against it.
+
+Flow the round: track each argument from the turn it was introduced and record what happened to it:
+- extended: its side carried it forward through later speeches
+- dropped: the other side never answered it
+- refuted: the other side answered it successfully
+- conceded: its own side gave it up
+
+Provide your ballot in the following JSON format:
+{
+  "winner": "pro" | "con" | "draw",
+  "decision": "reason for decision in 2-4 sentences, naming the arguments that decided the round",
+  "flow": [
+    {
+      "argument": "short label for the argument",
+      "side": "pro" | "con",
+      "turnNumber": <turn it was introduced>,
+      "status": "extended" | "dropped" | "refuted" | "conceded",
+      "note": "one sentence on how it was handled"
+    }
+  ],
+  "speakerPoints": { "pro": <20-30>, "con": <20-30> },
+  "scores": { "pro": <0-100>, "con": <0-100> }
+}
+
+Speaker points follow the usual 20-30 scale (28+ is excellent). Scores rate each side's overall performance. Only declare a draw if the round is genuinely tied.`
+  },
+  {
+    name: 'feedback',
+    description: 'Personalized feedback on an analyzed session',
+    variables: ['topicTitle', 'side', 'finalScore', 'skillLevel', 'argumentStrength', 'logicalConsistency', 'evidenceUse', 'rebuttalQuality', 'previousDebates', 'focusAreas'],
+    body: `Generate personalized feedback for a debate session.
+
+Session Details:
+- Topic: {{topicTitle}}
+- User's Side: {{side}}
+- Final Score: {{finalScore}}
+- Skill Level: {{skillLevel}}
+
+Performance Metrics:
+- Argument Strength: {{argumentStrength}}/10
+- Logical Consistency: {{logicalConsistency}}/10
+- Evidence Use: {{evidenceUse}}/10
+- Rebuttal Quality: {{rebuttalQuality}}/10
+
+User History: {{previousDebates}} previous debates
+Focus Areas: {{focusAreas}}
+
+Provide feedback in the following JSON format:
+{
+  "summary": "overall performance summary",
+  "strengths": ["strength1", "strength2"],
+  "areasForImprovement": ["area1", "area2"],
+  "specificSuggestions": [
+    {
+      "area": "argumentation",
+      "suggestion": "specific suggestion",
+      "example": "example or explanation"
+    }
+  ],
+  "practiceRecommendations": ["recommendation1", "recommendation2"]
+}
+
+Focus on actionable advice tailored to the user's skill level and specific areas for improvement.`
+  },
+  {
+    name: 'topic-suggestion',
+    description: 'Suggests debate topics from a user\'s interests and history',
+    variables: ['interests', 'skillLevel', 'category', 'count', 'previousTopics'],
+    body: `Suggest debate topics based on the following criteria:
+
+User Interests: {{interests}}
+Skill Level: {{skillLevel}}
+Preferred Category: {{category}}
+Number of Suggestions: {{count}}
+Previous Topics: {{previousTopics}}
+
+Provide suggestions in the following JSON format:
+[
+  {
+    "title": "Debate topic title",
+    "description": "Brief description of the topic",
+    "category": "topic category",
+    "difficulty": "easy/medium/hard",
+    "reasoning": "Why this topic is suitable"
+  }
+]
+
+Consider the user's interests, skill level, and previous debate history to provide relevant and engaging topic suggestions.`
+  },
+  {
+    name: 'argument-improvement',
+    description: 'Rewrites an argument and explains the changes',
+    variables: ['argument', 'topic', 'side', 'focusAreas'],
+    body: `Improve the following argument for a debate.
+
+Original Argument: {{argument}}
+Topic: {{topic}}
+Side: {{side}}
+Focus Areas: {{focusAreas}}
+
+Provide improvements in the following JSON format:
+{
+  "improvedArgument": "enhanced version of the argument",
+  "suggestions": [
+    {
+      "type": "clarity/evidence/logic/structure/persuasiveness",
+      "description": "specific suggestion",
+      "example": "example or explanation"
+    }
+  ],
+  "reasoning": "explanation of improvements made"
+}
+
+Focus on making the argument more persuasive, logical, and well-supported while maintaining the original intent.`
+  },
+  {
+    name: 'evidence-validation',
+    description: 'Checks the evidence behind an argument and suggests more',
+    variables: ['argument', 'topic', 'existingEvidence'],
+    body: `Validate and suggest evidence for the following argument.
+
+Argument: {{argument}}
+Topic: {{topic}}
+Existing Evidence: {{existingEvidence}}
+
+Provide validation in the following JSON format:
+{
+  "validation": [
+    {
+      "evidence": { "source": "...", "description": "..." },
+      "isValid": true/false,
+      "issues": ["issue1", "issue2"],
+      "suggestions": ["suggestion1", "suggestion2"]
+    }
+  ],
+  "suggestions": [
+    {
+      "source": "evidence source",
+      "description": "evidence description",
+      "relevance": <score 0-10>,
+      "credibility": <score 0-10>
+    }
+  ]
+}
+
+Evaluate the quality, relevance, and credibility of existing evidence and suggest additional evidence that would strengthen the argument.`
+  },
+  {
+    name: 'learning-path',
+    description: 'Plans a user\'s next steps from their stats and goals',
+    variables: ['skillLevel', 'interests', 'goals', 'totalDebates', 'averageScore', 'topicPreferences'],
+    body: `Generate a personalized learning path for debate improvement.
+
+Current Status:
+- Skill Level: {{skillLevel}}
+- Interests: {{interests}}
+- Goals: {{goals}}
+- Total Debates: {{totalDebates}}
+- Average Score: {{averageScore}}
+- Topic Preferences: {{topicPreferences}}
+
+Provide learning path in the following JSON format:
+{
+  "currentLevel": "beginner/intermediate/advanced/expert",
+  "targetLevel": "next level to achieve",
+  "milestones": [
+    {
+      "title": "milestone title",
+      "description": "milestone description",
+      "difficulty": "easy/medium/hard",
+      "estimatedTime": "time estimate",
+      "topics": ["topic1", "topic2"]
+    }
+  ],
+  "recommendedTopics": ["topic1", "topic2"],
+  "practiceExercises": ["exercise1", "exercise2"]
+}
+
+Create a structured learning path that builds upon the user's current skills and addresses their specific areas for improvement.`
+  },
+  {
+    name: 'topic-translation',
+    description: 'Translates a debate topic into another language',
+    variables: ['sourceLanguage', 'targetLanguage'],
+    body: `You are a professional translator for a debate platform. Translate the debate topic in the user's message from {{sourceLanguage}} into {{targetLanguage}}.
+
+Keep the motion's meaning, stance and level of formality. Translate the title, description, tags, arguments and the title and description of each evidence item. Do not translate source names or URLs, and keep every evidence item's side as it is.
+
+Provide the translation in the following JSON format:
+{
+  "title": "translated title",
+  "description": "translated description",
+  "tags": ["tag1", "tag2"],
+  "proArguments": ["argument1"],
+  "conArguments": ["argument1"],
+  "evidence": [
+    { "title": "...", "description": "...", "source": "unchanged", "url": "unchanged", "side": "pro" | "con" | "neutral" }
+  ]
+}
+
+Keep every list in the same order and with the same number of items as the original.`
+  }
+];
+
+// Languages prompts can ask for, by the codes DebateTopic.language uses
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  zh: 'Chinese (Simplified)',
+  ja: 'Japanese',
+  ko: 'Korean',
+  ar: 'Arabic',
+  hi: 'Hindi'
+};
+
+// Templates used while a session runs; sessions pin their versions, so only these can be experimented on
+const SESSION_TEMPLATES = ['debate-response', 'message-analysis', 'adjudication', 'performance-analysis', 'feedback'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const BUILT_IN_NOTE = 'Built-in template';
+
+/**
+ * Bring built-in templates up to date when their built-in body changes
+ * Only templates whose active version is an unedited built-in one get the new body,
+ * as a new active version; templates an admin has edited are left alone.
+ * @returns {Promise<number>} Templates updated
+ */
+const updateDefaults = async () => {
+  const templates = await PromptTemplate.find({ name: { $in: DEFAULT_TEMPLATES.map(item => item.name) } });
+  let updated = 0;
+
+  for (const template of templates) {
+    const { body } = DEFAULT_TEMPLATES.find(item => item.name === template.name);
+    const active = template.versions.find(item => item.version === template.activeVersion);
+    if (!active || active.body === body || active.createdBy || !active.changeNote.startsWith(BUILT_IN_NOTE)) {
+      continue;
+    }
+
+    template.addVersion(body, null, `${BUILT_IN_NOTE} update`);
+    await template.save();
+    updated += 1;
+  }
+
+  return updated;
+};
+
+/**
+ * Insert the built-in templates that are not in the database yet, and update unedited ones
+ * Templates an admin has edited are left alone, so admin versions survive restarts.
+ */
+const seedDefaults = async () => {
+  try {
+    const result = await PromptTemplate.bulkWrite(DEFAULT_TEMPLATES.map(({ name, description, variables, body }) => ({
+      updateOne: {
+        filter: { name },
+        update: {
+          $setOnInsert: {
+            name,
+            description,
+            variables,
+            activeVersion: 1,
+            versions: [{ version: 1, body, changeNote: BUILT_IN_NOTE, createdAt: new Date() }]
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    if (result.upsertedCount > 0) {
+      logger.info(`Seeded ${result.upsertedCount} prompt templates`);
+    }
+
+    const updated = await updateDefaults();
+    if (updated > 0) {
+      logger.info(`Updated ${updated} built-in prompt templates`);
+    }
+  } catch (error) {
+    logger.error('Error seeding prompt templates:', error);
+  }
+};
+
+/**
+ * List the placeholders a template body uses
+ * @param {string} body - Template body
+ * @returns {Array<string>} Variable names
+ */
+const getPlaceholders = (body) => {
+  return [...new Set([...(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+};
+
+/**
+ * Placeholders in a body that the template's code does not fill in
+ * @param {string} name - Template name
+ * @param {string} body - Template body
+ * @returns {Array<string>} Unknown variable names
+ */
+const findUnknownVariables = (name, body) => {
+  const template = DEFAULT_TEMPLATES.find(item => item.name === name);
+  const known = template ? template.variables : [];
+  return getPlaceholders(body).filter(variable => !known.includes(variable));
+};
+
+/**
+ * Fill in a template body
+ * Values are inserted as-is, so text that happens to contain {{...}} is not expanded again.
+ * @param {string} body - Template body
+ * @param {Object} variables - Values by variable name; missing ones render empty
+ * @returns {string} Prompt text
+ */
+const render = (body, variables = {}) => {
+  return body.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+/**
+ * Get a template version
+ * Falls back to the active version if the version is unknown, and to the built-in
+ * body (version 0) if the template is not in the database.
+ * @param {string} name - Template name
+ * @param {number} version - Version to use, the active one if omitted
+ * @returns {Promise<Object>} { name, version, body }
+ */
+const getTemplate = async (name, version = null) => {
+  const template = await PromptTemplate.findOne({ name });
+
+  if (template) {
+    const resolved = template.getVersion(version) || template.getVersion();
+    if (resolved) return resolved;
+  }
+
+  const fallback = DEFAULT_TEMPLATES.find(item => item.name === name);
+  if (!fallback) {
+    throw new Error(`Unknown prompt template: ${name}`);
+  }
+
+  logger.warn(`Prompt template ${name} not found, using the built-in version`);
+  return { name, version: 0, body: fallback.body };
+};
+
+/**
+ * The template version a session pinned when it started
+ * @param {Object} session - DebateSession
+ * @param {string} name - Template name
+ * @returns {Object|null} { template, version, experimentId, variant }, or null for older sessions
+ */
+const getPinnedVersion = (session, name) => {
+  const pinned = session && session.promptVersions
+    ? session.promptVersions.find(entry => entry.template === name)
+    : null;
+  return pinned || null;
+};
+
+/**
+ * Instruction that makes the model write in a language other than English
+ * Structured replies are validated against aiSchemas, so their keys and fixed values stay in English.
+ * @param {string} language - Language code
+ * @returns {string} Instruction, or an empty string for English and unknown codes
+ */
+const buildLanguageInstruction = (language) => {
+  if (!language || language === 'en' || !LANGUAGE_NAMES[language]) return '';
+
+  return `\n\nLanguage: Write your whole reply in ${LANGUAGE_NAMES[language]}, whatever language the text above is in. If the reply is JSON, translate only the free-text values; keep keys and fixed values (such as "pro", "con", fallacy types, statuses and difficulty levels) in English exactly as specified.`;
+};
+
+/**
+ * Render a template for an operation, using the session's pinned version if it has one
+ * The language instruction is appended rather than templated, so it applies to every version.
+ * @param {string} name - Template name
+ * @param {Object} variables - Values by variable name
+ * @param {Object} session - DebateSession, if the operation belongs to one
+ * @param {string} language - Language to answer in; defaults to the session's
+ * @returns {Promise<Object>} { text, template, version, experimentId, variant }
+ */
+const renderPrompt = async (name, variables, session = null, language = null) => {
+  const pinned = getPinnedVersion(session, name);
+  const template = await getTemplate(name, pinned ? pinned.version : null);
+
+  return {
+    text: render(template.body, variables) + buildLanguageInstruction(language || (session && session.language)),
+    template: name,
+    version: template.version,
+    experimentId: pinned ? pinned.experimentId : null,
+    variant: pinned ? pinned.variant : null
+  };
+};
+
+/**
+ * Pick an experiment variant for a user
+ * Hashing the experiment and user IDs keeps the assignment stable without storing it.
+ * @param {Object} experiment - PromptExperiment
+ * @param {string} userId - User ID
+ * @returns {Object} Variant
+ */
+const assignVariant = (experiment, userId) => {
+  const hash = crypto.createHash('sha256').update(`${experiment._id}:${userId}`).digest('hex');
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let position = (parseInt(hash.slice(0, 8), 16) / 0x100000000) * totalWeight;
+
+  for (const variant of experiment.variants) {
+    position -= variant.weight;
+    if (position < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+/**
+ * Choose the template versions a new session will use
+ * Templates under a running experiment use the owner's variant; the rest use their active version.
+ * @param {string} userId - Session owner
+ * @returns {Promise<Array<Object>>} Entries for DebateSession.promptVersions
+ */
+const assignVersions = async (userId) => {
+  try {
+    const [templates, experiments] = await Promise.all([
+      PromptTemplate.find({ name: { $in: SESSION_TEMPLATES } }).select('name activeVersion'),
+      PromptExperiment.findRunning(SESSION_TEMPLATES)
+    ]);
+
+    return SESSION_TEMPLATES.map(name => {
+      const experiment = experiments.find(item => item.template === name);
+      if (experiment) {
+        const variant = assignVariant(experiment, userId.toString());
+        return { template: name, version: variant.version, experimentId: experiment._id, variant: variant.name };
+      }
+
+      const template = templates.find(item => item.name === name);
+      return { template: name, version: template ? template.activeVersion : 0, experimentId: null, variant: null };
+    });
+  } catch (error) {
+    // Sessions still work unpinned; they get the active versions
+    logger.error('Error assigning prompt versions:', error);
+    return [];
+  }
+};
+
+// Summary statistics of a list of numbers
+const summarize = (values) => {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((first, second) => first - second);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const middle = Math.floor(sorted.length / 2);
+
+  return {
+    count: values.length,
+    mean: Math.round(mean * 100) / 100,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
+
+// Count ratings by star
+const ratingDistribution = (ratings) => {
+  const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach(rating => {
+    if (counts[rating] !== undefined) counts[rating] += 1;
+  });
+  return counts;
+};
+
+// Count 0-100 scores into ten buckets: 0-9, 10-19, ... 90-100
+const scoreDistribution = (scores) => {
+  const counts = {};
+  for (let start = 0; start < 100; start += 10) {
+    counts[start === 90 ? '90-100' : `${start}-${start + 9}`] = 0;
+  }
+
+  scores.forEach(score => {
+    const start = Math.min(Math.floor(score / 10) * 10, 90);
+    counts[start === 90 ? '90-100' : `${start}-${start + 9}`] += 1;
+  });
+  return counts;
+};
+
+const numbers = (values) => values.filter(value => typeof value === 'number');
+
+/**
+ * Compare the outcomes of an experiment's variants
+ * User ratings come from session feedback (POST /api/debates/:sessionId/feedback);
+ * scores are session final scores and performance analysis scores.
+ * @param {Object} experiment - PromptExperiment
+ * @returns {Promise<Object>} Results per variant, with differences from the first variant
+ */
+const getExperimentResults = async (experiment) => {
+  const [sessionStats, metricsStats] = await Promise.all([
+    DebateSession.aggregate([
+      { $match: { 'promptVersions.experimentId': experiment._id } },
+      { $unwind: '$promptVersions' },
+      { $match: { 'promptVersions.experimentId': experiment._id } },
+      {
+        $group: {
+          _id: '$promptVersions.variant',
+          sessions: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          ratings: { $push: '$userFeedback.rating' },
+          aiQuality: { $push: '$userFeedback.aiQuality' },
+          finalScores: { $push: '$finalScore' }
+        }
+      }
+    ]),
+    PerformanceMetrics.aggregate([
+      { $match: { 'aiAnalysis.experimentId': experiment._id } },
+      { $group: { _id: '$aiAnalysis.variant', overallScores: { $push: '$overallScore' } } }
+    ])
+  ]);
+
+  const variants = experiment.variants.map(variant => {
+    const sessions = sessionStats.find(item => item._id === variant.name) || {};
+    const metrics = metricsStats.find(item => item._id === variant.name) || {};
+    const ratings = numbers(sessions.ratings || []);
+    const finalScores = numbers(sessions.finalScores || []);
+
+    return {
+      name: variant.name,
+      version: variant.version,
+      weight: variant.weight,
+      sessions: sessions.sessions || 0,
+      completed: sessions.completed || 0,
+      userRating: { ...summarize(ratings), distribution: ratingDistribution(ratings) },
+      aiQuality: summarize(numbers(sessions.aiQuality || [])),
+      finalScore: { ...summarize(finalScores), distribution: scoreDistribution(finalScores) },
+      analysisScore: summarize(numbers(metrics.overallScores || []))
+    };
+  });
+
+  // Differences in means against the first variant, the control
+  const [control] = variants;
+  const difference = (value, base) => (value === null || base === null ? null : Math.round((value - base) * 100) / 100);
+  variants.forEach(variant => {
+    variant.comparedToControl = variant === control ? null : {
+      userRating: difference(variant.userRating.mean, control.userRating.mean),
+      finalScore: difference(variant.finalScore.mean, control.finalScore.mean),
+      analysisScore: difference(variant.analysisScore.mean, control.analysisScore.mean)
+    };
+  });
+
+  return {
+    experiment: {
+      id: experiment._id,
+      name: experiment.name,
+      template: experiment.template,
+      status: experiment.status,
+      startedAt: experiment.startedAt,
+      endedAt: experiment.endedAt
+    },
+    variants
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  SESSION_TEMPLATES,
+  LANGUAGE_NAMES,
+  seedDefaults,
+  getPlaceholders,
+  findUnknownVariables,
+  render,
+  getTemplate,
+  getPinnedVersion,
+  buildLanguageInstruction,
+  renderPrompt,
+  assignVariant,
+  assignVersions,
+  getExperimentResults
+};
\ No newline at end of file
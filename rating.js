@@ -0,0 +1,177 @@
+/**
+ * Rating Service
+ * Glicko-2 ratings (Glickman, 2012). Each rating carries its uncertainty (rd)
+ * and volatility; every finished debate is applied as its own rating period.
+ */
+
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+
+// System constant: how much volatility may change between games
+const TAU = 0.5;
+// Glicko-2 works on a scale where 1500 -> 0 and 173.7178 rating points -> 1
+const SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+// AI opponents are fixed anchors: well known (low rd) and not updated by results
+const AI_DIFFICULTY_RATINGS = {
+  easy: 1200,
+  medium: 1500,
+  hard: 1800,
+  expert: 2100
+};
+
+const AI_PERSONALITY_ADJUSTMENTS = {
+  analytical: 0,
+  passionate: -25,
+  skeptical: 25,
+  diplomatic: -50,
+  challenging: 50
+};
+
+const AI_RD = 50;
+
+/**
+ * Get a fresh rating
+ * @returns {Object} { rating, rd, volatility }
+ */
+const createRating = () => ({
+  rating: DEFAULT_RATING,
+  rd: DEFAULT_RD,
+  volatility: DEFAULT_VOLATILITY
+});
+
+/**
+ * Rating of an AI opponent
+ * @param {string} difficulty - Session aiDifficulty
+ * @param {string} personality - Session aiPersonality
+ * @returns {Object} { rating, rd, volatility }
+ */
+const getAIRating = (difficulty = 'medium', personality = 'analytical') => ({
+  rating: (AI_DIFFICULTY_RATINGS[difficulty] || DEFAULT_RATING) + (AI_PERSONALITY_ADJUSTMENTS[personality] || 0),
+  rd: AI_RD,
+  volatility: DEFAULT_VOLATILITY
+});
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+
+const E = (mu, muOpponent, phiOpponent) => 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+
+/**
+ * Probability that a player beats an opponent
+ * @param {Object} player - { rating, rd }
+ * @param {Object} opponent - { rating, rd }
+ * @returns {number} Expected score between 0 and 1
+ */
+const expectedScore = (player, opponent) => {
+  return E((player.rating - DEFAULT_RATING) / SCALE, (opponent.rating - DEFAULT_RATING) / SCALE, opponent.rd / SCALE);
+};
+
+/**
+ * New volatility via the Illinois algorithm (step 5 of the paper)
+ */
+const computeVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) {
+      k += 1;
+    }
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+};
+
+/**
+ * Apply one rating period
+ * @param {Object} player - { rating, rd, volatility }
+ * @param {Array} results - [{ opponent: { rating, rd }, score }] with score 1 (win), 0.5 (draw) or 0 (loss)
+ * @returns {Object} Updated { rating, rd, volatility }
+ */
+const updateRating = (player, results) => {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const sigma = player.volatility;
+
+  // No games: only the uncertainty grows
+  if (!results || results.length === 0) {
+    return {
+      rating: player.rating,
+      rd: Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RD),
+      volatility: sigma
+    };
+  }
+
+  const games = results.map(({ opponent, score }) => {
+    const muOpponent = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiOpponent = opponent.rd / SCALE;
+    return { gPhi: g(phiOpponent), expected: E(mu, muOpponent, phiOpponent), score };
+  });
+
+  const v = 1 / games.reduce((sum, { gPhi, expected }) => sum + gPhi * gPhi * expected * (1 - expected), 0);
+  const improvement = games.reduce((sum, { gPhi, expected, score }) => sum + gPhi * (score - expected), 0);
+  const delta = v * improvement;
+
+  const newSigma = computeVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(newPhi * SCALE, DEFAULT_RD),
+    volatility: newSigma
+  };
+};
+
+/**
+ * Score for one side of a decided debate
+ * @param {string} winner - 'pro', 'con' or 'draw'
+ * @param {string} side - Side the player argued
+ * @returns {number} 1, 0.5 or 0
+ */
+const getOutcomeScore = (winner, side) => {
+  if (winner === 'draw') return 0.5;
+  return winner === side ? 1 : 0;
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOLATILITY,
+  SCALE,
+  AI_DIFFICULTY_RATINGS,
+  AI_PERSONALITY_ADJUSTMENTS,
+  createRating,
+  getAIRating,
+  expectedScore,
+  updateRating,
+  getOutcomeScore
+};
\ No newline at end of file
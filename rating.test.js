@@ -0,0 +1,61 @@
+const rating = require('../services/rating');
+
+describe('Rating Service', () => {
+  describe('updateRating', () => {
+    it('should match the worked example from the Glicko-2 paper', () => {
+      const player = { rating: 1500, rd: 200, volatility: 0.06 };
+      const results = [
+        { opponent: { rating: 1400, rd: 30 }, score: 1 },
+        { opponent: { rating: 1550, rd: 100 }, score: 0 },
+        { opponent: { rating: 1700, rd: 300 }, score: 0 }
+      ];
+
+      const updated = rating.updateRating(player, results);
+
+      expect(updated.rating).toBeCloseTo(1464.06, 1);
+      expect(updated.rd).toBeCloseTo(151.52, 1);
+      expect(updated.volatility).toBeCloseTo(0.05999, 4);
+    });
+
+    it('should only grow the uncertainty when no games were played', () => {
+      const player = { rating: 1600, rd: 100, volatility: 0.06 };
+      const updated = rating.updateRating(player, []);
+
+      expect(updated.rating).toBe(1600);
+      expect(updated.rd).toBeGreaterThan(100);
+    });
+
+    it('should never let the rating deviation exceed the default', () => {
+      const updated = rating.updateRating(rating.createRating(), []);
+
+      expect(updated.rd).toBe(rating.DEFAULT_RD);
+    });
+  });
+
+  describe('getAIRating', () => {
+    it('should rate harder and more challenging opponents higher', () => {
+      const easy = rating.getAIRating('easy', 'analytical');
+      const expert = rating.getAIRating('expert', 'analytical');
+      const challenging = rating.getAIRating('expert', 'challenging');
+
+      expect(expert.rating).toBeGreaterThan(easy.rating);
+      expect(challenging.rating).toBeGreaterThan(expert.rating);
+    });
+
+    it('should reward a new player more for beating a stronger opponent', () => {
+      const player = rating.createRating();
+      const beatEasy = rating.updateRating(player, [{ opponent: rating.getAIRating('easy'), score: 1 }]);
+      const beatExpert = rating.updateRating(player, [{ opponent: rating.getAIRating('expert'), score: 1 }]);
+
+      expect(beatExpert.rating).toBeGreaterThan(beatEasy.rating);
+    });
+  });
+
+  describe('getOutcomeScore', () => {
+    it('should score wins, losses and draws', () => {
+      expect(rating.getOutcomeScore('pro', 'pro')).toBe(1);
+      expect(rating.getOutcomeScore('pro', 'con')).toBe(0);
+      expect(rating.getOutcomeScore('draw', 'con')).toBe(0.5);
+    });
+  });
+});
\ No newline at end of file
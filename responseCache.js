@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const AIResponseCache = require('../models/AIResponseCache');
+const logger = require('../config/logger');
+
+/**
+ * Response Cache
+ * Content-addressed cache for AI operations whose answer depends only on their
+ * inputs. Identical requests made while one is running share its model call.
+ */
+
+// Seconds a result stays cached. Override with AI_CACHE_TTL_<OPERATION> (e.g. AI_CACHE_TTL_SUGGEST_TOPICS); 0 disables.
+const DEFAULT_TTLS = {
+  suggestTopics: 60 * 60,
+  generateLearningPath: 24 * 60 * 60,
+  validateEvidence: 7 * 24 * 60 * 60,
+  improveArgument: 7 * 24 * 60 * 60,
+  analyzePerformance: 60 * 60
+};
+
+// Requests being answered, by cache key
+const inFlight = new Map();
+
+const isEnabled = () => process.env.AI_CACHE_ENABLED !== 'false';
+
+const getTtl = (operation) => {
+  const envKey = `AI_CACHE_TTL_${operation.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  const value = process.env[envKey];
+  return value !== undefined && value !== '' ? parseInt(value) : (DEFAULT_TTLS[operation] || 0);
+};
+
+/**
+ * Normalise inputs so equivalent requests hash the same: whitespace collapsed,
+ * object keys sorted, empty values dropped
+ * @param {*} value - Inputs
+ * @returns {*} Normalised inputs
+ */
+const normalize = (value) => {
+  if (typeof value === 'string') {
+    return value.trim().replace(/\s+/g, ' ');
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object') {
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') {
+      return value.toString();
+    }
+
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      const item = normalize(value[key]);
+      if (item !== undefined && item !== null && item !== '') {
+        normalized[key] = item;
+      }
+      return normalized;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Cache key of a request
+ * @param {string} operation - AI operation
+ * @param {Object} inputs - Inputs the result depends on
+ * @param {Object} prompt - Rendered prompt ({ template, version })
+ * @returns {string} SHA-256 hex digest
+ */
+const buildKey = (operation, inputs, prompt) => {
+  const content = JSON.stringify({
+    operation,
+    prompt: prompt ? `${prompt.template}@${prompt.version}` : null,
+    inputs: normalize(inputs)
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+const lookup = async (key, final) => {
+  try {
+    const entry = await AIResponseCache.findOne({
+      key,
+      $or: [{ final: true }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (!entry) {
+      return null;
+    }
+
+    const update = { $inc: { hits: 1 } };
+    // The session has completed since the entry was stored
+    if (final && !entry.final) {
+      update.$set = { final: true, expiresAt: null };
+    }
+    await AIResponseCache.updateOne({ _id: entry._id }, update);
+
+    return entry.value;
+  } catch (error) {
+    logger.error(`Error reading AI response cache ${key}:`, error);
+    return null;
+  }
+};
+
+const store = async ({ key, operation, prompt, sessionId, final }, value) => {
+  try {
+    await AIResponseCache.findOneAndUpdate(
+      { key },
+      {
+        operation,
+        promptTemplate: prompt ? prompt.template : null,
+        promptVersion: prompt ? prompt.version : null,
+        sessionId: sessionId || null,
+        value,
+        final,
+        hits: 0,
+        expiresAt: final ? null : new Date(Date.now() + getTtl(operation) * 1000)
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error(`Error writing AI response cache ${key}:`, error);
+  }
+};
+
+/**
+ * Get a cached result, or produce it. Concurrent calls with the same key share one
+ * production. Degraded results are returned but not cached.
+ * @param {Object} request - { operation, key, prompt, sessionId, final }
+ * @param {Function} produce - Async function returning the result
+ * @returns {Promise<Object>} { value, cached }
+ */
+const getOrProduce = async (request, produce) => {
+  const { operation, key, final = false } = request;
+
+  if (!isEnabled() || (!final && getTtl(operation) <= 0)) {
+    return { value: await produce(), cached: false };
+  }
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const pending = (async () => {
+    const cachedValue = await lookup(key, final);
+    if (cachedValue) {
+      return { value: cachedValue, cached: true };
+    }
+
+    const value = await produce();
+    if (!value.degraded) {
+      await store({ ...request, final }, value);
+    }
+    return { value, cached: false };
+  })();
+
+  inFlight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(key);
+  }
+};
+
+module.exports = {
+  DEFAULT_TTLS,
+  getTtl,
+  normalize,
+  buildKey,
+  getOrProduce
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+const ModerationAction = require('../models/ModerationAction');
+const logger = require('../config/logger');
+
+/**
+ * Sanctions
+ * Moderator actions on user accounts, and the audit trail of every moderator action.
+ *   warn    - counted on the account; the user is told
+ *   suspend - no login or socket connection until the suspension ends
+ *   ban     - no login or socket connection until the ban is lifted
+ *   lift    - ends a suspension or ban
+ */
+
+const SANCTIONS = ['warn', 'suspend', 'ban', 'lift'];
+
+const DEFAULT_SUSPENSION_HOURS = 72;
+const MAX_SUSPENSION_HOURS = 365 * 24;
+
+/**
+ * Record a moderator action in the audit trail
+ * @param {Object} entry - { moderatorId, action, targetType, targetId, userId, sessionId, reason, details }
+ * @returns {Promise<Object>} ModerationAction document
+ */
+const recordAction = async (entry) => {
+  const action = await ModerationAction.create(entry);
+  logger.info(`Moderator ${entry.moderatorId} ${entry.action} ${entry.targetType} ${entry.targetId}`);
+  return action;
+};
+
+/**
+ * Why a moderator may not sanction a user, or null if they may.
+ * Nobody sanctions themselves, and only admins sanction staff.
+ * @param {Object} moderator - Acting user ({ id, role })
+ * @param {Object} user - User document to sanction
+ * @returns {string|null} Reason
+ */
+const checkAuthority = (moderator, user) => {
+  if (user._id.toString() === moderator.id.toString()) {
+    return 'You cannot sanction your own account';
+  }
+  if (user.role !== 'user' && moderator.role !== 'admin') {
+    return 'Only admins can sanction moderators and admins';
+  }
+  return null;
+};
+
+/**
+ * Apply a sanction to a user account and record it
+ * @param {Object} user - User document
+ * @param {Object} sanction - { action, reason, durationHours, moderatorId }
+ * @param {Object} target - What the sanction was for ({ targetType, targetId, sessionId }); defaults to the user
+ * @returns {Promise<Object>} { action, reason, until, warnings }
+ */
+const applySanction = async (user, { action, reason = null, durationHours, moderatorId }, target = {}) => {
+  let until = null;
+
+  switch (action) {
+    case 'warn':
+      user.sanctions.warnings += 1;
+      break;
+    case 'suspend': {
+      const hours = Math.min(durationHours || DEFAULT_SUSPENSION_HOURS, MAX_SUSPENSION_HOURS);
+      until = new Date(Date.now() + hours * 60 * 60 * 1000);
+      user.sanctions.suspendedUntil = until;
+      user.sanctions.reason = reason;
+      break;
+    }
+    case 'ban':
+      user.sanctions.isBanned = true;
+      user.sanctions.reason = reason;
+      break;
+    case 'lift':
+      user.sanctions.isBanned = false;
+      user.sanctions.suspendedUntil = null;
+      user.sanctions.reason = null;
+      break;
+    default:
+      throw new Error(`Unknown sanction: ${action}`);
+  }
+
+  await user.save();
+
+  await recordAction({
+    moderatorId,
+    action,
+    targetType: target.targetType || 'user',
+    targetId: target.targetId || user._id,
+    userId: user._id,
+    sessionId: target.sessionId || null,
+    reason,
+    details: action === 'suspend' ? { until } : (action === 'warn' ? { warnings: user.sanctions.warnings } : null)
+  });
+
+  return {
+    action,
+    reason,
+    until,
+    warnings: user.sanctions.warnings
+  };
+};
+
+/**
+ * Message telling a sanctioned user why they cannot sign in
+ * @param {Object} sanction - User#getActiveSanction() result
+ * @returns {string} Message
+ */
+const describeSanction = (sanction) => {
+  const status = sanction.type === 'ban'
+    ? 'Account is banned'
+    : `Account is suspended until ${sanction.until.toISOString()}`;
+  return sanction.reason ? `${status}: ${sanction.reason}` : status;
+};
+
+/**
+ * Get the audit trail, newest first
+ * @param {Object} filters - { moderatorId, userId, action, targetType, targetId, page, limit }
+ * @returns {Promise<Object>} { actions, pagination }
+ */
+const getAuditLog = async ({ moderatorId, userId, action, targetType, targetId, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (moderatorId) query.moderatorId = moderatorId;
+  if (userId) query.userId = userId;
+  if (action) query.action = action;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+
+  const skip = (page - 1) * limit;
+
+  const [actions, total] = await Promise.all([
+    ModerationAction.find(query)
+      .populate('moderatorId', 'name email role')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    ModerationAction.countDocuments(query)
+  ]);
+
+  return {
+    actions,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+module.exports = {
+  SANCTIONS,
+  recordAction,
+  checkAuthority,
+  applySanction,
+  describeSanction,
+  getAuditLog
+};
\ No newline at end of file
@@ -12,6 +12,9 @@ require('dotenv').config();
 // Import configurations
 const connectDB = require('./config/database');
 const logger = require('./config/logger');
+const { seedDefaults: seedPersonas } = require('./services/personas');
+const { seedDefaults: seedPromptTemplates } = require('./services/promptTemplates');
+const { migrateLegacyStatuses: migrateTopicStatuses } = require('./services/topicWorkflow');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -23,6 +26,8 @@ const userRoutes = require('./routes/users');
 const topicRoutes = require('./routes/topics');
 const debateRoutes = require('./routes/debates');
 const aiRoutes = require('./routes/ai');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
 
 // Import WebSocket handlers
 const socketHandler = require('./websocket/socketHandler');
@@ -42,8 +47,10 @@ const io = new Server(server, {
   }
 });
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then move topics off retired statuses and add any missing built-in AI personas and prompt templates
+connectDB()
+  .then(() => Promise.all([migrateTopicStatuses(), seedPersonas(), seedPromptTemplates()]))
+  .catch(error => logger.error('Error preparing the database at startup:', error));
 
 // Security middleware
 app.use(helmet({
@@ -119,6 +126,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/topics', topicRoutes);
 app.use('/api/debates', debateRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // WebSocket connection handling
 socketHandler(io);
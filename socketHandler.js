@@ -1,8 +1,28 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
 const DebateSession = require('../models/DebateSession');
 const DebateMessage = require('../models/DebateMessage');
+const DebateTopic = require('../models/DebateTopic');
 const logger = require('../config/logger');
+const aiService = require('../services/aiService');
+const turnEngine = require('../services/turnEngine');
+const matchmaking = require('../services/matchmaking');
+const adaptiveDifficulty = require('../services/adaptiveDifficulty');
+const evidenceIndex = require('../services/evidenceIndex');
+const citationVerifier = require('../services/citationVerifier');
+const { adjudicateSession } = require('../services/adjudicator');
+const messageAnalyzer = require('../services/messageAnalyzer');
+const usageMeter = require('../services/usageMeter');
+const contentModeration = require('../services/contentModeration');
+const { describeSanction } = require('../services/sanctions');
+const topicRevisions = require('../services/topicRevisions');
+
+// How often the matchmaking queue is swept, so waiting users match as the rating gap widens
+const MATCHMAKING_SWEEP_INTERVAL = 5000;
+
+// Utilities of the running handler, exposed to controllers through the module exports below
+let activeUtilities = null;
 
 /**
  * WebSocket connection handler
@@ -11,6 +31,139 @@ const socketHandler = (io) => {
   // Store active sessions and users
   const activeSessions = new Map();
   const connectedUsers = new Map();
+  // AI replies currently streaming, keyed by session ID
+  const activeStreams = new Map();
+  // Timers that close a format phase when its speaking time runs out
+  const phaseTimers = new Map();
+  // Last phase the AI moderator announced, keyed by session ID
+  const announcedPhases = new Map();
+  // Read-only viewers per session: session ID -> Map of socket ID -> viewer
+  const spectators = new Map();
+  let matching = false;
+
+  /**
+   * Stop an in-flight AI stream; the partial text is saved when the stream unwinds
+   */
+  const abortStream = (sessionId, reason) => {
+    const stream = activeStreams.get(sessionId.toString());
+    if (stream && !stream.aborted) {
+      stream.aborted = true;
+      stream.abortReason = reason;
+      logger.info(`AI stream ${stream.streamId} in session ${sessionId} aborted: ${reason}`);
+    }
+  };
+
+  /**
+   * Advance past expired phases, persisting and broadcasting any change
+   */
+  const syncPhase = async (session) => {
+    if (turnEngine.syncPhase(session)) {
+      await session.save();
+      utilities.broadcastPhase(session);
+    }
+  };
+
+  const clearPhaseTimer = (sessionId) => {
+    const key = sessionId.toString();
+    if (phaseTimers.has(key)) {
+      clearTimeout(phaseTimers.get(key));
+      phaseTimers.delete(key);
+    }
+  };
+
+  const schedulePhaseTimer = (session) => {
+    const key = session._id.toString();
+    clearPhaseTimer(key);
+
+    if (session.status !== 'active' || !turnEngine.isStructured(session)) return;
+    const { phaseDeadline, completed } = session.formatState;
+    if (completed || !phaseDeadline) return;
+
+    const timer = setTimeout(async () => {
+      phaseTimers.delete(key);
+      try {
+        const current = await DebateSession.findById(key);
+        if (!current || current.status !== 'active') return;
+
+        await syncPhase(current);
+        await utilities.takeAITurn(key, { trigger: 'timer' });
+      } catch (error) {
+        logger.error(`Error advancing phase in session ${key}:`, error);
+      }
+    }, Math.max(phaseDeadline.getTime() - Date.now(), 0));
+
+    phaseTimers.set(key, timer);
+  };
+
+  const isSpectating = (sessionId, socketId) => {
+    const viewers = spectators.get(sessionId.toString());
+    return Boolean(viewers && viewers.has(socketId));
+  };
+
+  const broadcastViewerCount = (sessionId) => {
+    const key = sessionId.toString();
+    io.to(`session:${key}`).emit('viewer-count', {
+      sessionId: key,
+      count: utilities.getViewerCount(key)
+    });
+  };
+
+  const removeSpectator = (sessionId, socketId) => {
+    const key = sessionId.toString();
+    const viewers = spectators.get(key);
+    if (!viewers || !viewers.delete(socketId)) return false;
+
+    if (viewers.size === 0) {
+      spectators.delete(key);
+    }
+    broadcastViewerCount(key);
+    return true;
+  };
+
+  /**
+   * Pair waiting users and start their debates
+   */
+  const matchQueue = async () => {
+    if (matching) return;
+    matching = true;
+
+    try {
+      for (const [first, second] of matchmaking.findMatches()) {
+        const session = await matchmaking.createMatchSession(first, second);
+
+        // No topic to debate: both keep their place in the queue
+        if (!session) {
+          matchmaking.enqueue(first, first.queuedAt);
+          matchmaking.enqueue(second, second.queuedAt);
+          continue;
+        }
+
+        for (const [entry, opponent] of [[first, second], [second, first]]) {
+          io.to(`user:${entry.userId}`).emit('match-found', {
+            sessionId: session._id,
+            topic: session.topicId,
+            side: session.getSideFor(entry.userId),
+            format: session.sessionSettings.format,
+            aiRole: session.aiRole,
+            opponent: {
+              id: opponent.userId,
+              name: opponent.name,
+              skillLevel: opponent.skillLevel,
+              rating: Math.round(opponent.rating)
+            }
+          });
+        }
+
+        utilities.broadcastPhase(session);
+      }
+    } catch (error) {
+      logger.error('Error matching queued users:', error);
+    } finally {
+      matching = false;
+    }
+  };
+
+  setInterval(matchQueue, MATCHMAKING_SWEEP_INTERVAL).unref();
 
   // Authentication middleware
   io.use(async (socket, next) => {
@@ -28,6 +181,11 @@ const socketHandler = (io) => {
         return next(new Error('Invalid or inactive user'));
       }
 
+      const sanction = user.getActiveSanction();
+      if (sanction) {
+        return next(new Error(describeSanction(sanction)));
+      }
+
       socket.user = user;
       next();
     } catch (error) {
@@ -68,7 +226,7 @@ const socketHandler = (io) => {
           return;
         }
 
-        if (session.userId.toString() !== socket.user._id.toString()) {
+        if (!session.isParticipant(socket.user._id)) {
           socket.emit('error', { message: 'Access denied to this session' });
           return;
         }
@@ -90,8 +248,11 @@ const socketHandler = (io) => {
           sessionId,
           status: session.status,
           topic: session.topicId,
-          chosenSide: session.chosenSide,
-          startTime: session.startTime
+          chosenSide: session.getSideFor(socket.user._id),
+          mode: session.mode,
+          aiRole: session.aiRole,
+          startTime: session.startTime,
+          phaseState: turnEngine.describeState(session)
         });
 
         // Notify other users in session (if any)
@@ -127,16 +288,22 @@ const socketHandler = (io) => {
     // Handle sending a message
     socket.on('send-message', async (data) => {
       try {
-        const { sessionId, content, messageType = 'general' } = data;
+        const { sessionId, content, messageType, citations } = data;
         
         if (!sessionId || !content) {
           socket.emit('error', { message: 'Session ID and content are required' });
           return;
         }
 
+        const { attachments, error: citationError } = citationVerifier.normalizeCitations(citations);
+        if (citationError) {
+          socket.emit('error', { message: citationError });
+          return;
+        }
+
         // Verify session exists and user has access
         const session = await DebateSession.findById(sessionId);
-        if (!session || session.userId.toString() !== socket.user._id.toString()) {
+        if (!session || !session.isParticipant(socket.user._id)) {
           socket.emit('error', { message: 'Access denied to this session' });
           return;
         }
@@ -146,6 +313,27 @@ const socketHandler = (io) => {
           return;
         }
 
+        // Enforce the debate format: right speaker, right kind of message
+        await syncPhase(session);
+        const side = session.getSideFor(socket.user._id);
+        const turn = turnEngine.validateMessage(session, side, messageType);
+        if (!turn.allowed) {
+          socket.emit('error', {
+            message: turn.reason,
+            phaseState: turnEngine.describeState(session)
+          });
+          return;
+        }
+
+        const check = await contentModeration.moderate(content.trim(), { source: 'user' });
+        if (check.blocked) {
+          socket.emit('message-blocked', {
+            sessionId,
+            ...contentModeration.toModerationPayload(check)
+          });
+          return;
+        }
+
         // Get next turn number
         const lastMessage = await DebateMessage.findOne({ sessionId })
           .sort({ turnNumber: -1 })
@@ -157,12 +345,20 @@ const socketHandler = (io) => {
         const message = await DebateMessage.create({
           sessionId,
           senderType: 'user',
-          content: content.trim(),
+          senderId: socket.user._id,
+          senderSide: side,
+          content: check.content,
           turnNumber,
-          messageType
+          messageType: turn.messageType,
+          attachments,
+          moderation: contentModeration.toModerationRecord(check, content.trim()),
+          flags: {
+            isFlagged: check.flagged
+          }
         });
 
-        // Update session message count
+        // Update session message count (and the phase, if this message used it up)
+        const phaseChanged = turnEngine.recordTurn(session, side);
         await session.incrementMessageCount('user');
 
         // Emit message to all users in session
@@ -174,27 +370,184 @@ const socketHandler = (io) => {
           timestamp: message.timestamp,
           turnNumber: message.turnNumber,
           messageType: message.messageType,
+          senderSide: side,
+          attachments: message.attachments,
           sender: {
             id: socket.user._id,
             name: socket.user.name
           }
         });
 
+        // Tell the sender what moderation changed or objected to
+        if (check.action !== 'allow') {
+          socket.emit('moderation-warning', {
+            sessionId,
+            messageId: message._id,
+            ...contentModeration.toModerationPayload(check)
+          });
+        }
+
         // Update session activity
         await session.updateActivity();
 
         logger.info(`Message sent in session ${sessionId} by ${socket.user.email}`);
+
+        // Two-user debates hand the floor over after every message
+        if (phaseChanged || session.mode === 'human') {
+          utilities.broadcastPhase(session);
+        }
+
+        // Coach the sender while the debate goes on, then check the sources they cited
+        utilities.analyzeMessage(message, session)
+          .catch(error => logger.error('Error analyzing message:', error))
+          .then(() => utilities.verifyCitations(message))
+          .catch(error => logger.error('Error verifying citations:', error));
+
+        // Let the AI opponent reply if it holds the floor
+        utilities.takeAITurn(sessionId, { userMessage: message.content })
+          .catch(error => logger.error('Error streaming AI reply:', error));
       } catch (error) {
         logger.error('Error sending message:', error);
         socket.emit('error', { message: 'Failed to send message' });
       }
     });
 
+    // Handle watching a public debate without taking part
+    socket.on('spectate-debate', async (data) => {
+      try {
+        const { sessionId } = data;
+
+        if (!sessionId) {
+          socket.emit('error', { message: 'Session ID is required' });
+          return;
+        }
+
+        const session = await DebateSession.findById(sessionId)
+          .populate('topicId', 'title description category')
+          .populate('userId', 'name')
+          .populate('opponentId', 'name');
+
+        if (!session) {
+          socket.emit('error', { message: 'Session not found' });
+          return;
+        }
+
+        if (!session.flags.isShared && !['admin', 'moderator'].includes(socket.user.role)) {
+          socket.emit('error', { message: 'This debate is not public' });
+          return;
+        }
+
+        const key = session._id.toString();
+        socket.join(`session:${key}`);
+
+        if (!spectators.has(key)) {
+          spectators.set(key, new Map());
+        }
+        spectators.get(key).set(socket.id, {
+          userId: socket.user._id,
+          name: socket.user.name,
+          joinedAt: new Date()
+        });
+
+        // Live transcript so far, oldest first
+        const messages = await DebateMessage.find({ sessionId: key })
+          .sort({ turnNumber: -1 })
+          .limit(200);
+
+        const participants = [session.userId, session.opponentId]
+          .filter(Boolean)
+          .map(participant => ({
+            id: participant._id,
+            name: participant.name,
+            side: session.getSideFor(participant._id)
+          }));
+
+        // A reply may be mid-stream; send what has arrived so far
+        const stream = activeStreams.get(key);
+
+        socket.emit('spectate-joined', {
+          sessionId: key,
+          status: session.status,
+          topic: await topicRevisions.getSessionTopic(session),
+          mode: session.mode,
+          aiRole: session.aiRole,
+          participants,
+          startTime: session.startTime,
+          phaseState: turnEngine.describeState(session),
+          transcript: messages.reverse().map(message => message.toTranscript()).map(message => ({
+            messageId: message._id,
+            senderType: message.senderType,
+            senderSide: message.senderSide,
+            content: message.content,
+            timestamp: message.timestamp,
+            turnNumber: message.turnNumber,
+            messageType: message.messageType,
+            reactionCounts: message.reactionCounts
+          })),
+          streaming: stream ? { streamId: stream.streamId, content: stream.content } : null,
+          viewerCount: utilities.getViewerCount(key)
+        });
+
+        broadcastViewerCount(key);
+
+        logger.info(`User ${socket.user.email} is spectating debate session ${key}`);
+      } catch (error) {
+        logger.error('Error spectating debate session:', error);
+        socket.emit('error', { message: 'Failed to spectate session' });
+      }
+    });
+
+    // Handle a spectator leaving
+    socket.on('stop-spectating', (data) => {
+      const { sessionId } = data;
+
+      if (sessionId && removeSpectator(sessionId, socket.id)) {
+        socket.leave(`session:${sessionId}`);
+        logger.info(`User ${socket.user.email} stopped spectating debate session ${sessionId}`);
+      }
+    });
+
+    // Handle reacting to a message (participants and spectators)
+    socket.on('react-message', async (data) => {
+      try {
+        const { sessionId, messageId, reaction } = data;
+
+        if (!sessionId || !messageId || !reaction) {
+          socket.emit('error', { message: 'Session ID, message ID and reaction are required' });
+          return;
+        }
+
+        if (!socket.rooms.has(`session:${sessionId}`)) {
+          socket.emit('error', { message: 'Join or spectate the session before reacting' });
+          return;
+        }
+
+        const reactionTypes = DebateMessage.schema.path('reactions').schema.path('type').enumValues;
+        if (!reactionTypes.includes(reaction)) {
+          socket.emit('error', { message: `Reaction must be one of ${reactionTypes.join(', ')}` });
+          return;
+        }
+
+        const message = await DebateMessage.findById(messageId);
+        if (!message || message.sessionId.toString() !== sessionId.toString()) {
+          socket.emit('error', { message: 'Message not found in this session' });
+          return;
+        }
+
+        await message.addReaction(socket.user._id, reaction);
+        utilities.broadcastReaction(sessionId, message);
+      } catch (error) {
+        logger.error('Error reacting to message:', error);
+        socket.emit('error', { message: 'Failed to add reaction' });
+      }
+    });
+
     // Handle typing indicator
     socket.on('typing', (data) => {
       const { sessionId, isTyping } = data;
       
-      if (sessionId) {
+      // Spectators watch; only participants show up as typing
+      if (sessionId && !isSpectating(sessionId, socket.id)) {
         socket.to(`session:${sessionId}`).emit('user-typing', {
           userId: socket.user._id,
           name: socket.user.name,
@@ -209,11 +562,13 @@ const socketHandler = (io) => {
         const { sessionId } = data;
         
         const session = await DebateSession.findById(sessionId);
-        if (!session || session.userId.toString() !== socket.user._id.toString()) {
+        if (!session || !session.isParticipant(socket.user._id)) {
           socket.emit('error', { message: 'Access denied' });
           return;
         }
 
+        abortStream(sessionId, 'paused');
+        clearPhaseTimer(sessionId);
         await session.pauseSession();
         
         io.to(`session:${sessionId}`).emit('session-paused', {
@@ -234,7 +589,7 @@ const socketHandler = (io) => {
         const { sessionId } = data;
         
         const session = await DebateSession.findById(sessionId);
-        if (!session || session.userId.toString() !== socket.user._id.toString()) {
+        if (!session || !session.isParticipant(socket.user._id)) {
           socket.emit('error', { message: 'Access denied' });
           return;
         }
@@ -245,6 +600,8 @@ const socketHandler = (io) => {
           sessionId,
           resumedAt: new Date()
         });
+
+        utilities.broadcastPhase(session);
         
         logger.info(`Session ${sessionId} resumed by ${socket.user.email}`);
       } catch (error) {
@@ -259,11 +616,14 @@ const socketHandler = (io) => {
         const { sessionId } = data;
         
         const session = await DebateSession.findById(sessionId);
-        if (!session || session.userId.toString() !== socket.user._id.toString()) {
+        if (!session || !session.isParticipant(socket.user._id)) {
           socket.emit('error', { message: 'Access denied' });
           return;
         }
 
+        abortStream(sessionId, 'ended');
+        clearPhaseTimer(sessionId);
+        announcedPhases.delete(sessionId.toString());
         await session.endSession();
         
         io.to(`session:${sessionId}`).emit('session-ended', {
@@ -275,12 +635,80 @@ const socketHandler = (io) => {
         activeSessions.delete(sessionId);
         
         logger.info(`Session ${sessionId} ended by ${socket.user.email}`);
+
+        // Judge the debate and share the ballot with everyone in the room
+        utilities.adjudicate(session)
+          .catch(error => logger.error(`Error adjudicating session ${sessionId}:`, error));
       } catch (error) {
         logger.error('Error ending session:', error);
         socket.emit('error', { message: 'Failed to end session' });
       }
     });
 
+    // Handle joining the matchmaking queue for a debate against another user
+    socket.on('join-queue', async (data = {}) => {
+      try {
+        const { category = null, side = null, format = 'open', aiRole = 'none' } = data;
+
+        if (category && !DebateTopic.schema.path('category').enumValues.includes(category)) {
+          socket.emit('error', { message: 'Invalid topic category' });
+          return;
+        }
+        if (side && !['pro', 'con'].includes(side)) {
+          socket.emit('error', { message: 'Side must be either "pro" or "con"' });
+          return;
+        }
+        if (!turnEngine.FORMATS[format]) {
+          socket.emit('error', { message: 'Invalid debate format' });
+          return;
+        }
+        if (!matchmaking.AI_ROLES.includes(aiRole)) {
+          socket.emit('error', { message: 'Invalid AI role' });
+          return;
+        }
+
+        const activeSession = await DebateSession.findActiveForUser(socket.user._id);
+        if (activeSession) {
+          socket.emit('error', { message: 'You already have an active debate session' });
+          return;
+        }
+
+        // Ratings change after every debate, so read the current one
+        const user = await User.findById(socket.user._id).select('skillLevel ratings');
+
+        const entry = matchmaking.enqueue({
+          userId: socket.user._id,
+          name: socket.user.name,
+          skillLevel: user.skillLevel,
+          rating: user.getRating(category).rating,
+          category,
+          side,
+          format,
+          aiRole
+        });
+
+        socket.emit('queue-joined', {
+          position: matchmaking.getPosition(socket.user._id),
+          queueSize: matchmaking.getQueueSize(),
+          queuedAt: entry.queuedAt
+        });
+
+        logger.info(`User ${socket.user.email} joined the matchmaking queue`);
+        await matchQueue();
+      } catch (error) {
+        logger.error('Error joining matchmaking queue:', error);
+        socket.emit('error', { message: 'Failed to join matchmaking queue' });
+      }
+    });
+
+    // Handle leaving the matchmaking queue
+    socket.on('leave-queue', () => {
+      if (matchmaking.dequeue(socket.user._id)) {
+        logger.info(`User ${socket.user.email} left the matchmaking queue`);
+      }
+      socket.emit('queue-left', { leftAt: new Date() });
+    });
+
     // Handle ping/pong for connection health
     socket.on('ping', () => {
       socket.emit('pong', { timestamp: new Date() });
@@ -292,6 +720,22 @@ const socketHandler = (io) => {
       
       // Remove from connected users
       connectedUsers.delete(socket.id);
+
+      // Stop AI replies nobody is left to read; the partial text is still saved
+      if (!utilities.isUserConnected(socket.user._id)) {
+        matchmaking.dequeue(socket.user._id);
+
+        for (const stream of activeStreams.values()) {
+          if (stream.userId && stream.userId.toString() === socket.user._id.toString()) {
+            abortStream(stream.sessionId, 'disconnected');
+          }
+        }
+      }
+      
+      // Stop counting this connection as a viewer
+      for (const sessionId of Array.from(spectators.keys())) {
+        removeSpectator(sessionId, socket.id);
+      }
       
       // Remove from active sessions
       for (const [sessionId, session] of activeSessions.entries()) {
@@ -346,7 +790,7 @@ const socketHandler = (io) => {
           messageType: message.messageType,
           sender: {
             id: 'ai',
-            name: 'AI Opponent'
+            name: session.mode === 'human' ? 'AI Moderator' : 'AI Opponent'
           }
         });
 
@@ -361,6 +805,366 @@ const socketHandler = (io) => {
       }
     },
 
+    // Stream an AI reply to the user's message into the session room
+    streamAIMessage: async (sessionId, { userMessage, messageType } = {}) => {
+      const key = sessionId.toString();
+      const room = `session:${key}`;
+
+      if (activeStreams.has(key)) {
+        throw new Error('An AI reply is already streaming for this session');
+      }
+
+      // Claim the session before anything is awaited, so a second message cannot start a second reply
+      const stream = {
+        streamId: uuidv4(),
+        sessionId: key,
+        userId: null,
+        content: '',
+        aborted: false,
+        abortReason: null
+      };
+      activeStreams.set(key, stream);
+
+      let session;
+      let aiSide;
+      let resolvedType;
+      let topic;
+      let context;
+      try {
+        session = await DebateSession.findById(sessionId).populate('topicId');
+        if (!session) {
+          throw new Error('Session not found');
+        }
+        stream.userId = session.userId;
+
+        // The AI opponent stays silent once its user has used up their AI quota
+        const quota = await usageMeter.getQuotaStatus(session.userId);
+        if (quota.exceeded) {
+          activeStreams.delete(key);
+          io.to(`user:${session.userId}`).emit('error', {
+            message: 'AI usage quota exceeded',
+            quota
+          });
+          return null;
+        }
+
+        aiSide = turnEngine.getOppositeSide(session.chosenSide);
+        const aiTurn = turnEngine.validateMessage(session, aiSide, messageType);
+        resolvedType = aiTurn.allowed ? aiTurn.messageType : (messageType || 'general');
+
+        // The AI argues the topic as it was when the debate started
+        topic = await topicRevisions.getSessionTopic(session);
+
+        // Recent transcript, minus the message being answered
+        const recentMessages = await DebateMessage.find({ sessionId, 'flags.isRemoved': { $ne: true } })
+          .sort({ turnNumber: -1 })
+          .limit(11);
+        context = recentMessages.reverse();
+        const lastMessage = context[context.length - 1];
+        if (lastMessage && lastMessage.senderType === 'user' && lastMessage.content === userMessage) {
+          context.pop();
+        }
+      } catch (error) {
+        activeStreams.delete(key);
+        throw error;
+      }
+
+      // Deltas are held back a sentence at a time until moderation has passed them
+      const moderator = contentModeration.createStreamModerator({ source: 'ai' });
+      const release = (delta) => {
+        if (moderator.blocked) {
+          stream.aborted = true;
+          stream.abortReason = 'moderated';
+          return;
+        }
+        if (!delta) return;
+
+        stream.content += delta;
+        io.to(room).emit('ai-message-delta', {
+          sessionId: key,
+          streamId: stream.streamId,
+          delta
+        });
+      };
+
+      const startedAt = Date.now();
+      io.to(room).emit('ai-message-start', {
+        sessionId: key,
+        streamId: stream.streamId,
+        startedAt: new Date(startedAt),
+        sender: {
+          id: 'ai',
+          name: 'AI Opponent'
+        }
+      });
+
+      let summary = null;
+      try {
+        for await (const chunk of aiService.streamResponse({
+          sessionId: key,
+          userMessage,
+          context,
+          topic,
+          chosenSide: session.chosenSide,
+          difficulty: session.getEffectiveDifficulty(),
+          session
+        })) {
+          if (stream.aborted) break;
+          if (chunk.done) {
+            release(await moderator.flush());
+            if (!stream.aborted) summary = chunk;
+            break;
+          }
+
+          release(await moderator.push(chunk.delta));
+        }
+      } catch (error) {
+        logger.error(`AI stream ${stream.streamId} in session ${key} failed:`, error);
+        stream.aborted = true;
+        stream.abortReason = 'error';
+      } finally {
+        activeStreams.delete(key);
+      }
+
+      const partial = !summary;
+      const content = stream.content.trim().slice(0, 2000);
+      let message = null;
+
+      if (content) {
+        const previousMessage = await DebateMessage.findOne({ sessionId })
+          .sort({ turnNumber: -1 })
+          .limit(1);
+
+        message = await DebateMessage.create({
+          sessionId,
+          senderType: 'ai',
+          content,
+          turnNumber: previousMessage ? previousMessage.turnNumber + 1 : 1,
+          messageType: resolvedType,
+          attachments: summary ? summary.citations.map(evidenceIndex.toAttachment) : [],
+          aiResponse: {
+            ...(summary && { model: summary.model }),
+            ...(summary && { tokens: summary.usage }),
+            ...(summary && { confidence: summary.confidence }),
+            responseTime: Date.now() - startedAt
+          },
+          moderation: contentModeration.toModerationRecord(moderator.result()),
+          flags: {
+            isPartial: partial,
+            isFlagged: moderator.result().flagged || moderator.blocked
+          }
+        });
+
+        // Reload: the phase may have moved on while the reply was streaming
+        const current = await DebateSession.findById(sessionId);
+        turnEngine.syncPhase(current);
+        const phaseChanged = turnEngine.validateMessage(current, aiSide, resolvedType).allowed
+          && turnEngine.recordMessage(current);
+        await current.incrementMessageCount('ai');
+
+        if (phaseChanged) {
+          utilities.broadcastPhase(current);
+        }
+      }
+
+      io.to(room).emit('ai-message-end', {
+        sessionId: key,
+        streamId: stream.streamId,
+        messageId: message ? message._id : null,
+        content,
+        partial,
+        reason: partial ? stream.abortReason : 'completed',
+        turnNumber: message ? message.turnNumber : null,
+        attachments: message ? message.attachments : [],
+        timestamp: message ? message.timestamp : new Date()
+      });
+
+      logger.info(`AI stream ${stream.streamId} ${partial ? 'stopped early' : 'completed'} in session ${key}`);
+
+      // Consecutive phases can belong to the AI (e.g. rebuttal then closing)
+      if (!partial) {
+        await utilities.takeAITurn(key, { trigger: 'ai' });
+      }
+
+      return message;
+    },
+
+    /**
+     * Let the AI speak if the format gives it the floor.
+     * Open debates: the AI answers every user message.
+     * Structured formats: the AI speaks in its own phases and answers the user in open-floor phases.
+     */
+    takeAITurn: async (sessionId, { userMessage, trigger = 'user' } = {}) => {
+      const session = await DebateSession.findById(sessionId);
+      if (!session || session.status !== 'active' || activeStreams.has(sessionId.toString())) {
+        return null;
+      }
+
+      // Between two users the AI only moderates or judges
+      if (session.mode === 'human') {
+        return null;
+      }
+
+      if (!turnEngine.isStructured(session)) {
+        return trigger === 'user' ? utilities.streamAIMessage(sessionId, { userMessage }) : null;
+      }
+
+      const aiSide = turnEngine.getOppositeSide(session.chosenSide);
+      const speaker = turnEngine.getNextSpeaker(session);
+      if (speaker !== aiSide && !(speaker === 'both' && trigger === 'user')) {
+        return null;
+      }
+
+      const phase = turnEngine.getCurrentPhase(session);
+      return utilities.streamAIMessage(sessionId, {
+        userMessage: userMessage || `Please deliver your ${phase.name.toLowerCase()}.`
+      });
+    },
+
+    // Broadcast the current format phase and its deadline to the session room
+    broadcastPhase: (session) => {
+      const phaseState = turnEngine.describeState(session);
+
+      io.to(`session:${session._id}`).emit('phase-changed', {
+        sessionId: session._id,
+        ...phaseState
+      });
+      schedulePhaseTimer(session);
+
+      // An AI moderator announces each new phase once
+      const key = session._id.toString();
+      if (session.aiRole === 'moderator' && phaseState.structured && announcedPhases.get(key) !== session.formatState.phaseIndex) {
+        announcedPhases.set(key, session.formatState.phaseIndex);
+        const announcement = phaseState.phase
+          ? `${phaseState.phase.name} begins. The floor goes to ${phaseState.phase.speaker === 'both' ? 'both sides' : `the ${phaseState.phase.speaker} side`}.`
+          : 'All phases are finished. Thank you both for the debate.';
+
+        utilities.sendAIMessage(session._id, announcement)
+          .catch(error => logger.error('Error sending moderator announcement:', error));
+      }
+    },
+
+    // Stop the phase clock (session paused or ended)
+    stopPhaseTimer: (sessionId) => {
+      clearPhaseTimer(sessionId);
+    },
+
+    // Analyze a user message and send the coaching tags to its sender
+    analyzeMessage: async (message, session) => {
+      if (!messageAnalyzer.isEnabled()) {
+        return null;
+      }
+
+      const quota = await usageMeter.getQuotaStatus(message.senderId || session.userId);
+      if (quota.exceeded) {
+        return null;
+      }
+
+      const analyzed = await messageAnalyzer.analyzeUserMessage(message, session);
+      io.to(`user:${analyzed.senderId || session.userId}`).emit('message-analyzed', messageAnalyzer.toAnalysisPayload(analyzed));
+
+      // The new scores may move the AI up or down a level for its next reply
+      const adjustment = await adaptiveDifficulty.adjustDifficulty(session._id);
+      if (adjustment) {
+        io.to(`session:${session._id}`).emit('difficulty-adjusted', {
+          sessionId: session._id,
+          ...adjustment
+        });
+      }
+
+      return analyzed;
+    },
+
+    // Check the citations of a user message and send the results to the room
+    verifyCitations: async (message) => {
+      if (!message.attachments.some(attachment => attachment.type === 'citation')) {
+        return null;
+      }
+
+      const verified = await citationVerifier.verifyMessageCitations(message);
+      io.to(`session:${verified.sessionId}`).emit('citations-verified', citationVerifier.toVerificationPayload(verified));
+
+      return verified;
+    },
+
+    // Broadcast the updated reaction tallies of a message
+    broadcastReaction: (sessionId, message) => {
+      io.to(`session:${sessionId}`).emit('message-reaction', {
+        sessionId,
+        messageId: message._id,
+        reactionCounts: message.reactionCounts,
+        totalReactions: message.totalReactions
+      });
+    },
+
+    // Judge a completed session and share the ballot with everyone in the room
+    adjudicate: async (session, options = {}) => {
+      const ballot = await adjudicateSession(session, options);
+
+      if (ballot) {
+        io.to(`session:${session._id}`).emit('ballot-ready', {
+          sessionId: session._id,
+          winner: session.winner,
+          finalScore: session.finalScore,
+          ballot
+        });
+      }
+
+      return ballot;
+    },
+
+    // Tell the session room a moderator removed a message
+    broadcastMessageRemoved: (sessionId, message) => {
+      io.to(`session:${sessionId}`).emit('message-removed', {
+        sessionId,
+        messageId: message._id,
+        content: message.toTranscript().content
+      });
+    },
+
+    // Tell a user about a moderator sanction; suspended and banned users are disconnected
+    enforceSanction: (userId, { action, reason, until }) => {
+      const room = `user:${userId}`;
+
+      if (action === 'warn') {
+        io.to(room).emit('account-warning', { reason });
+        return;
+      }
+      if (action === 'suspend' || action === 'ban') {
+        io.to(room).emit('account-sanctioned', { type: action === 'ban' ? 'ban' : 'suspension', reason, until });
+        io.in(room).disconnectSockets(true);
+      }
+    },
+
+    // Number of spectators watching a session
+    getViewerCount: (sessionId) => {
+      const viewers = spectators.get(sessionId.toString());
+      return viewers ? viewers.size : 0;
+    },
+
+    // Send spectators away when a session stops being public
+    closeSpectators: (sessionId, reason = 'private') => {
+      const key = sessionId.toString();
+      const viewers = spectators.get(key);
+      if (!viewers) return;
+
+      for (const socketId of viewers.keys()) {
+        const viewerSocket = io.sockets.sockets.get(socketId);
+        if (viewerSocket) {
+          viewerSocket.emit('spectate-ended', { sessionId: key, reason });
+          viewerSocket.leave(`session:${key}`);
+        }
+      }
+
+      spectators.delete(key);
+      broadcastViewerCount(key);
+    },
+
+    // Abort an AI reply that is still streaming (e.g. when the session is paused)
+    abortAIStream: (sessionId, reason = 'aborted') => {
+      abortStream(sessionId, reason);
+    },
+
     // Get active sessions
     getActiveSessions: () => {
       return Array.from(activeSessions.values());
@@ -387,7 +1191,34 @@ const socketHandler = (io) => {
     }
   };
 
+  activeUtilities = utilities;
   return utilities;
 };
 
+/**
+ * Delegate to the running handler so controllers can destructure these at require time
+ */
+const delegate = (name) => (...args) => {
+  if (!activeUtilities) {
+    throw new Error('Socket handler has not been initialised');
+  }
+  return activeUtilities[name](...args);
+};
+
+socketHandler.sendAIMessage = delegate('sendAIMessage');
+socketHandler.streamAIMessage = delegate('streamAIMessage');
+socketHandler.abortAIStream = delegate('abortAIStream');
+socketHandler.takeAITurn = delegate('takeAITurn');
+socketHandler.broadcastPhase = delegate('broadcastPhase');
+socketHandler.stopPhaseTimer = delegate('stopPhaseTimer');
+socketHandler.analyzeMessage = delegate('analyzeMessage');
+socketHandler.verifyCitations = delegate('verifyCitations');
+socketHandler.broadcastReaction = delegate('broadcastReaction');
+socketHandler.broadcastMessageRemoved = delegate('broadcastMessageRemoved');
+socketHandler.adjudicate = delegate('adjudicate');
+socketHandler.enforceSanction = delegate('enforceSanction');
+socketHandler.sendNotification = delegate('sendNotification');
+socketHandler.getViewerCount = delegate('getViewerCount');
+socketHandler.closeSpectators = delegate('closeSpectators');
+
 module.exports = socketHandler; 
\ No newline at end of file
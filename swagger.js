@@ -49,6 +49,25 @@ const options = {
               enum: ['beginner', 'intermediate', 'advanced', 'expert'],
               description: 'User debate skill level'
             },
+            plan: {
+              type: 'string',
+              enum: ['free', 'pro', 'team'],
+              description: 'Plan that sets the AI usage quota'
+            },
+            role: {
+              type: 'string',
+              enum: ['user', 'moderator', 'admin'],
+              description: 'Moderators and admins can use the moderator console'
+            },
+            sanctions: {
+              type: 'object',
+              properties: {
+                warnings: { type: 'integer' },
+                suspendedUntil: { type: 'string', format: 'date-time', nullable: true },
+                isBanned: { type: 'boolean' },
+                reason: { type: 'string', nullable: true }
+              }
+            },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' }
           }
@@ -65,6 +84,35 @@ const options = {
               enum: ['easy', 'medium', 'hard', 'expert'],
               description: 'Topic difficulty level'
             },
+            approvalStatus: {
+              type: 'string',
+              enum: ['draft', 'submitted', 'changes-requested', 'approved', 'rejected'],
+              description: 'Stage of the proposal workflow'
+            },
+            revision: { type: 'integer', description: 'Latest submitted revision, 0 for an unsubmitted draft' },
+            createdBy: { type: 'string', description: 'Author ID' },
+            language: {
+              type: 'string',
+              enum: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'hi'],
+              description: 'Language the topic is written in'
+            },
+            translationOf: { type: 'string', nullable: true, description: 'Original topic, if this is a machine translation of it' },
+            balance: {
+              type: 'object',
+              description: 'Side balance of the adjudicated debates on the current revision, controlling for ratings',
+              properties: {
+                sessions: { type: 'integer' },
+                proWinProbability: { type: 'number', nullable: true, description: 'Chance the pro side wins between equally rated debaters' },
+                lower: { type: 'number', nullable: true },
+                upper: { type: 'number', nullable: true },
+                verdict: { type: 'string', enum: ['insufficient-data', 'balanced', 'pro-leaning', 'con-leaning'] },
+                flagged: { type: 'boolean', description: 'Strongly lopsided; waiting for a reviewer' },
+                flaggedAt: { type: 'string', format: 'date-time', nullable: true },
+                suggestedDifficulty: { type: 'string', enum: ['easy', 'medium', 'hard', 'expert'], nullable: true },
+                suggestedComplexity: { type: 'integer', nullable: true },
+                analyzedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
@@ -74,14 +122,117 @@ const options = {
             _id: { type: 'string', description: 'Session ID' },
             userId: { type: 'string', description: 'User ID' },
             topicId: { type: 'string', description: 'Topic ID' },
+            topicRevision: { type: 'integer', nullable: true, description: 'Topic revision the session is debated on' },
             chosenSide: { 
               type: 'string', 
               enum: ['pro', 'con'],
               description: 'User chosen side'
             },
+            language: {
+              type: 'string',
+              enum: ['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'hi'],
+              description: 'Language the debate is held in'
+            },
+            mode: {
+              type: 'string',
+              enum: ['ai', 'human'],
+              description: 'Debate against the AI or against another user'
+            },
+            opponentId: { type: 'string', description: 'Second user in human-vs-human debates (argues the opposite side)' },
+            aiRole: {
+              type: 'string',
+              enum: ['opponent', 'moderator', 'judge', 'none'],
+              description: 'Role the AI plays in the session'
+            },
+            aiDifficulty: {
+              type: 'string',
+              enum: ['easy', 'medium', 'hard', 'expert'],
+              description: 'Starting AI difficulty'
+            },
+            aiPersonality: { type: 'string', description: 'Key of the AI persona' },
+            personaVersion: { type: 'integer', description: 'Persona version the session uses' },
+            promptVersions: {
+              type: 'array',
+              description: 'Prompt template versions the session uses, with the experiment variant if it is in one',
+              items: {
+                type: 'object',
+                properties: {
+                  template: { type: 'string' },
+                  version: { type: 'integer' },
+                  experimentId: { type: 'string', nullable: true },
+                  variant: { type: 'string', nullable: true }
+                }
+              }
+            },
+            difficultyState: {
+              type: 'object',
+              description: 'Live AI difficulty when sessionSettings.adaptiveDifficulty is on',
+              properties: {
+                current: { type: 'string', enum: ['easy', 'medium', 'hard', 'expert'], nullable: true },
+                adjustments: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      turnNumber: { type: 'integer', description: 'Last user message the decision was based on' },
+                      from: { type: 'string' },
+                      to: { type: 'string' },
+                      reason: { type: 'string', enum: ['cruising', 'struggling'] },
+                      performance: { type: 'number', description: 'Average analysis score of recent user messages' },
+                      userRating: { type: 'number' },
+                      adjustedAt: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                }
+              }
+            },
             startTime: { type: 'string', format: 'date-time' },
             endTime: { type: 'string', format: 'date-time' },
             finalScore: { type: 'number', description: 'Final debate score' },
+            winner: {
+              type: 'string',
+              enum: ['user', 'ai', 'pro', 'con', 'draw'],
+              description: 'Winner set by the adjudicator (user/ai against the AI, the winning side between two users)'
+            },
+            ballot: {
+              type: 'object',
+              description: 'Adjudicator ballot',
+              properties: {
+                winner: { type: 'string', enum: ['pro', 'con', 'draw'] },
+                decision: { type: 'string', description: 'Reason for decision' },
+                flow: {
+                  type: 'array',
+                  description: 'Flow sheet: what happened to each argument',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      argument: { type: 'string' },
+                      side: { type: 'string', enum: ['pro', 'con'] },
+                      turnNumber: { type: 'integer' },
+                      status: { type: 'string', enum: ['extended', 'dropped', 'refuted', 'conceded'] },
+                      note: { type: 'string' }
+                    }
+                  }
+                },
+                speakerPoints: {
+                  type: 'object',
+                  properties: {
+                    pro: { type: 'number' },
+                    con: { type: 'number' }
+                  }
+                },
+                scores: {
+                  type: 'object',
+                  properties: {
+                    pro: { type: 'number' },
+                    con: { type: 'number' }
+                  }
+                },
+                adjudicatedAt: { type: 'string', format: 'date-time' },
+                degraded: { type: 'boolean', description: 'True when no valid ballot was produced; the result was not applied' },
+                noContest: { type: 'boolean', description: 'True when no arguments were made; there was no result to apply' }
+              }
+            },
             status: { 
               type: 'string', 
               enum: ['active', 'completed', 'abandoned'],
@@ -99,8 +250,146 @@ const options = {
               enum: ['user', 'ai'],
               description: 'Message sender type'
             },
+            senderId: { type: 'string', description: 'User who sent the message' },
+            senderSide: {
+              type: 'string',
+              enum: ['pro', 'con'],
+              description: 'Side the sender argues'
+            },
             content: { type: 'string', description: 'Message content' },
-            timestamp: { type: 'string', format: 'date-time' }
+            timestamp: { type: 'string', format: 'date-time' },
+            attachments: {
+              type: 'array',
+              description: 'Attachments; AI replies carry a citation for each source cited inline as [n]',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['image', 'document', 'link', 'citation'] },
+                  url: { type: 'string' },
+                  title: { type: 'string' },
+                  description: { type: 'string', description: 'Cited passage for citations' },
+                  quote: { type: 'string', description: 'Quote from the source (user citations)' },
+                  publication: { type: 'string' },
+                  publishedAt: { type: 'string', format: 'date' },
+                  verification: {
+                    type: 'object',
+                    description: 'Result of checking a user citation',
+                    properties: {
+                      status: { type: 'string', enum: ['pending', 'verified', 'paraphrased', 'out-of-context', 'fabricated', 'unverifiable'] },
+                      matchScore: { type: 'number', description: 'Share of the quote found in the source (0-1)' },
+                      credibility: {
+                        type: 'object',
+                        properties: {
+                          score: { type: 'number' },
+                          tier: { type: 'string', enum: ['high', 'medium', 'low'] },
+                          domain: { type: 'string' }
+                        }
+                      },
+                      checkedAgainst: { type: 'string', enum: ['document', 'cache'], nullable: true },
+                      note: { type: 'string' },
+                      checkedAt: { type: 'string', format: 'date-time' }
+                    }
+                  },
+                  citation: {
+                    type: 'object',
+                    properties: {
+                      marker: { type: 'integer' },
+                      sourceType: { type: 'string', enum: ['evidence', 'argument', 'document'] },
+                      sourceId: { type: 'string' },
+                      source: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            },
+            analysis: {
+              type: 'object',
+              description: 'Per-message coaching analysis (user messages)',
+              properties: {
+                argumentStrength: { type: 'number' },
+                logicalConsistency: { type: 'number' },
+                evidenceQuality: { type: 'number' },
+                emotionalAppeal: { type: 'number' },
+                clarity: { type: 'number' },
+                relevance: { type: 'number' },
+                fallacies: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', example: 'slippery-slope' },
+                      excerpt: { type: 'string' },
+                      explanation: { type: 'string' },
+                      confidence: { type: 'number' }
+                    }
+                  }
+                },
+                structure: {
+                  type: 'object',
+                  properties: {
+                    claim: { type: 'string' },
+                    warrant: { type: 'string' },
+                    impact: { type: 'string' }
+                  }
+                },
+                coaching: { type: 'string' },
+                citationFlags: {
+                  type: 'array',
+                  description: 'Cited quotes the source does not support',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      attachmentId: { type: 'string' },
+                      status: { type: 'string', enum: ['fabricated', 'out-of-context'] },
+                      quote: { type: 'string' },
+                      note: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            },
+            flags: {
+              type: 'object',
+              properties: {
+                isFlagged: { type: 'boolean', description: 'Escalated to the moderators' },
+                isReported: { type: 'boolean' },
+                isPartial: { type: 'boolean', description: 'AI stream stopped before completion' },
+                isRemoved: { type: 'boolean', description: 'Removed by a moderator; content is replaced in transcripts' }
+              }
+            },
+            moderation: {
+              type: 'object',
+              description: 'Content moderation result and review state',
+              properties: {
+                action: { type: 'string', enum: ['allow', 'warn', 'mask', 'escalate'] },
+                categories: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      category: { type: 'string', example: 'profanity' },
+                      score: { type: 'number' },
+                      classifier: { type: 'string', example: 'rules' },
+                      action: { type: 'string' }
+                    }
+                  }
+                },
+                status: { type: 'string', enum: ['none', 'pending', 'approved', 'removed'] },
+                checkedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', description: 'Notification ID' },
+            type: { type: 'string', description: 'Event the notification reports, e.g. topic-approved' },
+            title: { type: 'string' },
+            message: { type: 'string' },
+            data: { type: 'object', description: 'IDs of what the notification is about' },
+            readAt: { type: 'string', format: 'date-time', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' }
           }
         },
         PerformanceMetrics: {
@@ -115,6 +404,16 @@ const options = {
             evidenceUse: { type: 'number', description: 'Evidence usage score' },
             overallScore: { type: 'number', description: 'Overall performance score' },
             feedback: { type: 'string', description: 'Detailed feedback' },
+            aiAnalysis: {
+              type: 'object',
+              properties: {
+                model: { type: 'string' },
+                version: { type: 'string', description: 'Version of the prompt template the analysis used' },
+                promptTemplate: { type: 'string' },
+                experimentId: { type: 'string', nullable: true },
+                variant: { type: 'string', nullable: true }
+              }
+            },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
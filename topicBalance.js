@@ -0,0 +1,341 @@
+const DebateSession = require('../models/DebateSession');
+const DebateTopic = require('../models/DebateTopic');
+const RatingHistory = require('../models/RatingHistory');
+const logger = require('../config/logger');
+const rating = require('./rating');
+const { LEVELS } = require('./adaptiveDifficulty');
+
+/**
+ * Topic Balance
+ * Estimates how much a motion favours one side from its adjudicated debates.
+ * Each result is compared with what the participants' pre-debate ratings
+ * (RatingHistory) and the AI's difficulty predicted, so a motion is not called
+ * lopsided just because strong debaters kept picking the same side.
+ *
+ * The model is a logistic regression with the rating prediction as offset:
+ *   logit P(pro wins) = logit(expected) + sideBias + userSide * difficulty
+ * where userSide is +1 / -1 when the user argued pro / con against the AI and 0
+ * between two users. sideBias is the pro side's advantage; difficulty is how
+ * much better (positive) or worse (negative) users do against the AI on this
+ * motion than their ratings predict. A weak normal prior on both keeps small
+ * or one-sided samples finite; intervals come from the curvature at the fit.
+ */
+
+// Adjudicated debates a topic needs before it gets a verdict
+const MIN_SESSIONS = 10;
+// Latest debates analysed per topic
+const SESSION_WINDOW = 500;
+// Pro win chance between equal sides outside 50% +/- this counts as lopsided
+const LOPSIDED_MARGIN = 0.15;
+// z for a 95% interval
+const Z_95 = 1.96;
+// Standard deviation of the prior on both effects, in log-odds
+const PRIOR_SD = 1;
+const MAX_ITERATIONS = 25;
+const TOLERANCE = 0.000001;
+// Rating points between neighbouring AI difficulty levels
+const LEVEL_STEP = rating.AI_DIFFICULTY_RATINGS.medium - rating.AI_DIFFICULTY_RATINGS.easy;
+// Rating points of unexpected difficulty per complexity point
+const COMPLEXITY_STEP = 100;
+
+const VERDICTS = DebateTopic.schema.path('balance.verdict').enumValues;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+const logit = (p) => {
+  const clamped = Math.min(Math.max(p, 0.01), 0.99);
+  return Math.log(clamped / (1 - clamped));
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Side that won an adjudicated session
+ * @param {Object} session - DebateSession with winner, mode and chosenSide
+ * @returns {string|null} 'pro', 'con', 'draw' or null if undecided
+ */
+const getWinningSide = (session) => {
+  const { winner } = session;
+  if (winner === 'pro' || winner === 'con' || winner === 'draw') return winner;
+  if (winner === 'user') return session.chosenSide;
+  if (winner === 'ai') return session.chosenSide === 'pro' ? 'con' : 'pro';
+  return null;
+};
+
+/**
+ * Pre-debate rating of a participant, preferring the topic's category rating
+ * @param {Map} history - `${sessionId}:${userId}` to RatingHistory entries
+ */
+const ratingBefore = (history, session, userId) => {
+  const entries = history.get(`${session._id}:${userId}`) || [];
+  const entry = entries.find(item => item.category !== null) || entries[0];
+  return entry ? { before: entry.before, opponent: entry.opponent } : null;
+};
+
+/**
+ * Turn sessions into observations for the model
+ * @param {Array<Object>} sessions - Adjudicated sessions on the topic
+ * @param {Array<Object>} history - RatingHistory entries of those sessions
+ * @returns {Array<Object>} { outcome, offset, userSide } per decided session
+ */
+const buildObservations = (sessions, history) => {
+  const byParticipant = new Map();
+  history.forEach(entry => {
+    const key = `${entry.sessionId}:${entry.userId}`;
+    if (!byParticipant.has(key)) byParticipant.set(key, []);
+    byParticipant.get(key).push(entry);
+  });
+
+  return sessions.reduce((observations, session) => {
+    const winningSide = getWinningSide(session);
+    if (!winningSide) return observations;
+
+    let expectedPro;
+    let userSide = 0;
+
+    if (session.mode === 'human') {
+      const proId = session.chosenSide === 'pro' ? session.userId : session.opponentId;
+      const conId = session.chosenSide === 'pro' ? session.opponentId : session.userId;
+      const pro = ratingBefore(byParticipant, session, proId);
+      const con = ratingBefore(byParticipant, session, conId);
+      expectedPro = pro && con ? rating.expectedScore(pro.before, con.before) : 0.5;
+    } else {
+      // Sessions rated before the history existed are compared with a new player
+      const user = ratingBefore(byParticipant, session, session.userId);
+      const difficulty = (session.difficultyState && session.difficultyState.current) || session.aiDifficulty;
+      const expectedUser = rating.expectedScore(
+        user ? user.before : rating.createRating(),
+        user ? user.opponent : rating.getAIRating(difficulty, session.aiPersonality)
+      );
+      userSide = session.chosenSide === 'pro' ? 1 : -1;
+      expectedPro = userSide === 1 ? expectedUser : 1 - expectedUser;
+    }
+
+    observations.push({
+      outcome: rating.getOutcomeScore(winningSide, 'pro'),
+      offset: logit(expectedPro),
+      userSide
+    });
+    return observations;
+  }, []);
+};
+
+/**
+ * Fit side bias and difficulty by penalised maximum likelihood (Newton's method)
+ * @param {Array<Object>} observations - From buildObservations
+ * @returns {Object} { sideBias, difficulty } each { estimate, standardError }
+ */
+const fitModel = (observations) => {
+  const precision = 1 / (PRIOR_SD * PRIOR_SD);
+  let bias = 0;
+  let difficulty = 0;
+  let information = null;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let gradientBias = -bias * precision;
+    let gradientDifficulty = -difficulty * precision;
+    let bb = precision;
+    let bd = 0;
+    let dd = precision;
+
+    observations.forEach(({ outcome, offset, userSide }) => {
+      const p = sigmoid(offset + bias + userSide * difficulty);
+      const weight = p * (1 - p);
+      gradientBias += outcome - p;
+      gradientDifficulty += userSide * (outcome - p);
+      bb += weight;
+      bd += userSide * weight;
+      dd += userSide * userSide * weight;
+    });
+
+    information = { bb, bd, dd };
+    const determinant = bb * dd - bd * bd;
+    const stepBias = (dd * gradientBias - bd * gradientDifficulty) / determinant;
+    const stepDifficulty = (bb * gradientDifficulty - bd * gradientBias) / determinant;
+
+    bias += stepBias;
+    difficulty += stepDifficulty;
+    if (Math.abs(stepBias) < TOLERANCE && Math.abs(stepDifficulty) < TOLERANCE) break;
+  }
+
+  const { bb, bd, dd } = information;
+  const determinant = bb * dd - bd * bd;
+
+  return {
+    sideBias: { estimate: bias, standardError: Math.sqrt(dd / determinant) },
+    difficulty: { estimate: difficulty, standardError: Math.sqrt(bb / determinant) }
+  };
+};
+
+// An effect in log-odds with its 95% interval, also in rating points
+const describeEffect = ({ estimate, standardError }) => {
+  const lower = estimate - Z_95 * standardError;
+  const upper = estimate + Z_95 * standardError;
+  return {
+    logOdds: round(estimate),
+    lower: round(lower),
+    upper: round(upper),
+    ratingPoints: Math.round(estimate * rating.SCALE),
+    significant: lower > 0 || upper < 0
+  };
+};
+
+/**
+ * Suggested difficultyLevel and complexity from the difficulty effect
+ * Users doing worse than their ratings predict means the motion is harder than labelled.
+ * @returns {Object} { difficultyLevel, complexity } each { current, suggested, reason }, or null when the data says nothing
+ */
+const suggestLevels = (topic, difficulty, aiSessions) => {
+  if (aiSessions < MIN_SESSIONS || !difficulty.significant) {
+    return { difficultyLevel: null, complexity: null };
+  }
+
+  const harder = -difficulty.ratingPoints;
+  const direction = harder > 0 ? 'harder' : 'easier';
+  const reason = `Users do about ${Math.abs(harder)} rating points ${harder > 0 ? 'worse' : 'better'} on this motion than their ratings predict, so it plays ${direction} than labelled`;
+
+  const index = LEVELS.indexOf(topic.difficultyLevel);
+  const levelShift = Math.sign(harder) * Math.round(Math.abs(harder) / LEVEL_STEP);
+  const suggestedLevel = LEVELS[Math.min(Math.max(index + levelShift, 0), LEVELS.length - 1)];
+
+  const complexity = topic.complexity || 5;
+  const suggestedComplexity = Math.min(Math.max(Math.round(complexity + harder / COMPLEXITY_STEP), 1), 10);
+
+  return {
+    difficultyLevel: index >= 0 && suggestedLevel !== topic.difficultyLevel
+      ? { current: topic.difficultyLevel, suggested: suggestedLevel, reason }
+      : null,
+    complexity: suggestedComplexity !== complexity
+      ? { current: complexity, suggested: suggestedComplexity, reason }
+      : null
+  };
+};
+
+/**
+ * Analyse the side balance of a topic
+ * @param {Object} topic - DebateTopic document
+ * @param {Object} options - { revision } to only count debates on one revision
+ * @returns {Promise<Object>} { revision, sessions, aiSessions, humanSessions, observed, sideBias, difficulty, verdict, flagged, suggestions }
+ */
+const analyzeTopic = async (topic, { revision = null } = {}) => {
+  const filter = {
+    topicId: topic._id,
+    status: 'completed',
+    'ballot.adjudicatedAt': { $ne: null },
+    'ballot.degraded': { $ne: true },
+    'ballot.noContest': { $ne: true }
+  };
+  if (revision) filter.topicRevision = revision;
+
+  const sessions = await DebateSession.find(filter)
+    .select('userId opponentId mode chosenSide winner aiDifficulty aiPersonality difficultyState.current')
+    .sort({ endTime: -1 })
+    .limit(SESSION_WINDOW)
+    .lean();
+
+  const history = sessions.length > 0
+    ? await RatingHistory.find({ sessionId: { $in: sessions.map(session => session._id) } })
+      .select('sessionId userId category opponent before')
+      .lean()
+    : [];
+
+  const observations = buildObservations(sessions, history);
+  const aiSessions = observations.filter(observation => observation.userSide !== 0).length;
+  const count = (outcome) => observations.filter(observation => observation.outcome === outcome).length;
+  const observed = {
+    proWins: count(1),
+    conWins: count(0),
+    draws: count(0.5),
+    proWinRate: observations.length > 0
+      ? round(observations.reduce((sum, observation) => sum + observation.outcome, 0) / observations.length)
+      : null
+  };
+
+  const fit = fitModel(observations);
+  const sideBias = describeEffect(fit.sideBias);
+  const difficulty = describeEffect(fit.difficulty);
+
+  // Chance the pro side wins between equally rated debaters
+  sideBias.proWinProbability = round(sigmoid(sideBias.logOdds));
+  sideBias.interval = [round(sigmoid(sideBias.lower)), round(sigmoid(sideBias.upper))];
+
+  let verdict = 'insufficient-data';
+  let flagged = false;
+  if (observations.length >= MIN_SESSIONS) {
+    verdict = sideBias.significant ? (sideBias.logOdds > 0 ? 'pro-leaning' : 'con-leaning') : 'balanced';
+    flagged = sideBias.significant && Math.abs(sideBias.proWinProbability - 0.5) >= LOPSIDED_MARGIN;
+  }
+
+  return {
+    revision,
+    sessions: observations.length,
+    aiSessions,
+    humanSessions: observations.length - aiSessions,
+    observed,
+    sideBias,
+    difficulty: aiSessions > 0 ? difficulty : null,
+    verdict,
+    flagged,
+    suggestions: suggestLevels(topic, difficulty, aiSessions)
+  };
+};
+
+/**
+ * Re-analyse a topic and store the result on it (DebateTopic.balance)
+ * Only debates on the current revision count, so rewording a flagged motion
+ * starts its count again.
+ * @param {Object} topic - DebateTopic document
+ * @returns {Promise<Object>} Analysis from analyzeTopic
+ */
+const refreshTopic = async (topic) => {
+  const analysis = await analyzeTopic(topic, { revision: topic.revision || null });
+  const wasFlagged = Boolean(topic.balance && topic.balance.flagged);
+
+  topic.balance = {
+    sessions: analysis.sessions,
+    proWinProbability: analysis.sessions > 0 ? analysis.sideBias.proWinProbability : null,
+    lower: analysis.sessions > 0 ? analysis.sideBias.interval[0] : null,
+    upper: analysis.sessions > 0 ? analysis.sideBias.interval[1] : null,
+    verdict: analysis.verdict,
+    flagged: analysis.flagged,
+    flaggedAt: analysis.flagged ? (wasFlagged ? topic.balance.flaggedAt : new Date()) : null,
+    suggestedDifficulty: analysis.suggestions.difficultyLevel ? analysis.suggestions.difficultyLevel.suggested : null,
+    suggestedComplexity: analysis.suggestions.complexity ? analysis.suggestions.complexity.suggested : null,
+    analyzedAt: new Date()
+  };
+  await topic.save();
+
+  if (analysis.flagged && !wasFlagged) {
+    logger.warn(`Topic ${topic._id} flagged for review: ${analysis.verdict}, pro wins ${Math.round(analysis.sideBias.proWinProbability * 100)}% between equal sides over ${analysis.sessions} debates`);
+  }
+
+  return analysis;
+};
+
+/**
+ * Re-analyse every approved topic that has been debated
+ * @returns {Promise<Object>} { analyzed, flagged }
+ */
+const refreshAll = async () => {
+  const topics = await DebateTopic.find({ approvalStatus: 'approved', 'statistics.totalDebates': { $gt: 0 } });
+  let flagged = 0;
+
+  for (const topic of topics) {
+    const analysis = await refreshTopic(topic);
+    if (analysis.flagged) flagged += 1;
+  }
+
+  logger.info(`Analysed the side balance of ${topics.length} topics; ${flagged} flagged`);
+  return { analyzed: topics.length, flagged };
+};
+
+module.exports = {
+  VERDICTS,
+  MIN_SESSIONS,
+  getWinningSide,
+  buildObservations,
+  fitModel,
+  analyzeTopic,
+  refreshTopic,
+  refreshAll
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const topicBalance = require('../services/topicBalance');
+
+// n debates against the AI, the user on `side`, winning `wins` of them, all expected to be even
+const aiDebates = (n, side, wins) => Array.from({ length: n }, (_, index) => ({
+  outcome: (side === 'pro') === (index < wins) ? 1 : 0,
+  offset: 0,
+  userSide: side === 'pro' ? 1 : -1
+}));
+
+describe('Topic Balance Service', () => {
+  describe('getWinningSide', () => {
+    it('should map session winners to sides', () => {
+      expect(topicBalance.getWinningSide({ winner: 'user', chosenSide: 'con' })).toBe('con');
+      expect(topicBalance.getWinningSide({ winner: 'ai', chosenSide: 'con' })).toBe('pro');
+      expect(topicBalance.getWinningSide({ winner: 'pro', chosenSide: 'con' })).toBe('pro');
+      expect(topicBalance.getWinningSide({ winner: 'draw', chosenSide: 'pro' })).toBe('draw');
+      expect(topicBalance.getWinningSide({ winner: null, chosenSide: 'pro' })).toBeNull();
+    });
+  });
+
+  describe('fitModel', () => {
+    it('should find no bias when both sides win as often as expected', () => {
+      const { sideBias } = topicBalance.fitModel([...aiDebates(20, 'pro', 10), ...aiDebates(20, 'con', 10)]);
+
+      expect(sideBias.estimate).toBeCloseTo(0, 5);
+      expect(Math.abs(sideBias.estimate) / sideBias.standardError).toBeLessThan(1.96);
+    });
+
+    it('should find a pro bias when pro wins whoever argues it', () => {
+      const { sideBias, difficulty } = topicBalance.fitModel([...aiDebates(20, 'pro', 17), ...aiDebates(20, 'con', 3)]);
+
+      expect(sideBias.estimate - 1.96 * sideBias.standardError).toBeGreaterThan(0);
+      expect(difficulty.estimate).toBeCloseTo(0, 5);
+    });
+
+    it('should explain wins by stronger pro debaters with their ratings, not the motion', () => {
+      // Pro keeps winning, but the ratings predicted a 90% chance each time
+      const observations = Array.from({ length: 30 }, (_, index) => ({
+        outcome: index % 10 === 0 ? 0 : 1,
+        offset: Math.log(0.9 / 0.1),
+        userSide: 0
+      }));
+
+      const { sideBias } = topicBalance.fitModel(observations);
+
+      expect(Math.abs(sideBias.estimate)).toBeLessThan(0.1);
+    });
+
+    it('should read users losing on both sides as difficulty rather than bias', () => {
+      const { sideBias, difficulty } = topicBalance.fitModel([...aiDebates(20, 'pro', 4), ...aiDebates(20, 'con', 4)]);
+
+      expect(sideBias.estimate).toBeCloseTo(0, 5);
+      expect(difficulty.estimate + 1.96 * difficulty.standardError).toBeLessThan(0);
+    });
+
+    it('should stay finite when one side won every debate', () => {
+      const { sideBias } = topicBalance.fitModel(aiDebates(5, 'pro', 5));
+
+      expect(Number.isFinite(sideBias.estimate)).toBe(true);
+      expect(Number.isFinite(sideBias.standardError)).toBe(true);
+    });
+  });
+});
\ No newline at end of file
@@ -1,12 +1,61 @@
 const DebateTopic = require('../models/DebateTopic');
+const DebateSession = require('../models/DebateSession');
+const TopicRevision = require('../models/TopicRevision');
+const User = require('../models/User');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../debatesphere/backend/config/logger');
+const topicWorkflow = require('../services/topicWorkflow');
+const topicRevisions = require('../services/topicRevisions');
+const notifications = require('../services/notifications');
+const topicPacks = require('../services/topicPacks');
+const topicSearch = require('../services/topicSearch');
+const topicRecommender = require('../services/topicRecommender');
+const topicBalance = require('../services/topicBalance');
+const aiService = require('../services/aiService');
+const usageMeter = require('../services/usageMeter');
+const { sendTopicReviewEmail } = require('../utils/emailService');
+const { sendNotification } = require('../websocket/socketHandler');
 
 /**
  * Topic Controller
  * Handles debate topic management, categories, and suggestions
  */
 
+const isReviewer = (user) => ['admin', 'moderator'].includes(user.role);
+
+const isAuthor = (topic, user) => Boolean(topic.createdBy) && topic.createdBy.toString() === user.id;
+
+// Topic content fields from a request body; `difficulty` is accepted for older clients
+const pickTopicFields = (body) => {
+  const fields = {};
+  ['title', 'description', 'category', 'tags', 'proArguments', 'conArguments', 'evidence', 'reasoning'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.difficultyLevel || body.difficulty) {
+    fields.difficultyLevel = body.difficultyLevel || body.difficulty;
+  }
+  return fields;
+};
+
+/**
+ * Tell the author of a proposal about a workflow transition: in the app, on
+ * their open sockets and, if they want it, by email
+ */
+const notifyAuthor = async (topic, note = null) => {
+  if (!topic.createdBy) return;
+
+  const transition = topicWorkflow.describeTransition(topic, note);
+  const notification = await notifications.notify(topic.createdBy, transition);
+  if (notification) {
+    sendNotification(topic.createdBy, notification);
+  }
+
+  const author = await User.findById(topic.createdBy).select('name email preferences');
+  if (author && author.preferences.notifications.email) {
+    await sendTopicReviewEmail(author, topic, transition);
+  }
+};
+
 /**
  * Get all debate topics
  * @route GET /api/topics
@@ -14,23 +63,19 @@ const logger = require('../debatesphere/backend/config/logger');
  */
 const getAllTopics = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, category, difficulty, search, approved } = req.query;
+    const { page = 1, limit = 10, category, difficulty, search } = req.query;
 
-    const filter = {};
+    // Proposals are listed under /suggestions
+    const filter = { approvalStatus: 'approved', isActive: true };
     if (category) filter.category = category;
-    if (difficulty) filter.difficulty = difficulty;
-    if (approved !== undefined) filter.approved = approved === 'true';
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+    if (difficulty) filter.difficultyLevel = difficulty;
+    // Uses the title/description text index; ranked search with facets is GET /api/topics/search
+    if (search) filter.$text = { $search: search };
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const topics = await DebateTopic.find(filter)
-      .sort({ createdAt: -1 })
+    const topics = await DebateTopic.find(filter, search ? { score: { $meta: 'textScore' } } : null)
+      .sort(search ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -63,20 +108,30 @@ const getAllTopics = async (req, res, next) => {
  */
 const createTopic = async (req, res, next) => {
   try {
-    const { title, description, category, difficulty, arguments: args, evidence } = req.body;
-
+    // Reviewers publish directly; other users' topics start as drafts for the proposal workflow
     const topic = new DebateTopic({
-      title,
-      description,
-      category,
-      difficulty,
-      arguments: args,
-      evidence,
+      ...pickTopicFields(req.body),
       createdBy: req.user.id,
-      approved: req.user.role === 'admin' || req.user.role === 'moderator'
+      approvalStatus: isReviewer(req.user) ? 'approved' : 'draft',
+      approvedBy: isReviewer(req.user) ? req.user.id : null
     });
 
-    await topic.save();
+    // Invalid topics are refused before a revision records them
+    await topic.validate();
+
+    let revision = null;
+    if (isReviewer(req.user)) {
+      revision = await topicRevisions.createRevision(topic, { authorId: req.user.id });
+    }
+    try {
+      await topic.save();
+    } catch (error) {
+      // Only the unique index catches a duplicate title, so the revision can still be orphaned here
+      if (revision) await revision.deleteOne();
+      throw error;
+    }
+
+    if (topic.approvalStatus === 'approved') topicSearch.invalidate();
 
     logger.info(`New topic created: ${topic.id} by user: ${req.user.id}`);
 
@@ -127,7 +182,6 @@ const getTopic = async (req, res, next) => {
 const updateTopic = async (req, res, next) => {
   try {
     const { topicId } = req.params;
-    const { title, description, category, difficulty, arguments: args, evidence } = req.body;
 
     const topic = await DebateTopic.findById(topicId);
 
@@ -136,30 +190,65 @@ const updateTopic = async (req, res, next) => {
     }
 
     // Check if user can update this topic
-    if (topic.createdBy.toString() !== req.user.id && 
-        !['admin', 'moderator'].includes(req.user.role)) {
+    if (!isAuthor(topic, req.user) && !isReviewer(req.user)) {
       return next(new AppError('Not authorized to update this topic', 403));
     }
 
-    const updateData = {};
-    if (title) updateData.title = title;
-    if (description) updateData.description = description;
-    if (category) updateData.category = category;
-    if (difficulty) updateData.difficulty = difficulty;
-    if (args) updateData.arguments = args;
-    if (evidence) updateData.evidence = evidence;
+    // Authors edit a proposal only while it is a draft or has changes requested
+    if (!isReviewer(req.user) && !topicWorkflow.isEditable(topic)) {
+      return next(new AppError(`This topic is ${topic.approvalStatus} and cannot be edited`, 400));
+    }
+
+    const { note } = req.body;
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return next(new AppError('Note must be a string of at most 500 characters', 400));
+    }
+
+    // Sessions debated on an approved topic from before revisions were recorded keep its old content
+    if (topic.approvalStatus === 'approved') {
+      await topicRevisions.ensureBaseline(topic);
+    }
+
+    const before = topicRevisions.snapshot(topic);
+    topic.set(pickTopicFields(req.body));
 
-    const updatedTopic = await DebateTopic.findByIdAndUpdate(
-      topicId,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Complexity is computed from the content; reviewers may override it, e.g. from the balance analysis
+    if (isReviewer(req.user) && req.body.complexity !== undefined) {
+      topic.complexity = req.body.complexity;
+    }
+    const changed = topicRevisions.diff(before, topicRevisions.snapshot(topic)).length > 0;
+
+    // Invalid edits are refused before a revision records them
+    await topic.validate();
+
+    // Submitted and approved content is never edited in place: changes become a new revision,
+    // so sessions pinned to an earlier one still show what was debated
+    let revision = null;
+    if (changed && !topicWorkflow.isEditable(topic)) {
+      revision = await topicRevisions.createRevision(topic, {
+        authorId: req.user.id,
+        note: note ? note.trim() : null
+      });
+    }
+    try {
+      await topic.save();
+    } catch (error) {
+      // Only the unique index catches a duplicate title, so the revision can still be orphaned here
+      if (revision) await revision.deleteOne();
+      throw error;
+    }
+    topicSearch.invalidate();
+
+    // Balance is measured per revision, so a reworded motion starts with a clean slate
+    if (revision && topic.approvalStatus === 'approved') {
+      await topicBalance.refreshTopic(topic);
+    }
 
-    logger.info(`Topic updated: ${topicId} by user: ${req.user.id}`);
+    logger.info(`Topic updated: ${topicId}${revision ? ` (revision ${revision.number})` : ''} by user: ${req.user.id}`);
 
     res.status(200).json({
       success: true,
-      data: updatedTopic
+      data: topic
     });
   } catch (error) {
     logger.error('Error updating topic:', error);
@@ -182,7 +271,23 @@ const deleteTopic = async (req, res, next) => {
       return next(new AppError('Topic not found', 404));
     }
 
+    // Topics that have been debated are archived so their sessions keep their topic
+    if (await DebateSession.exists({ topicId })) {
+      topic.isActive = false;
+      await topic.save();
+      topicSearch.invalidate();
+
+      logger.info(`Topic archived: ${topicId} by user: ${req.user.id}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Topic has been debated and was archived instead of deleted'
+      });
+    }
+
     await DebateTopic.findByIdAndDelete(topicId);
+    await TopicRevision.deleteMany({ topicId });
+    topicSearch.invalidate();
 
     logger.info(`Topic deleted: ${topicId} by user: ${req.user.id}`);
 
@@ -204,7 +309,7 @@ const deleteTopic = async (req, res, next) => {
 const getCategories = async (req, res, next) => {
   try {
     const categories = await DebateTopic.aggregate([
-      { $match: { approved: true } },
+      { $match: { approvalStatus: 'approved' } },
       {
         $group: {
           _id: '$category',
@@ -253,7 +358,7 @@ const getRandomTopic = async (req, res, next) => {
   try {
     const { category, difficulty, exclude } = req.query;
 
-    const filter = { approved: true };
+    const filter = { approvalStatus: 'approved' };
     if (category) filter.category = category;
     if (difficulty) filter.difficulty = difficulty;
     if (exclude) {
@@ -287,20 +392,32 @@ const getRandomTopic = async (req, res, next) => {
 
 /**
  * Get topic suggestions
+ * Reviewers see the review queue (submitted proposals, oldest first) or any status;
+ * other users see their own proposals.
  * @route GET /api/topics/suggestions
  * @access Private
  */
 const getSuggestions = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
+    const reviewer = isReviewer(req.user);
 
     const filter = {};
-    if (status) filter.status = status;
+    if (status) {
+      filter.approvalStatus = status;
+    } else if (reviewer) {
+      filter.approvalStatus = 'submitted';
+    } else {
+      filter.approvalStatus = { $ne: 'approved' };
+    }
+    if (!reviewer) {
+      filter.createdBy = req.user.id;
+    }
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const suggestions = await DebateTopic.find(filter)
-      .sort({ createdAt: -1 })
+      .sort(filter.approvalStatus === 'submitted' ? { submittedAt: 1 } : { updatedAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .populate('createdBy', 'name email');
@@ -326,28 +443,66 @@ const getSuggestions = async (req, res, next) => {
 };
 
 /**
- * Submit a topic suggestion
+ * Get a topic suggestion with its reviewer comments
+ * @route GET /api/topics/suggestions/:suggestionId
+ * @access Private (Author, Admin/Moderator)
+ */
+const getSuggestion = async (req, res, next) => {
+  try {
+    const { suggestionId } = req.params;
+
+    const suggestion = await DebateTopic.findById(suggestionId)
+      .populate('createdBy', 'name email')
+      .populate('reviewComments.reviewerId', 'name');
+
+    if (!suggestion) {
+      return next(new AppError('Suggestion not found', 404));
+    }
+    if (!isAuthor(suggestion, req.user) && !isReviewer(req.user)) {
+      return next(new AppError('Not authorized to view this suggestion', 403));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: suggestion
+    });
+  } catch (error) {
+    logger.error('Error getting suggestion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Propose a topic, as a draft or submitted for review straight away
  * @route POST /api/topics/suggestions
  * @access Private
  */
 const suggestTopic = async (req, res, next) => {
   try {
-    const { title, description, category, difficulty, reasoning } = req.body;
+    const { draft = false, note } = req.body;
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return next(new AppError('Note must be a string of at most 500 characters', 400));
+    }
 
     const suggestion = new DebateTopic({
-      title,
-      description,
-      category,
-      difficulty,
-      reasoning,
+      ...pickTopicFields(req.body),
       createdBy: req.user.id,
-      status: 'pending',
-      approved: false
+      approvalStatus: 'draft'
     });
 
     await suggestion.save();
 
-    logger.info(`Topic suggestion submitted: ${suggestion.id} by user: ${req.user.id}`);
+    if (!draft) {
+      await topicWorkflow.submit(suggestion, {
+        authorId: req.user.id,
+        note: note ? note.trim() : null
+      });
+      notifyAuthor(suggestion)
+        .catch(error => logger.error('Error notifying topic author:', error));
+    }
+
+    logger.info(`Topic suggestion ${draft ? 'drafted' : 'submitted'}: ${suggestion.id} by user: ${req.user.id}`);
 
     res.status(201).json({
       success: true,
@@ -360,57 +515,235 @@ const suggestTopic = async (req, res, next) => {
 };
 
 /**
- * Process topic suggestion (approve/reject)
+ * Submit a draft, or resubmit a proposal after changes were requested, as a new revision
+ * @route POST /api/topics/suggestions/:suggestionId/submit
+ * @access Private (Author)
+ */
+const submitSuggestion = async (req, res, next) => {
+  try {
+    const { suggestionId } = req.params;
+    const { note } = req.body;
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return next(new AppError('Note must be a string of at most 500 characters', 400));
+    }
+
+    const suggestion = await DebateTopic.findById(suggestionId);
+
+    if (!suggestion) {
+      return next(new AppError('Suggestion not found', 404));
+    }
+    if (!isAuthor(suggestion, req.user)) {
+      return next(new AppError('Only the author can submit this suggestion', 403));
+    }
+    if (!topicWorkflow.isEditable(suggestion)) {
+      return next(new AppError(`This suggestion is ${suggestion.approvalStatus} and cannot be submitted`, 400));
+    }
+
+    const revision = await topicWorkflow.submit(suggestion, {
+      authorId: req.user.id,
+      note: note ? note.trim() : null
+    });
+    notifyAuthor(suggestion)
+      .catch(error => logger.error('Error notifying topic author:', error));
+
+    logger.info(`Topic suggestion submitted: ${suggestionId} (revision ${revision.number}) by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        suggestion,
+        revision
+      }
+    });
+  } catch (error) {
+    logger.error('Error submitting suggestion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Process topic suggestion (approve, reject or request changes)
  * @route PUT /api/topics/suggestions/:suggestionId
  * @access Private (Admin/Moderator)
  */
 const processSuggestion = async (req, res, next) => {
   try {
     const { suggestionId } = req.params;
-    const { action, feedback } = req.body;
+    const { action, feedback, comments = [] } = req.body;
+
+    if (!topicWorkflow.REVIEW_DECISIONS[action]) {
+      return next(new AppError(`Action must be one of ${Object.keys(topicWorkflow.REVIEW_DECISIONS).join(', ')}`, 400));
+    }
+    if (feedback !== undefined && (typeof feedback !== 'string' || feedback.length > 500)) {
+      return next(new AppError('Feedback must be a string of at most 500 characters', 400));
+    }
+    const commentError = topicWorkflow.validateComments(comments);
+    if (commentError) {
+      return next(new AppError(commentError, 400));
+    }
 
     const suggestion = await DebateTopic.findById(suggestionId);
 
     if (!suggestion) {
       return next(new AppError('Suggestion not found', 404));
     }
+    if (isAuthor(suggestion, req.user)) {
+      return next(new AppError('You cannot review your own suggestion', 403));
+    }
+    if (!topicWorkflow.isReviewable(suggestion)) {
+      return next(new AppError(`This suggestion is ${suggestion.approvalStatus} and cannot be reviewed`, 400));
+    }
 
-    if (action === 'approve') {
-      suggestion.status = 'approved';
-      suggestion.approved = true;
-      suggestion.approvedBy = req.user.id;
-      suggestion.approvedAt = new Date();
-    } else if (action === 'reject') {
-      suggestion.status = 'rejected';
-      suggestion.rejectedBy = req.user.id;
-      suggestion.rejectedAt = new Date();
-      suggestion.rejectionFeedback = feedback;
-    } else {
-      return next(new AppError('Invalid action', 400));
+    await topicWorkflow.review(suggestion, {
+      decision: action,
+      reviewerId: req.user.id,
+      feedback: feedback ? feedback.trim() : null,
+      comments
+    });
+    notifyAuthor(suggestion, feedback ? feedback.trim() : null)
+      .catch(error => logger.error('Error notifying topic author:', error));
+    if (suggestion.approvalStatus === 'approved') topicSearch.invalidate();
+
+    logger.info(`Topic suggestion ${suggestionId} ${suggestion.approvalStatus} by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Suggestion ${suggestion.approvalStatus}`,
+      data: suggestion
+    });
+  } catch (error) {
+    logger.error('Error processing suggestion:', error);
+    next(error);
+  }
+};
+
+/**
+ * Comment on fields of a proposal without deciding on it yet
+ * @route POST /api/topics/suggestions/:suggestionId/comments
+ * @access Private (Admin/Moderator)
+ */
+const addReviewComments = async (req, res, next) => {
+  try {
+    const { suggestionId } = req.params;
+    const { comments } = req.body;
+
+    const commentError = topicWorkflow.validateComments(comments);
+    if (commentError) {
+      return next(new AppError(commentError, 400));
+    }
+    if (comments.length === 0) {
+      return next(new AppError('At least one comment is required', 400));
     }
 
+    const suggestion = await DebateTopic.findById(suggestionId);
+
+    if (!suggestion) {
+      return next(new AppError('Suggestion not found', 404));
+    }
+    if (!['submitted', 'changes-requested'].includes(suggestion.approvalStatus)) {
+      return next(new AppError(`This suggestion is ${suggestion.approvalStatus} and cannot be commented on`, 400));
+    }
+
+    topicWorkflow.addComments(suggestion, comments, req.user.id);
     await suggestion.save();
 
-    logger.info(`Topic suggestion ${action}ed: ${suggestionId} by user: ${req.user.id}`);
+    res.status(201).json({
+      success: true,
+      data: suggestion.reviewComments
+    });
+  } catch (error) {
+    logger.error('Error adding review comments:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the revisions of a proposal with the changes in each
+ * @route GET /api/topics/suggestions/:suggestionId/revisions
+ * @access Private (Author, Admin/Moderator)
+ */
+const getSuggestionRevisions = async (req, res, next) => {
+  try {
+    const { suggestionId } = req.params;
+
+    const suggestion = await DebateTopic.findById(suggestionId);
+
+    if (!suggestion) {
+      return next(new AppError('Suggestion not found', 404));
+    }
+    if (!isAuthor(suggestion, req.user) && !isReviewer(req.user)) {
+      return next(new AppError('Not authorized to view this suggestion', 403));
+    }
+
+    const revisions = await topicRevisions.getRevisions(suggestionId);
 
     res.status(200).json({
       success: true,
-      message: `Suggestion ${action}ed successfully`
+      data: revisions
     });
   } catch (error) {
-    logger.error('Error processing suggestion:', error);
+    logger.error('Error getting suggestion revisions:', error);
     next(error);
   }
 };
 
+// Summary statistics of a set of completed sessions
+const summarizeSessions = (sessions) => {
+  const totalSessions = sessions.length;
+  const averageScore = sessions.length > 0 
+    ? sessions.reduce((sum, session) => sum + (session.finalScore || 0), 0) / sessions.length 
+    : 0;
+
+  // Share of decided debates each side won; side balance controlling for ratings is GET /api/topics/:topicId/balance
+  const winningSides = sessions.map(topicBalance.getWinningSide).filter(Boolean);
+  const forWins = winningSides.filter(side => side === 'pro').length;
+  const againstWins = winningSides.filter(side => side === 'con').length;
+
+  const winRate = {
+    for: winningSides.length > 0 ? (forWins / winningSides.length) * 100 : 0,
+    against: winningSides.length > 0 ? (againstWins / winningSides.length) * 100 : 0
+  };
+
+  // Calculate average duration
+  const averageDuration = sessions.length > 0 
+    ? sessions.reduce((sum, session) => {
+        if (session.endTime && session.startTime) {
+          return sum + (session.endTime - session.startTime) / 1000 / 60; // Convert to minutes
+        }
+        return sum;
+      }, 0) / sessions.length 
+    : 0;
+
+  // Calculate difficulty rating based on average scores
+  const difficultyRating = averageScore > 0 ? Math.round((10 - averageScore) * 10) / 10 : 5;
+
+  return {
+    totalSessions,
+    averageScore: Math.round(averageScore * 100) / 100,
+    winRate: {
+      for: Math.round(winRate.for * 100) / 100,
+      against: Math.round(winRate.against * 100) / 100
+    },
+    averageDuration: Math.round(averageDuration),
+    difficultyRating
+  };
+};
+
 /**
- * Get topic statistics
+ * Get topic statistics, for all revisions or one, optionally broken down by revision
  * @route GET /api/topics/:topicId/stats
  * @access Public
  */
 const getTopicStats = async (req, res, next) => {
   try {
     const { topicId } = req.params;
+    const { revision, byRevision } = req.query;
+
+    const revisionNumber = revision !== undefined ? parseInt(revision) : null;
+    if (revision !== undefined && !(revisionNumber >= 1)) {
+      return next(new AppError('Revision must be a positive integer', 400));
+    }
 
     const topic = await DebateTopic.findById(topicId);
 
@@ -419,59 +752,587 @@ const getTopicStats = async (req, res, next) => {
     }
 
     // Get debate sessions for this topic
-    const DebateSession = require('../models/DebateSession');
-    const sessions = await DebateSession.find({
-      topicId,
-      status: 'completed'
+    const filter = { topicId, status: 'completed' };
+    if (revisionNumber) filter.topicRevision = revisionNumber;
+
+    const sessions = await DebateSession.find(filter)
+      .select('chosenSide mode winner finalScore startTime endTime topicRevision');
+
+    const stats = {
+      ...summarizeSessions(sessions),
+      revision: revisionNumber
+    };
+
+    // Sessions from before revisions were recorded are grouped under revision null
+    if (byRevision === 'true') {
+      const groups = new Map();
+      sessions.forEach(session => {
+        const key = session.topicRevision || null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(session);
+      });
+
+      stats.revisions = Array.from(groups.entries())
+        .sort(([a], [b]) => (a || 0) - (b || 0))
+        .map(([number, group]) => ({ revision: number, ...summarizeSessions(group) }));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error getting topic stats:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the revision history of an approved topic
+ * @route GET /api/topics/:topicId/revisions
+ * @access Public
+ */
+const getTopicRevisions = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+
+    const topic = await DebateTopic.findById(topicId).select('approvalStatus revision');
+
+    // Proposals under review have their own history (GET /api/topics/suggestions/:suggestionId/revisions)
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const revisions = await topicRevisions.getRevisions(topicId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current: topic.revision,
+        revisions
+      }
     });
+  } catch (error) {
+    logger.error('Error getting topic revisions:', error);
+    next(error);
+  }
+};
 
-    const totalSessions = sessions.length;
-    const averageScore = sessions.length > 0 
-      ? sessions.reduce((sum, session) => sum + (session.finalScore || 0), 0) / sessions.length 
-      : 0;
+/**
+ * Compare two revisions of an approved topic
+ * Defaults to the latest revision against the one before it.
+ * @route GET /api/topics/:topicId/revisions/compare
+ * @access Public
+ */
+const compareTopicRevisions = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
 
-    // Calculate win rates for each side
-    const forSessions = sessions.filter(s => s.chosenSide === 'for');
-    const againstSessions = sessions.filter(s => s.chosenSide === 'against');
+    const topic = await DebateTopic.findById(topicId).select('approvalStatus revision');
 
-    const forWins = forSessions.filter(s => s.finalScore >= 7).length;
-    const againstWins = againstSessions.filter(s => s.finalScore >= 7).length;
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
 
-    const winRate = {
-      for: forSessions.length > 0 ? (forWins / forSessions.length) * 100 : 0,
-      against: againstSessions.length > 0 ? (againstWins / againstSessions.length) * 100 : 0
-    };
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : topic.revision;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
 
-    // Calculate average duration
-    const averageDuration = sessions.length > 0 
-      ? sessions.reduce((sum, session) => {
-          if (session.endTime && session.startTime) {
-            return sum + (session.endTime - session.startTime) / 1000 / 60; // Convert to minutes
-          }
-          return sum;
-        }, 0) / sessions.length 
-      : 0;
+    if (!(from >= 1) || !(to >= 1)) {
+      return next(new AppError('from and to must be positive revision numbers', 400));
+    }
 
-    // Calculate difficulty rating based on average scores
-    const difficultyRating = averageScore > 0 ? Math.round((10 - averageScore) * 10) / 10 : 5;
+    const comparison = await topicRevisions.compareRevisions(topicId, from, to);
 
-    const stats = {
-      totalSessions,
-      averageScore: Math.round(averageScore * 100) / 100,
-      winRate: {
-        for: Math.round(winRate.for * 100) / 100,
-        against: Math.round(winRate.against * 100) / 100
-      },
-      averageDuration: Math.round(averageDuration),
-      difficultyRating
+    if (!comparison) {
+      return next(new AppError('Revision not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    logger.error('Error comparing topic revisions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get one revision of an approved topic
+ * @route GET /api/topics/:topicId/revisions/:revision
+ * @access Public
+ */
+const getTopicRevision = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const number = parseInt(req.params.revision);
+
+    if (!(number >= 1)) {
+      return next(new AppError('Revision must be a positive integer', 400));
+    }
+
+    const topic = await DebateTopic.findById(topicId).select('approvalStatus');
+
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const revision = await topicRevisions.getRevision(topicId, number);
+
+    if (!revision) {
+      return next(new AppError('Revision not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    logger.error('Error getting topic revision:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import a pack of topics (JSON, CSV or YAML) as approved topics
+ * Invalid and duplicate rows are skipped and listed in the report; a dry run
+ * only checks the pack.
+ * @route POST /api/topics/import
+ * @access Private (Admin/Moderator)
+ */
+const importTopics = async (req, res, next) => {
+  try {
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return next(new AppError('Upload a pack file or send it as content', 400));
+    }
+
+    const format = topicPacks.detectFormat({
+      format: req.body.format || req.query.format,
+      filename: req.file && req.file.originalname,
+      mimetype: req.file && req.file.mimetype
+    });
+    if (!format) {
+      return next(new AppError(`Format must be one of ${topicPacks.FORMATS.join(', ')}`, 400));
+    }
+
+    let rows;
+    try {
+      rows = topicPacks.parsePack(content, format);
+    } catch (error) {
+      return next(new AppError(`Could not read ${format.toUpperCase()} pack: ${error.message}`, 400));
+    }
+
+    if (rows.length === 0) {
+      return next(new AppError('The pack has no topics', 400));
+    }
+    if (rows.length > topicPacks.MAX_ROWS) {
+      return next(new AppError(`A pack can have at most ${topicPacks.MAX_ROWS} topics`, 400));
+    }
+
+    const report = await topicPacks.importPack(rows, { dryRun, userId: req.user.id });
+    if (report.created > 0) topicSearch.invalidate();
+
+    logger.info(`Topic pack ${dryRun ? 'checked' : 'imported'} by user: ${req.user.id} (${report.valid}/${report.total} valid)`);
+
+    res.status(dryRun || report.created === 0 ? 200 : 201).json({
+      success: true,
+      data: { format, ...report }
+    });
+  } catch (error) {
+    logger.error('Error importing topics:', error);
+    next(error);
+  }
+};
+
+/**
+ * Export approved topics as a pack
+ * @route GET /api/topics/export
+ * @access Private
+ */
+const exportTopics = async (req, res, next) => {
+  try {
+    const { format = 'json', category, difficultyLevel, language, tags } = req.query;
+
+    const packFormat = topicPacks.detectFormat({ format });
+    if (!packFormat) {
+      return next(new AppError(`Format must be one of ${topicPacks.FORMATS.join(', ')}`, 400));
+    }
+
+    const filter = { approvalStatus: 'approved', isActive: true };
+    if (category) filter.category = category;
+    if (difficultyLevel) filter.difficultyLevel = difficultyLevel;
+    if (language) filter.language = language;
+    if (tags) filter.tags = { $in: tags.split(',').map(tag => tag.trim()) };
+
+    const topics = await DebateTopic.find(filter)
+      .select(topicPacks.PACK_FIELDS.join(' '))
+      .sort({ category: 1, title: 1 })
+      .limit(5000);
+
+    res.set('Content-Type', topicPacks.CONTENT_TYPES[packFormat]);
+    res.attachment(`debate-topics.${packFormat}`);
+    res.status(200).send(topicPacks.serializePack(topics, packFormat));
+  } catch (error) {
+    logger.error('Error exporting topics:', error);
+    next(error);
+  }
+};
+
+/**
+ * Search approved topics with relevance ranking, typo correction and facet counts
+ * @route GET /api/topics/search
+ * @access Public
+ */
+const searchTopics = async (req, res, next) => {
+  try {
+    const { q = '', mode = 'hybrid', page = 1, limit = 20 } = req.query;
+
+    if (!topicSearch.MODES.includes(mode)) {
+      return next(new AppError(`Mode must be one of ${topicSearch.MODES.join(', ')}`, 400));
+    }
+    if (typeof q !== 'string' || q.length > 200) {
+      return next(new AppError('Search text must be at most 200 characters', 400));
+    }
+
+    const result = await topicSearch.search({
+      q,
+      mode,
+      category: req.query.category,
+      difficultyLevel: req.query.difficultyLevel,
+      language: req.query.language,
+      tags: req.query.tags,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error searching topics:', error);
+    next(error);
+  }
+};
+
+/**
+ * Find approved topics with motions similar to a topic
+ * @route GET /api/topics/:topicId/similar
+ * @access Public
+ */
+const getSimilarTopics = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const { limit = 5, language } = req.query;
+
+    const topic = await DebateTopic.findById(topicId).select('title description tags approvalStatus');
+
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const similar = await topicSearch.findSimilar(topic, {
+      limit: Math.min(Math.max(parseInt(limit) || 5, 1), 20),
+      language: language || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: similar
+    });
+  } catch (error) {
+    logger.error('Error finding similar topics:', error);
+    next(error);
+  }
+};
+
+/**
+ * Recommend approved topics the user has not debated yet, each with the reasons for it
+ * @route GET /api/topics/recommended
+ * @access Private
+ */
+const getRecommendedTopics = async (req, res, next) => {
+  try {
+    const { limit = 10, category } = req.query;
+
+    if (category && !DebateTopic.schema.path('category').enumValues.includes(category)) {
+      return next(new AppError('Invalid category', 400));
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const result = await topicRecommender.recommend(user, {
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), 20),
+      category: category || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error recommending topics:', error);
+    next(error);
+  }
+};
+
+// Topic fields a translation copies from its original unchanged
+const UNTRANSLATED_FIELDS = ['category', 'difficultyLevel', 'estimatedDuration', 'complexity', 'controversy'];
+
+/**
+ * Machine-translate a topic into another language, as a topic linked to the original
+ * Reviewers publish the translation directly; other users' translations are submitted for review.
+ * @route POST /api/topics/:topicId/translations
+ * @access Private
+ */
+const translateTopic = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const { language } = req.body;
+    const languages = DebateTopic.schema.path('language').enumValues;
+
+    if (!languages.includes(language)) {
+      return next(new AppError(`Language must be one of ${languages.join(', ')}`, 400));
+    }
+
+    const topic = await DebateTopic.findById(topicId);
+
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    // Translate from the original, so wording does not drift through translations of translations
+    const original = topic.translationOf ? await DebateTopic.findById(topic.translationOf) : topic;
+
+    if (!original) {
+      return next(new AppError('Original topic not found', 404));
+    }
+    if (original.language === language) {
+      return next(new AppError('The original topic is already in this language', 400));
+    }
+
+    const existing = await DebateTopic.findOne({
+      translationOf: original._id,
+      language,
+      approvalStatus: { $ne: 'rejected' }
+    }).select('_id approvalStatus');
+
+    if (existing) {
+      return next(new AppError(`This topic already has a ${language} translation (${existing._id}, ${existing.approvalStatus})`, 409));
+    }
+
+    if ((await usageMeter.getQuotaStatus(req.user.id)).exceeded) {
+      return next(new AppError('AI usage quota exceeded', 429));
+    }
+
+    const { content } = await aiService.translateTopic({ topic: original, language, userId: req.user.id });
+
+    if (!content) {
+      return next(new AppError('The topic could not be translated, please try again later', 502));
+    }
+
+    const translation = new DebateTopic({
+      ...pickTopicFields(content),
+      ...UNTRANSLATED_FIELDS.reduce((fields, field) => ({ ...fields, [field]: original[field] }), {}),
+      language,
+      translationOf: original._id,
+      createdBy: req.user.id,
+      approvalStatus: 'draft'
+    });
+
+    // The model may return text the schema does not accept, such as an overlong tag
+    const validation = translation.validateSync();
+    if (validation) {
+      const problems = Object.values(validation.errors).map(error => error.message).join('; ');
+      return next(new AppError(`The translation does not fit the topic fields: ${problems}`, 502));
+    }
+
+    const note = `Machine translation of "${original.title}" (${original.language})`;
+
+    try {
+      if (isReviewer(req.user)) {
+        translation.approvalStatus = 'approved';
+        translation.approvedBy = req.user.id;
+        // Saved first, so a duplicate title leaves no revision behind
+        await translation.save();
+        await topicRevisions.createRevision(translation, { authorId: req.user.id, note });
+        await translation.save();
+        topicSearch.invalidate();
+      } else {
+        await translation.save();
+        await topicWorkflow.submit(translation, { authorId: req.user.id, note });
+        notifyAuthor(translation)
+          .catch(error => logger.error('Error notifying topic author:', error));
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return next(new AppError('A topic with the translated title already exists', 409));
+    }
+
+    logger.info(`Topic ${original.id} translated into ${language} as ${translation.id} by user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: translation
+    });
+  } catch (error) {
+    logger.error('Error translating topic:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the approved versions of a topic in other languages: its original and the original's translations
+ * @route GET /api/topics/:topicId/translations
+ * @access Public
+ */
+const getTopicTranslations = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+
+    const topic = await DebateTopic.findById(topicId).select('translationOf approvalStatus');
+
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const originalId = topic.translationOf || topic._id;
+    const translations = await DebateTopic.find({
+      $or: [{ _id: originalId }, { translationOf: originalId }],
+      _id: { $ne: topic._id },
+      approvalStatus: 'approved',
+      isActive: true
+    })
+      .select('title description language translationOf revision')
+      .sort({ language: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        originalId,
+        translations
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting topic translations:', error);
+    next(error);
+  }
+};
+
+/**
+ * Analyse how much a topic favours one side, controlling for ratings and AI difficulty
+ * @route GET /api/topics/:topicId/balance
+ * @access Public
+ */
+const getTopicBalance = async (req, res, next) => {
+  try {
+    const { topicId } = req.params;
+    const { revision } = req.query;
+
+    const revisionNumber = revision !== undefined ? parseInt(revision) : null;
+    if (revision !== undefined && !(revisionNumber >= 1)) {
+      return next(new AppError('Revision must be a positive integer', 400));
+    }
+
+    const topic = await DebateTopic.findById(topicId);
+
+    if (!topic || topic.approvalStatus !== 'approved') {
+      return next(new AppError('Topic not found', 404));
+    }
+
+    const analysis = await topicBalance.analyzeTopic(topic, { revision: revisionNumber });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        topicId: topic._id,
+        ...analysis,
+        flaggedAt: topic.balance.flaggedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error analysing topic balance:', error);
+    next(error);
+  }
+};
+
+/**
+ * List topics by side balance: flagged motions for reviewers, balanced ones for tournament organisers
+ * @route GET /api/topics/balance
+ * @access Public
+ */
+const getBalanceReport = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, verdict, flagged, category, minSessions } = req.query;
+
+    if (verdict && !topicBalance.VERDICTS.includes(verdict)) {
+      return next(new AppError(`Verdict must be one of ${topicBalance.VERDICTS.join(', ')}`, 400));
+    }
+    if (category && !DebateTopic.schema.path('category').enumValues.includes(category)) {
+      return next(new AppError('Invalid category', 400));
+    }
+
+    const filter = { approvalStatus: 'approved', isActive: true, 'balance.analyzedAt': { $ne: null } };
+    if (verdict) filter['balance.verdict'] = verdict;
+    if (flagged !== undefined) filter['balance.flagged'] = flagged === 'true';
+    if (category) filter.category = category;
+    if (minSessions) filter['balance.sessions'] = { $gte: parseInt(minSessions) || 0 };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Flagged motions first, longest waiting first; then the best-measured ones
+    const topics = await DebateTopic.find(filter)
+      .select('title category difficultyLevel complexity language revision balance')
+      .sort({ 'balance.flagged': -1, 'balance.flaggedAt': 1, 'balance.sessions': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DebateTopic.countDocuments(filter);
+
+    const pagination = {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
     };
 
     res.status(200).json({
       success: true,
-      data: stats
+      data: {
+        topics,
+        pagination
+      }
     });
   } catch (error) {
-    logger.error('Error getting topic stats:', error);
+    logger.error('Error getting topic balance report:', error);
+    next(error);
+  }
+};
+
+/**
+ * Re-analyse the side balance of every debated topic
+ * @route POST /api/topics/balance/refresh
+ * @access Private (Admin/Moderator)
+ */
+const refreshTopicBalance = async (req, res, next) => {
+  try {
+    const result = await topicBalance.refreshAll();
+
+    logger.info(`Topic balance refreshed by user: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error refreshing topic balance:', error);
     next(error);
   }
 };
@@ -485,7 +1346,24 @@ module.exports = {
   getCategories,
   getRandomTopic,
   getSuggestions,
+  getSuggestion,
   suggestTopic,
+  submitSuggestion,
   processSuggestion,
-  getTopicStats
+  addReviewComments,
+  getSuggestionRevisions,
+  getTopicStats,
+  getTopicRevisions,
+  compareTopicRevisions,
+  getTopicRevision,
+  importTopics,
+  exportTopics,
+  searchTopics,
+  getSimilarTopics,
+  getRecommendedTopics,
+  translateTopic,
+  getTopicTranslations,
+  getTopicBalance,
+  getBalanceReport,
+  refreshTopicBalance
 }; 
\ No newline at end of file
@@ -0,0 +1,373 @@
+const yaml = require('js-yaml');
+const DebateTopic = require('../models/DebateTopic');
+const topicRevisions = require('./topicRevisions');
+const logger = require('../config/logger');
+
+/**
+ * Topic Packs
+ * Bulk import and export of debate topics ("motion packs") as JSON, CSV or
+ * YAML. Imports are checked row by row against the DebateTopic schema and
+ * against titles that already exist, and can be run as a dry run.
+ *
+ * JSON and YAML packs are a list of topics (or { topics: [...] }). CSV packs
+ * have a header row; list cells (tags, proArguments, conArguments) separate
+ * items with "|" or hold a JSON array, and evidence cells hold a JSON array.
+ */
+
+const FORMATS = ['json', 'csv', 'yaml'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  yaml: 'application/yaml'
+};
+
+// Fields a pack carries, in CSV column order
+const PACK_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficultyLevel',
+  'language',
+  'tags',
+  'proArguments',
+  'conArguments',
+  'evidence'
+];
+
+const LIST_FIELDS = ['tags', 'proArguments', 'conArguments'];
+
+// Enum fields matched case-insensitively, so "Technology" imports as technology
+const LOWERCASE_FIELDS = ['category', 'difficultyLevel', 'language'];
+
+const MAX_ROWS = 500;
+
+/**
+ * Work out the format of a pack
+ * @param {Object} options - { format, filename, mimetype }
+ * @returns {string|null} json, csv or yaml, or null if unknown
+ */
+const detectFormat = ({ format, filename, mimetype } = {}) => {
+  if (format) {
+    const name = String(format).toLowerCase();
+    if (name === 'yml') return 'yaml';
+    return FORMATS.includes(name) ? name : null;
+  }
+
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  if (extension === 'yml' || extension === 'yaml') return 'yaml';
+  if (FORMATS.includes(extension)) return extension;
+
+  if (/csv/.test(mimetype || '')) return 'csv';
+  if (/yaml/.test(mimetype || '')) return 'yaml';
+  if (/json/.test(mimetype || '')) return 'json';
+  return null;
+};
+
+/**
+ * Split CSV text into records (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} { cells, line } per non-empty record, line being where it starts
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      records.push({ cells, line: start });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`unterminated quoted cell starting on line ${start}`);
+  }
+  endRecord();
+
+  return records;
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(escapeCsv).join(',')).join('\r\n');
+
+/**
+ * Read a pack into rows
+ * @param {string} text - Pack contents
+ * @param {string} format - json, csv or yaml
+ * @returns {Array<Object>} { row, data } per topic; row is the CSV line or 1-based list position
+ * @throws {Error} When the pack cannot be read
+ */
+const parsePack = (text, format) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(content);
+    if (!header) return [];
+
+    const columns = header.cells.map(name => name.trim());
+    return records.map(({ cells, line }) => ({
+      row: line,
+      data: columns.reduce((data, column, index) => {
+        if (column) data[column] = cells[index] !== undefined ? cells[index].trim() : '';
+        return data;
+      }, {})
+    }));
+  }
+
+  const parsed = format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.topics;
+
+  if (!Array.isArray(items)) {
+    throw new Error('expected a list of topics or an object with a topics list');
+  }
+
+  return items.map((data, index) => ({ row: index + 1, data }));
+};
+
+// A list cell: a JSON array, or items separated by "|"
+const parseList = (value) => {
+  const text = value.trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  return text.split('|').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Map a pack row onto topic fields
+ * @param {Object} data - Row as read from the pack
+ * @returns {Object} { fields, errors, warnings }
+ */
+const normalizeRow = (data) => {
+  const fields = {};
+  const errors = [];
+  const warnings = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push({ field: null, message: 'Row must be an object' });
+    return { fields, errors, warnings };
+  }
+
+  Object.entries(data).forEach(([key, value]) => {
+    // Older packs and the suggestion form call it difficulty
+    const field = key === 'difficulty' ? 'difficultyLevel' : key;
+
+    if (!PACK_FIELDS.includes(field)) {
+      warnings.push(`Unknown field "${key}" ignored`);
+      return;
+    }
+    if (value === null || value === undefined || value === '') return;
+
+    try {
+      if (LIST_FIELDS.includes(field) && typeof value === 'string') {
+        fields[field] = parseList(value);
+      } else if (field === 'evidence' && typeof value === 'string') {
+        fields[field] = JSON.parse(value);
+      } else if (LOWERCASE_FIELDS.includes(field) && typeof value === 'string') {
+        fields[field] = value.trim().toLowerCase();
+      } else {
+        fields[field] = value;
+      }
+    } catch (error) {
+      errors.push({ field, message: `Could not read ${field}: ${error.message}` });
+    }
+  });
+
+  return { fields, errors, warnings };
+};
+
+/**
+ * Check pack rows against the schema and for duplicate titles
+ * @param {Array<Object>} rows - From parsePack
+ * @returns {Promise<Array<Object>>} { row, title, status, errors, warnings, topic } per row;
+ *   status is valid, invalid or duplicate
+ */
+const checkRows = async (rows) => {
+  const results = rows.map(({ row, data }) => {
+    const { fields, errors, warnings } = normalizeRow(data);
+    const topic = new DebateTopic({ ...fields, approvalStatus: 'approved' });
+
+    const validation = topic.validateSync();
+    if (validation) {
+      Object.values(validation.errors).forEach(error => {
+        errors.push({ field: error.path, message: error.message });
+      });
+    }
+
+    return {
+      row,
+      title: typeof fields.title === 'string' ? fields.title.trim() : null,
+      status: errors.length > 0 ? 'invalid' : 'valid',
+      errors,
+      warnings,
+      topic
+    };
+  });
+
+  // Titles are unique (and matched exactly, as the index does)
+  const titles = results.filter(result => result.title).map(result => result.title);
+  const existing = await DebateTopic.find({ title: { $in: titles } }).select('title');
+  const existingIds = new Map(existing.map(topic => [topic.title, topic._id]));
+  const firstRows = new Map();
+
+  results.forEach(result => {
+    if (!result.title) return;
+
+    let message = null;
+    if (existingIds.has(result.title)) {
+      result.existingTopicId = existingIds.get(result.title);
+      message = 'A topic with this title already exists';
+    } else if (firstRows.has(result.title)) {
+      message = `Same title as row ${firstRows.get(result.title)}`;
+    } else {
+      firstRows.set(result.title, result.row);
+    }
+
+    if (message) {
+      result.errors.push({ field: 'title', message });
+      if (result.status === 'valid') result.status = 'duplicate';
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Import a pack's topics as approved topics, skipping invalid and duplicate rows
+ * @param {Array<Object>} rows - From parsePack
+ * @param {Object} options - { dryRun, userId }
+ * @returns {Promise<Object>} Report: { dryRun, total, created, valid, invalid, duplicates, rows }
+ */
+const importPack = async (rows, { dryRun = false, userId = null } = {}) => {
+  const results = await checkRows(rows);
+
+  if (!dryRun) {
+    for (const result of results.filter(item => item.status === 'valid')) {
+      const { topic } = result;
+      topic.createdBy = userId;
+      topic.approvedBy = userId;
+
+      try {
+        await topic.save();
+        await topicRevisions.createRevision(topic, { authorId: userId, note: 'Imported from a topic pack' });
+        await topic.save();
+        result.status = 'created';
+        result.topicId = topic._id;
+      } catch (error) {
+        // Created by someone else since the check
+        if (error.code !== 11000) throw error;
+        result.status = 'duplicate';
+        result.errors.push({ field: 'title', message: 'A topic with this title already exists' });
+      }
+    }
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const report = {
+    dryRun,
+    total: results.length,
+    created: count('created'),
+    valid: count('valid') + count('created'),
+    invalid: count('invalid'),
+    duplicates: count('duplicate'),
+    rows: results.map(({ topic, ...result }) => result)
+  };
+
+  if (!dryRun) {
+    logger.info(`Imported ${report.created} of ${report.total} topics (${report.invalid} invalid, ${report.duplicates} duplicates)`);
+  }
+
+  return report;
+};
+
+// A topic as a pack stores it
+const toPackItem = (topic) => ({
+  ...topicRevisions.snapshot(topic),
+  language: topic.language
+});
+
+// A list cell that reads back as the same items
+const formatList = (items) => {
+  const values = items || [];
+  return values.some(value => value.includes('|')) ? JSON.stringify(values) : values.join(' | ');
+};
+
+/**
+ * Write topics as a pack
+ * @param {Array<Object>} topics - DebateTopic documents
+ * @param {string} format - json, csv or yaml
+ * @returns {string} Pack contents
+ */
+const serializePack = (topics, format) => {
+  const items = topics.map(toPackItem);
+
+  if (format === 'yaml') {
+    return yaml.dump(items, { lineWidth: -1 });
+  }
+
+  if (format === 'csv') {
+    return toCsv([
+      PACK_FIELDS,
+      ...items.map(item => PACK_FIELDS.map(field => {
+        if (LIST_FIELDS.includes(field)) return formatList(item[field]);
+        if (field === 'evidence') return item.evidence.length > 0 ? JSON.stringify(item.evidence) : '';
+        return item[field];
+      }))
+    ]);
+  }
+
+  return JSON.stringify(items, null, 2);
+};
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  PACK_FIELDS,
+  MAX_ROWS,
+  detectFormat,
+  parseCsv,
+  parsePack,
+  checkRows,
+  importPack,
+  serializePack
+};
\ No newline at end of file
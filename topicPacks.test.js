@@ -0,0 +1,119 @@
+const DebateTopic = require('../models/DebateTopic');
+const topicPacks = require('../services/topicPacks');
+
+const createTopic = (fields = {}) => new DebateTopic({
+  title: 'Should cities ban cars from their centres?',
+  description: 'Car-free centres, their effect on shops, air quality and commuters.',
+  category: 'environment',
+  difficultyLevel: 'medium',
+  language: 'en',
+  tags: ['cities', 'transport'],
+  proArguments: ['Cleaner air', 'Safer streets'],
+  conArguments: ['Harder deliveries'],
+  evidence: [],
+  ...fields
+});
+
+// Titles already in the catalogue, as checkRows looks them up
+const mockExistingTitles = (titles = []) => {
+  jest.spyOn(DebateTopic, 'find').mockReturnValue({
+    select: () => Promise.resolve(titles.map(title => ({ _id: `id-${title}`, title })))
+  });
+};
+
+describe('Topic Packs Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCsv', () => {
+    it('should keep commas, doubled quotes and line breaks inside quoted cells', () => {
+      const records = topicPacks.parseCsv('title,description\r\n"Tax, or not?","Say ""no""\nthen ""yes"""\r\nNext,row\r\n');
+
+      expect(records).toEqual([
+        { cells: ['title', 'description'], line: 1 },
+        { cells: ['Tax, or not?', 'Say "no"\nthen "yes"'], line: 2 },
+        { cells: ['Next', 'row'], line: 4 }
+      ]);
+    });
+
+    it('should skip blank lines and report an unterminated quote', () => {
+      expect(topicPacks.parseCsv('a,b\n\n,\n1,2')).toHaveLength(2);
+      expect(() => topicPacks.parseCsv('a,b\n"open,2')).toThrow('unterminated quoted cell starting on line 2');
+    });
+  });
+
+  describe('serializePack and parsePack', () => {
+    it('should read a CSV pack back as the topics it was written from', async () => {
+      mockExistingTitles();
+      const topics = [
+        createTopic(),
+        createTopic({
+          title: 'Is "growth" a goal, or a means?',
+          description: 'Two lines:\nfirst, then second.',
+          category: 'economics',
+          tags: ['a|b', 'c'],
+          evidence: [{ title: 'Report', description: 'Growth figures', source: 'OECD', side: 'pro' }]
+        })
+      ];
+
+      const pack = topicPacks.serializePack(topics, 'csv');
+      const report = await topicPacks.importPack(topicPacks.parsePack(`\uFEFF${pack}`, 'csv'), { dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, total: 2, valid: 2, invalid: 0, duplicates: 0, created: 0 });
+      expect(topicPacks.parsePack(topicPacks.serializePack(topics, 'json'), 'json').map(({ data }) => data))
+        .toEqual(JSON.parse(topicPacks.serializePack(topics, 'json')));
+
+      const [first, second] = topicPacks.parsePack(pack, 'csv');
+      expect(first.data.tags).toBe('cities | transport');
+      expect(second.row).toBe(3);
+      expect(second.data.title).toBe('Is "growth" a goal, or a means?');
+      expect(second.data.description).toBe('Two lines:\nfirst, then second.');
+      expect(JSON.parse(second.data.tags)).toEqual(['a|b', 'c']);
+    });
+
+    it('should read "|" separated and JSON list cells alike', async () => {
+      mockExistingTitles();
+      const csv = [
+        'title,description,category,tags,proArguments',
+        'First motion,A description,Technology,ai | ethics,One | Two',
+        'Second motion,A description,technology,"[""ai"", ""ethics""]","[""One""]"'
+      ].join('\n');
+
+      const report = await topicPacks.importPack(topicPacks.parsePack(csv, 'csv'), { dryRun: true });
+
+      expect(report.rows.map(row => row.status)).toEqual(['valid', 'valid']);
+    });
+  });
+
+  describe('importPack dry run', () => {
+    it('should report the errors of each row without saving anything', async () => {
+      mockExistingTitles(['Taken motion']);
+      const save = jest.spyOn(DebateTopic.prototype, 'save');
+      const csv = [
+        'title,description,category,tags,evidence,colour',
+        'Good motion,A description,politics,,,blue',
+        ',Missing title,politics,,,',
+        'Bad category,A description,cooking,,,',
+        'Bad list,A description,politics,[unclosed,,',
+        'Taken motion,A description,politics,,,',
+        'Good motion,Same title again,politics,,,'
+      ].join('\n');
+
+      const report = await topicPacks.importPack(topicPacks.parsePack(csv, 'csv'), { dryRun: true });
+      const byRow = Object.fromEntries(report.rows.map(row => [row.row, row]));
+
+      expect(save).not.toHaveBeenCalled();
+      expect(report).toMatchObject({ total: 6, valid: 1, invalid: 3, duplicates: 2, created: 0 });
+
+      expect(byRow[2]).toMatchObject({ status: 'valid', warnings: ['Unknown field "colour" ignored'] });
+      expect(byRow[3].status).toBe('invalid');
+      expect(byRow[3].errors.map(error => error.field)).toContain('title');
+      expect(byRow[4].errors.map(error => error.field)).toEqual(['category']);
+      expect(byRow[5].errors[0]).toMatchObject({ field: 'tags' });
+      expect(byRow[5].errors[0].message).toMatch(/^Could not read tags/);
+      expect(byRow[6]).toMatchObject({ status: 'duplicate', existingTopicId: 'id-Taken motion' });
+      expect(byRow[7]).toMatchObject({ status: 'duplicate', errors: [{ field: 'title', message: 'Same title as row 2' }] });
+    });
+  });
+});
\ No newline at end of file
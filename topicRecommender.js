@@ -0,0 +1,240 @@
+const DebateSession = require('../models/DebateSession');
+const DebateTopic = require('../models/DebateTopic');
+const PerformanceMetrics = require('../models/PerformanceMetrics');
+const { LEVELS, getRatingLevel } = require('./adaptiveDifficulty');
+
+/**
+ * Topic Recommender
+ * Picks approved topics a user has not debated yet, from their session
+ * history, the skills they score lowest on per category (PerformanceMetrics),
+ * their rating in each category and their preferred language. Every pick
+ * comes with the reasons it was chosen.
+ */
+
+// Skills compared across categories, with how reasons name them
+const SKILLS = {
+  argumentStrength: 'argument strength',
+  rebuttalQuality: 'rebuttals',
+  clarity: 'clarity',
+  evidenceUse: 'evidence use',
+  logicalConsistency: 'logical consistency'
+};
+// Analysed sessions a category needs before its scores count
+const MIN_CATEGORY_SAMPLES = 2;
+// Points below the user's own average at which a skill counts as weak in a category
+const WEAKNESS_GAP = 8;
+// Recent analyses considered
+const METRICS_WINDOW = 50;
+// Candidate topics scored per request
+const CANDIDATE_LIMIT = 500;
+// Most picks from one category, so recommendations stay varied
+const MAX_PER_CATEGORY = 3;
+
+const WEIGHTS = {
+  weakness: 3,
+  difficulty: 2,
+  novelty: 1,
+  interest: 0.75,
+  language: 1,
+  popularity: 0.25
+};
+
+const formatCategory = (category) => category.replace(/-/g, ' ');
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Where the user scores lowest relative to their own average
+ * @param {Array<Object>} metrics - PerformanceMetrics with a category added
+ * @returns {Map<string, Object>} Category to { skill, score, average, gap }
+ */
+const findWeaknesses = (metrics) => {
+  const overall = {};
+  Object.keys(SKILLS).forEach(skill => {
+    const values = metrics.map(metric => metric[skill]).filter(value => typeof value === 'number');
+    if (values.length > 0) overall[skill] = average(values);
+  });
+
+  const byCategory = new Map();
+  metrics.forEach(metric => {
+    if (!metric.category) return;
+    if (!byCategory.has(metric.category)) byCategory.set(metric.category, []);
+    byCategory.get(metric.category).push(metric);
+  });
+
+  const weaknesses = new Map();
+  byCategory.forEach((categoryMetrics, category) => {
+    if (categoryMetrics.length < MIN_CATEGORY_SAMPLES) return;
+
+    Object.keys(overall).forEach(skill => {
+      const values = categoryMetrics.map(metric => metric[skill]).filter(value => typeof value === 'number');
+      if (values.length < MIN_CATEGORY_SAMPLES) return;
+
+      const score = average(values);
+      const gap = overall[skill] - score;
+      const current = weaknesses.get(category);
+      if (gap >= WEAKNESS_GAP && (!current || gap > current.gap)) {
+        weaknesses.set(category, {
+          skill,
+          score: Math.round(score),
+          average: Math.round(overall[skill]),
+          gap: Math.round(gap)
+        });
+      }
+    });
+  });
+
+  return weaknesses;
+};
+
+/**
+ * Score a candidate topic for the user
+ * @returns {Object} { score, reasons } with reasons strongest first
+ */
+const scoreTopic = (topic, profile) => {
+  const reasons = [];
+  const add = (weight, type, message) => reasons.push({ weight, type, message });
+
+  const weakness = profile.weaknesses.get(topic.category);
+  if (weakness) {
+    add(
+      WEIGHTS.weakness * Math.min(weakness.gap / 20, 1.5),
+      'weakness',
+      `You struggle with ${SKILLS[weakness.skill]} on ${formatCategory(topic.category)} motions (${weakness.score} vs your average of ${weakness.average})`
+    );
+  }
+
+  const { rating, level } = profile.ratingFor(topic.category);
+  const step = LEVELS.indexOf(topic.difficultyLevel) - LEVELS.indexOf(level);
+  if (step === 0) {
+    add(WEIGHTS.difficulty, 'difficulty', `Its difficulty (${topic.difficultyLevel}) suits your ${formatCategory(topic.category)} rating of ${rating}`);
+  } else if (step === 1) {
+    add(WEIGHTS.difficulty * 0.6, 'difficulty', `A step up from your ${formatCategory(topic.category)} rating of ${rating}`);
+  } else if (step === -1) {
+    add(WEIGHTS.difficulty * 0.3, 'difficulty', `A little below your ${formatCategory(topic.category)} rating of ${rating}, for practice`);
+  }
+
+  const debated = profile.categoryCounts.get(topic.category) || 0;
+  if (debated === 0 && profile.totalSessions >= 3) {
+    add(WEIGHTS.novelty, 'novelty', `You have not debated ${formatCategory(topic.category)} yet`);
+  } else if (debated > 0 && profile.totalSessions > 0) {
+    add(WEIGHTS.interest * (debated / profile.totalSessions), 'interest', `You often debate ${formatCategory(topic.category)}`);
+  }
+
+  if (profile.language !== 'en' && topic.language === profile.language) {
+    add(WEIGHTS.language, 'language', `In your preferred language (${topic.language})`);
+  }
+
+  const popularity = (topic.statistics && topic.statistics.popularity) || 0;
+  if (popularity > 0) {
+    add(WEIGHTS.popularity * Math.log10(1 + popularity), 'popularity', 'Popular with other debaters');
+  }
+
+  reasons.sort((first, second) => second.weight - first.weight);
+  return {
+    score: reasons.reduce((sum, reason) => sum + reason.weight, 0),
+    reasons
+  };
+};
+
+/**
+ * Recommend topics for a user
+ * @param {Object} user - User document
+ * @param {Object} options - { limit, category }
+ * @returns {Promise<Object>} { recommendations, profile }
+ */
+const recommend = async (user, { limit = 10, category = null } = {}) => {
+  const userId = user._id;
+  const language = (user.preferences && user.preferences.language) || 'en';
+
+  const [sessions, metrics] = await Promise.all([
+    DebateSession.find({ $or: [{ userId }, { opponentId: userId }] })
+      .select('topicId')
+      .populate('topicId', 'category'),
+    PerformanceMetrics.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(METRICS_WINDOW)
+      .select(`topicId ${Object.keys(SKILLS).join(' ')}`)
+      .populate('topicId', 'category')
+  ]);
+
+  const debatedIds = new Set();
+  const categoryCounts = new Map();
+  sessions.forEach(session => {
+    if (!session.topicId) return;
+    debatedIds.add(session.topicId._id.toString());
+    const topicCategory = session.topicId.category;
+    categoryCounts.set(topicCategory, (categoryCounts.get(topicCategory) || 0) + 1);
+  });
+
+  const weaknesses = findWeaknesses(metrics.map(metric => ({
+    ...metric.toObject(),
+    category: metric.topicId ? metric.topicId.category : null
+  })));
+
+  const profile = {
+    language,
+    weaknesses,
+    categoryCounts,
+    totalSessions: sessions.length,
+    ratingFor: (topicCategory) => {
+      const { rating } = user.getRating(topicCategory);
+      return { rating: Math.round(rating), level: getRatingLevel(rating) };
+    }
+  };
+
+  // Topics in the user's language first; English ones make up the numbers
+  const filter = {
+    approvalStatus: 'approved',
+    isActive: true,
+    _id: { $nin: Array.from(debatedIds) },
+    language: { $in: [...new Set([language, 'en'])] }
+  };
+  if (category) filter.category = category;
+
+  const candidates = await DebateTopic.find(filter)
+    .select('title description category difficultyLevel language tags statistics.popularity')
+    .sort({ 'statistics.popularity': -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  const ranked = candidates
+    .map(topic => ({ topic, ...scoreTopic(topic, profile) }))
+    .sort((first, second) => second.score - first.score);
+
+  const perCategory = new Map();
+  const recommendations = [];
+  for (const pick of ranked) {
+    if (recommendations.length >= limit) break;
+
+    const count = perCategory.get(pick.topic.category) || 0;
+    if (!category && count >= MAX_PER_CATEGORY) continue;
+    perCategory.set(pick.topic.category, count + 1);
+
+    recommendations.push({
+      topic: pick.topic,
+      score: Math.round(pick.score * 100) / 100,
+      explanation: pick.reasons.length > 0 ? pick.reasons[0].message : 'Popular with other debaters',
+      reasons: pick.reasons.map(({ type, message }) => ({ type, message }))
+    });
+  }
+
+  return {
+    recommendations,
+    profile: {
+      language,
+      debatedTopics: debatedIds.size,
+      weakCategories: Array.from(weaknesses.entries()).map(([name, weakness]) => ({
+        category: name,
+        ...weakness
+      }))
+    }
+  };
+};
+
+module.exports = {
+  SKILLS,
+  findWeaknesses,
+  scoreTopic,
+  recommend
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const TopicRevision = require('../models/TopicRevision');
+const DebateSession = require('../models/DebateSession');
+const logger = require('../config/logger');
+
+/**
+ * Topic Revisions
+ * Snapshots of topic content and the differences between them. A topic
+ * document always holds its latest content; sessions pin the revision they
+ * were debated on (DebateSession.topicRevision).
+ */
+
+// Topic fields a revision records
+const REVISED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'difficultyLevel',
+  'tags',
+  'proArguments',
+  'conArguments',
+  'evidence'
+];
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject({ virtuals: false }) : value);
+
+/**
+ * Content of a topic as a revision stores it
+ * @param {Object} topic - DebateTopic document
+ * @returns {Object} Plain snapshot of the revised fields
+ */
+const snapshot = (topic) => {
+  return REVISED_FIELDS.reduce((content, field) => {
+    let value = toPlain(topic[field]);
+    if (field === 'evidence') {
+      value = (value || []).map(({ _id, ...item }) => item);
+    }
+    content[field] = Array.isArray(value) ? [...value] : (value === undefined ? null : value);
+    return content;
+  }, {});
+};
+
+/**
+ * Differences between two snapshots
+ * @param {Object|null} before - Earlier snapshot (null for the first revision)
+ * @param {Object} after - Later snapshot
+ * @returns {Array<Object>} { field, before, after, added?, removed? } per changed field
+ */
+const diff = (before, after) => {
+  const changes = [];
+
+  REVISED_FIELDS.forEach(field => {
+    const previous = before ? before[field] : null;
+    const current = after[field];
+    if (JSON.stringify(previous) === JSON.stringify(current)) return;
+
+    const change = { field, before: previous, after: current };
+    if (Array.isArray(current) || Array.isArray(previous)) {
+      const previousItems = (previous || []).map(item => JSON.stringify(item));
+      const currentItems = (current || []).map(item => JSON.stringify(item));
+      change.added = (current || []).filter((item, index) => !previousItems.includes(currentItems[index]));
+      change.removed = (previous || []).filter((item, index) => !currentItems.includes(previousItems[index]));
+    }
+    changes.push(change);
+  });
+
+  return changes;
+};
+
+// Concurrent edits can pick the same revision number; the unique index keeps the first and the others try again
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Record the topic's current content as its next revision
+ * Sets topic.revision; the caller saves the topic.
+ * @param {Object} topic - DebateTopic document
+ * @param {Object} options - { authorId, note, attempts }
+ * @returns {Promise<Object>} TopicRevision document
+ */
+const createRevision = async (topic, { authorId = null, note = null, attempts = MAX_ATTEMPTS } = {}) => {
+  const content = snapshot(topic);
+
+  for (let attempt = 1; ; attempt++) {
+    const previous = await TopicRevision.findOne({ topicId: topic._id }).sort({ number: -1 });
+
+    try {
+      const revision = await TopicRevision.create({
+        topicId: topic._id,
+        number: previous ? previous.number + 1 : 1,
+        content,
+        changes: diff(previous ? previous.content : null, content),
+        authorId,
+        note
+      });
+
+      topic.revision = revision.number;
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= attempts) throw error;
+    }
+  }
+};
+
+/**
+ * Make sure a topic has a revision to pin sessions to
+ * Topics approved before revisions were recorded get one from their current
+ * content, and the sessions already debated on them are pinned to it.
+ * @param {Object} topic - DebateTopic document
+ * @returns {Promise<number>} Latest revision number
+ */
+const ensureBaseline = async (topic) => {
+  if (topic.revision > 0) return topic.revision;
+
+  try {
+    // A single attempt: a clash means the baseline already exists
+    await createRevision(topic, { note: 'Content before revisions were recorded', attempts: 1 });
+  } catch (error) {
+    // Another request recorded the baseline first
+    if (error.code !== 11000) throw error;
+    const latest = await TopicRevision.findOne({ topicId: topic._id }).sort({ number: -1 });
+    topic.revision = latest.number;
+  }
+  await topic.save();
+
+  const pinned = await DebateSession.updateMany(
+    { topicId: topic._id, topicRevision: null },
+    { topicRevision: topic.revision }
+  );
+  logger.info(`Recorded baseline revision ${topic.revision} of topic ${topic._id}; pinned ${pinned.modifiedCount} sessions`);
+
+  return topic.revision;
+};
+
+/**
+ * Get the revisions of a topic, newest first
+ * @param {string} topicId - Topic ID
+ * @returns {Promise<Array>} TopicRevision documents
+ */
+const getRevisions = (topicId) => {
+  return TopicRevision.find({ topicId })
+    .populate('authorId', 'name')
+    .sort({ number: -1 });
+};
+
+/**
+ * Get one revision of a topic
+ * @param {string} topicId - Topic ID
+ * @param {number} number - Revision number
+ * @returns {Promise<Object|null>} TopicRevision document
+ */
+const getRevision = (topicId, number) => {
+  return TopicRevision.findOne({ topicId, number })
+    .populate('authorId', 'name');
+};
+
+/**
+ * Differences between two revisions of a topic
+ * @param {string} topicId - Topic ID
+ * @param {number} from - Earlier revision number
+ * @param {number} to - Later revision number
+ * @returns {Promise<Object|null>} { from, to, changes }, or null if either revision is missing
+ */
+const compareRevisions = async (topicId, from, to) => {
+  const revisions = await TopicRevision.find({ topicId, number: { $in: [from, to] } });
+  const older = revisions.find(revision => revision.number === from);
+  const newer = revisions.find(revision => revision.number === to);
+
+  if (!older || !newer) return null;
+
+  return {
+    from,
+    to,
+    changes: diff(older.content, newer.content)
+  };
+};
+
+/**
+ * The topic as a session debated it
+ * Returns the session's populated topic with the revised fields replaced by
+ * the content of the pinned revision. Only fields that were populated are
+ * returned.
+ * @param {Object} session - DebateSession document with topicId populated
+ * @returns {Promise<Object>} Plain topic
+ */
+const getSessionTopic = async (session) => {
+  const topic = session.topicId;
+  if (!topic || !topic._id) return topic;
+
+  const plain = typeof topic.toObject === 'function' ? topic.toObject({ virtuals: false }) : { ...topic };
+  if (!session.topicRevision) return plain;
+
+  const revision = await TopicRevision.findOne({ topicId: topic._id, number: session.topicRevision });
+  if (!revision) return plain;
+
+  REVISED_FIELDS.forEach(field => {
+    if (field in plain) plain[field] = revision.content[field];
+  });
+  plain.revision = revision.number;
+  return plain;
+};
+
+module.exports = {
+  REVISED_FIELDS,
+  snapshot,
+  diff,
+  createRevision,
+  ensureBaseline,
+  getRevisions,
+  getRevision,
+  compareRevisions,
+  getSessionTopic
+};
\ No newline at end of file
@@ -0,0 +1,432 @@
+const DebateTopic = require('../models/DebateTopic');
+const logger = require('../config/logger');
+const { splitWords, tokenize } = require('./evidenceIndex');
+
+/**
+ * Topic Search
+ * Search over the approved topic catalogue, held in memory and rebuilt when
+ * topics change (or after CACHE_TTL, for changes made by other processes).
+ *
+ * Keyword relevance is BM25 over weighted fields, with query terms that are
+ * not in the catalogue corrected to the closest known term. "Similar motions"
+ * compare embeddings computed locally with the hashing trick: words, word
+ * pairs and character trigrams, weighted by IDF and hashed into a fixed-size
+ * vector, so related wording and misspellings still land close together.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  description: 1,
+  arguments: 0.5
+};
+const EMBEDDING_DIMENSIONS = 256;
+// Share of the hybrid score that comes from embedding similarity
+const SEMANTIC_WEIGHT = 0.3;
+// Embedding similarity below which a topic is not a semantic match
+const MIN_SIMILARITY = 0.15;
+const CACHE_TTL = 5 * 60 * 1000;
+const MODES = ['keyword', 'semantic', 'hybrid'];
+const FACETS = ['category', 'difficultyLevel', 'language', 'tags'];
+const MAX_TAG_FACETS = 20;
+
+let catalogue = null;
+let building = null;
+// Bumped on every change so a build that started before it is not kept
+let generation = 0;
+
+// FNV-1a hash of a feature
+const hashFeature = (feature) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), giving up past a limit
+ * @param {string} first - First word
+ * @param {string} second - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 when it is larger than limit
+ */
+const editDistance = (first, second, limit) => {
+  if (Math.abs(first.length - second.length) > limit) return limit + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: second.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= first.length; i++) {
+    const nextRow = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && first[i - 1] === second[j - 2] && first[i - 2] === second[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > limit) return limit + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[second.length];
+};
+
+// Searchable text of a topic, per field
+const topicFields = (topic) => ({
+  title: topic.title || '',
+  tags: (topic.tags || []).join(' '),
+  description: topic.description || '',
+  arguments: [...(topic.proArguments || []), ...(topic.conArguments || [])].join(' ')
+});
+
+/**
+ * Embed text as a normalised feature-hashed vector
+ * @param {string} text - Text to embed
+ * @param {Function} idf - Term to inverse document frequency
+ * @returns {Float32Array} Unit vector (all zeros for text without terms)
+ */
+const embed = (text, idf) => {
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+  const terms = tokenize(text);
+
+  const add = (feature, weight) => {
+    const hash = hashFeature(feature);
+    // The top bit picks the sign so colliding features tend to cancel out
+    vector[hash % EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -weight : weight;
+  };
+
+  terms.forEach((term, index) => {
+    const weight = idf(term);
+    add(`w:${term}`, weight);
+
+    const padded = `^${term}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.slice(i, i + 3)}`, (weight * 0.5) / Math.max(padded.length - 2, 1));
+    }
+
+    if (index > 0) {
+      add(`b:${terms[index - 1]}_${term}`, (weight + idf(terms[index - 1])) / 4);
+    }
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+};
+
+const cosine = (first, second) => {
+  let sum = 0;
+  for (let i = 0; i < first.length; i++) sum += first[i] * second[i];
+  return sum;
+};
+
+/**
+ * Build the search index over approved, active topics
+ * @returns {Promise<Object>} Catalogue
+ */
+const buildCatalogue = async () => {
+  const topics = await DebateTopic.find({ approvalStatus: 'approved', isActive: true })
+    .select('title description category difficultyLevel language tags proArguments conArguments complexity statistics revision createdAt')
+    .lean();
+
+  const documentFrequency = new Map();
+  // Most common spelling of each term, to show corrections as words
+  const spellings = new Map();
+
+  const entries = topics.map(topic => {
+    const termFrequency = new Map();
+    let length = 0;
+
+    Object.entries(topicFields(topic)).forEach(([field, text]) => {
+      const weight = FIELD_WEIGHTS[field];
+      splitWords(text).forEach(word => {
+        const [term] = tokenize(word);
+        if (!term) return;
+        termFrequency.set(term, (termFrequency.get(term) || 0) + weight);
+        length += weight;
+
+        const counts = spellings.get(term) || new Map();
+        counts.set(word, (counts.get(word) || 0) + 1);
+        spellings.set(term, counts);
+      });
+    });
+
+    termFrequency.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return { topic, termFrequency, length };
+  });
+
+  const total = entries.length;
+  const idf = (term) => {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (total - df + 0.5) / (df + 0.5));
+  };
+
+  entries.forEach(entry => {
+    const { title, tags, description } = topicFields(entry.topic);
+    entry.embedding = embed(`${title} ${title} ${tags} ${description}`, idf);
+  });
+
+  const averageLength = total > 0 ? entries.reduce((sum, entry) => sum + entry.length, 0) / total : 0;
+
+  return {
+    entries,
+    byId: new Map(entries.map(entry => [entry.topic._id.toString(), entry])),
+    documentFrequency,
+    spellings: new Map(Array.from(spellings.entries()).map(([term, counts]) => [
+      term,
+      Array.from(counts.entries()).sort((first, second) => second[1] - first[1])[0][0]
+    ])),
+    idf,
+    averageLength,
+    builtAt: Date.now()
+  };
+};
+
+/**
+ * Get the catalogue, building it if it is missing or stale
+ * @returns {Promise<Object>} Catalogue
+ */
+const getCatalogue = async () => {
+  if (catalogue && Date.now() - catalogue.builtAt < CACHE_TTL) {
+    return catalogue;
+  }
+
+  // Concurrent searches share one build
+  if (!building) {
+    const started = generation;
+    const build = buildCatalogue()
+      .then(built => {
+        if (started === generation) catalogue = built;
+        logger.debug(`Topic search index built with ${built.entries.length} topics`);
+        return built;
+      })
+      .finally(() => {
+        if (building === build) building = null;
+      });
+    building = build;
+  }
+  return building;
+};
+
+/**
+ * Drop the catalogue after topics change
+ */
+const invalidate = () => {
+  catalogue = null;
+  building = null;
+  generation += 1;
+};
+
+/**
+ * Map query terms onto catalogue terms, correcting likely typos
+ * @param {Object} index - Catalogue
+ * @param {string} query - Search text
+ * @returns {Object} { terms, corrections }
+ */
+const resolveTerms = (index, query) => {
+  const corrections = [];
+  const terms = [];
+
+  splitWords(query).forEach(word => {
+    const [term] = tokenize(word);
+    if (!term || terms.includes(term)) return;
+
+    if (index.documentFrequency.has(term) || term.length < 4) {
+      terms.push(term);
+      return;
+    }
+
+    // One edit for short words, two for long ones; the most common of the closest terms wins
+    const limit = term.length >= 8 ? 2 : 1;
+    let best = null;
+    index.documentFrequency.forEach((df, candidate) => {
+      const distance = editDistance(term, candidate, limit);
+      if (distance > limit) return;
+      if (!best || distance < best.distance || (distance === best.distance && df > best.df)) {
+        best = { candidate, distance, df };
+      }
+    });
+
+    if (best) {
+      terms.push(best.candidate);
+      corrections.push({ from: word, to: index.spellings.get(best.candidate) || best.candidate });
+    } else {
+      terms.push(term);
+    }
+  });
+
+  return { terms, corrections };
+};
+
+const bm25 = (index, entry, terms) => {
+  const total = index.entries.length;
+
+  return terms.reduce((sum, term) => {
+    const frequency = entry.termFrequency.get(term);
+    if (!frequency) return sum;
+
+    const df = index.documentFrequency.get(term);
+    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+    return sum + idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * entry.length / (index.averageLength || 1)));
+  }, 0);
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Does a topic pass a facet filter; tags must all match, other facets any of the values
+const matchesFacet = (topic, facet, values) => {
+  if (values.length === 0) return true;
+  if (facet === 'tags') {
+    return values.every(tag => (topic.tags || []).includes(tag));
+  }
+  return values.includes(topic[facet]);
+};
+
+/**
+ * Facet counts, each counted with every filter applied except its own
+ * so the other values of a facet stay selectable
+ */
+const countFacets = (entries, filters) => {
+  return FACETS.reduce((facets, facet) => {
+    const counts = new Map();
+
+    entries
+      .filter(({ topic }) => FACETS.every(other => other === facet || matchesFacet(topic, other, filters[other])))
+      .forEach(({ topic }) => {
+        const values = facet === 'tags' ? topic.tags || [] : [topic[facet]];
+        values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+
+    facets[facet] = Array.from(counts.entries())
+      .map(([value, count]) => ({ value, count }))
+      .sort((first, second) => second.count - first.count || String(first.value).localeCompare(String(second.value)))
+      .slice(0, facet === 'tags' ? MAX_TAG_FACETS : undefined);
+    return facets;
+  }, {});
+};
+
+const toResult = (entry, score, similarity = null) => ({
+  ...entry.topic,
+  score: Math.round(score * 1000) / 1000,
+  ...(similarity !== null && { similarity: Math.round(similarity * 1000) / 1000 })
+});
+
+/**
+ * Search the topic catalogue
+ * Without a query, topics are ranked by popularity.
+ * @param {Object} options - { q, mode, category, difficultyLevel, language, tags, page, limit }
+ * @returns {Promise<Object>} { topics, facets, corrections, pagination }
+ */
+const search = async (options = {}) => {
+  const { q = '', mode = 'hybrid', page = 1, limit = 20 } = options;
+  const filters = FACETS.reduce((result, facet) => ({ ...result, [facet]: toList(options[facet]) }), {});
+  const index = await getCatalogue();
+
+  let matches;
+  let corrections = [];
+
+  if (!q.trim()) {
+    matches = index.entries.map(entry => ({
+      entry,
+      score: (entry.topic.statistics && entry.topic.statistics.popularity) || 0
+    }));
+  } else {
+    const resolved = resolveTerms(index, q);
+    corrections = resolved.corrections;
+    const queryEmbedding = mode === 'keyword' ? null : embed(q, index.idf);
+
+    const scored = index.entries.map(entry => ({
+      entry,
+      keyword: mode === 'semantic' ? 0 : bm25(index, entry, resolved.terms),
+      similarity: queryEmbedding ? cosine(queryEmbedding, entry.embedding) : 0
+    }));
+    const topKeyword = Math.max(...scored.map(item => item.keyword), 0) || 1;
+
+    matches = scored
+      .filter(item => item.keyword > 0 || item.similarity >= MIN_SIMILARITY)
+      .map(item => {
+        let score = item.keyword;
+        if (mode === 'semantic') score = item.similarity;
+        if (mode === 'hybrid') {
+          score = (1 - SEMANTIC_WEIGHT) * (item.keyword / topKeyword) + SEMANTIC_WEIGHT * Math.max(item.similarity, 0);
+        }
+        return { entry: item.entry, score, similarity: queryEmbedding ? item.similarity : null };
+      });
+  }
+
+  const facets = countFacets(matches.map(match => match.entry), filters);
+  const filtered = matches
+    .filter(({ entry }) => FACETS.every(facet => matchesFacet(entry.topic, facet, filters[facet])))
+    .sort((first, second) => second.score - first.score);
+
+  const start = (page - 1) * limit;
+
+  return {
+    topics: filtered.slice(start, start + limit).map(({ entry, score, similarity }) => toResult(entry, score, similarity)),
+    facets,
+    corrections,
+    pagination: {
+      current: page,
+      pages: Math.ceil(filtered.length / limit),
+      total: filtered.length,
+      limit
+    }
+  };
+};
+
+/**
+ * Topics whose motions are closest to a topic's
+ * Works for topics outside the catalogue too, such as proposals.
+ * @param {Object} topic - DebateTopic document
+ * @param {Object} options - { limit, language }
+ * @returns {Promise<Array<Object>>} Topics with a similarity score, most similar first
+ */
+const findSimilar = async (topic, { limit = 5, language = null } = {}) => {
+  const index = await getCatalogue();
+  const id = topic._id.toString();
+
+  let embedding = index.byId.has(id) ? index.byId.get(id).embedding : null;
+  if (!embedding) {
+    const { title, tags, description } = topicFields(topic);
+    embedding = embed(`${title} ${title} ${tags} ${description}`, index.idf);
+  }
+
+  return index.entries
+    .filter(entry => entry.topic._id.toString() !== id && (!language || entry.topic.language === language))
+    .map(entry => ({ entry, similarity: cosine(embedding, entry.embedding) }))
+    .filter(item => item.similarity >= MIN_SIMILARITY)
+    .sort((first, second) => second.similarity - first.similarity)
+    .slice(0, limit)
+    .map(({ entry, similarity }) => toResult(entry, similarity, similarity));
+};
+
+module.exports = {
+  MODES,
+  FACETS,
+  EMBEDDING_DIMENSIONS,
+  embed,
+  editDistance,
+  search,
+  findSimilar,
+  invalidate
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const DebateTopic = require('../models/DebateTopic');
+const User = require('../models/User');
+const topicRevisions = require('./topicRevisions');
+const logger = require('../config/logger');
+
+/**
+ * Topic Workflow
+ * Life of a topic proposal:
+ *   draft -> submitted -> approved | rejected
+ *                 \-> changes-requested -> submitted (as a new revision) -> ...
+ * Authors edit a proposal while it is a draft or has changes requested;
+ * reviewers (moderators and admins) decide on submitted proposals.
+ */
+
+const EDITABLE_STATUSES = ['draft', 'changes-requested'];
+
+// Reviewer decisions and the status each leads to
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  'request-changes': 'changes-requested'
+};
+
+// Fields a reviewer comment can point at
+const COMMENT_FIELDS = [...topicRevisions.REVISED_FIELDS, 'reasoning', 'general'];
+
+// What the author is told at each transition
+const NOTICES = {
+  submitted: {
+    heading: 'Topic Submitted',
+    message: 'Your topic proposal was submitted and is waiting for review.'
+  },
+  'changes-requested': {
+    heading: 'Changes Requested',
+    message: 'A reviewer asked for changes to your topic proposal. Update it and submit it again.'
+  },
+  approved: {
+    heading: 'Topic Approved',
+    message: 'Your topic proposal was approved and is now open for debate.'
+  },
+  rejected: {
+    heading: 'Topic Rejected',
+    message: 'Your topic proposal was rejected.'
+  }
+};
+
+const isEditable = (topic) => EDITABLE_STATUSES.includes(topic.approvalStatus);
+
+const isReviewable = (topic) => topic.approvalStatus === 'submitted';
+
+/**
+ * Check reviewer comments
+ * @param {Array} comments - [{ field, comment }]
+ * @returns {string|null} Error message, or null if they are valid
+ */
+const validateComments = (comments) => {
+  if (!Array.isArray(comments) || comments.length > 20) {
+    return 'Comments must be an array of at most 20 items';
+  }
+  const invalid = comments.find(item => !item || !COMMENT_FIELDS.includes(item.field) ||
+    typeof item.comment !== 'string' || !item.comment.trim() || item.comment.length > 1000);
+  if (invalid) {
+    return `Each comment needs a field (${COMMENT_FIELDS.join(', ')}) and a comment of at most 1000 characters`;
+  }
+  return null;
+};
+
+/**
+ * Add reviewer comments to the revision under review
+ * @param {Object} topic - DebateTopic document (saved by the caller)
+ * @param {Array} comments - Validated [{ field, comment }]
+ * @param {string} reviewerId - Reviewer
+ */
+const addComments = (topic, comments, reviewerId) => {
+  comments.forEach(({ field, comment }) => {
+    topic.reviewComments.push({
+      field,
+      comment: comment.trim(),
+      reviewerId,
+      revision: topic.revision
+    });
+  });
+};
+
+/**
+ * Submit a proposal for review, recording its content as a new revision.
+ * Open comments on fields the revision changed are marked as addressed by it.
+ * @param {Object} topic - Editable DebateTopic document
+ * @param {Object} options - { authorId, note }
+ * @returns {Promise<Object>} TopicRevision document
+ */
+const submit = async (topic, { authorId, note = null }) => {
+  const revision = await topicRevisions.createRevision(topic, { authorId, note });
+  const changedFields = revision.changes.map(change => change.field);
+
+  topic.reviewComments.forEach(comment => {
+    if (!comment.addressedIn && changedFields.includes(comment.field)) {
+      comment.addressedIn = revision.number;
+    }
+  });
+
+  topic.approvalStatus = 'submitted';
+  topic.submittedAt = new Date();
+  topic.rejectionReason = undefined;
+  try {
+    await topic.save();
+  } catch (error) {
+    // Leave no revision behind for a submission that was not saved
+    await revision.deleteOne();
+    throw error;
+  }
+
+  return revision;
+};
+
+/**
+ * Record a reviewer decision on a submitted proposal
+ * @param {Object} topic - Submitted DebateTopic document
+ * @param {Object} review - { decision, reviewerId, feedback, comments }
+ * @returns {Promise<Object>} Saved topic
+ */
+const review = async (topic, { decision, reviewerId, feedback = null, comments = [] }) => {
+  addComments(topic, comments, reviewerId);
+
+  topic.approvalStatus = REVIEW_DECISIONS[decision];
+  topic.reviewedAt = new Date();
+  if (decision === 'approve') {
+    topic.approvedBy = reviewerId;
+  }
+  if (decision === 'reject') {
+    topic.rejectionReason = feedback;
+  }
+  if (feedback && decision !== 'reject') {
+    topic.reviewComments.push({ field: 'general', comment: feedback, reviewerId, revision: topic.revision });
+  }
+
+  return topic.save();
+};
+
+/**
+ * Notification telling the author about a transition
+ * @param {Object} topic - DebateTopic document
+ * @param {string} note - Reviewer feedback to include
+ * @returns {Object} { type, title, message, data, heading, note }
+ */
+const describeTransition = (topic, note = null) => {
+  const { heading, message } = NOTICES[topic.approvalStatus];
+
+  return {
+    type: `topic-${topic.approvalStatus}`,
+    title: `${heading}: ${topic.title}`,
+    message: note ? `${message} ${note}` : message,
+    data: {
+      topicId: topic._id,
+      status: topic.approvalStatus,
+      revision: topic.revision
+    },
+    heading,
+    note
+  };
+};
+
+/**
+ * Move topics saved before the proposal workflow out of the old 'pending' status
+ * Topics from reviewers (or with no author) were published as they were created,
+ * so they become approved; other users' topics were suggestions and wait for review.
+ * Runs at startup; 'pending' is no longer a valid status, so these topics could
+ * neither be listed nor saved until moved. Failures are logged and retried at the next start.
+ * @returns {Promise<Object>} { approved, submitted }
+ */
+const migrateLegacyStatuses = async () => {
+  try {
+    const reviewerIds = await User.find({ role: { $in: ['admin', 'moderator'] } }).distinct('_id');
+
+    // updateMany skips validation, which is what lets it touch documents with the old status
+    const approved = await DebateTopic.updateMany(
+      {
+        approvalStatus: 'pending',
+        $or: [{ createdBy: null }, { createdBy: { $in: reviewerIds } }, { approvedBy: { $ne: null } }]
+      },
+      { $set: { approvalStatus: 'approved' } }
+    );
+    const submitted = await DebateTopic.updateMany(
+      { approvalStatus: 'pending' },
+      [{ $set: { approvalStatus: 'submitted', submittedAt: { $ifNull: ['$submittedAt', '$createdAt'] } } }]
+    );
+
+    if (approved.modifiedCount > 0 || submitted.modifiedCount > 0) {
+      logger.info(`Migrated pending topics: ${approved.modifiedCount} approved, ${submitted.modifiedCount} submitted for review`);
+    }
+
+    return { approved: approved.modifiedCount, submitted: submitted.modifiedCount };
+  } catch (error) {
+    logger.error('Error migrating pending topics:', error);
+    return { approved: 0, submitted: 0 };
+  }
+};
+
+module.exports = {
+  EDITABLE_STATUSES,
+  REVIEW_DECISIONS,
+  COMMENT_FIELDS,
+  isEditable,
+  isReviewable,
+  validateComments,
+  addComments,
+  submit,
+  review,
+  describeTransition,
+  migrateLegacyStatuses
+};
\ No newline at end of file
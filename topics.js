@@ -1,9 +1,16 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const topicController = require('../controllers/topicController');
 const { authenticate, validate, authorize } = require('../debatesphere/backend/middleware');
 const { topicValidation } = require('../middleware/validation');
 
+// Topic packs are small text files, kept in memory while they are imported
+const packUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
 /**
  * @swagger
  * components:
@@ -29,13 +36,362 @@ const { topicValidation } = require('../middleware/validation');
  *         category:
  *           type: string
  *           description: Suggested category
- *         difficulty:
+ *         difficultyLevel:
  *           type: string
- *           enum: [easy, medium, hard]
+ *           enum: [easy, medium, hard, expert]
  *           description: Suggested difficulty level
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         proArguments:
+ *           type: array
+ *           items:
+ *             type: string
+ *         conArguments:
+ *           type: array
+ *           items:
+ *             type: string
  *         reasoning:
  *           type: string
  *           description: Explanation for why this topic should be added
+ *         approvalStatus:
+ *           type: string
+ *           enum: [draft, submitted, changes-requested, approved, rejected]
+ *         revision:
+ *           type: integer
+ *           description: Latest submitted revision, 0 for an unsubmitted draft
+ *         rejectionReason:
+ *           type: string
+ *         reviewComments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TopicReviewComment'
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *     TopicFacet:
+ *       type: array
+ *       items:
+ *         type: object
+ *         properties:
+ *           value:
+ *             type: string
+ *           count:
+ *             type: integer
+ *     TopicSearchResult:
+ *       type: object
+ *       properties:
+ *         topics:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/DebateTopic'
+ *               - type: object
+ *                 properties:
+ *                   score:
+ *                     type: number
+ *                     description: Relevance (popularity when there is no query)
+ *                   similarity:
+ *                     type: number
+ *                     description: Embedding similarity to the query, -1 to 1
+ *         facets:
+ *           type: object
+ *           description: Counts per value; each facet is counted with the other facets' filters applied
+ *           properties:
+ *             category:
+ *               $ref: '#/components/schemas/TopicFacet'
+ *             difficultyLevel:
+ *               $ref: '#/components/schemas/TopicFacet'
+ *             language:
+ *               $ref: '#/components/schemas/TopicFacet'
+ *             tags:
+ *               $ref: '#/components/schemas/TopicFacet'
+ *         corrections:
+ *           type: array
+ *           description: Query words that matched no topic and were replaced by the closest known word
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *         pagination:
+ *           $ref: '#/components/schemas/Pagination'
+ *     TopicRecommendations:
+ *       type: object
+ *       properties:
+ *         recommendations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               topic:
+ *                 $ref: '#/components/schemas/DebateTopic'
+ *               score:
+ *                 type: number
+ *               explanation:
+ *                 type: string
+ *                 description: The main reason for the pick
+ *                 example: You struggle with evidence use on economics motions (52 vs your average of 68)
+ *               reasons:
+ *                 type: array
+ *                 description: Every reason for the pick, strongest first
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [weakness, difficulty, novelty, interest, language, popularity]
+ *                     message:
+ *                       type: string
+ *         profile:
+ *           type: object
+ *           description: What the picks were based on
+ *           properties:
+ *             language:
+ *               type: string
+ *             debatedTopics:
+ *               type: integer
+ *             weakCategories:
+ *               type: array
+ *               description: Categories where a skill scores well below the user's own average
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   skill:
+ *                     type: string
+ *                     enum: [argumentStrength, rebuttalQuality, clarity, evidenceUse, logicalConsistency]
+ *                   score:
+ *                     type: number
+ *                   average:
+ *                     type: number
+ *                   gap:
+ *                     type: number
+ *     TopicBalance:
+ *       type: object
+ *       properties:
+ *         topicId:
+ *           type: string
+ *         revision:
+ *           type: integer
+ *           nullable: true
+ *           description: Revision the debates were counted on, null for all of them
+ *         sessions:
+ *           type: integer
+ *           description: Adjudicated debates analysed
+ *         aiSessions:
+ *           type: integer
+ *         humanSessions:
+ *           type: integer
+ *         observed:
+ *           type: object
+ *           description: Raw results, before controlling for ratings
+ *           properties:
+ *             proWins:
+ *               type: integer
+ *             conWins:
+ *               type: integer
+ *             draws:
+ *               type: integer
+ *             proWinRate:
+ *               type: number
+ *               nullable: true
+ *         sideBias:
+ *           type: object
+ *           description: Advantage of the pro side, controlling for ratings and AI difficulty
+ *           properties:
+ *             logOdds:
+ *               type: number
+ *             lower:
+ *               type: number
+ *               description: Lower end of the 95% interval (log-odds)
+ *             upper:
+ *               type: number
+ *             ratingPoints:
+ *               type: integer
+ *               description: The advantage expressed in rating points
+ *             significant:
+ *               type: boolean
+ *               description: Whether the 95% interval excludes no bias
+ *             proWinProbability:
+ *               type: number
+ *               description: Chance the pro side wins between equally rated debaters
+ *               example: 0.71
+ *             interval:
+ *               type: array
+ *               description: 95% interval of proWinProbability
+ *               items:
+ *                 type: number
+ *         difficulty:
+ *           type: object
+ *           nullable: true
+ *           description: >
+ *             How much better (positive) or worse (negative) users do against the AI on this topic
+ *             than their ratings predict; null without debates against the AI
+ *           properties:
+ *             logOdds:
+ *               type: number
+ *             lower:
+ *               type: number
+ *             upper:
+ *               type: number
+ *             ratingPoints:
+ *               type: integer
+ *             significant:
+ *               type: boolean
+ *         verdict:
+ *           type: string
+ *           enum: [insufficient-data, balanced, pro-leaning, con-leaning]
+ *         flagged:
+ *           type: boolean
+ *           description: Strongly lopsided; the topic waits for a reviewer
+ *         flaggedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         suggestions:
+ *           type: object
+ *           description: Changes the difficulty findings suggest; null where none is needed
+ *           properties:
+ *             difficultyLevel:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 current:
+ *                   type: string
+ *                 suggested:
+ *                   type: string
+ *                   enum: [easy, medium, hard, expert]
+ *                 reason:
+ *                   type: string
+ *             complexity:
+ *               type: object
+ *               nullable: true
+ *               properties:
+ *                 current:
+ *                   type: integer
+ *                 suggested:
+ *                   type: integer
+ *                 reason:
+ *                   type: string
+ *     TopicImportReport:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           enum: [json, csv, yaml]
+ *         dryRun:
+ *           type: boolean
+ *         total:
+ *           type: integer
+ *         created:
+ *           type: integer
+ *           description: Topics created (0 on a dry run)
+ *         valid:
+ *           type: integer
+ *         invalid:
+ *           type: integer
+ *         duplicates:
+ *           type: integer
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: CSV line, or position in a JSON/YAML list
+ *               title:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [valid, created, invalid, duplicate]
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *               warnings:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               topicId:
+ *                 type: string
+ *                 description: Created topic
+ *               existingTopicId:
+ *                 type: string
+ *                 description: Topic that already has the title
+ *     TopicReviewComment:
+ *       type: object
+ *       required:
+ *         - field
+ *         - comment
+ *       properties:
+ *         field:
+ *           type: string
+ *           enum: [title, description, category, difficultyLevel, tags, proArguments, conArguments, evidence, reasoning, general]
+ *         comment:
+ *           type: string
+ *           maxLength: 1000
+ *         reviewerId:
+ *           type: string
+ *           readOnly: true
+ *         revision:
+ *           type: integer
+ *           readOnly: true
+ *           description: Revision the comment was made on
+ *         addressedIn:
+ *           type: integer
+ *           nullable: true
+ *           readOnly: true
+ *           description: Later revision that changed the field
+ *     TopicRevision:
+ *       type: object
+ *       properties:
+ *         number:
+ *           type: integer
+ *         content:
+ *           type: object
+ *           description: Topic fields as submitted in this revision
+ *         changes:
+ *           type: array
+ *           description: Fields changed since the previous revision
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *               added:
+ *                 type: array
+ *                 items: {}
+ *               removed:
+ *                 type: array
+ *                 items: {}
+ *         authorId:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -69,18 +425,13 @@ const { topicValidation } = require('../middleware/validation');
  *         name: difficulty
  *         schema:
  *           type: string
- *           enum: [easy, medium, hard]
+ *           enum: [easy, medium, hard, expert]
  *         description: Filter by difficulty level
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in title and description
- *       - in: query
- *         name: approved
- *         schema:
- *           type: boolean
- *         description: Filter by approval status
+ *         description: Full-text search in title and description, best matches first (see /api/topics/search for ranked search with facets)
  *     responses:
  *       200:
  *         description: Topics retrieved successfully
@@ -107,6 +458,7 @@ router.get('/', topicController.getAllTopics);
  * /api/topics:
  *   post:
  *     summary: Create a new debate topic
+ *     description: Topics created by moderators are approved as revision 1; other users' topics start as drafts of a suggestion
  *     tags: [Topics]
  *     security:
  *       - bearerAuth: []
@@ -120,7 +472,6 @@ router.get('/', topicController.getAllTopics);
  *               - title
  *               - description
  *               - category
- *               - difficulty
  *             properties:
  *               title:
  *                 type: string
@@ -132,31 +483,37 @@ router.get('/', topicController.getAllTopics);
  *                 maxLength: 1000
  *               category:
  *                 type: string
- *               difficulty:
+ *               difficultyLevel:
  *                 type: string
- *                 enum: [easy, medium, hard]
- *               arguments:
- *                 type: object
- *                 properties:
- *                   for:
- *                     type: array
- *                     items:
- *                       type: string
- *                   against:
- *                     type: array
- *                     items:
- *                       type: string
+ *                 enum: [easy, medium, hard, expert]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               proArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               conArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *               evidence:
  *                 type: array
  *                 items:
  *                   type: object
  *                   properties:
+ *                     title:
+ *                       type: string
  *                     source:
  *                       type: string
  *                     description:
  *                       type: string
  *                     url:
  *                       type: string
+ *                     side:
+ *                       type: string
+ *                       enum: [pro, con, neutral]
  *     responses:
  *       201:
  *         description: Topic created successfully
@@ -184,45 +541,14 @@ router.get('/', topicController.getAllTopics);
  */
 router.post('/', authenticate, validate(topicValidation.createTopic), topicController.createTopic);
 
-/**
- * @swagger
- * /api/topics/{topicId}:
- *   get:
- *     summary: Get a specific debate topic
- *     tags: [Topics]
- *     parameters:
- *       - in: path
- *         name: topicId
- *         required: true
- *         schema:
- *           type: string
- *         description: Topic ID
- *     responses:
- *       200:
- *         description: Topic retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/DebateTopic'
- *       404:
- *         description: Topic not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Error'
- */
-router.get('/:topicId', topicController.getTopic);
-
 /**
  * @swagger
  * /api/topics/{topicId}:
  *   put:
  *     summary: Update a debate topic
+ *     description: >
+ *       Changes to a submitted or approved topic are recorded as a new revision; sessions keep the
+ *       revision they were debated on. Authors can only edit drafts and suggestions with changes requested.
  *     tags: [Topics]
  *     security:
  *       - bearerAuth: []
@@ -246,13 +572,34 @@ router.get('/:topicId', topicController.getTopic);
  *                 type: string
  *               category:
  *                 type: string
- *               difficulty:
+ *               difficultyLevel:
  *                 type: string
- *                 enum: [easy, medium, hard]
- *               arguments:
- *                 type: object
+ *                 enum: [easy, medium, hard, expert]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               proArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               conArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *               evidence:
  *                 type: array
+ *                 items:
+ *                   type: object
+ *               complexity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10
+ *                 description: Reviewers only; overrides the complexity computed from the content
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason for the change, kept with the new revision
  *     responses:
  *       200:
  *         description: Topic updated successfully
@@ -266,7 +613,7 @@ router.get('/:topicId', topicController.getTopic);
  *                 data:
  *                   $ref: '#/components/schemas/DebateTopic'
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the author's topic is no longer editable
  *         content:
  *           application/json:
  *             schema:
@@ -297,6 +644,7 @@ router.put('/:topicId', authenticate, validate(topicValidation.updateTopic), top
  * /api/topics/{topicId}:
  *   delete:
  *     summary: Delete a debate topic
+ *     description: Topics that have been debated are archived (isActive false) instead, so their sessions keep their topic
  *     tags: [Topics]
  *     security:
  *       - bearerAuth: []
@@ -309,7 +657,7 @@ router.put('/:topicId', authenticate, validate(topicValidation.updateTopic), top
  *         description: Topic ID
  *     responses:
  *       200:
- *         description: Topic deleted successfully
+ *         description: Topic deleted or archived successfully
  *         content:
  *           application/json:
  *             schema:
@@ -416,37 +764,110 @@ router.get('/random', topicController.getRandomTopic);
 
 /**
  * @swagger
- * /api/topics/suggestions:
+ * /api/topics/search:
  *   get:
- *     summary: Get topic suggestions
+ *     summary: Search approved topics
+ *     description: >
+ *       Ranks topics by relevance to the query, correcting words that match no topic to the closest
+ *       known word. Semantic and hybrid modes also match motions worded differently, using embeddings
+ *       computed locally. Without a query, topics are ranked by popularity. Facet counts let the topic
+ *       browser filter without another request.
  *     tags: [Topics]
- *     security:
- *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [keyword, semantic, hybrid]
+ *           default: hybrid
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated; topics in any of the categories
+ *       - in: query
+ *         name: difficultyLevel
+ *         schema:
+ *           type: string
+ *         description: Comma-separated; topics at any of the levels
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Comma-separated; topics in any of the languages
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated; topics with all of the tags
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           minimum: 1
  *           default: 1
- *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
  *           maximum: 50
- *           default: 10
- *         description: Number of items per page
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Search results with facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicSearchResult'
+ *       400:
+ *         description: Invalid mode or query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/search', topicController.searchTopics);
+
+/**
+ * @swagger
+ * /api/topics/recommended:
+ *   get:
+ *     summary: Get recommended topics
+ *     description: >
+ *       Picks approved topics the user has not debated yet. Topics in categories where one of the
+ *       user's skills scores well below their own average come first, then topics whose difficulty
+ *       suits the user's rating in the category, categories they have not tried, and topics in their
+ *       preferred language. Each pick explains why it was chosen.
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: query
- *         name: status
+ *         name: category
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected]
- *         description: Filter by suggestion status
+ *         description: Only recommend topics in this category
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 10
  *     responses:
  *       200:
- *         description: Topic suggestions retrieved successfully
+ *         description: Recommended topics
  *         content:
  *           application/json:
  *             schema:
@@ -455,29 +876,333 @@ router.get('/random', topicController.getRandomTopic);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/TopicSuggestion'
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
- *       401:
- *         description: Unauthorized
+ *                   $ref: '#/components/schemas/TopicRecommendations'
+ *       400:
+ *         description: Invalid category
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
  */
-router.get('/suggestions', authenticate, topicController.getSuggestions);
+router.get('/recommended', authenticate, topicController.getRecommendedTopics);
 
 /**
  * @swagger
- * /api/topics/suggestions:
- *   post:
- *     summary: Submit a topic suggestion
+ * /api/topics/balance:
+ *   get:
+ *     summary: List topics by side balance
+ *     description: >
+ *       Topics with a stored balance analysis, updated after every adjudicated debate and counting the
+ *       debates on each topic's current revision. Flagged (strongly lopsided) topics come first, for
+ *       reviewers; verdict=balanced lists motions fit for tournaments.
  *     tags: [Topics]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
+ *     parameters:
+ *       - in: query
+ *         name: verdict
+ *         schema:
+ *           type: string
+ *           enum: [insufficient-data, balanced, pro-leaning, con-leaning]
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minSessions
+ *         schema:
+ *           type: integer
+ *         description: Only topics with at least this many analysed debates
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Topics with their balance (DebateTopic.balance)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicList'
+ *       400:
+ *         description: Invalid verdict or category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/balance', topicController.getBalanceReport);
+
+/**
+ * @swagger
+ * /api/topics/balance/refresh:
+ *   post:
+ *     summary: Re-analyse the side balance of every debated topic (Admin/Moderator only)
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Topics analysed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     analyzed:
+ *                       type: integer
+ *                     flagged:
+ *                       type: integer
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - admin or moderator only
+ */
+router.post('/balance/refresh', authenticate, authorize(['admin', 'moderator']), topicController.refreshTopicBalance);
+
+/**
+ * @swagger
+ * /api/topics/import:
+ *   post:
+ *     summary: Import a pack of topics
+ *     description: >
+ *       Reads a JSON, CSV or YAML pack with title, description, category, difficultyLevel, language,
+ *       tags, proArguments, conArguments and evidence. JSON and YAML packs are a list of topics.
+ *       CSV packs have a header row; list cells separate items with "|" (or hold a JSON array) and
+ *       evidence cells hold a JSON array. Valid rows become approved topics; invalid rows and titles
+ *       that already exist are skipped and reported row by row.
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: Pack file (.json, .csv, .yaml or .yml)
+ *               format:
+ *                 type: string
+ *                 enum: [json, csv, yaml]
+ *                 description: Overrides the format worked out from the file
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *               - format
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Pack contents
+ *               format:
+ *                 type: string
+ *                 enum: [json, csv, yaml]
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Check the pack without creating topics
+ *     responses:
+ *       200:
+ *         description: Dry run report, or nothing was importable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicImportReport'
+ *       201:
+ *         description: Topics imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicImportReport'
+ *       400:
+ *         description: Missing, unreadable, empty or oversized pack, or unknown format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/import', authenticate, authorize(['admin', 'moderator']), packUpload.single('file'), topicController.importTopics);
+
+/**
+ * @swagger
+ * /api/topics/export:
+ *   get:
+ *     summary: Export approved topics as a pack
+ *     description: Downloads active approved topics in a format the import accepts
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, yaml]
+ *           default: json
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficultyLevel
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard, expert]
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated; topics with any of the tags
+ *     responses:
+ *       200:
+ *         description: Topic pack file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/export', authenticate, topicController.exportTopics);
+
+/**
+ * @swagger
+ * /api/topics/suggestions:
+ *   get:
+ *     summary: Get topic suggestions
+ *     description: Moderators see the review queue (submitted suggestions, oldest first) unless a status is given; other users see their own suggestions
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, submitted, changes-requested, approved, rejected]
+ *         description: Filter by suggestion status
+ *     responses:
+ *       200:
+ *         description: Topic suggestions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TopicSuggestion'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/suggestions', authenticate, topicController.getSuggestions);
+
+/**
+ * @swagger
+ * /api/topics/suggestions:
+ *   post:
+ *     summary: Submit a topic suggestion
+ *     description: Submitted for review as revision 1 unless saved as a draft; the author is notified of each review decision
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
  *       required: true
  *       content:
  *         application/json:
@@ -487,7 +1212,6 @@ router.get('/suggestions', authenticate, topicController.getSuggestions);
  *               - title
  *               - description
  *               - category
- *               - difficulty
  *               - reasoning
  *             properties:
  *               title:
@@ -500,13 +1224,33 @@ router.get('/suggestions', authenticate, topicController.getSuggestions);
  *                 maxLength: 1000
  *               category:
  *                 type: string
- *               difficulty:
+ *               difficultyLevel:
  *                 type: string
- *                 enum: [easy, medium, hard]
+ *                 enum: [easy, medium, hard, expert]
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               proArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               conArguments:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *               reasoning:
  *                 type: string
  *                 minLength: 10
  *                 maxLength: 500
+ *               draft:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Save without submitting for review
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Note for reviewers, kept with the revision
  *     responses:
  *       201:
  *         description: Topic suggestion submitted successfully
@@ -538,7 +1282,8 @@ router.post('/suggestions', authenticate, validate(topicValidation.suggestTopic)
  * @swagger
  * /api/topics/suggestions/{suggestionId}:
  *   put:
- *     summary: Approve or reject a topic suggestion
+ *     summary: Approve, reject or request changes to a topic suggestion
+ *     description: Only submitted suggestions can be reviewed, and not by their author
  *     tags: [Topics]
  *     security:
  *       - bearerAuth: []
@@ -560,10 +1305,17 @@ router.post('/suggestions', authenticate, validate(topicValidation.suggestTopic)
  *             properties:
  *               action:
  *                 type: string
- *                 enum: [approve, reject]
+ *                 enum: [approve, reject, request-changes]
  *               feedback:
  *                 type: string
- *                 description: Optional feedback for rejected suggestions
+ *                 maxLength: 500
+ *                 description: Rejection reason, or a general comment when requesting changes
+ *               comments:
+ *                 type: array
+ *                 maxItems: 20
+ *                 description: Comments on specific fields
+ *                 items:
+ *                   $ref: '#/components/schemas/TopicReviewComment'
  *     responses:
  *       200:
  *         description: Suggestion processed successfully
@@ -576,8 +1328,10 @@ router.post('/suggestions', authenticate, validate(topicValidation.suggestTopic)
  *                   type: boolean
  *                 message:
  *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicSuggestion'
  *       400:
- *         description: Invalid action
+ *         description: Invalid action or comments, or the suggestion is not awaiting review
  *         content:
  *           application/json:
  *             schema:
@@ -589,7 +1343,7 @@ router.post('/suggestions', authenticate, validate(topicValidation.suggestTopic)
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - not authorized to process suggestions
+ *         description: Forbidden - not authorized to process suggestions, or reviewing own suggestion
  *         content:
  *           application/json:
  *             schema:
@@ -605,17 +1359,305 @@ router.put('/suggestions/:suggestionId', authenticate, authorize(['admin', 'mode
 
 /**
  * @swagger
- * /api/topics/{topicId}/stats:
+ * /api/topics/suggestions/{suggestionId}:
  *   get:
- *     summary: Get topic statistics
+ *     summary: Get a topic suggestion with its reviewer comments
  *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: topicId
+ *         name: suggestionId
  *         required: true
  *         schema:
  *           type: string
- *         description: Topic ID
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicSuggestion'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the author and moderators can view a suggestion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/suggestions/:suggestionId', authenticate, topicController.getSuggestion);
+
+/**
+ * @swagger
+ * /api/topics/suggestions/{suggestionId}/submit:
+ *   post:
+ *     summary: Submit a draft or resubmit a suggestion after changes were requested
+ *     description: Records a new revision with the changes since the previous one; reviewer comments on changed fields are marked as addressed
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Note for reviewers, kept with the revision
+ *     responses:
+ *       200:
+ *         description: Suggestion submitted for review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     suggestion:
+ *                       $ref: '#/components/schemas/TopicSuggestion'
+ *                     revision:
+ *                       $ref: '#/components/schemas/TopicRevision'
+ *       400:
+ *         description: Suggestion is not a draft and has no changes requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the author can submit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/suggestions/:suggestionId/submit', authenticate, topicController.submitSuggestion);
+
+/**
+ * @swagger
+ * /api/topics/suggestions/{suggestionId}/comments:
+ *   post:
+ *     summary: Comment on fields of a topic suggestion
+ *     description: Adds reviewer comments without deciding on the suggestion
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comments
+ *             properties:
+ *               comments:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   $ref: '#/components/schemas/TopicReviewComment'
+ *     responses:
+ *       201:
+ *         description: Comments added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TopicReviewComment'
+ *       400:
+ *         description: Invalid comments, or the suggestion is not under review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - moderators only
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/suggestions/:suggestionId/comments', authenticate, authorize(['admin', 'moderator']), topicController.addReviewComments);
+
+/**
+ * @swagger
+ * /api/topics/suggestions/{suggestionId}/revisions:
+ *   get:
+ *     summary: Get the revision history of a topic suggestion
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: suggestionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Revisions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TopicRevision'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - only the author and moderators can view revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/suggestions/:suggestionId/revisions', authenticate, topicController.getSuggestionRevisions);
+
+// Declared after the static GET routes above so it does not capture them
+/**
+ * @swagger
+ * /api/topics/{topicId}:
+ *   get:
+ *     summary: Get a specific debate topic
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DebateTopic'
+ *       404:
+ *         description: Topic not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId', topicController.getTopic);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/stats:
+ *   get:
+ *     summary: Get topic statistics
+ *     description: Completed sessions across all revisions of the topic unless a revision is given
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *       - in: query
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only sessions debated on this revision
+ *       - in: query
+ *         name: byRevision
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add statistics per revision; sessions from before revisions were recorded have revision null
  *     responses:
  *       200:
  *         description: Topic statistics retrieved successfully
@@ -635,6 +1677,7 @@ router.put('/suggestions/:suggestionId', authenticate, authorize(['admin', 'mode
  *                       type: number
  *                     winRate:
  *                       type: object
+ *                       description: Share of decided debates each side won (percent)
  *                       properties:
  *                         for:
  *                           type: number
@@ -644,6 +1687,24 @@ router.put('/suggestions/:suggestionId', authenticate, authorize(['admin', 'mode
  *                       type: number
  *                     difficultyRating:
  *                       type: number
+ *                     revision:
+ *                       type: integer
+ *                       nullable: true
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         description: Same statistics for the sessions of one revision
+ *                         properties:
+ *                           revision:
+ *                             type: integer
+ *                             nullable: true
+ *       400:
+ *         description: Invalid revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Topic not found
  *         content:
@@ -653,4 +1714,385 @@ router.put('/suggestions/:suggestionId', authenticate, authorize(['admin', 'mode
  */
 router.get('/:topicId/stats', topicController.getTopicStats);
 
+/**
+ * @swagger
+ * /api/topics/{topicId}/balance:
+ *   get:
+ *     summary: Analyse how much a topic favours one side
+ *     description: >
+ *       Fits the adjudicated debates on the topic against what the participants' ratings and the AI's
+ *       difficulty predicted, and estimates the pro side's advantage with a 95% interval. Topics need
+ *       10 debates for a verdict.
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *       - in: query
+ *         name: revision
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only debates on this revision
+ *     responses:
+ *       200:
+ *         description: Balance analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicBalance'
+ *       400:
+ *         description: Invalid revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found or not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/balance', topicController.getTopicBalance);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/similar:
+ *   get:
+ *     summary: Find topics with similar motions
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 5
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only topics in this language
+ *     responses:
+ *       200:
+ *         description: Similar topics, most similar first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/DebateTopic'
+ *                       - type: object
+ *                         properties:
+ *                           similarity:
+ *                             type: number
+ *       404:
+ *         description: Topic not found or not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/similar', topicController.getSimilarTopics);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/translations:
+ *   get:
+ *     summary: Get a topic in other languages
+ *     description: Returns the approved original of the topic and its approved translations, except the topic itself
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Other language versions of the topic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     originalId:
+ *                       type: string
+ *                     translations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DebateTopic'
+ *       404:
+ *         description: Topic not found or not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/translations', topicController.getTopicTranslations);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/translations:
+ *   post:
+ *     summary: Machine-translate a topic
+ *     description: >
+ *       Translates the topic's original into another language as a new topic linked to it through
+ *       translationOf. Category and difficulty are copied. Translations requested by moderators are
+ *       approved straight away; other users' translations are submitted for review like a proposal.
+ *       Uses the AI usage quota of the requesting user.
+ *     tags: [Topics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - language
+ *             properties:
+ *               language:
+ *                 type: string
+ *                 enum: [en, es, fr, de, zh, ja, ko, ar, hi]
+ *     responses:
+ *       201:
+ *         description: Translation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DebateTopic'
+ *       400:
+ *         description: Invalid language, or the original is already in it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found or not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The topic already has a translation in this language, or one with the translated title exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: AI usage quota exceeded
+ *       502:
+ *         description: The model's translation was unusable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:topicId/translations', authenticate, topicController.translateTopic);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/revisions:
+ *   get:
+ *     summary: Get the revision history of a topic
+ *     description: Revisions are immutable; a debate session records the one it was debated on in topicRevision
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: integer
+ *                       description: Revision the topic currently shows
+ *                     revisions:
+ *                       type: array
+ *                       description: Newest first
+ *                       items:
+ *                         $ref: '#/components/schemas/TopicRevision'
+ *       404:
+ *         description: Topic not found or not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/revisions', topicController.getTopicRevisions);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/revisions/compare:
+ *   get:
+ *     summary: Compare two revisions of a topic
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Earlier revision; defaults to the one before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Later revision; defaults to the current revision
+ *     responses:
+ *       200:
+ *         description: Differences between the revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: integer
+ *                     to:
+ *                       type: integer
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           field:
+ *                             type: string
+ *                           before: {}
+ *                           after: {}
+ *                           added:
+ *                             type: array
+ *                             items: {}
+ *                           removed:
+ *                             type: array
+ *                             items: {}
+ *       400:
+ *         description: Invalid revision numbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/revisions/compare', topicController.compareTopicRevisions);
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a topic
+ *     tags: [Topics]
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TopicRevision'
+ *       400:
+ *         description: Invalid revision number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:topicId/revisions/:revision', topicController.getTopicRevision);
+
 module.exports = router; 
\ No newline at end of file
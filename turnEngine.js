@@ -0,0 +1,318 @@
+/**
+ * Turn Engine
+ * Enforces formal debate formats: ordered phases, speaking time per phase
+ * and who holds the floor. Sides are 'pro' and 'con'; the caller maps a
+ * sender (user or AI) to its side before asking the engine.
+ * Open human-vs-human debates alternate turns, pro first.
+ */
+
+const PHASE_TYPES = ['constructive', 'cross-examination', 'rebuttal', 'closing'];
+
+// Message types each phase type accepts. The first entry is the default.
+const PHASE_MESSAGE_TYPES = {
+  constructive: ['opening', 'argument', 'evidence'],
+  'cross-examination': ['general', 'argument'],
+  rebuttal: ['rebuttal', 'argument', 'evidence'],
+  closing: ['closing', 'rebuttal']
+};
+
+/**
+ * Format definitions
+ * speaker: 'pro' | 'con' | 'both' (open floor, e.g. crossfire)
+ * questioner: side asking questions during cross-examination
+ * timeLimit: speaking time in seconds
+ * maxMessages: messages that end the phase early (null = runs until time is up)
+ */
+const FORMATS = {
+  open: {
+    name: 'Open Debate',
+    phases: []
+  },
+  oxford: {
+    name: 'Oxford',
+    phases: [
+      { name: 'Proposition opening', type: 'constructive', speaker: 'pro', timeLimit: 420, maxMessages: 1 },
+      { name: 'Opposition opening', type: 'constructive', speaker: 'con', timeLimit: 420, maxMessages: 1 },
+      { name: 'Cross-examination', type: 'cross-examination', speaker: 'both', timeLimit: 240, maxMessages: 6 },
+      { name: 'Proposition rebuttal', type: 'rebuttal', speaker: 'pro', timeLimit: 300, maxMessages: 1 },
+      { name: 'Opposition rebuttal', type: 'rebuttal', speaker: 'con', timeLimit: 300, maxMessages: 1 },
+      { name: 'Opposition closing', type: 'closing', speaker: 'con', timeLimit: 180, maxMessages: 1 },
+      { name: 'Proposition closing', type: 'closing', speaker: 'pro', timeLimit: 180, maxMessages: 1 }
+    ]
+  },
+  'lincoln-douglas': {
+    name: 'Lincoln-Douglas',
+    phases: [
+      { name: 'Affirmative constructive', type: 'constructive', speaker: 'pro', timeLimit: 360, maxMessages: 1 },
+      { name: 'Negative cross-examination', type: 'cross-examination', speaker: 'both', questioner: 'con', timeLimit: 180, maxMessages: 6 },
+      { name: 'Negative constructive', type: 'constructive', speaker: 'con', timeLimit: 420, maxMessages: 1 },
+      { name: 'Affirmative cross-examination', type: 'cross-examination', speaker: 'both', questioner: 'pro', timeLimit: 180, maxMessages: 6 },
+      { name: 'First affirmative rebuttal', type: 'rebuttal', speaker: 'pro', timeLimit: 240, maxMessages: 1 },
+      { name: 'Negative rebuttal', type: 'closing', speaker: 'con', timeLimit: 360, maxMessages: 1 },
+      { name: 'Second affirmative rebuttal', type: 'closing', speaker: 'pro', timeLimit: 180, maxMessages: 1 }
+    ]
+  },
+  'public-forum': {
+    name: 'Public Forum',
+    phases: [
+      { name: 'Pro constructive', type: 'constructive', speaker: 'pro', timeLimit: 240, maxMessages: 1 },
+      { name: 'Con constructive', type: 'constructive', speaker: 'con', timeLimit: 240, maxMessages: 1 },
+      { name: 'Crossfire', type: 'cross-examination', speaker: 'both', timeLimit: 180, maxMessages: 6 },
+      { name: 'Pro rebuttal', type: 'rebuttal', speaker: 'pro', timeLimit: 240, maxMessages: 1 },
+      { name: 'Con rebuttal', type: 'rebuttal', speaker: 'con', timeLimit: 240, maxMessages: 1 },
+      { name: 'Pro summary', type: 'rebuttal', speaker: 'pro', timeLimit: 180, maxMessages: 1 },
+      { name: 'Con summary', type: 'rebuttal', speaker: 'con', timeLimit: 180, maxMessages: 1 },
+      { name: 'Grand crossfire', type: 'cross-examination', speaker: 'both', timeLimit: 180, maxMessages: 6 },
+      { name: 'Pro final focus', type: 'closing', speaker: 'pro', timeLimit: 120, maxMessages: 1 },
+      { name: 'Con final focus', type: 'closing', speaker: 'con', timeLimit: 120, maxMessages: 1 }
+    ]
+  }
+};
+
+/**
+ * Get a format definition
+ * @param {string} name - Format key
+ * @returns {Object} Format definition (falls back to open)
+ */
+const getFormat = (name) => FORMATS[name] || FORMATS.open;
+
+/**
+ * Whether a session follows a formal format
+ * @param {Object} session - DebateSession document
+ * @returns {boolean}
+ */
+const isStructured = (session) => getFormat(session.sessionSettings?.format).phases.length > 0;
+
+const getOppositeSide = (side) => (side === 'pro' ? 'con' : 'pro');
+
+// Open debates between two users hand the floor back and forth
+const alternatesTurns = (session) => session.mode === 'human' && !isStructured(session);
+
+/**
+ * Get the current phase of a session
+ * @param {Object} session - DebateSession document
+ * @returns {Object|null} Phase definition or null when open/finished
+ */
+const getCurrentPhase = (session) => {
+  const { phases } = getFormat(session.sessionSettings?.format);
+  const index = session.formatState?.phaseIndex || 0;
+  return phases[index] || null;
+};
+
+/**
+ * Start the first phase of a structured session
+ * @param {Object} session - DebateSession document (not saved)
+ * @param {Date} now - Current time
+ */
+const initialize = (session, now = new Date()) => {
+  if (!isStructured(session)) return;
+
+  const [firstPhase] = getFormat(session.sessionSettings.format).phases;
+  session.formatState = {
+    phaseIndex: 0,
+    phaseStartedAt: now,
+    phaseDeadline: new Date(now.getTime() + firstPhase.timeLimit * 1000),
+    phaseMessageCount: 0,
+    completed: false
+  };
+};
+
+/**
+ * Move to the next phase
+ * @param {Object} session - DebateSession document (not saved)
+ * @param {Date} now - Time the new phase starts
+ */
+const advancePhase = (session, now = new Date()) => {
+  const { phases } = getFormat(session.sessionSettings.format);
+  const nextIndex = session.formatState.phaseIndex + 1;
+
+  session.formatState.phaseIndex = nextIndex;
+  session.formatState.phaseMessageCount = 0;
+  session.formatState.phaseStartedAt = now;
+
+  if (nextIndex >= phases.length) {
+    session.formatState.phaseDeadline = null;
+    session.formatState.completed = true;
+    return;
+  }
+
+  session.formatState.phaseDeadline = new Date(now.getTime() + phases[nextIndex].timeLimit * 1000);
+};
+
+/**
+ * Skip past every phase whose speaking time has run out
+ * @param {Object} session - DebateSession document (not saved)
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the phase changed
+ */
+const syncPhase = (session, now = new Date()) => {
+  if (!isStructured(session) || session.formatState.completed) return false;
+
+  let changed = false;
+  while (!session.formatState.completed && session.formatState.phaseDeadline <= now) {
+    // The next phase starts when the previous one was due to end, not when we noticed
+    advancePhase(session, new Date(session.formatState.phaseDeadline));
+    changed = true;
+  }
+
+  return changed;
+};
+
+/**
+ * Check whether a side may post a message of the given type now
+ * @param {Object} session - DebateSession document
+ * @param {string} side - 'pro' or 'con'
+ * @param {string} [messageType] - Requested message type
+ * @returns {Object} { allowed, reason, messageType, phase }
+ */
+const validateMessage = (session, side, messageType) => {
+  if (alternatesTurns(session)) {
+    const nextSide = getNextSpeaker(session);
+    if (side !== nextSide) {
+      return { allowed: false, reason: `Wait for your opponent to reply (${nextSide} side's turn)`, phase: null };
+    }
+  }
+
+  if (!isStructured(session)) {
+    return { allowed: true, messageType: messageType || 'general', phase: null };
+  }
+
+  if (session.formatState.completed) {
+    return { allowed: false, reason: 'All phases of this debate are finished' };
+  }
+
+  const phase = getCurrentPhase(session);
+
+  if (phase.speaker !== 'both' && phase.speaker !== side) {
+    return {
+      allowed: false,
+      reason: `It is the ${phase.speaker} side's turn (${phase.name})`,
+      phase
+    };
+  }
+
+  const allowedTypes = PHASE_MESSAGE_TYPES[phase.type];
+  const resolvedType = messageType || allowedTypes[0];
+
+  if (!allowedTypes.includes(resolvedType)) {
+    return {
+      allowed: false,
+      reason: `${resolvedType} messages are not allowed during ${phase.name}; use ${allowedTypes.join(', ')}`,
+      phase
+    };
+  }
+
+  return { allowed: true, messageType: resolvedType, phase };
+};
+
+/**
+ * Count a message against the current phase, advancing when the phase is used up
+ * @param {Object} session - DebateSession document (not saved)
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the phase changed
+ */
+const recordMessage = (session, now = new Date()) => {
+  if (!isStructured(session) || session.formatState.completed) return false;
+
+  const phase = getCurrentPhase(session);
+  session.formatState.phaseMessageCount += 1;
+
+  if (phase.maxMessages && session.formatState.phaseMessageCount >= phase.maxMessages) {
+    advancePhase(session, now);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Count a message and hand the floor to the other side
+ * @param {Object} session - DebateSession document (not saved)
+ * @param {string} side - Side that spoke
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the phase changed
+ */
+const recordTurn = (session, side, now = new Date()) => {
+  session.formatState.lastSide = side;
+  return recordMessage(session, now);
+};
+
+/**
+ * Which side holds the floor now
+ * @param {Object} session - DebateSession document
+ * @returns {string|null} 'pro', 'con', 'both' or null when finished/open
+ */
+const getNextSpeaker = (session) => {
+  if (alternatesTurns(session)) {
+    const lastSide = session.formatState?.lastSide;
+    return lastSide ? getOppositeSide(lastSide) : 'pro';
+  }
+
+  const phase = isStructured(session) ? getCurrentPhase(session) : null;
+  return phase ? phase.speaker : null;
+};
+
+/**
+ * Public description of the format state, broadcast to the room
+ * @param {Object} session - DebateSession document
+ * @returns {Object} Phase payload
+ */
+const describeState = (session) => {
+  const formatKey = session.sessionSettings?.format || 'open';
+  const format = getFormat(formatKey);
+
+  if (!isStructured(session)) {
+    return {
+      format: formatKey,
+      formatName: format.name,
+      structured: false,
+      ...(alternatesTurns(session) && { nextSpeaker: getNextSpeaker(session) })
+    };
+  }
+
+  const { phaseIndex, phaseDeadline, phaseStartedAt, completed } = session.formatState;
+  const phase = getCurrentPhase(session);
+  const nextPhase = format.phases[phaseIndex + 1] || null;
+
+  return {
+    format: formatKey,
+    formatName: format.name,
+    structured: true,
+    completed: Boolean(completed),
+    totalPhases: format.phases.length,
+    phase: phase ? {
+      index: phaseIndex,
+      name: phase.name,
+      type: phase.type,
+      speaker: phase.speaker,
+      questioner: phase.questioner || null,
+      timeLimit: phase.timeLimit,
+      allowedMessageTypes: PHASE_MESSAGE_TYPES[phase.type],
+      startedAt: phaseStartedAt,
+      deadline: phaseDeadline
+    } : null,
+    nextPhase: nextPhase ? {
+      name: nextPhase.name,
+      type: nextPhase.type,
+      speaker: nextPhase.speaker
+    } : null
+  };
+};
+
+module.exports = {
+  FORMATS,
+  PHASE_TYPES,
+  PHASE_MESSAGE_TYPES,
+  getFormat,
+  isStructured,
+  getOppositeSide,
+  getCurrentPhase,
+  initialize,
+  advancePhase,
+  syncPhase,
+  validateMessage,
+  recordMessage,
+  recordTurn,
+  getNextSpeaker,
+  describeState
+};
\ No newline at end of file
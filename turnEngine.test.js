@@ -0,0 +1,97 @@
+const turnEngine = require('../services/turnEngine');
+
+const createSession = (format, chosenSide = 'pro') => {
+  const session = { chosenSide, sessionSettings: { format } };
+  turnEngine.initialize(session, new Date('2024-01-01T10:00:00Z'));
+  return session;
+};
+
+describe('Turn Engine', () => {
+  describe('open format', () => {
+    it('should allow any side to speak at any time', () => {
+      const session = createSession('open');
+
+      expect(turnEngine.isStructured(session)).toBe(false);
+      expect(turnEngine.validateMessage(session, 'con').allowed).toBe(true);
+      expect(turnEngine.validateMessage(session, 'pro', 'closing').messageType).toBe('closing');
+      expect(turnEngine.recordMessage(session)).toBe(false);
+    });
+  });
+
+  describe('open format between two users', () => {
+    it('should hand the floor over after every message, pro first', () => {
+      const session = createSession('open');
+      session.mode = 'human';
+      session.formatState = { lastSide: null };
+
+      expect(turnEngine.getNextSpeaker(session)).toBe('pro');
+      expect(turnEngine.validateMessage(session, 'con').allowed).toBe(false);
+
+      turnEngine.recordTurn(session, 'pro');
+
+      expect(turnEngine.validateMessage(session, 'pro').allowed).toBe(false);
+      expect(turnEngine.validateMessage(session, 'con').allowed).toBe(true);
+      expect(turnEngine.describeState(session).nextSpeaker).toBe('con');
+    });
+  });
+
+  describe('oxford format', () => {
+    it('should start with the proposition opening', () => {
+      const session = createSession('oxford');
+      const state = turnEngine.describeState(session);
+
+      expect(state.structured).toBe(true);
+      expect(state.phase.name).toBe('Proposition opening');
+      expect(state.phase.deadline).toEqual(new Date('2024-01-01T10:07:00Z'));
+    });
+
+    it('should reject messages from the side without the floor', () => {
+      const session = createSession('oxford');
+      const result = turnEngine.validateMessage(session, 'con');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('pro side');
+    });
+
+    it('should reject message types the phase does not accept', () => {
+      const session = createSession('oxford');
+      const result = turnEngine.validateMessage(session, 'pro', 'closing');
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('not allowed');
+    });
+
+    it('should default to the phase message type', () => {
+      const session = createSession('oxford');
+
+      expect(turnEngine.validateMessage(session, 'pro').messageType).toBe('opening');
+    });
+
+    it('should advance once a phase has used its messages', () => {
+      const session = createSession('oxford');
+
+      expect(turnEngine.recordMessage(session, new Date('2024-01-01T10:02:00Z'))).toBe(true);
+      expect(turnEngine.getNextSpeaker(session)).toBe('con');
+      expect(session.formatState.phaseDeadline).toEqual(new Date('2024-01-01T10:09:00Z'));
+    });
+
+    it('should skip phases whose speaking time ran out', () => {
+      const session = createSession('oxford');
+
+      expect(turnEngine.syncPhase(session, new Date('2024-01-01T10:05:00Z'))).toBe(false);
+      expect(turnEngine.syncPhase(session, new Date('2024-01-01T10:15:00Z'))).toBe(true);
+      expect(turnEngine.getCurrentPhase(session).name).toBe('Cross-examination');
+      expect(turnEngine.validateMessage(session, 'con').allowed).toBe(true);
+    });
+
+    it('should complete after the last phase', () => {
+      const session = createSession('oxford');
+
+      turnEngine.syncPhase(session, new Date('2024-01-01T12:00:00Z'));
+
+      expect(session.formatState.completed).toBe(true);
+      expect(turnEngine.getNextSpeaker(session)).toBeNull();
+      expect(turnEngine.validateMessage(session, 'pro').allowed).toBe(false);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Usage Meter
+ * Records every model call with its tokens, latency and estimated cost,
+ * enforces the per-plan token quotas and reports usage.
+ */
+
+// USD per million tokens. Matched by the longest prefix of the model name the provider returns.
+const MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  scripted: { prompt: 0, completion: 0 }
+};
+
+const PRICE_PREFIXES = Object.keys(MODEL_PRICES).sort((a, b) => b.length - a.length);
+
+// Tokens per plan; null means unlimited. Override with AI_QUOTA_<PLAN>_DAILY / AI_QUOTA_<PLAN>_MONTHLY.
+const PLAN_QUOTAS = {
+  free: { daily: 50000, monthly: 500000 },
+  pro: { daily: 500000, monthly: 5000000 },
+  team: { daily: 2000000, monthly: 30000000 }
+};
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Model name returned by the provider
+ * @param {Object} tokens - { prompt, completion }
+ * @returns {number|null} Cost in USD, or null for a model without a known price
+ */
+const estimateCost = (model, tokens) => {
+  const prefix = PRICE_PREFIXES.find(name => (model || '').startsWith(name));
+  if (!prefix) {
+    return null;
+  }
+
+  const price = MODEL_PRICES[prefix];
+  const cost = ((tokens.prompt || 0) * price.prompt + (tokens.completion || 0) * price.completion) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+};
+
+// Rough token count (about four characters per token) for calls whose provider reported none
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Record a model call. Never throws: a failed write is logged, not passed on to the caller.
+ * @param {Object} entry - { userId, sessionId, operation, provider, model, tokens, estimated, latencyMs, success }
+ * @returns {Promise<Object|null>} Saved usage entry
+ */
+const record = async (entry) => {
+  try {
+    const tokens = {
+      prompt: entry.tokens?.prompt || 0,
+      completion: entry.tokens?.completion || 0
+    };
+    tokens.total = entry.tokens?.total || tokens.prompt + tokens.completion;
+
+    return await AIUsage.create({
+      userId: entry.userId || null,
+      sessionId: entry.sessionId || null,
+      operation: entry.operation,
+      provider: entry.provider || null,
+      model: entry.model || null,
+      tokens,
+      estimated: Boolean(entry.estimated),
+      latencyMs: entry.latencyMs || 0,
+      cost: estimateCost(entry.model, tokens),
+      success: entry.success !== false
+    });
+  } catch (error) {
+    logger.error(`Error recording AI usage for ${entry.operation}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Token quota of a plan
+ * @param {string} plan - User plan
+ * @returns {Object} { daily, monthly }; null limits are unlimited
+ */
+const getPlanQuota = (plan) => {
+  const defaults = PLAN_QUOTAS[plan] || PLAN_QUOTAS.free;
+  const fromEnv = (period) => {
+    const value = process.env[`AI_QUOTA_${(plan || 'free').toUpperCase()}_${period.toUpperCase()}`];
+    if (value === undefined || value === '') return defaults[period];
+    return value === 'unlimited' ? null : parseInt(value);
+  };
+
+  return { daily: fromEnv('daily'), monthly: fromEnv('monthly') };
+};
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const describeWindow = (limit, used, resetsAt) => ({
+  limit,
+  used,
+  remaining: limit === null ? null : Math.max(0, limit - used),
+  resetsAt
+});
+
+/**
+ * Quota status of a user for the current UTC day and month
+ * Admins are not limited.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { plan, daily, monthly, exceeded }
+ */
+const getQuotaStatus = async (userId) => {
+  const user = await User.findById(userId).select('plan role');
+  const plan = user?.plan || 'free';
+  const quota = user?.role === 'admin' ? { daily: null, monthly: null } : getPlanQuota(plan);
+
+  const now = new Date();
+  const dayStart = startOfDay(now);
+  const monthStart = startOfMonth(now);
+  const [usedToday, usedThisMonth] = await Promise.all([
+    AIUsage.getTokensUsed(userId, dayStart),
+    AIUsage.getTokensUsed(userId, monthStart)
+  ]);
+
+  const daily = describeWindow(quota.daily, usedToday, new Date(dayStart.getTime() + 24 * 60 * 60 * 1000));
+  const monthly = describeWindow(quota.monthly, usedThisMonth, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)));
+
+  return {
+    plan,
+    daily,
+    monthly,
+    exceeded: daily.remaining === 0 || monthly.remaining === 0
+  };
+};
+
+const roundCost = (cost) => Math.round((cost || 0) * 10000) / 10000;
+
+const usageTotals = {
+  calls: { $sum: 1 },
+  failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+  promptTokens: { $sum: '$tokens.prompt' },
+  completionTokens: { $sum: '$tokens.completion' },
+  totalTokens: { $sum: '$tokens.total' },
+  cost: { $sum: '$cost' },
+  averageLatencyMs: { $avg: '$latencyMs' }
+};
+
+const toUsageRow = ({ _id, ...row }) => ({
+  ...row,
+  cost: roundCost(row.cost),
+  averageLatencyMs: Math.round(row.averageLatencyMs || 0)
+});
+
+/**
+ * Usage report: totals broken down by operation, model and day, and by user when no user is given
+ * @param {Object} options - { userId, from, to }
+ * @returns {Promise<Object>} Usage report
+ */
+const getUsageReport = async ({ userId = null, from, to }) => {
+  const match = { createdAt: { $gte: from, $lte: to } };
+  if (userId) {
+    match.userId = new mongoose.Types.ObjectId(userId);
+  }
+
+  const facets = {
+    totals: [{ $group: { _id: null, ...usageTotals } }],
+    byOperation: [
+      { $group: { _id: '$operation', ...usageTotals } },
+      { $sort: { cost: -1, totalTokens: -1 } }
+    ],
+    byModel: [
+      { $group: { _id: { provider: '$provider', model: '$model' }, ...usageTotals } },
+      { $sort: { cost: -1, totalTokens: -1 } }
+    ],
+    byDay: [
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...usageTotals } },
+      { $sort: { _id: 1 } }
+    ]
+  };
+
+  if (!userId) {
+    facets.byUser = [
+      { $group: { _id: '$userId', ...usageTotals } },
+      { $sort: { cost: -1, totalTokens: -1 } },
+      { $limit: 20 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    ];
+  }
+
+  const [result] = await AIUsage.aggregate([{ $match: match }, { $facet: facets }]);
+
+  const report = {
+    from,
+    to,
+    totals: toUsageRow(result.totals[0] || Object.fromEntries(Object.keys(usageTotals).map(key => [key, 0]))),
+    byOperation: result.byOperation.map(row => ({ operation: row._id, ...toUsageRow(row) })),
+    byModel: result.byModel.map(row => ({ provider: row._id.provider, model: row._id.model, ...toUsageRow(row) })),
+    byDay: result.byDay.map(row => ({ date: row._id, ...toUsageRow(row) }))
+  };
+
+  if (result.byUser) {
+    report.byUser = result.byUser.map(({ user, ...row }) => ({
+      userId: row._id,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      plan: user ? user.plan || 'free' : null,
+      ...toUsageRow(row)
+    }));
+  }
+
+  return report;
+};
+
+module.exports = {
+  MODEL_PRICES,
+  PLAN_QUOTAS,
+  estimateCost,
+  estimateTokens,
+  record,
+  getPlanQuota,
+  getQuotaStatus,
+  getUsageReport
+};
\ No newline at end of file
@@ -1,8 +1,11 @@
 const User = require('../models/User');
 const DebateSession = require('../models/DebateSession');
+const DebateTopic = require('../models/DebateTopic');
+const RatingHistory = require('../models/RatingHistory');
 const PerformanceMetrics = require('../models/PerformanceMetrics');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../debatesphere/backend/config/logger');
+const notifications = require('../services/notifications');
 
 /**
  * User Controller
@@ -103,9 +106,9 @@ const getStats = async (req, res, next) => {
       dateFilter = { startTime: { $gte: startDate } };
     }
 
-    // Get debate sessions
+    // Get debate sessions (either side of a two-user debate counts)
     const sessions = await DebateSession.find({
-      userId,
+      $or: [{ userId }, { opponentId: userId }],
       status: 'completed',
       ...dateFilter
     }).populate('topicId', 'title category');
@@ -120,13 +123,16 @@ const getStats = async (req, res, next) => {
     }, 0);
 
     const averageScore = sessions.length > 0 
-      ? sessions.reduce((sum, session) => sum + (session.finalScore || 0), 0) / sessions.length 
+      ? sessions.reduce((sum, session) => sum + (session.getScoreFor(userId) || 0), 0) / sessions.length 
       : 0;
 
-    // Calculate win rate
-    const wins = sessions.filter(session => session.finalScore >= 7).length;
+    // Calculate win rate from the adjudicated winner
+    const wins = sessions.filter(session => session.isWonBy(userId)).length;
     const winRate = totalDebates > 0 ? (wins / totalDebates) * 100 : 0;
 
+    const user = await User.findById(userId);
+    const currentRating = user.getRating();
+
     // Get favorite topics
     const topicCounts = {};
     sessions.forEach(session => {
@@ -155,6 +161,11 @@ const getStats = async (req, res, next) => {
       totalDebates,
       winRate: Math.round(winRate * 100) / 100,
       averageScore: Math.round(averageScore * 100) / 100,
+      rating: {
+        rating: Math.round(currentRating.rating),
+        rd: Math.round(currentRating.rd),
+        gamesPlayed: currentRating.gamesPlayed
+      },
       totalTime: Math.round(totalTime),
       favoriteTopics,
       recentActivity
@@ -180,7 +191,7 @@ const getHistory = async (req, res, next) => {
     const { page = 1, limit = 10, status, topic } = req.query;
     const userId = req.user.id;
 
-    const filter = { userId };
+    const filter = { $or: [{ userId }, { opponentId: userId }] };
     if (status) filter.status = status;
     if (topic) filter.topicId = topic;
 
@@ -283,6 +294,10 @@ const getLeaderboard = async (req, res, next) => {
   try {
     const { category, period = 'all', limit = 10 } = req.query;
 
+    if (category && !DebateTopic.schema.path('category').enumValues.includes(category)) {
+      return next(new AppError('Invalid category', 400));
+    }
+
     // Calculate date range based on period
     let dateFilter = {};
     if (period !== 'all') {
@@ -306,69 +321,44 @@ const getLeaderboard = async (req, res, next) => {
       dateFilter = { startTime: { $gte: startDate } };
     }
 
-    // Build aggregation pipeline
-    const pipeline = [
-      { $match: { status: 'completed', ...dateFilter } },
-      {
-        $lookup: {
-          from: 'topics',
-          localField: 'topicId',
-          foreignField: '_id',
-          as: 'topic'
-        }
-      },
-      { $unwind: '$topic' }
-    ];
+    // Rank by rating: overall, or within a topic category
+    const ratingPath = category ? `ratings.byCategory.${category}` : 'ratings.overall';
+    const filter = {
+      isActive: true,
+      [`${ratingPath}.gamesPlayed`]: { $gt: 0 }
+    };
 
-    if (category) {
-      pipeline.push({ $match: { 'topic.category': category } });
+    // Only users who played during the period
+    if (dateFilter.startTime) {
+      filter[`${ratingPath}.lastPlayedAt`] = dateFilter.startTime;
     }
 
-    pipeline.push(
-      {
-        $group: {
-          _id: '$userId',
-          totalDebates: { $sum: 1 },
-          averageScore: { $avg: '$finalScore' },
-          totalTime: { $sum: { $subtract: ['$endTime', '$startTime'] } }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      { $unwind: '$user' },
-      {
-        $project: {
-          _id: 0,
-          user: {
-            _id: '$user._id',
-            name: '$user.name',
-            profileImage: '$user.profileImage',
-            skillLevel: '$user.skillLevel'
-          },
-          stats: {
-            totalDebates: '$totalDebates',
-            averageScore: { $round: ['$averageScore', 2] },
-            totalTime: { $round: [{ $divide: ['$totalTime', 60000] }, 0] } // Convert to minutes
-          }
-        }
-      },
-      { $sort: { 'stats.averageScore': -1, 'stats.totalDebates': -1 } },
-      { $limit: parseInt(limit) }
-    );
-
-    const leaderboard = await DebateSession.aggregate(pipeline);
+    const users = await User.find(filter)
+      .select('name profileImage skillLevel statistics ratings')
+      .sort({ [`${ratingPath}.rating`]: -1, [`${ratingPath}.rd`]: 1 })
+      .limit(parseInt(limit));
 
     // Add rank to each entry
-    const rankedLeaderboard = leaderboard.map((entry, index) => ({
-      rank: index + 1,
-      ...entry
-    }));
+    const rankedLeaderboard = users.map((user, index) => {
+      const userRating = user.getRating(category);
+
+      return {
+        rank: index + 1,
+        user: {
+          _id: user._id,
+          name: user.name,
+          profileImage: user.profileImage,
+          skillLevel: user.skillLevel
+        },
+        stats: {
+          rating: Math.round(userRating.rating),
+          rd: Math.round(userRating.rd),
+          gamesPlayed: userRating.gamesPlayed,
+          totalDebates: user.statistics.totalDebates,
+          averageScore: Math.round(user.statistics.averageScore * 100) / 100
+        }
+      };
+    });
 
     res.status(200).json({
       success: true,
@@ -390,7 +380,7 @@ const getPublicProfile = async (req, res, next) => {
     const { userId } = req.params;
 
     const user = await User.findById(userId)
-      .select('name profileImage skillLevel bio createdAt')
+      .select('name profileImage skillLevel bio createdAt ratings.overall')
       .lean();
 
     if (!user) {
@@ -399,28 +389,36 @@ const getPublicProfile = async (req, res, next) => {
 
     // Get public statistics
     const sessions = await DebateSession.find({
-      userId,
+      $or: [{ userId }, { opponentId: userId }],
       status: 'completed'
     }).populate('topicId', 'title category');
 
     const totalDebates = sessions.length;
     const averageScore = sessions.length > 0 
-      ? sessions.reduce((sum, session) => sum + (session.finalScore || 0), 0) / sessions.length 
+      ? sessions.reduce((sum, session) => sum + (session.getScoreFor(userId) || 0), 0) / sessions.length 
       : 0;
 
-    const wins = sessions.filter(session => session.finalScore >= 7).length;
+    const wins = sessions.filter(session => session.isWonBy(userId)).length;
     const winRate = totalDebates > 0 ? (wins / totalDebates) * 100 : 0;
 
+    const overallRating = user.ratings && user.ratings.overall;
+    const { ratings, ...profile } = user;
+
     const publicStats = {
       totalDebates,
       winRate: Math.round(winRate * 100) / 100,
-      averageScore: Math.round(averageScore * 100) / 100
+      averageScore: Math.round(averageScore * 100) / 100,
+      rating: overallRating ? {
+        rating: Math.round(overallRating.rating),
+        rd: Math.round(overallRating.rd),
+        gamesPlayed: overallRating.gamesPlayed
+      } : null
     };
 
     res.status(200).json({
       success: true,
       data: {
-        profile: user,
+        profile,
         publicStats
       }
     });
@@ -430,6 +428,100 @@ const getPublicProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a user's ratings and rating history
+ * @route GET /api/users/:userId/ratings
+ * @access Public
+ */
+const getRatingHistory = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { category = null, limit = 50 } = req.query;
+
+    if (category && !DebateTopic.schema.path('category').enumValues.includes(category)) {
+      return next(new AppError('Invalid category', 400));
+    }
+
+    const user = await User.findById(userId).select('name ratings');
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const history = await RatingHistory.getUserHistory(userId, {
+      category,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        current: user.getRating(category),
+        byCategory: Object.fromEntries(
+          Array.from(user.ratings.byCategory.entries()).map(([name, value]) => [name, {
+            rating: Math.round(value.rating),
+            rd: Math.round(value.rd),
+            gamesPlayed: value.gamesPlayed
+          }])
+        ),
+        history
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting rating history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's notifications
+ * @route GET /api/users/notifications
+ * @access Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const result = await notifications.getNotifications(req.user.id, {
+      unread: unread === 'true',
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error getting notifications:', error);
+    next(error);
+  }
+};
+
+/**
+ * Mark the current user's notifications as read, all of them unless ids are given
+ * @route PATCH /api/users/notifications/read
+ * @access Private
+ */
+const markNotificationsRead = async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.length > 100)) {
+      return next(new AppError('ids must be an array of 1 to 100 notification IDs', 400));
+    }
+
+    const updated = await notifications.markRead(req.user.id, ids || null);
+
+    res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('Error marking notifications read:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getProfile,
   updateProfile,
@@ -437,5 +529,8 @@ module.exports = {
   getHistory,
   getPerformance,
   getLeaderboard,
-  getPublicProfile
+  getPublicProfile,
+  getRatingHistory,
+  getNotifications,
+  markNotificationsRead
 }; 
\ No newline at end of file
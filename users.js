@@ -52,6 +52,8 @@ const { userValidation } = require('../middleware/validation');
  *         averageScore:
  *           type: number
  *           description: Average debate score
+ *         rating:
+ *           $ref: '#/components/schemas/Rating'
  *         totalTime:
  *           type: number
  *           description: Total time spent debating in minutes
@@ -63,6 +65,57 @@ const { userValidation } = require('../middleware/validation');
  *           type: array
  *           items:
  *             type: object
+ *     Rating:
+ *       type: object
+ *       description: Glicko-2 rating
+ *       properties:
+ *         rating:
+ *           type: number
+ *           description: Rating, 1500 for a new user
+ *         rd:
+ *           type: number
+ *           description: Rating deviation (uncertainty), shrinks as more debates are played
+ *         volatility:
+ *           type: number
+ *         gamesPlayed:
+ *           type: integer
+ *     RatingChange:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Topic category, null for the overall rating
+ *         opponent:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [user, ai]
+ *             userId:
+ *               type: string
+ *             aiDifficulty:
+ *               type: string
+ *             aiPersonality:
+ *               type: string
+ *             rating:
+ *               type: number
+ *             rd:
+ *               type: number
+ *         score:
+ *           type: number
+ *           enum: [0, 0.5, 1]
+ *         before:
+ *           $ref: '#/components/schemas/Rating'
+ *         after:
+ *           $ref: '#/components/schemas/Rating'
+ *         change:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -243,6 +296,116 @@ router.get('/stats', authenticate, userController.getStats);
  */
 router.get('/history', authenticate, userController.getHistory);
 
+/**
+ * @swagger
+ * /api/users/notifications:
+ *   get:
+ *     summary: Get the current user's notifications
+ *     description: Newest first. The same notifications are pushed to open sockets as `notification` events.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/notifications', authenticate, userController.getNotifications);
+
+/**
+ * @swagger
+ * /api/users/notifications/read:
+ *   patch:
+ *     summary: Mark notifications as read
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 description: Notifications to mark; all unread notifications if omitted
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *       400:
+ *         description: Invalid notification IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/notifications/read', authenticate, userController.markNotificationsRead);
+
 /**
  * @swagger
  * /api/users/performance:
@@ -291,19 +454,20 @@ router.get('/performance', authenticate, userController.getPerformance);
  * /api/users/leaderboard:
  *   get:
  *     summary: Get leaderboard rankings
+ *     description: Users ranked by overall rating, or by their rating in a topic category
  *     tags: [Users]
  *     parameters:
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by topic category
+ *         description: Rank by rating in this topic category
  *       - in: query
  *         name: period
  *         schema:
  *           type: string
  *           enum: [week, month, year, all]
- *         description: Time period for rankings
+ *         description: Only users who played a rated debate in this period
  *       - in: query
  *         name: limit
  *         schema:
@@ -332,7 +496,18 @@ router.get('/performance', authenticate, userController.getPerformance);
  *                       user:
  *                         $ref: '#/components/schemas/UserProfile'
  *                       stats:
- *                         $ref: '#/components/schemas/UserStats'
+ *                         type: object
+ *                         properties:
+ *                           rating:
+ *                             type: number
+ *                           rd:
+ *                             type: number
+ *                           gamesPlayed:
+ *                             type: integer
+ *                           totalDebates:
+ *                             type: number
+ *                           averageScore:
+ *                             type: number
  *       400:
  *         description: Invalid parameters
  *         content:
@@ -342,6 +517,70 @@ router.get('/performance', authenticate, userController.getPerformance);
  */
 router.get('/leaderboard', userController.getLeaderboard);
 
+/**
+ * @swagger
+ * /api/users/{userId}/ratings:
+ *   get:
+ *     summary: Get a user's ratings and rating history
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: History of the rating in this topic category instead of the overall rating
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Number of rating changes to return
+ *     responses:
+ *       200:
+ *         description: Ratings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       $ref: '#/components/schemas/Rating'
+ *                     byCategory:
+ *                       type: object
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/Rating'
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RatingChange'
+ *       400:
+ *         description: Invalid category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:userId/ratings', userController.getRatingHistory);
+
 /**
  * @swagger
  * /api/users/{userId}:
@@ -223,7 +223,7 @@ const validateSessionCreation = [
   
   body('aiPersonality')
     .optional()
-    .isIn(['analytical', 'passionate', 'skeptical', 'diplomatic', 'challenging'])
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
     .withMessage('Invalid AI personality'),
   
   body('sessionSettings.maxTurns')
@@ -246,6 +246,21 @@ const validateSessionCreation = [
     .isBoolean()
     .withMessage('Allow rebuttals must be a boolean'),
   
+  body('sessionSettings.adaptiveDifficulty')
+    .optional()
+    .isBoolean()
+    .withMessage('Adaptive difficulty must be a boolean'),
+  
+  body('format')
+    .optional()
+    .isIn(['open', 'oxford', 'lincoln-douglas', 'public-forum'])
+    .withMessage('Format must be one of open, oxford, lincoln-douglas or public-forum'),
+  
+  body('language')
+    .optional()
+    .isIn(['en', 'es', 'fr', 'de', 'zh', 'ja', 'ko', 'ar', 'hi'])
+    .withMessage('Invalid debate language'),
+  
   handleValidationErrors
 ];
 